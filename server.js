@@ -3,11 +3,54 @@ const path = require('path');
 const cors = require('cors');
 const fs = require('fs');
 require('dotenv').config();
+const { normalizeSegments, segmentsDuration } = require('./server/segments');
+const llm = require('./server/llm');
+const pipeline = require('./server/pipeline');
+const { describeApiError } = pipeline;
+const { buildFaqSchemaMarkup, normalizeSchemaFormat, SCHEMA_FORMATS } = require('./server/faqSchema');
+const wordpress = require('./server/wordpress');
+const { slugify } = require('./server/slug');
+const { EXPORT_FORMATS, exportLanguages, buildExport } = require('./server/exports');
+const { SSG_TARGETS, buildSsgExport, postVideo } = require('./server/ssg');
+const { createConversionStore } = require('./server/conversionStore');
+const { REGENERATE_SECTIONS, regenerateSection } = require('./server/regenerate');
+const { createJobQueue } = require('./server/jobQueue');
+const { createBatchManager } = require('./server/batches');
+const { createJobManager, isTerminal } = require('./server/jobs');
+const { createVideoMetadataService } = require('./server/videoMetadata');
+const { expandPlaylist } = require('./server/playlists');
+const { parseVideoUrl, videoRef, videoFromResults } = require('./src/shared/videoUrl');
+const { createTemplateStore, TemplateError } = require('./server/templateStore');
+const { TEMPLATE_KINDS, TEMPLATE_VARIABLES, seoLimitsFor } = require('./server/promptTemplates');
+const { normalizeGlossary } = require('./server/glossary');
+const { verifyGrounding } = require('./server/grounding');
+const { normalizeSpeakerEdits, applySpeakerEdits } = require('./server/speakers');
+const { detectLanguage, normalizeLanguages } = require('./server/languages');
+const { LANGUAGES, isLanguage, languageName } = require('./src/shared/languages');
+const { normalizeKeywords, analyzeSeo } = require('./src/shared/seoAnalysis');
+const { SitemapError, indexSitemap } = require('./server/sitemap');
+const { createSiteIndexStore } = require('./server/siteIndexStore');
+const { suggestInternalLinks } = require('./server/internalLinks');
 
 // Node.js 18+ has native fetch support
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const conversions = createConversionStore();
+const templates = createTemplateStore();
+const siteIndex = createSiteIndexStore();
+const videoMetadata = createVideoMetadataService();
+const batches = createBatchManager({
+  queue: createJobQueue({
+    concurrency: Number(process.env.BATCH_CONCURRENCY) || 2,
+    maxRetries: process.env.BATCH_MAX_RETRIES !== undefined ? Number(process.env.BATCH_MAX_RETRIES) : 3,
+    retryDelayMs: Number(process.env.BATCH_RETRY_DELAY_MS) || 5000
+  }),
+  conversions,
+  runConversion: pipeline.runConversion,
+  videoMetadata
+});
+const jobs = createJobManager({ conversions, runConversion: pipeline.runConversion, videoMetadata });
 
 // Middleware
 app.use(cors());
@@ -21,248 +64,209 @@ if (fs.existsSync(buildPath)) {
   console.warn('Build directory not found. Make sure to run "npm run build" first.');
 }
 
-// Helper function to make API calls with proper error handling
-const makeOpenAIRequest = async (payload) => {
-  console.log('Making OpenAI API request with payload:', {
-    model: payload.model,
-    max_tokens: payload.max_tokens,
-    messageLength: payload.messages[0].content.length
-  });
-  
-  // Validate API key format
-  if (!process.env.OPENAI_API_KEY || !process.env.OPENAI_API_KEY.startsWith('sk-')) {
-    throw new Error('Invalid OPENAI_API_KEY format. Should start with sk-');
+// Thumbnail bytes for a parsed video from the metadata cache, or null. Exports and WordPress
+// uploads only ever use this: fetching a thumbnailUrl sent by the client would let anyone make
+// the server read (and hand back) any address it can reach.
+const videoThumbnail = async (video) => {
+  if (!video) return null;
+  try {
+    return await videoMetadata.thumbnail(video);
+  } catch (error) {
+    console.warn(`Could not fetch thumbnail for ${video.provider} video ${video.id}:`, error.message);
+    return null;
   }
-  
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${process.env.OPENAI_API_KEY}`
-    },
-    body: JSON.stringify(payload)
-  });
-  
-  console.log('OpenAI API response status:', response.status, response.statusText);
-  return response;
 };
 
+// Check the LLM configuration before starting work; sends a 500 and returns false when unusable
+const ensureLLMConfigured = (res) => {
+  const problem = llm.configurationError();
+  if (problem) {
+    console.error(problem);
+    res.status(500).json({ error: problem });
+    return false;
+  }
+  return true;
+};
+
+// The prompts picked with a request's `templates: { cleaning?, seo?, article?, voice? }` IDs
+// (built-ins for the rest); sends a 400 and returns null when an ID doesn't exist
+const resolvePrompts = async (res, selection) => {
+  try {
+    return await templates.resolve(selection);
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    res.status(error.status).json({ error: error.message });
+    return null;
+  }
+};
+
+// The request's `glossary` ("a, b" or ["a", "b"]) as a term list; sends a 400 and returns
+// null when it is neither
+const readGlossary = (res, glossary) => {
+  if (glossary === undefined || glossary === null || typeof glossary === 'string' || Array.isArray(glossary)) {
+    return normalizeGlossary(glossary);
+  }
+  res.status(400).json({ error: 'glossary must be a string or an array of terms' });
+  return null;
+};
+
+// The request's source `language` (a code; detected from the transcript when left out) and the
+// `languages` to translate into; sends a 400 and returns null when either isn't a known language
+const readLanguages = (res, { language, languages }) => {
+  if (language !== undefined && language !== null && language !== '' && !isLanguage(language)) {
+    res.status(400).json({ error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` });
+    return null;
+  }
+  const targets = normalizeLanguages(languages, language || null);
+  if (targets.error) {
+    res.status(400).json({ error: targets.error });
+    return null;
+  }
+  return { language: language || undefined, languages: targets.languages };
+};
+
+// The request's `focusKeyword` and `secondaryKeywords` ("a, b" or ["a", "b"]) as
+// { focus, secondary }; sends a 400 and returns null when they aren't valid
+const readKeywords = (res, { focusKeyword, secondaryKeywords }) => {
+  const { keywords, error } = normalizeKeywords(focusKeyword, secondaryKeywords);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  return keywords;
+};
+
+// { code, name } for a language read by readLanguages, or undefined to detect it
+const sourceLanguage = (code) => (code ? { code, name: languageName(code) } : undefined);
+
 // Clean transcript endpoint
+// Long transcripts are split into chunks, cleaned in parallel and stitched back together.
+// Send { stream: true } to receive newline-delimited JSON progress events per chunk.
+// Optional `segments` (cue timings from SRT/WebVTT/YouTube imports) are validated and returned with the result.
+// Optional `glossary` terms are protected: the result's `glossaryIssues` lists what was corrected or flagged.
+// The result's `speakers` lists each speaker label with its turn and word counts.
+// The transcript is cleaned in its own language: send `language` (a code) or let it be detected;
+// the result's `language` is { code, name, confidence }.
 app.post('/api/clean-transcript', async (req, res) => {
-  try {
-    const { transcript } = req.body;
+  const { transcript, stream } = req.body;
+  const segments = normalizeSegments(req.body.segments);
+  const timing = segments.length > 0 ? { segments, duration: segmentsDuration(segments) } : {};
+
+  const sendEvent = (event) => {
+    if (stream) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
 
+  try {
     if (!transcript) {
       return res.status(400).json({ error: 'Transcript is required' });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OPENAI_API_KEY not configured');
-      return res.status(500).json({ error: 'OPENAI_API_KEY not configured' });
+    if (!ensureLLMConfigured(res)) return;
+
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
+
+    const glossary = readGlossary(res, req.body.glossary);
+    if (!glossary) return;
+
+    const languages = readLanguages(res, { language: req.body.language });
+    if (!languages) return;
+
+    if (segments.length > 0) {
+      console.log(`⏱️ Received ${segments.length} timed segments`);
     }
 
-    console.log('Cleaning transcript with ChatGPT...');
-    console.log('API Key present:', !!process.env.OPENAI_API_KEY);
-    console.log('API Key format check:', process.env.OPENAI_API_KEY?.startsWith('sk-'));
-    console.log('🤖 Using model: gpt-4o for transcript cleaning');
-    
-    const response = await makeOpenAIRequest({
-      model: "gpt-4o",
-      max_tokens: 16384,
-      messages: [
-        {
-          role: "user",
-          content: `Clean up this video transcript for blog readability. This is a TRANSCRIPT, not a rewrite.
-
-FORMATTING REQUIREMENTS:
-1. Identify speakers and format as "**Speaker Name:**" 
-2. Use existing section headers if provided (format as **Section Title**)
-3. Remove ONLY obvious filler words (um, uh, like, you know)
-4. Fix obvious typos and add punctuation for readability
-5. Add paragraph breaks where natural pauses occur
-
-CRITICAL RULES:
-- DO NOT change company names, proper nouns, or specific terms
-- DO NOT rewrite or paraphrase sentences
-- DO NOT add or remove meaning
-- DO NOT use H1 headings (#) - use **bold text** only
-- Keep the exact flow and structure of what was said
-- This should read like a cleaned transcript, not a blog article
-
-EXAMPLE:
-If they say "um, Docket software, you know, really helped us" 
-→ Format as "Docket software really helped us"
-NOT "Docka software provided assistance"
-
-Raw transcript:
-${transcript}
-
-Return ONLY the cleaned transcript - same words, same meaning, just readable format.`
-        }
-      ]
+    if (stream) {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+
+    const { cleanedTranscript, chunks: totalChunks, glossaryIssues, speakers, language } = await pipeline.cleanTranscript(transcript, {
+      prompts,
+      glossary,
+      language: languages.language,
+      onStart: ({ totalChunks }) => sendEvent({ type: 'start', totalChunks }),
+      onProgress: (progress) => sendEvent({ type: 'progress', ...progress })
     });
 
-    if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        errorData = { error: { message: 'Failed to parse error response' } };
-      }
-      
-      console.error('OpenAI API error for transcript cleaning:', errorData);
-      return res.status(response.status).json({ 
-        error: `Failed to clean transcript: ${errorData.error?.message || 'Unknown error'}` 
-      });
+    if (stream) {
+      sendEvent({ type: 'result', cleanedTranscript, chunks: totalChunks, glossaryIssues, speakers, language, ...timing });
+      return res.end();
     }
 
-    const data = await response.json();
-    const cleanedTranscript = data.choices[0].message.content.trim();
-    
-    res.json({ cleanedTranscript });
+    res.json({ cleanedTranscript, chunks: totalChunks, glossaryIssues, speakers, language, ...timing });
 
   } catch (error) {
     console.error('Error cleaning transcript:', error);
     console.error('Error details:', {
       message: error.message,
+      status: error.status,
       stack: error.stack,
-      apiKeyPresent: !!process.env.OPENAI_API_KEY,
-      apiKeyValid: process.env.OPENAI_API_KEY?.startsWith('sk-')
-    });
-    
-    res.status(500).json({ 
-      error: `Failed to clean transcript: ${error.message}`
+      llm: llm.describeLLMConfig()
     });
+
+    const message = `Failed to clean transcript: ${error.message}`;
+    if (stream && res.headersSent) {
+      sendEvent({ type: 'error', status: error.status || 500, error: message });
+      return res.end();
+    }
+
+    res.status(error.status || 500).json({ error: message });
   }
 });
 
 // Generate content endpoint
+// The result is validated against SEO_CONTENT_SCHEMA and repaired when needed; `repairs` lists the fixes.
+// `schemaMarkup` is built from the FAQs in the requested `schemaFormat` (microdata, jsonld or both).
+// When timed `segments` are sent, the response also includes YouTube `chapters`.
+// `grounding` links each FAQ answer and takeaway to supporting transcript quotes; send
+// `judge: true` to have the model double-check them too. Everything is written in the
+// transcript's language (`language`, or detected); the response's `language` says which.
+// An optional `focusKeyword` and `secondaryKeywords` are targeted by the prompt, and
+// `seoAnalysis` is the checklist scoring the content against them.
 app.post('/api/generate-content', async (req, res) => {
   try {
     const { transcript, videoTitle } = req.body;
+    const segments = normalizeSegments(req.body.segments);
+    const schemaFormat = normalizeSchemaFormat(req.body.schemaFormat);
 
     if (!transcript) {
       return res.status(400).json({ error: 'Transcript is required' });
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OPENAI_API_KEY not configured');
-      return res.status(500).json({ error: 'OPENAI_API_KEY not configured' });
-    }
+    if (!ensureLLMConfigured(res)) return;
 
-    console.log('Making request to OpenAI API for content generation...');
-    console.log('Transcript length:', transcript.length);
-    console.log('🤖 Using model: gpt-4o for content generation (v2)');
-    
-    const response = await makeOpenAIRequest({
-      model: "gpt-4o",
-      max_tokens: 16384,
-      temperature: 0.7,
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert content strategist who creates SEO-optimized content. You carefully read transcripts to understand the main business topic being discussed, focusing on current operations rather than background history."
-        },
-        {
-          role: "user",
-                               content: `Create SEO content for this transcript. Use ONLY information that is actually mentioned in the content - do not add generic information or make assumptions.
-
-${transcript}
-
-Generate exactly:
-- 1 SEO title (65 characters max) - Make it specific to what's actually discussed, not generic
-- 1 meta description (160 characters max) - Based on the actual content and results mentioned
-- 5 FAQs - Create detailed, comprehensive answers (2-3 sentences each) that can be directly answered from the transcript content. Include specific details, numbers, and context mentioned.
-- 4 Key Takeaways - Write detailed takeaways (1-2 sentences each) using specific details, numbers, and results actually mentioned. Provide context and explanation.
-
-Make the FAQs and Key Takeaways substantial and informative for SEO value, but only use information that's actually in the transcript.
-
-Return ONLY a valid JSON object with this structure:
-{
-  "seoTitle": "string (65 characters max)",
-  "metaDescription": "string (160 characters max)", 
-  "faqs": [
-    {
-      "question": "string", 
-      "answer": "string"
-    }
-  ],
-  "keyTakeaways": [
-    "string"
-  ],
-  "schemaMarkup": "string containing HTML FAQ section with schema.org microdata"
-}
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
 
-IMPORTANT: The schemaMarkup field must be HTML FAQ section with microdata like:
-<div itemscope itemtype="https://schema.org/FAQPage">
-  <div itemscope itemprop="mainEntity" itemtype="https://schema.org/Question">
-    <h3 itemprop="name">Question here?</h3>
-    <div itemscope itemprop="acceptedAnswer" itemtype="https://schema.org/Answer">
-      <p itemprop="text">Answer here</p>
-    </div>
-  </div>
-</div>
-
-DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`
-        }
-      ]
-    });
+    const languages = readLanguages(res, { language: req.body.language });
+    if (!languages) return;
 
-    if (!response.ok) {
-      let errorData;
-      try {
-        errorData = await response.json();
-      } catch (e) {
-        errorData = { error: { message: 'Failed to parse error response' } };
-      }
-      
-      console.error('OpenAI API error:', {
-        status: response.status,
-        statusText: response.statusText,
-        errorData
+    const keywords = readKeywords(res, req.body);
+    if (!keywords) return;
+
+    const content = await pipeline.generateSeoContent(transcript, { videoTitle, segments, schemaFormat, prompts, judge: req.body.judge === true, language: sourceLanguage(languages.language), keywords });
+    res.json(content);
+
+  } catch (error) {
+    if (error instanceof llm.LLMError) {
+      console.error('LLM API error:', {
+        status: error.status,
+        errorData: error.errorData
       });
       
-      // Provide more helpful error messages
-      let errorMessage = 'Unknown error';
-      if (response.status === 429) {
-        errorMessage = 'OpenAI API rate limit exceeded. Please try again in a few minutes.';
-      } else if (response.status === 401) {
-        errorMessage = 'Invalid API key configuration';
-      } else if (response.status === 400) {
-        errorMessage = 'Invalid request format';
-      } else {
-        errorMessage = errorData.error?.message || errorData.message || 'Service temporarily unavailable';
-      }
-      
-      return res.status(response.status).json({ 
-        error: `API request failed (${response.status}): ${errorMessage}` 
+      return res.status(error.status).json({ 
+        error: `API request failed (${error.status}): ${describeApiError(error)}` 
       });
     }
 
-    const data = await response.json();
-    let responseText = data.choices[0].message.content;
-    
-    // Clean up any markdown formatting
-    responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-    
-    try {
-      console.log('🚨 RAW OPENAI RESPONSE:', responseText);
-      const generatedContent = JSON.parse(responseText);
-      console.log('🚨 PARSED CONTENT SUCCESS:', Object.keys(generatedContent));
-      res.json(generatedContent);
-    } catch (parseError) {
-      console.error('🚨 JSON PARSE ERROR:', parseError.message);
-      console.error('🚨 RAW RESPONSE THAT FAILED:', responseText);
-      console.error('🚨 RESPONSE LENGTH:', responseText.length);
-      console.error('🚨 FIRST 500 CHARS:', responseText.substring(0, 500));
-      res.status(500).json({ 
-        error: 'Failed to parse generated content',
-        parseError: parseError.message,
-        rawResponse: responseText.substring(0, 200)
-      });
+    if (error instanceof pipeline.PipelineError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
 
-  } catch (error) {
     console.error('🚨 CONTENT GENERATION ERROR:', error);
     console.error('🚨 ERROR MESSAGE:', error.message);
     console.error('🚨 ERROR STACK:', error.stack);
@@ -277,9 +281,905 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`
   }
 });
 
+// Generate social pack endpoint
+// Repurposes the cleaned transcript as a LinkedIn post, an X thread, a newsletter blurb and a
+// YouTube description, each within its platform's length limits. Every format gets a quote
+// copied word for word from the transcript and attributed to its speaker; quotes that aren't
+// in the transcript are dropped and listed in `repairs`. Optional `seoTitle` and `videoTitle`
+// give context, `chapters` (results.chapters) go in the YouTube description, `templates`
+// picks the voice profile and `language` the language to write in.
+app.post('/api/generate-social', async (req, res) => {
+  try {
+    const { transcript, videoTitle, seoTitle, chapters } = req.body;
+
+    if (!transcript) {
+      return res.status(400).json({ error: 'Transcript is required' });
+    }
+
+    if (!ensureLLMConfigured(res)) return;
+
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
+
+    const languages = readLanguages(res, { language: req.body.language });
+    if (!languages) return;
+
+    res.json(await pipeline.generateSocialPack(transcript, { videoTitle, seoTitle, chapters, prompts, language: sourceLanguage(languages.language) }));
+
+  } catch (error) {
+    if (error instanceof llm.LLMError) {
+      console.error('LLM API error for social pack:', error.errorData);
+      return res.status(error.status).json({
+        error: `API request failed (${error.status}): ${describeApiError(error)}`
+      });
+    }
+
+    if (error instanceof pipeline.PipelineError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Error generating social pack:', error);
+    res.status(500).json({
+      error: `Failed to generate social posts: ${error.message}`
+    });
+  }
+});
+
+// Generate article endpoint
+// Second output mode: turns the cleaned transcript into a structured blog article draft
+// (intro, H2/H3 sections, pull quotes, conclusion) rendered as Markdown and HTML.
+app.post('/api/generate-article', async (req, res) => {
+  try {
+    const { transcript, videoTitle } = req.body;
+
+    if (!transcript) {
+      return res.status(400).json({ error: 'Transcript is required' });
+    }
+
+    if (!ensureLLMConfigured(res)) return;
+
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
+
+    const languages = readLanguages(res, { language: req.body.language });
+    if (!languages) return;
+
+    res.json(await pipeline.generateArticleDraft(transcript, videoTitle, { prompts, language: sourceLanguage(languages.language) }));
+
+  } catch (error) {
+    if (error instanceof llm.LLMError) {
+      console.error('LLM API error for article generation:', error.errorData);
+      return res.status(error.status).json({
+        error: `API request failed (${error.status}): ${describeApiError(error)}`
+      });
+    }
+
+    if (error instanceof pipeline.PipelineError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Error generating article:', error);
+    res.status(500).json({
+      error: `Failed to generate article: ${error.message}`
+    });
+  }
+});
+
+// Regenerate section endpoint
+// Rewrites one section of edited results from the cleaned transcript. For faqs and keyTakeaways,
+// `keep` lists the positions to leave as they are; every other position gets a new item.
+// Responds { [section]: value } with the complete section, plus schemaMarkup when FAQs change
+// and `grounding: { [section] }` for FAQs and takeaways.
+// `templates` (the IDs kept in results.templates) keeps the SEO template's counts and the voice,
+// `language` (results.language.code) the language the content is written in, and
+// `focusKeyword` / `secondaryKeywords` (results.keywords) the keywords it targets.
+app.post('/api/regenerate-section', async (req, res) => {
+  const { transcript, section, current, keep } = req.body;
+
+  if (!transcript) {
+    return res.status(400).json({ error: 'Transcript is required' });
+  }
+
+  if (!REGENERATE_SECTIONS.includes(section)) {
+    return res.status(400).json({ error: `section must be one of: ${REGENERATE_SECTIONS.join(', ')}` });
+  }
+
+  const languages = readLanguages(res, { language: req.body.language });
+  if (!languages) return;
+
+  const keywords = readKeywords(res, req.body);
+  if (!keywords) return;
+
+  if (!ensureLLMConfigured(res)) return;
+
+  try {
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
+
+    const language = sourceLanguage(languages.language) || detectLanguage(transcript);
+    console.log(`🔄 Regenerating ${section}${Array.isArray(keep) ? ` (keeping ${keep.length})` : ''}...`);
+    const { value, errors } = await regenerateSection({
+      section,
+      current: current && typeof current === 'object' ? current : {},
+      keep: Array.isArray(keep) ? keep : [],
+      transcript,
+      limits: seoLimitsFor(prompts.seo),
+      voice: prompts.voice,
+      language: language.name,
+      keywords
+    });
+
+    if (errors.length > 0) {
+      console.error(`🚨 Regenerated ${section} invalid:`, errors);
+      return res.status(500).json({
+        error: 'Regenerated content failed validation',
+        validationErrors: errors
+      });
+    }
+
+    const response = { [section]: value };
+    if (section === 'faqs') {
+      response.schemaFormat = normalizeSchemaFormat(req.body.schemaFormat);
+      response.schemaMarkup = buildFaqSchemaMarkup(value, response.schemaFormat, { inLanguage: language.code });
+    }
+    if (Array.isArray(value)) {
+      response.grounding = { [section]: (await verifyGrounding(transcript, { [section]: value }))[section] };
+    }
+    res.json(response);
+
+  } catch (error) {
+    if (error instanceof llm.LLMError) {
+      console.error('LLM API error:', {
+        status: error.status,
+        errorData: error.errorData
+      });
+
+      return res.status(error.status).json({
+        error: `API request failed (${error.status}): ${describeApiError(error)}`
+      });
+    }
+
+    console.error('Error regenerating section:', error);
+    res.status(500).json({
+      error: `Failed to regenerate ${section}: ${error.message}`
+    });
+  }
+});
+
+// Translate endpoint
+// Translates a finished result into `language` (a code): the cleaned transcript and the SEO
+// package, with the FAQ schema declaring the new inLanguage. Responds with the translation,
+// { language, formattedTranscript, seoTitle, metaDescription, faqs, keyTakeaways, schemaMarkup },
+// which the client keeps in results.translations[language].
+app.post('/api/translate', async (req, res) => {
+  const { results, language } = req.body;
+
+  if (!results || typeof results !== 'object' || !results.formattedTranscript || typeof results.seoTitle !== 'string') {
+    return res.status(400).json({ error: 'results with a formattedTranscript and seoTitle are required' });
+  }
+
+  if (!isLanguage(language)) {
+    return res.status(400).json({ error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` });
+  }
+
+  if (results.language && results.language.code === language) {
+    return res.status(400).json({ error: `The results are already in ${languageName(language)}` });
+  }
+
+  if (!ensureLLMConfigured(res)) return;
+
+  try {
+    res.json(await pipeline.translateResults(results, language));
+  } catch (error) {
+    if (error instanceof llm.LLMError) {
+      console.error('LLM API error for translation:', error.errorData);
+      return res.status(error.status).json({
+        error: `API request failed (${error.status}): ${describeApiError(error)}`
+      });
+    }
+
+    if (error instanceof pipeline.PipelineError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Error translating results:', error);
+    res.status(500).json({
+      error: `Failed to translate: ${error.message}`
+    });
+  }
+});
+
+// Grounding endpoint
+// Re-checks edited FAQs and takeaways against the cleaned transcript: each answer and takeaway
+// gets a score, a status (grounded, weak or ungrounded), supporting quotes and the problems
+// found. `judge: true` adds the model's verdict.
+app.post('/api/verify-grounding', async (req, res) => {
+  const { transcript, faqs, keyTakeaways, judge } = req.body;
+
+  if (!transcript) {
+    return res.status(400).json({ error: 'Transcript is required' });
+  }
+
+  if ((faqs !== undefined && !Array.isArray(faqs)) || (keyTakeaways !== undefined && !Array.isArray(keyTakeaways))) {
+    return res.status(400).json({ error: 'faqs and keyTakeaways must be arrays' });
+  }
+
+  if (judge === true && !ensureLLMConfigured(res)) return;
+
+  try {
+    res.json(await verifyGrounding(transcript, { faqs, keyTakeaways }, { judge: judge === true }));
+  } catch (error) {
+    console.error('Error verifying grounding:', error);
+    res.status(500).json({
+      error: `Failed to verify grounding: ${error.message}`
+    });
+  }
+});
+
+// SEO analysis endpoint
+// Scores edited results against a focus keyword and secondary keywords: keyword use in the
+// title, meta description, FAQs and headings, keyword density and variants, title and meta
+// lengths and Flesch readability. Deterministic; the React app runs the same analyzer
+// (src/shared/seoAnalysis.js) as you type. `templates` sets the title and meta limits.
+app.post('/api/seo-analysis', async (req, res) => {
+  const { results } = req.body;
+
+  if (!results || typeof results !== 'object' || typeof results.seoTitle !== 'string') {
+    return res.status(400).json({ error: 'results with a seoTitle are required' });
+  }
+
+  const keywords = readKeywords(res, req.body);
+  if (!keywords) return;
+
+  try {
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
+
+    const limits = seoLimitsFor(prompts.seo);
+    res.json(analyzeSeo(results, keywords, { titleMax: limits.seoTitle, metaMax: limits.metaDescription }));
+  } catch (error) {
+    console.error('Error analyzing SEO:', error);
+    res.status(500).json({
+      error: `Failed to analyze SEO: ${error.message}`
+    });
+  }
+});
+
+// Sitemap endpoints
+// Registers the blog's sitemap for internal link suggestions: `{ url }` fetches it, `{ xml }` is
+// an uploaded sitemap.xml. Every listed page is fetched for its title and excerpt, and the
+// index replaces the previous one. GET returns the index (indexedAt is null before a sitemap
+// is registered); DELETE clears it.
+app.post('/api/sitemap', async (req, res) => {
+  try {
+    const index = await siteIndex.save(await indexSitemap({ url: req.body.url, xml: req.body.xml }));
+    console.log(`🗺️ Indexed ${index.pages.length} pages from ${index.sitemapUrl || 'an uploaded sitemap'}`);
+    res.json(index);
+  } catch (error) {
+    if (error instanceof SitemapError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error indexing sitemap:', error);
+    res.status(500).json({ error: `Failed to index sitemap: ${error.message}` });
+  }
+});
+
+app.get('/api/sitemap', async (req, res) => {
+  try {
+    res.json(await siteIndex.get());
+  } catch (error) {
+    console.error('Error loading site index:', error);
+    res.status(500).json({ error: `Failed to load site index: ${error.message}` });
+  }
+});
+
+app.delete('/api/sitemap', async (req, res) => {
+  try {
+    await siteIndex.clear();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error clearing site index:', error);
+    res.status(500).json({ error: `Failed to clear site index: ${error.message}` });
+  }
+});
+
+// Internal links endpoint
+// Suggests 3-5 pages from the registered sitemap for `results` (cleaned transcript and key
+// takeaways), each with anchor text from the post, the page URL and a relevance score. Accepted
+// suggestions go in results.internalLinks and are linked by the Markdown and HTML exports.
+app.post('/api/internal-links', async (req, res) => {
+  const { results } = req.body;
+
+  if (!results || typeof results !== 'object' || typeof results.formattedTranscript !== 'string') {
+    return res.status(400).json({ error: 'results with a formattedTranscript are required' });
+  }
+
+  try {
+    const { pages } = await siteIndex.get();
+    if (pages.length === 0) {
+      return res.status(400).json({ error: 'Register a sitemap first' });
+    }
+    res.json({ suggestions: suggestInternalLinks(results, pages) });
+  } catch (error) {
+    console.error('Error suggesting internal links:', error);
+    res.status(500).json({ error: `Failed to suggest internal links: ${error.message}` });
+  }
+});
+
+// Speakers endpoint
+// Applies speaker edits to a result: `speakers` is [{ from, name, role, headshotUrl }], where
+// `from` is a label in the transcript. Giving two speakers the same name merges them. Returns
+// the changed fields (transcript, speakers, FAQs, schema, takeaways, SEO fields, article,
+// segments and grounding) to merge into the result.
+app.post('/api/speakers', (req, res) => {
+  const { results } = req.body;
+
+  if (!results || typeof results !== 'object' || !results.formattedTranscript) {
+    return res.status(400).json({ error: 'results with a formattedTranscript are required' });
+  }
+
+  const { edits, error } = normalizeSpeakerEdits(req.body.speakers);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(applySpeakerEdits(results, edits));
+  } catch (error) {
+    console.error('Error applying speaker edits:', error);
+    res.status(500).json({
+      error: `Failed to apply speaker edits: ${error.message}`
+    });
+  }
+});
+
+// FAQ schema endpoint
+// Rebuilds the FAQPage markup for a set of FAQs, e.g. after switching format in the UI.
+// `language` (a code) is declared as the page's inLanguage.
+app.post('/api/faq-schema', (req, res) => {
+  const { faqs, format, language } = req.body;
+
+  if (!Array.isArray(faqs)) {
+    return res.status(400).json({ error: 'faqs must be an array' });
+  }
+
+  if (format && !SCHEMA_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${SCHEMA_FORMATS.join(', ')}` });
+  }
+
+  if (language && !isLanguage(language)) {
+    return res.status(400).json({ error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` });
+  }
+
+  const schemaFormat = normalizeSchemaFormat(format);
+  res.json({ schemaMarkup: buildFaqSchemaMarkup(faqs, schemaFormat, { inLanguage: language }), schemaFormat });
+});
+
+// WordPress publishing endpoint
+// Creates a draft post (Gutenberg blocks, FAQ schema, takeaways, SEO meta, featured image)
+// on the site configured with WORDPRESS_URL / WORDPRESS_USERNAME / WORDPRESS_APP_PASSWORD.
+// The featured image is the thumbnail looked up for the video (`provider`, `videoId`, `videoUrl`).
+app.post('/api/publish/wordpress', async (req, res) => {
+  const { seoTitle, metaDescription, formattedTranscript, keyTakeaways, faqs, schemaFormat, provider, videoId, videoUrl } = req.body;
+
+  const config = wordpress.getWordPressConfig();
+  const problem = wordpress.wordPressConfigurationError(config);
+  if (problem) {
+    console.error(problem);
+    return res.status(500).json({ error: problem });
+  }
+
+  if (typeof seoTitle !== 'string' || !seoTitle.trim()) {
+    return res.status(400).json({ error: 'seoTitle is required' });
+  }
+
+  if (!formattedTranscript && !(Array.isArray(faqs) && faqs.length > 0)) {
+    return res.status(400).json({ error: 'Nothing to publish: send formattedTranscript and/or faqs' });
+  }
+
+  try {
+    console.log(`📝 Publishing WordPress draft to ${config.siteUrl}...`);
+    const post = await wordpress.publishDraft(config, {
+      seoTitle: seoTitle.trim(),
+      metaDescription: metaDescription || '',
+      formattedTranscript,
+      keyTakeaways: Array.isArray(keyTakeaways) ? keyTakeaways.filter(item => typeof item === 'string') : [],
+      // Rebuilt here rather than taken from the client so the post only ever gets escaped markup
+      faqSchemaMarkup: Array.isArray(faqs) && faqs.length > 0 ? buildFaqSchemaMarkup(faqs, normalizeSchemaFormat(schemaFormat)) : '',
+      thumbnail: await videoThumbnail(videoFromResults({ provider, videoId, videoUrl })),
+      slug: slugify(seoTitle)
+    });
+
+    console.log(`✅ WordPress draft created (post ${post.id})`);
+    res.json(post);
+
+  } catch (error) {
+    console.error('Error publishing to WordPress:', error);
+    if (error instanceof wordpress.WordPressError) {
+      const reason = error.status === 401 || error.status === 403
+        ? 'Check WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD'
+        : error.message;
+      return res.status(502).json({ error: `WordPress request failed (${error.status}): ${reason}` });
+    }
+    res.status(500).json({
+      error: `Failed to publish to WordPress: ${error.message}`
+    });
+  }
+});
+
+// Export endpoint
+// Returns a conversion result as a file: markdown (with front matter), html (standalone page),
+// docx, json, or zip (all four plus the thumbnail). `slug` names the files so they match the
+// thumbnail download; it defaults to one built from the SEO title. `language` exports one of the
+// result's translations; with translations, pages get hreflang links to every language under
+// `baseUrl` (relative paths without it) and the zip has a folder per language.
+app.post('/api/export/:format', async (req, res) => {
+  const { format } = req.params;
+  const { results, url, slug, language, baseUrl } = req.body;
+
+  if (!Object.keys(EXPORT_FORMATS).includes(format)) {
+    return res.status(400).json({ error: `Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  if (!results || typeof results !== 'object' || Array.isArray(results) || typeof results.seoTitle !== 'string') {
+    return res.status(400).json({ error: 'results must be a conversion result with a seoTitle' });
+  }
+
+  if (language && !exportLanguages(results).includes(language) && language !== results.language?.code) {
+    return res.status(400).json({ error: `No ${languageName(language)} translation in these results` });
+  }
+
+  if (baseUrl && !/^https?:\/\/\S+$/.test(baseUrl)) {
+    return res.status(400).json({ error: 'baseUrl must be an http(s) URL' });
+  }
+
+  try {
+    const file = await buildExport(format, results, {
+      url,
+      slug,
+      language,
+      baseUrl,
+      getThumbnail: () => videoThumbnail(videoFromResults(results))
+    });
+    console.log(`📦 Exported ${file.filename}`);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error building export:', error);
+    res.status(500).json({ error: `Failed to build export: ${error.message}` });
+  }
+});
+
+// Static-site export endpoint
+// A Markdown post for hugo, jekyll or astro: `output: 'file'` returns the post alone, 'zip' a
+// ZIP laid out like the site's content directory with the embed helper and the thumbnail.
+// `tags` (array of strings) and `date` (ISO, default now) go into the front matter.
+app.post('/api/export/ssg/:target', async (req, res) => {
+  const { target } = req.params;
+  const { results, url, tags, date, output } = req.body;
+
+  if (!Object.keys(SSG_TARGETS).includes(target)) {
+    return res.status(400).json({ error: `Unknown static site generator "${target}". Use one of: ${Object.keys(SSG_TARGETS).join(', ')}` });
+  }
+
+  if (!results || typeof results !== 'object' || Array.isArray(results) || typeof results.seoTitle !== 'string') {
+    return res.status(400).json({ error: 'results must be a conversion result with a seoTitle' });
+  }
+
+  const postDate = date ? new Date(date) : new Date();
+  if (Number.isNaN(postDate.getTime())) {
+    return res.status(400).json({ error: 'date must be an ISO date' });
+  }
+
+  try {
+    const file = await buildSsgExport(target, results, {
+      url,
+      tags: Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim()) : [],
+      date: postDate,
+      output: output === 'zip' ? 'zip' : 'file',
+      getThumbnail: () => videoThumbnail(postVideo(results, url))
+    });
+    console.log(`📦 Exported ${SSG_TARGETS[target].label} post ${file.filename}`);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error building static site export:', error);
+    res.status(500).json({ error: `Failed to build export: ${error.message}` });
+  }
+});
+
+// Video details endpoints
+// Title, channel, publish date, duration (seconds) and the best thumbnail that exists, looked up
+// through oEmbed and the watch page and cached. The thumbnail is served from the cache so the
+// browser never has to guess which size YouTube has. `provider` is youtube, vimeo or loom;
+// unlisted Vimeo videos need their hash as `?h=`.
+app.get('/api/videos/:provider/:videoId', async (req, res) => {
+  const video = videoRef(req.params.provider, req.params.videoId, { hash: req.query.h });
+  if (!video) {
+    return res.status(400).json({ error: 'Invalid video ID' });
+  }
+
+  try {
+    res.json(await videoMetadata.metadata(video));
+  } catch (error) {
+    console.error('Error looking up video:', error);
+    res.status(500).json({ error: `Failed to look up video: ${error.message}` });
+  }
+});
+
+app.get('/api/videos/:provider/:videoId/thumbnail', async (req, res) => {
+  const video = videoRef(req.params.provider, req.params.videoId, { hash: req.query.h });
+  if (!video) {
+    return res.status(400).json({ error: 'Invalid video ID' });
+  }
+
+  try {
+    const thumbnail = await videoMetadata.thumbnail(video);
+    if (!thumbnail) {
+      return res.status(404).json({ error: 'Thumbnail not available' });
+    }
+
+    res.set('Content-Type', thumbnail.contentType);
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(thumbnail.data);
+  } catch (error) {
+    console.error('Error fetching thumbnail:', error);
+    res.status(500).json({ error: `Failed to fetch thumbnail: ${error.message}` });
+  }
+});
+
+// Playlist expansion endpoint
+// The videos of a YouTube playlist as { videoId, url, title } entries, for batch mode's rows.
+app.get('/api/playlists/:playlistId', async (req, res) => {
+  const playlist = parseVideoUrl(`https://www.youtube.com/playlist?list=${encodeURIComponent(req.params.playlistId)}`);
+  if (!playlist) {
+    return res.status(400).json({ error: 'Invalid playlist ID' });
+  }
+
+  try {
+    const expanded = await expandPlaylist(playlist.playlistId);
+    if (expanded.entries.length === 0) {
+      return res.status(404).json({ error: 'Playlist not found or has no public videos' });
+    }
+    res.json(expanded);
+  } catch (error) {
+    console.error('Error expanding playlist:', error);
+    res.status(500).json({ error: `Failed to expand playlist: ${error.message}` });
+  }
+});
+
+// Background job endpoints
+// A job runs the whole conversion for one video on the server and saves the result to the
+// conversion history. Follow it on /events (Server-Sent Events): the first event is a
+// `snapshot` of the job, then `step`, `token` (streamed model output) and finally one of
+// `result`, `error` or `canceled`. Reconnecting after a page refresh gets a fresh snapshot.
+const SSE_HEARTBEAT_MS = 15000;
+
+app.post('/api/jobs', async (req, res) => {
+  const { url, transcript, rawTranscript, segments, transcriptFormat, outputMode, schemaFormat } = req.body;
+
+  if (typeof url !== 'string' || !url.trim()) {
+    return res.status(400).json({ error: 'url is required' });
+  }
+
+  if (typeof transcript !== 'string' || !transcript.trim()) {
+    return res.status(400).json({ error: 'Transcript is required' });
+  }
+
+  if (!ensureLLMConfigured(res)) return;
+
+  try {
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
+
+    const glossary = readGlossary(res, req.body.glossary);
+    if (!glossary) return;
+
+    const languages = readLanguages(res, req.body);
+    if (!languages) return;
+
+    const keywords = readKeywords(res, req.body);
+    if (!keywords) return;
+
+    res.status(202).json(jobs.create({
+      url: url.trim(),
+      transcript,
+      rawTranscript: typeof rawTranscript === 'string' ? rawTranscript : transcript,
+      segments,
+      transcriptFormat,
+      outputMode,
+      schemaFormat: normalizeSchemaFormat(schemaFormat),
+      prompts,
+      glossary,
+      judge: req.body.judge === true,
+      ...languages,
+      keywords,
+      sitePages: (await siteIndex.get()).pages
+    }));
+  } catch (error) {
+    console.error('Error starting job:', error);
+    res.status(500).json({ error: `Failed to start job: ${error.message}` });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+app.get('/api/jobs/:id/events', (req, res) => {
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  let subscription = null;
+  let heartbeat = null;
+  // Runs on a terminal event and again when the client disconnects; only the first call counts
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (subscription) subscription.unsubscribe();
+    res.end();
+  };
+
+  subscription = jobs.subscribe(req.params.id, (event) => {
+    send(event);
+    if (['result', 'error', 'canceled'].includes(event.type)) close();
+  });
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', close);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  send({ type: 'snapshot', job: subscription.snapshot });
+  if (isTerminal(subscription.snapshot.status)) close();
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Batch endpoints
+// Queue many { url, transcript, rawTranscript?, segments?, transcriptFormat? } items at once. They run on the
+// server (BATCH_CONCURRENCY at a time, retried on 429) and are saved to the conversion history.
+const BATCH_MAX_ITEMS = 100;
+
+app.post('/api/batches', async (req, res) => {
+  const { items, outputMode, schemaFormat } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'items must be a non-empty array' });
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({ error: `A batch can have at most ${BATCH_MAX_ITEMS} items` });
+  }
+
+  if (items.some(item => !item || typeof item !== 'object')) {
+    return res.status(400).json({ error: 'Every item must be an object with url and transcript' });
+  }
+
+  if (!ensureLLMConfigured(res)) return;
+
+  try {
+    const prompts = await resolvePrompts(res, req.body.templates);
+    if (!prompts) return;
+
+    const glossary = readGlossary(res, req.body.glossary);
+    if (!glossary) return;
+
+    const languages = readLanguages(res, req.body);
+    if (!languages) return;
+
+    res.status(202).json(batches.create({ items, outputMode, schemaFormat: normalizeSchemaFormat(schemaFormat), prompts, glossary, judge: req.body.judge === true, ...languages }));
+  } catch (error) {
+    console.error('Error starting batch:', error);
+    res.status(500).json({ error: `Failed to start batch: ${error.message}` });
+  }
+});
+
+app.get('/api/batches/:id', (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(batch);
+});
+
+// ZIP with a folder per finished video (transcript, SEO JSON, FAQ schema, article) and batch.csv
+app.get('/api/batches/:id/download', async (req, res) => {
+  try {
+    const archive = await batches.archive(req.params.id);
+    if (!archive) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="batch-${req.params.id.slice(0, 8)}.zip"`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Error building batch download:', error);
+    res.status(500).json({ error: `Failed to build download: ${error.message}` });
+  }
+});
+
+// Prompt template endpoints
+// Templates for the cleaning, seo and article prompts and voice profiles (kind "voice") share
+// these routes. The built-in templates are listed first and are read-only. Conversions pick
+// templates with `templates: { cleaning?, seo?, article?, voice? }` IDs.
+const sendTemplateError = (res, error, action) => {
+  if (error instanceof TemplateError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Failed to ${action} template:`, error);
+  res.status(500).json({ error: `Failed to ${action} template: ${error.message}` });
+};
+
+// ?kind= narrows the list; `variables` lists what each kind of prompt can use
+app.get('/api/templates', async (req, res) => {
+  const { kind } = req.query;
+  if (kind !== undefined && !TEMPLATE_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of: ${TEMPLATE_KINDS.join(', ')}` });
+  }
+
+  try {
+    res.json({ templates: await templates.list(kind), variables: TEMPLATE_VARIABLES });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ error: `Failed to list templates: ${error.message}` });
+  }
+});
+
+app.post('/api/templates', async (req, res) => {
+  try {
+    const template = await templates.create(req.body);
+    console.log(`📝 Saved ${template.kind} template ${template.id}`);
+    res.status(201).json(template);
+  } catch (error) {
+    sendTemplateError(res, error, 'save');
+  }
+});
+
+app.get('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await templates.get(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    sendTemplateError(res, error, 'load');
+  }
+});
+
+// Fields that are left out keep their values; the kind can't change
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await templates.update(req.params.id, req.body);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    sendTemplateError(res, error, 'update');
+  }
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    if (!(await templates.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendTemplateError(res, error, 'delete');
+  }
+});
+
+// Conversion history endpoints
+// The client saves every finished run; the LLM provider and models are recorded here
+app.post('/api/conversions', async (req, res) => {
+  const { url, videoId, rawTranscript, results } = req.body;
+
+  if (!results || typeof results !== 'object' || Array.isArray(results)) {
+    return res.status(400).json({ error: 'results must be an object' });
+  }
+
+  try {
+    const { provider, models } = llm.describeLLMConfig();
+    const conversion = await conversions.create({
+      url: typeof url === 'string' ? url : '',
+      videoId: typeof videoId === 'string' ? videoId : '',
+      rawTranscript: typeof rawTranscript === 'string' ? rawTranscript : '',
+      results,
+      llm: { provider, models }
+    });
+    console.log(`💾 Saved conversion ${conversion.id}`);
+    res.status(201).json(conversion);
+  } catch (error) {
+    console.error('Error saving conversion:', error);
+    res.status(500).json({ error: `Failed to save conversion: ${error.message}` });
+  }
+});
+
+// ?q= filters by URL, video ID, title, meta description and transcript text
+app.get('/api/conversions', async (req, res) => {
+  try {
+    res.json({ conversions: await conversions.list(typeof req.query.q === 'string' ? req.query.q : '') });
+  } catch (error) {
+    console.error('Error listing conversions:', error);
+    res.status(500).json({ error: `Failed to list conversions: ${error.message}` });
+  }
+});
+
+app.get('/api/conversions/:id', async (req, res) => {
+  try {
+    const conversion = await conversions.get(req.params.id);
+    if (!conversion) {
+      return res.status(404).json({ error: 'Conversion not found' });
+    }
+    res.json(conversion);
+  } catch (error) {
+    console.error('Error loading conversion:', error);
+    res.status(500).json({ error: `Failed to load conversion: ${error.message}` });
+  }
+});
+
+// Save edits made to a conversion's results after it was created
+app.patch('/api/conversions/:id', async (req, res) => {
+  const { results } = req.body;
+
+  if (!results || typeof results !== 'object' || Array.isArray(results)) {
+    return res.status(400).json({ error: 'results must be an object' });
+  }
+
+  try {
+    const conversion = await conversions.update(req.params.id, { results });
+    if (!conversion) {
+      return res.status(404).json({ error: 'Conversion not found' });
+    }
+    res.json(conversion);
+  } catch (error) {
+    console.error('Error updating conversion:', error);
+    res.status(500).json({ error: `Failed to update conversion: ${error.message}` });
+  }
+});
+
+app.delete('/api/conversions/:id', async (req, res) => {
+  try {
+    if (!(await conversions.remove(req.params.id))) {
+      return res.status(404).json({ error: 'Conversion not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting conversion:', error);
+    res.status(500).json({ error: `Failed to delete conversion: ${error.message}` });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    llm: llm.describeLLMConfig(),
+    wordpress: { configured: !wordpress.wordPressConfigurationError() }
+  });
 });
 
 // Serve React app for all other routes
@@ -292,23 +1192,24 @@ app.get('*', (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔑 OpenAI API Key configured: ${!!process.env.OPENAI_API_KEY}`);
-  console.log(`📂 Build directory exists: ${fs.existsSync(path.join(__dirname, 'build'))}`);
+// Only listen when run directly; tests import the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    const llmConfig = llm.describeLLMConfig();
+    console.log(`🚀 Server running on port ${PORT}`);
+    console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🤖 LLM provider: ${llmConfig.provider} (${llmConfig.baseUrl})`);
+    console.log(`🧠 Models: cleaning=${llmConfig.models.cleaning}, seo=${llmConfig.models.seo}`);
+    console.log(`📂 Build directory exists: ${fs.existsSync(path.join(__dirname, 'build'))}`);
   
-  // Test API key format
-  if (process.env.OPENAI_API_KEY) {
-    const keyStart = process.env.OPENAI_API_KEY.substring(0, 15);
-    const isValidFormat = process.env.OPENAI_API_KEY.startsWith('sk-');
-    console.log(`🔍 API Key starts with: ${keyStart}...`);
-    console.log(`✅ API Key format valid: ${isValidFormat}`);
-    
-    if (!isValidFormat) {
-      console.error('❌ WARNING: API key does not start with sk- which is required for OpenAI API');
+    // Test LLM configuration (API key present and in the right format)
+    const problem = llm.configurationError();
+    if (problem) {
+      console.error(`❌ WARNING: ${problem}`);
+    } else {
+      console.log('✅ LLM configuration valid');
     }
-  } else {
-    console.error('❌ WARNING: No OPENAI_API_KEY found in environment variables');
-  }
-});
\ No newline at end of file
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,525 @@
+const request = require('supertest');
+const app = require('../../server');
+const { startStubLLMServer, completion, anthropicMessage } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const TRANSCRIPT = [
+  'Host: Um, welcome to the show. Today we are talking about Docket software and how it changed our dispatch.',
+  'Guest: Thanks for having me. We cut our scheduling time by 40 percent in the first three months.',
+  'Host: That is a big number. What made the difference for your team?',
+  'Guest: Uh, mostly the route planning. Our drivers get their jobs on their phones every morning.',
+  'Host: And how long did it take to roll out across all twelve trucks?'
+].join('\n\n');
+
+const VALID_SEO = {
+  seoTitle: 'How Docket Software Cut Scheduling Time by 40 Percent',
+  metaDescription: 'A field service team explains how route planning in Docket cut scheduling time by 40 percent.',
+  faqs: [1, 2, 3, 4, 5].map(i => ({ question: `Question ${i}?`, answer: `Answer ${i}.` })),
+  keyTakeaways: [1, 2, 3, 4].map(i => `Takeaway ${i}.`)
+};
+
+// Parse a newline-delimited JSON response body into events
+const parseNdjson = (text) => text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+describe('mock LLM provider', () => {
+  describe('POST /api/clean-transcript', () => {
+    it('returns a deterministic speaker-formatted transcript', async () => {
+      const first = await request(app).post('/api/clean-transcript').send({ transcript: TRANSCRIPT });
+      const second = await request(app).post('/api/clean-transcript').send({ transcript: TRANSCRIPT });
+
+      expect(first.status).toBe(200);
+      expect(first.body.chunks).toBe(1);
+      expect(first.body.cleanedTranscript).toContain('**Host:** Welcome to the show.');
+      expect(first.body.cleanedTranscript).not.toMatch(/\b(Um|Uh)\b/);
+      expect(second.body.cleanedTranscript).toBe(first.body.cleanedTranscript);
+    });
+
+    it('splits long transcripts into chunks and reports progress when streaming', async () => {
+      const restore = withEnv({ CLEAN_CHUNK_CHARS: '200' });
+      try {
+        const response = await request(app)
+          .post('/api/clean-transcript')
+          .send({ transcript: TRANSCRIPT, stream: true })
+          .buffer(true)
+          .parse((res, done) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => done(null, text));
+          });
+
+        const events = parseNdjson(response.body);
+        const result = events.find(event => event.type === 'result');
+
+        expect(response.headers['content-type']).toContain('application/x-ndjson');
+        expect(events[0]).toEqual({ type: 'start', totalChunks: result.chunks });
+        expect(result.chunks).toBeGreaterThan(1);
+        expect(events.filter(event => event.type === 'progress')).toHaveLength(result.chunks);
+        expect(result.cleanedTranscript.match(/\*\*(Host|Guest):\*\*/g)).toHaveLength(5);
+      } finally {
+        restore();
+      }
+    });
+
+    it('echoes normalized timing segments', async () => {
+      const response = await request(app).post('/api/clean-transcript').send({
+        transcript: TRANSCRIPT,
+        segments: [{ start: 12, end: 15, text: 'later' }, { start: 0, end: 4, text: 'first' }, { start: 'x', text: 'bad' }]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.segments.map(segment => segment.text)).toEqual(['first', 'later']);
+      expect(response.body.duration).toBe(15);
+    });
+
+    it('rejects a missing transcript', async () => {
+      const response = await request(app).post('/api/clean-transcript').send({});
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Transcript is required');
+    });
+  });
+
+  describe('POST /api/generate-content', () => {
+    it('returns schema-valid SEO content built from the transcript', async () => {
+      const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+      expect(response.status).toBe(200);
+      expect(response.body.seoTitle.length).toBeLessThanOrEqual(65);
+      expect(response.body.metaDescription.length).toBeLessThanOrEqual(160);
+      expect(response.body.faqs).toHaveLength(5);
+      response.body.faqs.forEach(faq => {
+        expect(typeof faq.question).toBe('string');
+        expect(typeof faq.answer).toBe('string');
+      });
+      expect(response.body.keyTakeaways).toHaveLength(4);
+      expect(response.body.chapters).toBeUndefined();
+    });
+
+    it('adds YouTube chapters when timing segments are sent', async () => {
+      const segments = Array.from({ length: 20 }, (_, i) => ({ start: i * 30, end: i * 30 + 30, text: `Topic number ${i}` }));
+      const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT, segments });
+
+      expect(response.status).toBe(200);
+      expect(response.body.chapters.length).toBeGreaterThanOrEqual(3);
+      expect(response.body.chapters[0]).toMatchObject({ start: 0, timestamp: '00:00', title: 'Intro' });
+    });
+
+    it('rejects a missing transcript', async () => {
+      const response = await request(app).post('/api/generate-content').send({ videoTitle: 'x' });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/generate-article', () => {
+    it('returns an article with Markdown and HTML renderings', async () => {
+      const response = await request(app).post('/api/generate-article').send({ transcript: TRANSCRIPT });
+
+      expect(response.status).toBe(200);
+      expect(response.body.article.sections.length).toBeGreaterThan(0);
+      expect(response.body.markdown).toMatch(/^# /);
+      expect(response.body.html).toContain('<h2>');
+      expect(response.body.article.pullQuotes.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('upstream API errors', () => {
+  let stub;
+  let nextResponse;
+  let restore;
+
+  beforeAll(async () => {
+    stub = await startStubLLMServer(() => nextResponse);
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+  });
+
+  afterEach(() => restore());
+
+  it.each([
+    [400, 'Invalid request format'],
+    [401, 'Invalid API key configuration'],
+    [429, 'OpenAI-compatible API rate limit exceeded. Please try again in a few minutes.']
+  ])('maps a %i from the provider in /api/generate-content', async (status, message) => {
+    nextResponse = { status, body: { error: { message: 'upstream detail' } } };
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(status);
+    expect(response.body.error).toBe(`API request failed (${status}): ${message}`);
+  });
+
+  it('passes the provider status and message through /api/clean-transcript', async () => {
+    nextResponse = { status: 429, body: { error: { message: 'Rate limit reached for gpt-4o' } } };
+
+    const response = await request(app).post('/api/clean-transcript').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(429);
+    expect(response.body.error).toBe('Failed to clean transcript: Rate limit reached for gpt-4o');
+  });
+
+  it('stops cleaning the remaining chunks once one fails', async () => {
+    nextResponse = { status: 500, body: { error: { message: 'Upstream exploded' } } };
+    const restoreChunks = withEnv({ CLEAN_CHUNK_CHARS: '200', CLEAN_CONCURRENCY: '1' });
+    const requestsBefore = stub.requests.length;
+    try {
+      const response = await request(app).post('/api/clean-transcript').send({ transcript: TRANSCRIPT });
+
+      expect(response.status).toBe(500);
+      expect(stub.requests.length - requestsBefore).toBe(1);
+    } finally {
+      restoreChunks();
+    }
+  });
+
+  it('returns the parse failure branch when the model does not return JSON', async () => {
+    nextResponse = { body: completion('Sure! Here is your SEO content: {"seoTitle": ') };
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Failed to parse generated content');
+    expect(response.body.parseError).toBeTruthy();
+    expect(response.body.rawResponse).toContain('Sure! Here is your SEO content');
+  });
+
+  it('strips ```json fences before parsing', async () => {
+    nextResponse = { body: completion(`\`\`\`json\n${JSON.stringify(VALID_SEO)}\n\`\`\``) };
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      ...VALID_SEO,
+      schemaMarkup: expect.stringContaining('itemtype="https://schema.org/FAQPage"'),
+      schemaFormat: 'microdata',
+      repairs: [],
+      grounding: expect.objectContaining({ summary: expect.any(Object) }),
+      language: { code: 'en', name: 'English', confidence: expect.any(Number) },
+      keywords: { focus: '', secondary: [] },
+      seoAnalysis: expect.objectContaining({ score: expect.any(Number), checks: expect.any(Array) })
+    });
+    expect(stub.requests[stub.requests.length - 1].payload.model).toBe('llama3.1');
+  });
+});
+
+describe('Anthropic provider', () => {
+  let stub;
+  let respond;
+  let restore;
+
+  beforeAll(async () => {
+    stub = await startStubLLMServer(payload => respond(payload));
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    restore = withEnv({ LLM_PROVIDER: 'anthropic', LLM_BASE_URL: stub.baseUrl, ANTHROPIC_API_KEY: 'sk-ant-test' });
+  });
+
+  afterEach(() => restore());
+
+  const isPrefilled = (payload) => {
+    const last = payload.messages[payload.messages.length - 1];
+    return last.role === 'assistant' && last.content === '{';
+  };
+
+  it('prefills JSON requests with "{" and puts it back on the reply', async () => {
+    // The model continues after the prefilled "{", so its reply starts inside the object
+    respond = () => ({ body: anthropicMessage(JSON.stringify(VALID_SEO).slice(1)) });
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(200);
+    expect(response.body.seoTitle).toBe(VALID_SEO.seoTitle);
+
+    const [sent] = stub.requests;
+    expect(sent.url).toBe('/v1/messages');
+    expect(sent.headers['x-api-key']).toBe('sk-ant-test');
+    expect(sent.headers['anthropic-version']).toBe('2023-06-01');
+    expect(sent.headers.authorization).toBeUndefined();
+    expect(sent.payload.model).toBe('claude-3-5-sonnet-latest');
+    expect(sent.payload.max_tokens).toBe(8192);
+    expect(sent.payload.response_format).toBeUndefined();
+    expect(isPrefilled(sent.payload)).toBe(true);
+    // The SEO template's system prompt goes in the top-level field, not the message list
+    expect(sent.payload.system).toContain('SEO');
+    expect(sent.payload.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+  });
+
+  it('sends plain text requests without a prefill or an empty system field', async () => {
+    respond = () => ({ body: anthropicMessage('**Host:** Welcome to the show.') });
+
+    const response = await request(app).post('/api/clean-transcript').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(200);
+    expect(response.body.cleanedTranscript).toBe('**Host:** Welcome to the show.');
+
+    const [sent] = stub.requests;
+    expect(sent.payload.system).toBeUndefined();
+    expect(sent.payload.messages.map(message => message.role)).toEqual(['user']);
+    expect(isPrefilled(sent.payload)).toBe(false);
+  });
+
+  it('passes Anthropic error responses through with their status and message', async () => {
+    respond = () => ({ status: 429, body: { type: 'error', error: { type: 'rate_limit_error', message: 'Number of request tokens has exceeded your per-minute rate limit' } } });
+
+    const response = await request(app).post('/api/clean-transcript').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(429);
+    expect(response.body.error).toBe('Failed to clean transcript: Number of request tokens has exceeded your per-minute rate limit');
+  });
+});
+
+describe('SEO content validation and repair', () => {
+  let stub;
+  let respond;
+  let restore;
+
+  beforeAll(async () => {
+    stub = await startStubLLMServer(payload => respond(payload));
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    stub.requests.length = 0;
+    restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+  });
+
+  afterEach(() => restore());
+
+  const isRepair = (payload) => payload.messages.some(message => message.content.includes('failed validation'));
+
+  it('trims, re-prompts for invalid fields only, and shortens what is still too long', async () => {
+    const longTitle = 'How Docket Software Cut Scheduling Time by 40 Percent for a Twelve Truck Fleet';
+    respond = (payload) => ({
+      body: completion(JSON.stringify(isRepair(payload)
+        ? { seoTitle: longTitle, faqs: VALID_SEO.faqs }
+        : { ...VALID_SEO, seoTitle: longTitle, faqs: VALID_SEO.faqs.slice(0, 3), keyTakeaways: [...VALID_SEO.keyTakeaways, 'Extra one', 'Extra two'] }))
+    });
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(200);
+    expect(response.body.seoTitle.length).toBeLessThanOrEqual(65);
+    expect(longTitle.startsWith(response.body.seoTitle)).toBe(true);
+    expect(response.body.faqs).toHaveLength(5);
+    expect(response.body.keyTakeaways).toEqual(VALID_SEO.keyTakeaways);
+    expect(response.body.repairs.map(repair => `${repair.field}:${repair.action}`)).toEqual([
+      'keyTakeaways:trimmed',
+      'seoTitle:regenerated',
+      'faqs:regenerated',
+      'seoTitle:regenerated',
+      'seoTitle:shortened'
+    ]);
+
+    const repairPrompt = stub.requests[1].payload.messages[0].content;
+    expect(repairPrompt).toContain('Fix ONLY these fields: seoTitle, faqs');
+    expect(repairPrompt).not.toMatch(/^- keyTakeaways/m);
+  });
+
+  it('fails with the remaining validation errors when the content cannot be repaired', async () => {
+    respond = (payload) => ({
+      body: completion(JSON.stringify(isRepair(payload) ? {} : { seoTitle: 'Title', metaDescription: 'Meta', keyTakeaways: VALID_SEO.keyTakeaways }))
+    });
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Generated content failed validation');
+    expect(response.body.validationErrors).toEqual([{ path: 'faqs', keyword: 'required', message: 'is required' }]);
+  });
+
+  it.each([
+    ['null', null],
+    ['an array', [VALID_SEO]],
+    ['a string', 'SEO content']
+  ])('repairs a response that is %s instead of an object', async (kind, reply) => {
+    respond = (payload) => ({ body: completion(JSON.stringify(isRepair(payload) ? VALID_SEO : reply)) });
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(200);
+    expect(response.body.seoTitle).toBe(VALID_SEO.seoTitle);
+    expect(response.body.repairs.map(repair => repair.field)).toEqual(['seoTitle', 'metaDescription', 'faqs', 'keyTakeaways']);
+    expect(stub.requests[1].payload.messages[0].content).toContain('Fix ONLY these fields: seoTitle, metaDescription, faqs, keyTakeaways');
+  });
+
+  it('fails validation when a response that is not an object cannot be repaired', async () => {
+    respond = () => ({ body: completion('null') });
+
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Generated content failed validation');
+    expect(response.body.validationErrors.map(error => error.path)).toEqual(['seoTitle', 'metaDescription', 'faqs', 'keyTakeaways']);
+  });
+
+  it('requests JSON mode, and strict structured outputs from OpenAI', async () => {
+    respond = () => ({ body: completion(JSON.stringify(VALID_SEO)) });
+
+    await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+    expect(stub.requests[0].payload.response_format).toEqual({ type: 'json_object' });
+
+    const restoreOpenAI = withEnv({ LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' });
+    try {
+      await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+    } finally {
+      restoreOpenAI();
+    }
+
+    const format = stub.requests[1].payload.response_format;
+    expect(format.type).toBe('json_schema');
+    expect(format.json_schema.strict).toBe(true);
+    expect(format.json_schema.schema.required).toEqual(['seoTitle', 'metaDescription', 'faqs', 'keyTakeaways']);
+    expect(format.json_schema.schema.additionalProperties).toBe(false);
+  });
+});
+
+describe('FAQ schema markup', () => {
+  let stub;
+  let restore;
+  const injected = {
+    ...VALID_SEO,
+    faqs: [{ question: 'Is <b>Docket</b> "safe"?', answer: 'Yes </script><script>alert(1)</script>' }, ...VALID_SEO.faqs.slice(1)],
+    schemaMarkup: '<script>alert("from the model")</script>'
+  };
+
+  beforeAll(async () => {
+    stub = await startStubLLMServer(() => ({ body: completion(JSON.stringify(injected)) }));
+  });
+
+  afterAll(() => stub.close());
+
+  beforeEach(() => {
+    restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+  });
+
+  afterEach(() => restore());
+
+  it('ignores model-written markup and escapes the FAQs', async () => {
+    const response = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+    expect(response.status).toBe(200);
+    expect(response.body.schemaMarkup).not.toContain('from the model');
+    expect(response.body.schemaMarkup).toContain('<h3 itemprop="name">Is &lt;b&gt;Docket&lt;/b&gt; &quot;safe&quot;?</h3>');
+    expect(response.body.schemaMarkup).not.toContain('</script><script>');
+  });
+
+  it('builds JSON-LD when requested', async () => {
+    const response = await request(app)
+      .post('/api/generate-content')
+      .send({ transcript: TRANSCRIPT, schemaFormat: 'jsonld' });
+
+    expect(response.body.schemaFormat).toBe('jsonld');
+    expect(response.body.schemaMarkup).not.toContain('itemscope');
+    expect(response.body.schemaMarkup).toContain('<script type="application/ld+json">');
+    expect(response.body.schemaMarkup).toContain('Yes \\u003c/script\\u003e');
+  });
+
+  it('rebuilds markup through /api/faq-schema', async () => {
+    const response = await request(app)
+      .post('/api/faq-schema')
+      .send({ faqs: VALID_SEO.faqs, format: 'both' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.schemaFormat).toBe('both');
+    expect(response.body.schemaMarkup).toContain('itemscope');
+    expect(response.body.schemaMarkup).toContain('application/ld+json');
+  });
+
+  it('rejects unknown formats', async () => {
+    const response = await request(app).post('/api/faq-schema').send({ faqs: [], format: 'rdfa' });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('POST /api/regenerate-section', () => {
+  const EDITED = {
+    ...VALID_SEO,
+    faqs: VALID_SEO.faqs.map((faq, i) => (i === 0 ? { question: 'Edited question?', answer: 'Edited answer.' } : faq))
+  };
+
+  it('replaces only the positions that are not kept', async () => {
+    const response = await request(app)
+      .post('/api/regenerate-section')
+      .send({ transcript: TRANSCRIPT, section: 'faqs', current: EDITED, keep: [0, 1, 3, 4], schemaFormat: 'jsonld' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.faqs).toHaveLength(5);
+    [0, 1, 3, 4].forEach(i => expect(response.body.faqs[i]).toEqual(EDITED.faqs[i]));
+    expect(response.body.faqs[2]).not.toEqual(EDITED.faqs[2]);
+    expect(response.body.schemaFormat).toBe('jsonld');
+    expect(response.body.schemaMarkup).toContain('Edited question?');
+  });
+
+  it('regenerates a whole section when nothing is kept', async () => {
+    const response = await request(app)
+      .post('/api/regenerate-section')
+      .send({ transcript: TRANSCRIPT, section: 'keyTakeaways', current: EDITED });
+
+    expect(response.status).toBe(200);
+    expect(response.body.keyTakeaways).toHaveLength(4);
+    expect(response.body).not.toHaveProperty('schemaMarkup');
+  });
+
+  it('rejects unknown sections', async () => {
+    const response = await request(app)
+      .post('/api/regenerate-section')
+      .send({ transcript: TRANSCRIPT, section: 'schemaMarkup' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('section must be one of: seoTitle, metaDescription, faqs, keyTakeaways');
+  });
+
+  describe('against an OpenAI-compatible server', () => {
+    let stub;
+    let restore;
+    let reply;
+
+    beforeAll(async () => {
+      stub = await startStubLLMServer(() => ({ body: completion(JSON.stringify(reply)) }));
+      restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+    });
+
+    afterAll(async () => {
+      restore();
+      await stub.close();
+    });
+
+    it('sends the kept and replaced items and shortens an overlong title', async () => {
+      reply = { seoTitle: `${'Docket dispatch '.repeat(6)}results` };
+
+      const response = await request(app)
+        .post('/api/regenerate-section')
+        .send({ transcript: TRANSCRIPT, section: 'seoTitle', current: EDITED });
+
+      expect(response.status).toBe(200);
+      expect(response.body.seoTitle.length).toBeLessThanOrEqual(65);
+      const prompt = stub.requests[stub.requests.length - 1].payload.messages[0].content;
+      expect(prompt).toContain(JSON.stringify(EDITED.seoTitle));
+    });
+
+    it('reports regenerated items that are still invalid', async () => {
+      reply = { keyTakeaways: [''] };
+
+      const response = await request(app)
+        .post('/api/regenerate-section')
+        .send({ transcript: TRANSCRIPT, section: 'keyTakeaways', current: EDITED, keep: [0, 1, 2] });
+
+      expect(response.status).toBe(500);
+      expect(response.body.validationErrors).toEqual([
+        expect.objectContaining({ path: 'keyTakeaways[3]', keyword: 'minLength' })
+      ]);
+      const prompt = stub.requests[stub.requests.length - 1].payload.messages[0].content;
+      expect(prompt).toContain('These are being KEPT');
+      expect(prompt).toContain('"Takeaway 4."');
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const JSZip = require('jszip');
+const request = require('supertest');
+const app = require('../../server');
+const { createJobQueue } = require('../jobQueue');
+const { startStubLLMServer, completion } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const TRANSCRIPT = [
+  'Host: Welcome to part one of the webinar series on dispatch software.',
+  'Guest: We cut our scheduling time by 40 percent in three months.',
+  'Host: What made the difference for the team?',
+  'Guest: Route planning, and drivers getting jobs on their phones.'
+].join('\n\n');
+
+const VALID_SEO = {
+  seoTitle: 'Dispatch Software Webinar',
+  metaDescription: 'How route planning cut scheduling time by 40 percent.',
+  faqs: [1, 2, 3, 4, 5].map(i => ({ question: `Question ${i}?`, answer: `Answer ${i}.` })),
+  keyTakeaways: [1, 2, 3, 4].map(i => `Takeaway ${i}.`)
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll a batch until every item has completed or failed
+const waitForBatch = async (id) => {
+  for (let i = 0; i < 200; i++) {
+    const res = await request(app).get(`/api/batches/${id}`);
+    if (res.body.finished) return res.body;
+    await sleep(10);
+  }
+  throw new Error(`Batch ${id} did not finish`);
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('job queue', () => {
+  test('runs at most `concurrency` jobs at a time', async () => {
+    const queue = createJobQueue({ concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => queue.add(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(5);
+      active--;
+    })));
+
+    expect(peak).toBe(2);
+  });
+
+  test('retries rate-limited jobs with backoff and gives up on other errors', async () => {
+    const queue = createJobQueue({ concurrency: 1, maxRetries: 2, retryDelayMs: 1 });
+    const retries = [];
+
+    const result = await queue.add(async (attempt) => {
+      if (attempt < 3) throw Object.assign(new Error('Too many requests'), { status: 429 });
+      return `done after ${attempt}`;
+    }, { onRetry: ({ attempt, delay }) => retries.push([attempt, delay]) });
+
+    expect(result).toBe('done after 3');
+    expect(retries).toEqual([[1, 1], [2, 2]]);
+
+    const failing = jest.fn(async () => { throw Object.assign(new Error('Bad request'), { status: 400 }); });
+    await expect(queue.add(failing)).rejects.toThrow('Bad request');
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('batch conversions', () => {
+  test('processes every item, saves it to history and zips the results', async () => {
+    const created = await request(app)
+      .post('/api/batches')
+      .send({
+        outputMode: 'both',
+        items: [
+          { url: 'https://www.youtube.com/watch?v=batchPart01', transcript: TRANSCRIPT },
+          { url: 'https://youtu.be/batchPart02', transcript: TRANSCRIPT },
+          { url: 'https://example.com/not-youtube', transcript: TRANSCRIPT }
+        ]
+      });
+
+    expect(created.status).toBe(202);
+    expect(created.body.items).toHaveLength(3);
+    expect(created.body.items[2]).toMatchObject({ status: 'failed', error: 'Not a YouTube, Vimeo or Loom video URL' });
+
+    const batch = await waitForBatch(created.body.id);
+    expect(batch.counts).toEqual({ queued: 0, running: 0, retrying: 0, completed: 2, failed: 1 });
+    expect(batch.items[0]).toMatchObject({ status: 'completed', videoId: 'batchPart01', attempts: 1 });
+
+    const saved = await request(app).get(`/api/conversions/${batch.items[1].conversionId}`);
+    expect(saved.body).toMatchObject({ videoId: 'batchPart02', batchId: batch.id, rawTranscript: TRANSCRIPT });
+    expect(saved.body.results.formattedTranscript).toContain('**Host:**');
+    expect(saved.body.results.article.markdown).toContain('## ');
+
+    const download = await request(app)
+      .get(`/api/batches/${batch.id}/download`)
+      .buffer(true)
+      .parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    expect(download.status).toBe(200);
+    expect(download.headers['content-type']).toBe('application/zip');
+    const zip = await JSZip.loadAsync(download.body);
+    const files = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+    const folder = files.find(name => name.startsWith('01-')).split('/')[0];
+    expect(files).toEqual(expect.arrayContaining([
+      `${folder}/transcript.md`,
+      `${folder}/seo.json`,
+      `${folder}/faq-schema.html`,
+      `${folder}/article.md`,
+      'batch.csv'
+    ]));
+    const csv = await zip.file('batch.csv').async('string');
+    expect(csv.split('\n')[3]).toBe('3,https://example.com/not-youtube,failed,,,"Not a YouTube, Vimeo or Loom video URL"');
+  });
+
+  test('keeps the pasted SRT of each item in the history, not the parsed text', async () => {
+    const srt = '1\n00:00:01,000 --> 00:00:04,000\nHost: Welcome to the webinar.\n\n2\n00:00:04,000 --> 00:00:08,000\nGuest: Thanks for having me.\n';
+    const created = await request(app)
+      .post('/api/batches')
+      .send({
+        items: [{
+          url: 'https://youtu.be/batchSrt001',
+          transcript: 'Host: Welcome to the webinar. Guest: Thanks for having me.',
+          rawTranscript: srt,
+          segments: [{ start: 1, end: 4, text: 'Host: Welcome to the webinar.' }, { start: 4, end: 8, text: 'Guest: Thanks for having me.' }],
+          transcriptFormat: 'srt'
+        }]
+      });
+
+    const batch = await waitForBatch(created.body.id);
+    const saved = await request(app).get(`/api/conversions/${batch.items[0].conversionId}`);
+    expect(saved.body.rawTranscript).toBe(srt);
+    expect(saved.body.results.transcriptFormat).toBe('srt');
+  });
+
+  test('rejects empty batches', async () => {
+    const res = await request(app).post('/api/batches').send({ items: [] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('items must be a non-empty array');
+  });
+
+  test('returns 404 for unknown batches', async () => {
+    expect((await request(app).get('/api/batches/missing')).status).toBe(404);
+    expect((await request(app).get('/api/batches/missing/download')).status).toBe(404);
+  });
+
+  describe('against a rate-limited provider', () => {
+    let stub;
+    let restore;
+    let rateLimited;
+
+    beforeAll(async () => {
+      stub = await startStubLLMServer(payload => {
+        if (rateLimited > 0) {
+          rateLimited--;
+          return { status: 429, body: { error: { message: 'Rate limit reached' } } };
+        }
+        return { body: completion(payload.response_format ? JSON.stringify(VALID_SEO) : '**Host:** Cleaned.') };
+      });
+      restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+    });
+
+    afterAll(async () => {
+      restore();
+      await stub.close();
+    });
+
+    test('retries a video after a 429', async () => {
+      rateLimited = 1;
+      const created = await request(app)
+        .post('/api/batches')
+        .send({ items: [{ url: 'https://youtu.be/rateLimit01', transcript: TRANSCRIPT }] });
+
+      const batch = await waitForBatch(created.body.id);
+
+      expect(batch.items[0]).toMatchObject({ status: 'completed', attempts: 2, seoTitle: VALID_SEO.seoTitle, error: null });
+    });
+
+    test('marks the video failed once retries run out', async () => {
+      rateLimited = 10;
+      const created = await request(app)
+        .post('/api/batches')
+        .send({ items: [{ url: 'https://youtu.be/rateLimit01', transcript: TRANSCRIPT }] });
+
+      const batch = await waitForBatch(created.body.id);
+
+      expect(batch.items[0]).toMatchObject({ status: 'failed', attempts: 4 });
+      expect(batch.items[0].error).toBe('API request failed (429): OpenAI-compatible API rate limit exceeded. Please try again in a few minutes.');
+    });
+  });
+});
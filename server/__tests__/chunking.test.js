@@ -0,0 +1,110 @@
+const { splitTranscript, stitchChunks, isSpeakerTurn } = require('../chunking');
+
+// A speaker turn of exactly `length` characters
+const turn = (speaker, length) => {
+  const label = `${speaker}: `;
+  return label + 'word '.repeat(length).slice(0, length - label.length - 1) + '.';
+};
+
+describe('splitTranscript', () => {
+  it('returns no chunks for an empty transcript and one for a short one', () => {
+    expect(splitTranscript('')).toEqual([]);
+    expect(splitTranscript('  \n\n ')).toEqual([]);
+    expect(splitTranscript('Host: Hello.\r\n\r\nGuest: Hi.')).toEqual([
+      { index: 0, text: 'Host: Hello.\n\nGuest: Hi.', context: '' }
+    ]);
+  });
+
+  it('breaks at paragraph boundaries without going over maxChars', () => {
+    const paragraphs = [1, 2, 3, 4, 5, 6].map(i => turn(i % 2 ? 'Host' : 'Guest', 60));
+    const chunks = splitTranscript(paragraphs.join('\n\n'), { maxChars: 130, overlapChars: 0 });
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      paragraphs.slice(0, 2).join('\n\n'),
+      paragraphs.slice(2, 4).join('\n\n'),
+      paragraphs.slice(4, 6).join('\n\n')
+    ]);
+    expect(chunks.map(chunk => chunk.index)).toEqual([0, 1, 2]);
+    chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(130));
+  });
+
+  it('ends a chunk that is mostly full before the next speaker turn', () => {
+    const opening = [turn('Host', 100), 'and it kept going after that.'];
+
+    const turnChunks = splitTranscript([...opening, turn('Guest', 20)].join('\n\n'), { maxChars: 160, overlapChars: 0 });
+    expect(turnChunks.map(chunk => chunk.text)).toEqual([opening.join('\n\n'), turn('Guest', 20)]);
+
+    const proseChunks = splitTranscript([...opening, 'so we kept going.'].join('\n\n'), { maxChars: 160, overlapChars: 0 });
+    expect(proseChunks).toHaveLength(1);
+  });
+
+  it('splits on lines when the transcript has no blank lines', () => {
+    const lines = [turn('Host', 50), turn('Guest', 50), turn('Host', 50)];
+    const chunks = splitTranscript(lines.join('\n'), { maxChars: 60, overlapChars: 0 });
+
+    expect(chunks.map(chunk => chunk.text)).toEqual(lines);
+  });
+
+  it('gives each chunk the tail of the previous one as context, kept out of its text', () => {
+    const paragraphs = ['Host: First point.', 'Guest: Second point.', 'Host: Third point.', 'Guest: Fourth point.'];
+    const chunks = splitTranscript(paragraphs.join('\n\n'), { maxChars: 45, overlapChars: 25 });
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      'Host: First point.\n\nGuest: Second point.',
+      'Host: Third point.\n\nGuest: Fourth point.'
+    ]);
+    expect(chunks[0].context).toBe('');
+    expect(chunks[1].context).toBe('Guest: Second point.');
+    expect(chunks[1].text).not.toContain(chunks[1].context);
+  });
+
+  it('cuts the context to overlapChars and leaves it out when overlapChars is 0', () => {
+    const paragraphs = [turn('Host', 50), turn('Guest', 50)];
+
+    const [, withOverlap] = splitTranscript(paragraphs.join('\n\n'), { maxChars: 60, overlapChars: 20 });
+    expect(withOverlap.context).toBe(paragraphs[0].slice(-20));
+
+    const [, withoutOverlap] = splitTranscript(paragraphs.join('\n\n'), { maxChars: 60, overlapChars: 0 });
+    expect(withoutOverlap.context).toBe('');
+  });
+
+  it('splits a single oversized paragraph at sentence ends', () => {
+    const sentences = ['Host: We started small.', 'Then we added routes.', 'Now every driver uses it.', 'It paid off in a month.'];
+    const chunks = splitTranscript(sentences.join(' '), { maxChars: 50, overlapChars: 0 });
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      'Host: We started small. Then we added routes.',
+      'Now every driver uses it. It paid off in a month.'
+    ]);
+  });
+
+  it('falls back to whitespace, then a hard cut, for a paragraph without sentence ends', () => {
+    const words = splitTranscript('alpha beta gamma delta epsilon zeta eta theta', { maxChars: 20, overlapChars: 0 });
+    expect(words.map(chunk => chunk.text)).toEqual(['alpha beta gamma', 'delta epsilon zeta', 'eta theta']);
+
+    const unbroken = splitTranscript('x'.repeat(45), { maxChars: 20, overlapChars: 0 });
+    expect(unbroken.map(chunk => chunk.text.length)).toEqual([20, 20, 5]);
+  });
+});
+
+describe('stitchChunks', () => {
+  it('joins cleaned chunks as paragraphs without repeating the context', () => {
+    const transcript = ['Host: First point.', 'Guest: Second point.', 'Host: Third point.', 'Guest: Fourth point.'].join('\n\n');
+    const chunks = splitTranscript(transcript, { maxChars: 45, overlapChars: 25 });
+
+    expect(stitchChunks(chunks.map(chunk => chunk.text))).toBe(transcript);
+  });
+
+  it('trims each chunk and drops empty ones', () => {
+    expect(stitchChunks(['  **Host:** Hello.\n', '', '\n**Guest:** Hi.  '])).toBe('**Host:** Hello.\n\n**Guest:** Hi.');
+  });
+});
+
+describe('isSpeakerTurn', () => {
+  it('recognizes plain, bold and numbered speaker labels', () => {
+    expect(isSpeakerTurn('Host: Welcome.')).toBe(true);
+    expect(isSpeakerTurn('**Jane Ortiz:** Thanks.')).toBe(true);
+    expect(isSpeakerTurn('SPEAKER 2: Right.')).toBe(true);
+    expect(isSpeakerTurn('and then: we left.')).toBe(false);
+  });
+});
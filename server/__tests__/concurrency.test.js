@@ -0,0 +1,47 @@
+const { mapWithConcurrency } = require('../concurrency');
+
+// Rejects with the abort reason once `signal` aborts, recording that it did
+const waitForAbort = (signal, aborted) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => {
+    aborted.push(true);
+    reject(signal.reason);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps the input order with several calls in flight', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, value => new Promise(resolve => setTimeout(() => resolve(value * 2), value)));
+    expect(results).toEqual([60, 20, 40]);
+  });
+
+  it('aborts the calls in flight and starts no more once one rejects', async () => {
+    const started = [];
+    const aborted = [];
+    const failure = new Error('chunk 2 failed');
+
+    const run = mapWithConcurrency([1, 2, 3, 4, 5], 2, (item, index, signal) => {
+      started.push(item);
+      if (item === 2) return new Promise((resolve, reject) => setTimeout(() => reject(failure), 5));
+      return waitForAbort(signal, aborted);
+    });
+
+    await expect(run).rejects.toBe(failure);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(started).toEqual([1, 2]);
+    expect(aborted).toHaveLength(1);
+  });
+
+  it('follows an outer signal', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    const run = mapWithConcurrency([1, 2, 3], 1, (item, index, signal) => {
+      started.push(item);
+      return waitForAbort(signal, []);
+    }, { signal: controller.signal });
+    controller.abort();
+
+    await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+    expect(started).toEqual([1]);
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+
+const conversion = (overrides = {}) => ({
+  url: 'https://www.youtube.com/watch?v=abc123',
+  videoId: 'abc123',
+  rawTranscript: 'Host: Um, welcome to the Docket podcast.',
+  results: {
+    seoTitle: 'Inside the Docket Podcast',
+    metaDescription: 'The host welcomes listeners.',
+    formattedTranscript: '**Host:** Welcome to the Docket podcast.',
+    faqs: [],
+    keyTakeaways: []
+  },
+  ...overrides
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('conversion history', () => {
+  test('saves a conversion with timestamps and the models used', async () => {
+    const res = await request(app).post('/api/conversions').send(conversion());
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      url: 'https://www.youtube.com/watch?v=abc123',
+      videoId: 'abc123',
+      rawTranscript: 'Host: Um, welcome to the Docket podcast.',
+      results: { formattedTranscript: '**Host:** Welcome to the Docket podcast.' },
+      llm: { provider: 'mock', models: { cleaning: 'mock', seo: 'mock' } }
+    });
+    expect(res.body.id).toEqual(expect.any(String));
+    expect(Date.parse(res.body.createdAt)).not.toBeNaN();
+
+    const reopened = await request(app).get(`/api/conversions/${res.body.id}`);
+    expect(reopened.status).toBe(200);
+    expect(reopened.body).toEqual(res.body);
+  });
+
+  test('lists newest first and searches title, URL and transcript', async () => {
+    await request(app).post('/api/conversions').send(conversion({
+      url: 'https://youtu.be/xyz789',
+      videoId: 'xyz789',
+      rawTranscript: 'Guest: We rolled out route planning to twelve trucks.',
+      results: { seoTitle: 'Route Planning for Field Teams' }
+    }));
+
+    const all = await request(app).get('/api/conversions');
+    expect(all.status).toBe(200);
+    expect(all.body.conversions.map(item => item.videoId)).toEqual(['xyz789', 'abc123']);
+    expect(all.body.conversions[0]).not.toHaveProperty('rawTranscript');
+
+    const byTranscript = await request(app).get('/api/conversions').query({ q: 'twelve trucks' });
+    expect(byTranscript.body.conversions.map(item => item.videoId)).toEqual(['xyz789']);
+
+    const byTitle = await request(app).get('/api/conversions').query({ q: 'docket' });
+    expect(byTitle.body.conversions.map(item => item.seoTitle)).toEqual(['Inside the Docket Podcast']);
+  });
+
+  test('saves edited results', async () => {
+    const created = await request(app).post('/api/conversions').send(conversion());
+    const edited = { ...created.body.results, seoTitle: 'Edited Title' };
+
+    const res = await request(app).patch(`/api/conversions/${created.body.id}`).send({ results: edited });
+
+    expect(res.status).toBe(200);
+    expect(res.body.results.seoTitle).toBe('Edited Title');
+    expect(res.body.createdAt).toBe(created.body.createdAt);
+    expect((await request(app).get(`/api/conversions/${created.body.id}`)).body.results.seoTitle).toBe('Edited Title');
+    expect((await request(app).patch('/api/conversions/missing').send({ results: edited })).status).toBe(404);
+  });
+
+  test('deletes a conversion', async () => {
+    const created = await request(app).post('/api/conversions').send(conversion());
+
+    const res = await request(app).delete(`/api/conversions/${created.body.id}`);
+    expect(res.status).toBe(204);
+
+    expect((await request(app).get(`/api/conversions/${created.body.id}`)).status).toBe(404);
+    expect((await request(app).delete(`/api/conversions/${created.body.id}`)).status).toBe(404);
+  });
+
+  test('rejects a save without results', async () => {
+    const res = await request(app).post('/api/conversions').send({ url: 'https://youtu.be/abc123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('results must be an object');
+  });
+});
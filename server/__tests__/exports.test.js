@@ -0,0 +1,209 @@
+const JSZip = require('jszip');
+const request = require('supertest');
+const app = require('../../server');
+const { startStubWordPressServer, PNG_BYTES } = require('./helpers/stubWordPressServer');
+const { startStubVideoServer } = require('./helpers/stubVideoServer');
+const { withEnv } = require('./helpers/env');
+
+const JPEG_BYTES = Buffer.from('ffd8ffe0export-thumbnail');
+
+const RESULTS = {
+  outputMode: 'transcript',
+  article: null,
+  videoId: 'dQw4w9WgXcQ',
+  formattedTranscript: '**Getting Started**\n\n**Host:** Welcome to the <webinar>.\n\n**Guest:** We cut scheduling time by 40 percent.',
+  segments: [],
+  transcriptFormat: 'plain',
+  thumbnailUrl: '',
+  seoTitle: 'How Dispatch Software Cut Scheduling "Time"',
+  metaDescription: 'Route planning & mobile jobs cut scheduling time by 40 percent.',
+  faqs: [
+    { question: 'How much time was saved?', answer: 'Scheduling time dropped by 40 percent.' },
+    { question: 'What made the difference?', answer: 'Route planning and <mobile> jobs.' }
+  ],
+  keyTakeaways: ['Scheduling time fell by 40 percent.', 'Drivers get jobs on their phones.'],
+  repairs: [],
+  chapters: [{ start: 0, timestamp: '0:00', title: 'Intro' }, { start: 95, timestamp: '1:35', title: 'Results' }],
+  schemaMarkup: '',
+  schemaFormat: 'jsonld'
+};
+
+// Collect a binary response body as a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+let youtube;
+let restoreEnv;
+
+beforeAll(async () => {
+  youtube = await startStubVideoServer({
+    dQw4w9WgXcQ: { title: 'Dispatch Webinar', channel: 'Field Service Weekly', thumbnails: { maxresdefault: JPEG_BYTES } },
+    noThumbs001: { title: 'No Thumbnails', channel: 'Field Service Weekly', thumbnails: {} }
+  });
+  restoreEnv = withEnv({ YOUTUBE_BASE_URL: youtube.baseUrl, YOUTUBE_IMAGE_BASE_URL: youtube.baseUrl });
+});
+
+afterAll(async () => {
+  restoreEnv();
+  await youtube.close();
+});
+
+describe('POST /api/export/:format', () => {
+  test('markdown has front matter with title, description, thumbnail and FAQs', async () => {
+    const res = await request(app)
+      .post('/api/export/markdown')
+      .send({ results: { ...RESULTS, thumbnailUrl: 'https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg' }, slug: 'How-Dispatch-Software' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/markdown/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="How-Dispatch-Software.md"');
+
+    const [, yaml, body] = res.text.split(/^---$/m);
+    expect(yaml).toContain('title: "How Dispatch Software Cut Scheduling \\"Time\\""');
+    expect(yaml).toContain('description: "Route planning & mobile jobs cut scheduling time by 40 percent."');
+    expect(yaml).toContain('thumbnail: "https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg"');
+    expect(yaml).toContain('  - question: "How much time was saved?"\n    answer: "Scheduling time dropped by 40 percent."');
+
+    expect(body).toContain('# How Dispatch Software Cut Scheduling "Time"');
+    expect(body).toContain('1. Scheduling time fell by 40 percent.');
+    expect(body).toContain('### Getting Started\n\n**Host:** Welcome to the <webinar>.');
+    expect(body).toContain('- [1:35](https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=95) Results');
+    expect(body).toContain('### What made the difference?\n\nRoute planning and <mobile> jobs.');
+  });
+
+  test('html is a standalone page with escaped content and the thumbnail inlined', async () => {
+    const res = await request(app)
+      .post('/api/export/html')
+      .send({ results: RESULTS });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="how-dispatch-software-cut-scheduling-time.html"');
+    expect(res.text).toMatch(/^<!DOCTYPE html>/);
+    expect(res.text).toContain('<title>How Dispatch Software Cut Scheduling &quot;Time&quot;</title>');
+    expect(res.text).toContain('<meta name="description" content="Route planning &amp; mobile jobs');
+    expect(res.text).toContain(`src="data:image/jpeg;base64,${JPEG_BYTES.toString('base64')}"`);
+    expect(res.text).toContain('<h3>Getting Started</h3>');
+    expect(res.text).toContain('<p><strong>Host:</strong> Welcome to the &lt;webinar&gt;.</p>');
+    expect(res.text).toContain('<script type="application/ld+json">');
+    expect(res.text).not.toContain('<mobile>');
+    expect(res.text).not.toMatch(/<link|<script src/);
+  });
+
+  test('renders the article draft from its sections, ignoring client-sent HTML and Markdown', async () => {
+    const article = {
+      title: 'Dispatch <Software> Lessons',
+      intro: 'Scheduling got faster.',
+      sections: [{ heading: 'Routes', body: 'Drivers get <b>jobs</b> on their phones.', subsections: [] }],
+      pullQuotes: [],
+      conclusion: ''
+    };
+    const results = {
+      ...RESULTS,
+      outputMode: 'article',
+      article: { article, markdown: '<script>alert(1)</script>', html: '<script>alert(1)</script>' }
+    };
+
+    const html = await request(app).post('/api/export/html').send({ results });
+    const markdown = await request(app).post('/api/export/markdown').send({ results });
+
+    expect(html.status).toBe(200);
+    expect(html.text).toContain('<h1>Dispatch &lt;Software&gt; Lessons</h1>');
+    expect(html.text).toContain('<p>Drivers get &lt;b&gt;jobs&lt;/b&gt; on their phones.</p>');
+    expect(html.text).not.toContain('alert(1)');
+    expect(markdown.text).toContain('# Dispatch <Software> Lessons\n\nScheduling got faster.\n\n## Routes');
+    expect(markdown.text).not.toContain('alert(1)');
+  });
+
+  test('never fetches a thumbnailUrl sent by the client', async () => {
+    const stub = await startStubWordPressServer();
+    try {
+      const results = { ...RESULTS, videoId: 'noThumbs001', thumbnailUrl: `${stub.siteUrl}/thumbnail.png` };
+      const html = await request(app).post('/api/export/html').send({ results });
+      const zip = await request(app).post('/api/export/zip').buffer(true).parse(binary).send({ results, slug: 'post' });
+
+      expect(html.status).toBe(200);
+      expect(html.text).not.toContain(PNG_BYTES.toString('base64'));
+      expect(Object.keys((await JSZip.loadAsync(zip.body)).files).sort()).toEqual(['post.docx', 'post.html', 'post.json', 'post.md']);
+      expect(stub.requests).toEqual([]);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('docx is a Word package with headings, bold runs and the SEO fields', async () => {
+    const res = await request(app)
+      .post('/api/export/docx')
+      .buffer(true)
+      .parse(binary)
+      .send({ results: RESULTS, slug: 'review' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+
+    const zip = await JSZip.loadAsync(res.body);
+    expect(Object.keys(zip.files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', '_rels/.rels', 'word/document.xml', 'word/styles.xml', 'word/_rels/document.xml.rels'
+    ]));
+
+    const document = await zip.file('word/document.xml').async('string');
+    expect(document).toContain('<w:pStyle w:val="Title"/></w:pPr><w:r><w:t xml:space="preserve">How Dispatch Software Cut Scheduling &quot;Time&quot;</w:t>');
+    expect(document).toContain('<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Meta description:</w:t></w:r>');
+    expect(document).toContain('<w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">Key Takeaways</w:t>');
+    expect(document).toContain('Welcome to the &lt;webinar&gt;.');
+    expect(document).toContain('• 1:35 Results');
+  });
+
+  test('json is the raw results payload with the video URL', async () => {
+    const res = await request(app)
+      .post('/api/export/json')
+      .send({ results: RESULTS, url: 'https://youtu.be/dQw4w9WgXcQ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ url: 'https://youtu.be/dQw4w9WgXcQ', ...RESULTS });
+  });
+
+  test('zip bundles every format and the thumbnail under the same slug', async () => {
+    const res = await request(app)
+      .post('/api/export/zip')
+      .buffer(true)
+      .parse(binary)
+      .send({ results: RESULTS, slug: 'How-Dispatch-Software-Cut-Scheduling--Time-' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="How-Dispatch-Software-Cut-Scheduling--Time-.zip"');
+
+    const zip = await JSZip.loadAsync(res.body);
+    expect(Object.keys(zip.files).sort()).toEqual([
+      'How-Dispatch-Software-Cut-Scheduling--Time-.docx',
+      'How-Dispatch-Software-Cut-Scheduling--Time-.html',
+      'How-Dispatch-Software-Cut-Scheduling--Time-.jpg',
+      'How-Dispatch-Software-Cut-Scheduling--Time-.json',
+      'How-Dispatch-Software-Cut-Scheduling--Time-.md'
+    ]);
+    expect(await zip.file('How-Dispatch-Software-Cut-Scheduling--Time-.jpg').async('nodebuffer')).toEqual(JPEG_BYTES);
+  });
+
+  test('zip still builds when the thumbnail cannot be downloaded', async () => {
+    const res = await request(app)
+      .post('/api/export/zip')
+      .buffer(true)
+      .parse(binary)
+      .send({ results: { ...RESULTS, videoId: 'noThumbs001' }, slug: 'post' });
+
+    expect(res.status).toBe(200);
+    const zip = await JSZip.loadAsync(res.body);
+    expect(Object.keys(zip.files).sort()).toEqual(['post.docx', 'post.html', 'post.json', 'post.md']);
+  });
+
+  test('rejects unknown formats and missing results', async () => {
+    const unknown = await request(app).post('/api/export/pdf').send({ results: RESULTS });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/Unknown export format "pdf"/);
+
+    const missing = await request(app).post('/api/export/markdown').send({});
+    expect(missing.status).toBe(400);
+  });
+});
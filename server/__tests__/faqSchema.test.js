@@ -0,0 +1,50 @@
+const { buildFaqSchemaMarkup, normalizeSchemaFormat } = require('../faqSchema');
+
+const faqs = [
+  { question: 'What does it cost?', answer: 'It starts at $49 & up.' },
+  { question: 'Does it <i>work</i>?', answer: 'Yes.' }
+];
+
+// Pull the JSON-LD object back out of the markup
+const jsonLdOf = (markup) => JSON.parse(markup.match(/<script type="application\/ld\+json">\n([\s\S]*)\n<\/script>/)[1]);
+
+describe('buildFaqSchemaMarkup', () => {
+  it('defaults to escaped microdata', () => {
+    const markup = buildFaqSchemaMarkup(faqs);
+
+    expect(markup.startsWith('<div itemscope itemtype="https://schema.org/FAQPage">')).toBe(true);
+    expect(markup.match(/itemprop="mainEntity"/g)).toHaveLength(2);
+    expect(markup).toContain('<p itemprop="text">It starts at $49 &amp; up.</p>');
+    expect(markup).toContain('Does it &lt;i&gt;work&lt;/i&gt;?');
+    expect(markup).not.toContain('ld+json');
+  });
+
+  it('produces JSON-LD that round-trips to the same FAQs', () => {
+    const markup = buildFaqSchemaMarkup(faqs, 'jsonld');
+    const schema = jsonLdOf(markup);
+
+    expect(markup).not.toContain('itemscope');
+    expect(schema['@type']).toBe('FAQPage');
+    expect(schema.mainEntity.map(entity => [entity.name, entity.acceptedAnswer.text]))
+      .toEqual(faqs.map(faq => [faq.question, faq.answer]));
+  });
+
+  it('combines both formats', () => {
+    const markup = buildFaqSchemaMarkup(faqs, 'both');
+    expect(markup).toContain('itemscope');
+    expect(jsonLdOf(markup).mainEntity).toHaveLength(2);
+  });
+
+  it('skips malformed FAQ entries', () => {
+    const markup = buildFaqSchemaMarkup([{ question: 'Only a question' }, null, faqs[0]]);
+    expect(markup.match(/itemprop="mainEntity"/g)).toHaveLength(1);
+  });
+});
+
+describe('normalizeSchemaFormat', () => {
+  it('falls back to microdata', () => {
+    expect(normalizeSchemaFormat('jsonld')).toBe('jsonld');
+    expect(normalizeSchemaFormat('rdfa')).toBe('microdata');
+    expect(normalizeSchemaFormat(undefined)).toBe('microdata');
+  });
+});
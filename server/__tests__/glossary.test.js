@@ -0,0 +1,139 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { normalizeGlossary, protectGlossary, matchTokens } = require('../glossary');
+const { startStubLLMServer, completion } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const RAW = [
+  'Host: so um we built docket and route IQ for Anna Kowalski at acme.',
+  'Guest: Docket is great, FleetOS too.'
+].join('\n\n');
+
+const CLEANED = [
+  '**Host:** So we built Docka and Root IQs for Ana Kowalsky at Acme.',
+  '**Guest:** It is great.'
+].join('\n\n');
+
+const TERMS = ['Docket', 'Route IQ', 'Anna Kowalski', 'FleetOS', 'Acme'];
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('normalizeGlossary', () => {
+  test('splits text on commas and newlines and drops blanks and case-insensitive duplicates', () => {
+    expect(normalizeGlossary('Docket, RouteIQ\n docket ,, FleetOS')).toEqual(['Docket', 'RouteIQ', 'FleetOS']);
+    expect(normalizeGlossary(['Acme', ' ', '---', 'ACME'])).toEqual(['Acme']);
+    expect(normalizeGlossary(undefined)).toEqual([]);
+  });
+});
+
+describe('matchTokens', () => {
+  test('finds a longest common subsequence', () => {
+    const pairs = matchTokens('abcabba'.split(''), 'cbabac'.split(''));
+    expect(pairs).toHaveLength(4);
+    pairs.forEach(([a, b], i) => {
+      expect('abcabba'[a]).toBe('cbabac'[b]);
+      if (i > 0) {
+        expect(a).toBeGreaterThan(pairs[i - 1][0]);
+        expect(b).toBeGreaterThan(pairs[i - 1][1]);
+      }
+    });
+  });
+
+  test('gives up past the edit limit', () => {
+    expect(matchTokens(['a', 'b', 'c'], ['x', 'y', 'z'], 4)).toBeNull();
+    expect(matchTokens(['a', 'b', 'c'], ['a', 'b', 'c'], 0)).toEqual([[0, 0], [1, 1], [2, 2]]);
+  });
+});
+
+describe('protectGlossary', () => {
+  test('corrects near misses and wrong capitalisation to the glossary spelling', () => {
+    const { text, issues } = protectGlossary(RAW, CLEANED, TERMS);
+
+    expect(text).toBe([
+      '**Host:** So we built Docket and Route IQ for Anna Kowalski at Acme.',
+      '**Guest:** It is great.'
+    ].join('\n\n'));
+    const corrected = issues.filter(issue => issue.type === 'corrected');
+    expect(corrected.map(issue => [issue.found, issue.term])).toEqual([
+      ['Docka', 'Docket'],
+      ['Root IQs', 'Route IQ'],
+      ['Ana Kowalsky', 'Anna Kowalski']
+    ]);
+    corrected.forEach(issue => expect(text.slice(issue.start, issue.end)).toBe(issue.term));
+  });
+
+  test('flags terms that were replaced or dropped, with their position in the corrected text', () => {
+    const { text, issues } = protectGlossary(RAW, CLEANED, TERMS);
+
+    const changed = issues.find(issue => issue.type === 'changed');
+    expect(changed).toMatchObject({ term: 'Docket', said: 'Docket', found: 'It' });
+    expect(text.slice(changed.start, changed.end)).toBe('It');
+
+    const dropped = issues.find(issue => issue.type === 'dropped');
+    expect(dropped).toMatchObject({ term: 'FleetOS', found: '' });
+    expect(dropped.start).toBe(dropped.end);
+    expect(text.slice(0, dropped.start)).toMatch(/great$/);
+  });
+
+  test('leaves the text alone when every term survived as written', () => {
+    const raw = 'We use Docket every day.';
+    expect(protectGlossary(raw, '**Speaker 1:** We use Docket every day.', ['Docket'])).toEqual({ text: '**Speaker 1:** We use Docket every day.', issues: [] });
+    expect(protectGlossary(RAW, CLEANED, [])).toEqual({ text: CLEANED, issues: [] });
+  });
+
+  test('does not turn short words into a short term', () => {
+    const { text, issues } = protectGlossary('we trained the AI model', 'We trained a model.', ['AI']);
+    expect(text).toBe('We trained a model.');
+    expect(issues).toEqual([expect.objectContaining({ type: 'changed', found: 'a' })]);
+  });
+});
+
+describe('glossary in conversions', () => {
+  test('clean-transcript puts the project and voice glossaries in the prompt and reports what it fixed', async () => {
+    const voice = await request(app).post('/api/templates').send({ kind: 'voice', name: 'Acme', glossary: ['Acme', 'FleetOS'] });
+    const stub = await startStubLLMServer(() => ({ body: completion(CLEANED) }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const res = await request(app)
+        .post('/api/clean-transcript')
+        .send({ transcript: RAW, glossary: 'Docket, Route IQ, Anna Kowalski, acme', templates: { voice: voice.body.id } });
+
+      expect(res.status).toBe(200);
+      expect(stub.requests[0].payload.messages[0].content).toContain('write it exactly like this: Docket, Route IQ, Anna Kowalski, acme, FleetOS');
+      expect(res.body.cleanedTranscript).toContain('So we built Docket and Route IQ for Anna Kowalski at acme.');
+      expect(res.body.glossaryIssues.map(issue => issue.type)).toEqual(['corrected', 'corrected', 'corrected', 'corrected', 'changed', 'dropped']);
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('rejects a glossary that is not text or a list', async () => {
+    const res = await request(app).post('/api/clean-transcript').send({ transcript: RAW, glossary: { term: 'Docket' } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('glossary must be a string or an array of terms');
+  });
+
+  test('job results keep the glossary and the review list', async () => {
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: RAW, glossary: ['Docket', 'FleetOS'] });
+    expect(created.status).toBe(202);
+
+    let job = created.body;
+    while (!['completed', 'failed'].includes(job.status)) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+    }
+
+    expect(job.status).toBe('completed');
+    expect(job.results.glossary).toEqual(['Docket', 'FleetOS']);
+    expect(job.results.glossaryIssues).toEqual([expect.objectContaining({ term: 'Docket', type: 'corrected', found: 'docket' })]);
+    expect(job.results.formattedTranscript).toContain('So we built Docket and route IQ');
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { verifyGrounding, numbersIn, namesIn } = require('../grounding');
+const { startStubLLMServer, completion } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const TRANSCRIPT = [
+  '**Host:** Welcome to the webinar on dispatch software.',
+  '**Guest:** We cut our scheduling time by 40 percent in three months. Anna Kowalski led the rollout.',
+  '**Host:** What made the difference for the team?',
+  '**Guest:** Route planning, and drivers getting jobs on their phones. We saved about $1.5 million a year.'
+].join('\n\n');
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('numbersIn', () => {
+  test.each([
+    ['cut by 40%', [40]],
+    ['forty five drivers and two hundred thousand miles', [45, 200000]],
+    ['$1.5M or 1,200 hours', [1500000, 1200]],
+    ['one of the 3 things', [3]],
+    ['a constructor is not a number', []]
+  ])('%s', (text, values) => {
+    expect(numbersIn(text).map(number => number.value)).toEqual(values);
+  });
+});
+
+describe('namesIn', () => {
+  test('finds capitalised words that do not start a sentence', () => {
+    expect(namesIn('The team at Docket met Anna. They went to Berlin.')).toEqual(['Docket', 'Anna', 'Berlin']);
+  });
+});
+
+describe('verifyGrounding', () => {
+  test('links a supported claim to its quote and speaker, matching numbers in any form', async () => {
+    const { faqs, keyTakeaways, summary, judged } = await verifyGrounding(TRANSCRIPT, {
+      faqs: [{ question: 'How much time was saved?', answer: 'Scheduling time dropped by forty percent within 3 months.' }],
+      keyTakeaways: ['The company saved 1.5M a year.']
+    });
+
+    expect(faqs[0]).toMatchObject({ status: 'grounded', issues: [] });
+    expect(faqs[0].quotes).toEqual([{
+      text: 'We cut our scheduling time by 40 percent in three months.',
+      speaker: 'Guest',
+      start: TRANSCRIPT.indexOf('We cut'),
+      end: TRANSCRIPT.indexOf('We cut') + 'We cut our scheduling time by 40 percent in three months.'.length
+    }]);
+    expect(keyTakeaways[0].status).toBe('grounded');
+    expect(summary).toEqual({ grounded: 2, weak: 0, ungrounded: 0 });
+    expect(judged).toBe(false);
+  });
+
+  test('marks claims with numbers or names the transcript never mentions', async () => {
+    const { faqs, keyTakeaways } = await verifyGrounding(TRANSCRIPT, {
+      faqs: [{ question: 'How much time was saved?', answer: 'Scheduling time dropped by 65 percent in three months.' }],
+      keyTakeaways: ['The rollout was led by Anna Kowalski and Marcus Webb.', 'Kubernetes costs fell sharply.']
+    });
+
+    expect(faqs[0]).toMatchObject({ status: 'ungrounded', score: 0.2 });
+    expect(faqs[0].issues).toEqual(['The number "65" isn\'t in the transcript']);
+    expect(keyTakeaways[0].issues).toEqual(['"Marcus" isn\'t mentioned in the transcript', '"Webb" isn\'t mentioned in the transcript']);
+    expect(keyTakeaways[0].status).not.toBe('grounded');
+    expect(keyTakeaways[1]).toMatchObject({ status: 'ungrounded', score: 0, quotes: [] });
+  });
+
+  test('tolerates a misspelt name', async () => {
+    const { keyTakeaways } = await verifyGrounding(TRANSCRIPT, { keyTakeaways: ['The rollout was led by Anna Kowalsky.'] });
+    expect(keyTakeaways[0]).toMatchObject({ status: 'grounded', issues: [] });
+  });
+});
+
+describe('model judge', () => {
+  const claims = {
+    faqs: [{ question: 'What changed?', answer: 'Route planning and phone dispatch made the difference.' }],
+    keyTakeaways: ['Scheduling time was cut by 40 percent in three months.']
+  };
+
+  test('averages the verdict into the score and records the reason', async () => {
+    const stub = await startStubLLMServer(() => ({
+      body: completion(JSON.stringify({
+        verdicts: [
+          { claim: 1, verdict: 'unsupported', reason: 'Phone dispatch is not the same as jobs on phones.' },
+          { claim: 2, verdict: 'supported', reason: 'Stated by the guest.' }
+        ]
+      }))
+    }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const plain = await verifyGrounding(TRANSCRIPT, claims);
+      const judged = await verifyGrounding(TRANSCRIPT, claims, { judge: true });
+
+      const prompt = stub.requests[0].payload.messages[0].content;
+      expect(prompt).toContain('[1] Route planning and phone dispatch made the difference.');
+      expect(prompt).toContain('- "Route planning, and drivers getting jobs on their phones."');
+      expect(judged.judged).toBe(true);
+      expect(judged.faqs[0].judge).toEqual({ verdict: 'unsupported', reason: 'Phone dispatch is not the same as jobs on phones.' });
+      expect(judged.faqs[0].score).toBe(Math.round((plain.faqs[0].score / 2) * 100) / 100);
+      expect(judged.faqs[0].issues).toContain('Model check: unsupported - Phone dispatch is not the same as jobs on phones.');
+      expect(judged.keyTakeaways[0]).toMatchObject({ status: 'grounded', issues: [] });
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('falls back to the word check when the judge fails', async () => {
+    const stub = await startStubLLMServer(() => ({ body: completion('Looks fine to me!') }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const result = await verifyGrounding(TRANSCRIPT, claims, { judge: true });
+      expect(result.judged).toBe(false);
+      expect(result.faqs[0].judge).toBeUndefined();
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+});
+
+describe('grounding endpoints', () => {
+  test('generated content comes with grounding, judged when asked', async () => {
+    const res = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT, judge: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.grounding.faqs).toHaveLength(res.body.faqs.length);
+    expect(res.body.grounding.keyTakeaways).toHaveLength(res.body.keyTakeaways.length);
+    expect(res.body.grounding.judged).toBe(true);
+    // The mock answers are transcript sentences
+    res.body.grounding.faqs.forEach(item => expect(item.status).toBe('grounded'));
+  });
+
+  test('/api/verify-grounding checks edited items', async () => {
+    const res = await request(app)
+      .post('/api/verify-grounding')
+      .send({ transcript: TRANSCRIPT, keyTakeaways: ['We cut scheduling time by 80 percent.'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.faqs).toBeUndefined();
+    expect(res.body.keyTakeaways[0].status).toBe('ungrounded');
+    expect(res.body.summary).toEqual({ grounded: 0, weak: 0, ungrounded: 1 });
+  });
+
+  test.each([
+    [{ keyTakeaways: ['x'] }, 'Transcript is required'],
+    [{ transcript: TRANSCRIPT, faqs: 'x' }, 'faqs and keyTakeaways must be arrays']
+  ])('/api/verify-grounding rejects %p', async (body, error) => {
+    const res = await request(app).post('/api/verify-grounding').send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+
+  test('regenerating a section re-checks it', async () => {
+    const res = await request(app)
+      .post('/api/regenerate-section')
+      .send({ transcript: TRANSCRIPT, section: 'keyTakeaways', current: { keyTakeaways: ['a', 'b', 'c', 'd'] }, keep: [] });
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.grounding)).toEqual(['keyTakeaways']);
+    expect(res.body.grounding.keyTakeaways).toHaveLength(4);
+  });
+});
@@ -0,0 +1,14 @@
+// Set environment variables for a test; returns a function that restores the previous values
+const withEnv = (vars) => {
+  const previous = {};
+  Object.keys(vars).forEach(key => {
+    previous[key] = process.env[key];
+    process.env[key] = vars[key];
+  });
+  return () => Object.keys(vars).forEach(key => {
+    if (previous[key] === undefined) delete process.env[key];
+    else process.env[key] = previous[key];
+  });
+};
+
+module.exports = { withEnv };
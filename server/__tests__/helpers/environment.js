@@ -0,0 +1,11 @@
+const NodeEnvironment = require('jest-environment-node');
+
+// Jest 27's node environment predates Node 18's global fetch, which the LLM layer uses
+class FetchEnvironment extends NodeEnvironment {
+  async setup() {
+    await super.setup();
+    this.global.fetch = fetch;
+  }
+}
+
+module.exports = FetchEnvironment;
@@ -0,0 +1,20 @@
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+// Video lookups go nowhere unless a test points them at a stub video server
+process.env.YOUTUBE_BASE_URL = 'http://127.0.0.1:9';
+process.env.YOUTUBE_IMAGE_BASE_URL = 'http://127.0.0.1:9';
+process.env.VIMEO_BASE_URL = 'http://127.0.0.1:9';
+process.env.LOOM_BASE_URL = 'http://127.0.0.1:9';
+// Batch retries after a 429 shouldn't slow the suite down
+process.env.BATCH_RETRY_DELAY_MS = '10';
+// Each test file gets its own conversion history, template and site index files
+process.env.CONVERSIONS_FILE = path.join(os.tmpdir(), `conversions-test-${process.pid}-${Date.now()}.json`);
+process.env.TEMPLATES_FILE = path.join(os.tmpdir(), `templates-test-${process.pid}-${Date.now()}.json`);
+process.env.SITE_INDEX_FILE = path.join(os.tmpdir(), `site-index-test-${process.pid}-${Date.now()}.json`);
+
+// Keep test output readable: the server logs every request and LLM call
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
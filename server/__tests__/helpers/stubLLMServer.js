@@ -0,0 +1,67 @@
+const http = require('http');
+
+// Local OpenAI-compatible /chat/completions server for tests; it answers Anthropic's /messages
+// the same way. `respond(payload)` returns { status, body } for each request, { stream: [text, ...] }
+// to answer a streaming request with one delta event per text, or { events: [event, ...] } to
+// stream the given event objects as they are (Anthropic's format); requests are recorded.
+const startStubLLMServer = (respond) => new Promise(resolve => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = body ? JSON.parse(body) : {};
+      requests.push({ method: req.method, url: req.url, headers: req.headers, payload });
+
+      const { status = 200, body: responseBody, stream, events } = respond(payload);
+      if (stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        stream.forEach(text => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`));
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+      if (events) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        events.forEach(event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+        res.end();
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(typeof responseBody === 'string' ? responseBody : JSON.stringify(responseBody));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({
+      baseUrl: `http://127.0.0.1:${port}/v1`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+// Successful chat completion body with the given message content
+const completion = (content) => ({ choices: [{ message: { role: 'assistant', content } }] });
+
+// Successful Anthropic /messages body with the given text
+const anthropicMessage = (text) => ({
+  type: 'message',
+  role: 'assistant',
+  content: [{ type: 'text', text }],
+  usage: { input_tokens: 10, output_tokens: 20 }
+});
+
+// Anthropic stream events delivering `texts` as text deltas
+const anthropicStream = (texts) => [
+  { type: 'message_start', message: { type: 'message', role: 'assistant', content: [] } },
+  { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+  { type: 'ping' },
+  ...texts.map(text => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })),
+  { type: 'content_block_stop', index: 0 },
+  { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 20 } },
+  { type: 'message_stop' }
+];
+
+module.exports = { startStubLLMServer, completion, anthropicMessage, anthropicStream };
@@ -0,0 +1,31 @@
+const http = require('http');
+
+// Local blog stand-in for sitemap tests: serves `files` (a path -> body map, with "{base}"
+// replaced by the server's own URL so sitemaps can list its pages) as XML or HTML by
+// extension, and 404s everything else. Requests are recorded.
+const startStubSiteServer = (files) => new Promise(resolve => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url });
+    const body = files[req.url];
+    if (body === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      return res.end('<h1>Not Found</h1>');
+    }
+    const { port } = server.address();
+    res.writeHead(200, { 'Content-Type': req.url.endsWith('.xml') ? 'application/xml' : 'text/html; charset=utf-8' });
+    res.end(body.replace(/\{base\}/g, `http://127.0.0.1:${port}`));
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({
+      baseUrl: `http://127.0.0.1:${port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startStubSiteServer };
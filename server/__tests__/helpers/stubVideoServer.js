@@ -0,0 +1,75 @@
+const http = require('http');
+const { parseVideoUrl } = require('../../../src/shared/videoUrl');
+
+// Local stand-in for the video providers: YouTube's oEmbed endpoint, watch pages, playlist
+// pages and thumbnail host, plus Vimeo's and Loom's oEmbed endpoints. `videos` maps a video
+// ID to { title, channel, duration?, uploadDate?, watchPage (HTML), thumbnails }; YouTube
+// thumbnails are keyed by size ({ maxresdefault: Buffer, ... }), Vimeo and Loom ones are
+// { oembed: Buffer }. `playlists` maps a playlist ID to its page HTML. Anything unknown gets
+// a 404 like the real services. Requests are recorded.
+const startStubVideoServer = (videos, playlists = {}) => new Promise(resolve => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url });
+    const url = new URL(req.url, 'http://localhost');
+    const { port } = server.address();
+
+    const notFound = () => {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    };
+    const sendJson = (body) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (['/oembed', '/api/oembed.json', '/v1/oembed'].includes(url.pathname)) {
+      const parsed = parseVideoUrl(url.searchParams.get('url'));
+      const video = parsed && videos[parsed.id];
+      if (!video) return notFound();
+      return sendJson({
+        type: 'video',
+        title: video.title,
+        author_name: video.channel,
+        author_url: `https://www.example.com/@${video.channel.replace(/\s+/g, '')}`,
+        ...(video.duration !== undefined && { duration: video.duration }),
+        ...(video.uploadDate && { upload_date: video.uploadDate }),
+        ...(video.thumbnails?.oembed && { thumbnail_url: `http://127.0.0.1:${port}/thumbs/${parsed.id}.jpg` })
+      });
+    }
+
+    if (url.pathname === '/watch') {
+      const video = videos[url.searchParams.get('v')];
+      if (!video || !video.watchPage) return notFound();
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(video.watchPage);
+    }
+
+    if (url.pathname === '/playlist') {
+      const page = playlists[url.searchParams.get('list')];
+      if (!page) return notFound();
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(page);
+    }
+
+    const thumbnail = url.pathname.match(/^\/vi\/([^/]+)\/(\w+)\.jpg$/) || url.pathname.match(/^\/thumbs\/([^/]+)\.jpg$/);
+    const image = thumbnail && videos[thumbnail[1]]?.thumbnails?.[thumbnail[2] || 'oembed'];
+    if (image) {
+      res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+      return res.end(image);
+    }
+    notFound();
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({
+      baseUrl: `http://127.0.0.1:${port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startStubVideoServer };
@@ -0,0 +1,59 @@
+const http = require('http');
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// Local WordPress REST API stand-in for tests. Records every request (JSON bodies parsed,
+// uploads kept as raw bytes), serves a fake thumbnail at /thumbnail.png and answers
+// /wp-json/wp/v2/media and /wp-json/wp/v2/posts like WordPress does.
+// `options.fail` maps a route ('/media', '/posts') to { status, body } to simulate errors.
+const startStubWordPressServer = (options = {}) => new Promise(resolve => {
+  const requests = [];
+  let nextId = 100;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const isJson = (req.headers['content-type'] || '').includes('application/json');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, payload: isJson ? JSON.parse(raw.toString()) : raw });
+
+      const send = (status, body, type = 'application/json') => {
+        res.writeHead(status, { 'Content-Type': type });
+        res.end(type === 'application/json' ? JSON.stringify(body) : body);
+      };
+
+      if (req.url === '/thumbnail.png') {
+        return send(200, PNG_BYTES, 'image/png');
+      }
+
+      const route = req.url.replace('/wp-json/wp/v2', '').replace(/\/\d+$/, '');
+      if (options.fail && options.fail[route]) {
+        const { status, body } = options.fail[route];
+        return send(status, body);
+      }
+
+      const { port } = server.address();
+      if (route === '/media') {
+        const id = req.url.match(/\/(\d+)$/) ? Number(req.url.match(/\/(\d+)$/)[1]) : nextId++;
+        return send(201, { id, source_url: `http://127.0.0.1:${port}/wp-content/uploads/${id}.png` });
+      }
+      if (route === '/posts') {
+        const id = nextId++;
+        return send(201, { id, status: 'draft', link: `http://127.0.0.1:${port}/?p=${id}` });
+      }
+      send(404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' });
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({
+      siteUrl: `http://127.0.0.1:${port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+module.exports = { startStubWordPressServer, PNG_BYTES };
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { parseSitemap, parsePage } = require('../sitemap');
+const { suggestInternalLinks, createLinker } = require('../internalLinks');
+const { startStubSiteServer } = require('./helpers/stubSiteServer');
+
+const TRANSCRIPT = [
+  'Host: Welcome to the show. Today we are talking about Docket and how it changed our dispatch.',
+  'Guest: Thanks for having me. We cut our scheduling time by 40 percent in the first three months.',
+  'Host: That is a big number. What made the difference for your team?',
+  'Guest: Mostly the route planning. Our drivers get their jobs on their phones every morning, and we track dispatch KPIs weekly.'
+].join('\n\n');
+
+const RESULTS = {
+  outputMode: 'transcript',
+  article: null,
+  videoId: 'dQw4w9WgXcQ',
+  seoTitle: 'How Docket Cut Scheduling Time by 40 Percent',
+  metaDescription: 'Route planning and mobile jobs cut scheduling time by 40 percent.',
+  faqs: [],
+  keyTakeaways: ['Scheduling software cut scheduling time by 40 percent in three months.', 'Route planning made the biggest difference for the team.'],
+  formattedTranscript: [
+    '**Getting started**',
+    '**Host:** Welcome to the show. Today we are talking about Docket and how it changed our dispatch.',
+    '**Guest:** Thanks for having me. We cut our scheduling time by 40 percent in the first three months.',
+    '**Host:** That is a big number. What made the difference for your team?',
+    '**Guest:** Mostly the route planning. Our drivers get their jobs on their phones every morning, and we track dispatch KPIs weekly.'
+  ].join('\n\n'),
+  chapters: [],
+  schemaFormat: 'jsonld'
+};
+
+const PAGES = [
+  { url: 'https://blog.example.com/route-planning-guide/', title: 'The Complete Guide to Route Planning for Field Teams | Docket Blog', excerpt: 'How to plan efficient routes for technicians and drivers.' },
+  { url: 'https://blog.example.com/scheduling-software-buyers-guide/', title: 'Choosing Scheduling Software: A Buyer\'s Guide | Docket Blog', excerpt: 'What to look for in field service scheduling software.' },
+  { url: 'https://blog.example.com/dispatch-kpis/', title: 'Dispatch KPIs Every Operations Manager Should Track | Docket Blog', excerpt: 'Measure first-time fix rate, travel time and more.' },
+  { url: 'https://blog.example.com/invoicing/', title: 'Faster Invoicing for Plumbers | Docket Blog', excerpt: 'Get paid on the day of the job.' },
+  { url: 'https://blog.example.com/company-news-2024/', title: 'Company News 2024 | Docket Blog', excerpt: 'We raised a round.' }
+];
+
+const page = (title, description, body = '') => `<!DOCTYPE html><html><head><title>${title}</title>${description ? `<meta name="description" content="${description}">` : ''}</head><body>${body}</body></html>`;
+
+// A blog with a sitemap index, one child sitemap and a page that is gone
+const SITE = {
+  '/sitemap.xml': '<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><sitemap><loc>{base}/post-sitemap.xml</loc></sitemap></sitemapindex>',
+  '/post-sitemap.xml': [
+    '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    '<url><loc>{base}/route-planning-guide/</loc></url>',
+    '<url><loc>{base}/scheduling-software-buyers-guide/</loc><lastmod>2024-05-01</lastmod></url>',
+    '<url><loc>{base}/dispatch-kpis/</loc></url>',
+    '<url><loc>{base}/invoicing-for-plumbers/</loc></url>',
+    '</urlset>'
+  ].join('\n'),
+  '/route-planning-guide/': page('The Complete Guide to Route Planning for Field Teams', 'How to plan efficient routes for technicians &amp; drivers.'),
+  '/scheduling-software-buyers-guide/': page('Choosing Scheduling Software: A Buyer&#39;s Guide', '', '<h1>Buyer guide</h1><p>What to look for in <em>scheduling software</em>.</p>'),
+  '/dispatch-kpis/': page('Dispatch KPIs Every Operations Manager Should Track', 'Measure first-time fix rate and travel time.')
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+  fs.rmSync(process.env.SITE_INDEX_FILE, { force: true });
+});
+
+describe('parseSitemap', () => {
+  test('reads page and sitemap locations, skipping anything that is not http(s)', () => {
+    const xml = [
+      '<urlset><url><loc> https://blog.example.com/a?x=1&amp;y=2 </loc></url>',
+      '<url><loc><![CDATA[https://blog.example.com/b]]></loc></url>',
+      '<url><loc>https://blog.example.com/a?x=1&amp;y=2</loc></url>',
+      '<url><loc>mailto:hello@example.com</loc></url></urlset>'
+    ].join('');
+
+    expect(parseSitemap(xml)).toEqual({ pages: ['https://blog.example.com/a?x=1&y=2', 'https://blog.example.com/b'], sitemaps: [] });
+    expect(parseSitemap('<sitemapindex><sitemap><loc>https://blog.example.com/posts.xml</loc></sitemap></sitemapindex>'))
+      .toEqual({ pages: [], sitemaps: ['https://blog.example.com/posts.xml'] });
+  });
+});
+
+describe('parsePage', () => {
+  test('prefers Open Graph tags and falls back to the title and first paragraph', () => {
+    expect(parsePage('<meta property="og:title" content="Route Planning"><title>Route Planning | Blog</title><meta content="Plan &amp; save." name="description">'))
+      .toEqual({ title: 'Route Planning', excerpt: 'Plan & save.' });
+    expect(parsePage('<title>\n  Dispatch KPIs\n</title><pre>code</pre><p>Track <b>first-time fix</b> rate.</p>'))
+      .toEqual({ title: 'Dispatch KPIs', excerpt: 'Track first-time fix rate.' });
+  });
+});
+
+describe('suggestInternalLinks', () => {
+  test('suggests the related pages with anchor text from the post, best first', () => {
+    expect(suggestInternalLinks(RESULTS, PAGES).map(({ url, anchorText, source }) => ({ url, anchorText, source }))).toEqual([
+      { url: 'https://blog.example.com/dispatch-kpis/', anchorText: 'track dispatch KPIs', source: 'transcript' },
+      { url: 'https://blog.example.com/route-planning-guide/', anchorText: 'Route planning', source: 'keyTakeaways' },
+      { url: 'https://blog.example.com/scheduling-software-buyers-guide/', anchorText: 'Scheduling software', source: 'keyTakeaways' }
+    ]);
+    suggestInternalLinks(RESULTS, PAGES).forEach(suggestion => {
+      expect(suggestion.score).toBeGreaterThan(0);
+      expect(suggestion.score).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('suggests nothing when no page title appears in the post', () => {
+    expect(suggestInternalLinks(RESULTS, PAGES.slice(3))).toEqual([]);
+    expect(suggestInternalLinks(RESULTS, [])).toEqual([]);
+  });
+});
+
+describe('createLinker', () => {
+  test('links each anchor once, at its first mention outside labels and other links', () => {
+    const link = createLinker([
+      { anchorText: 'route planning', url: 'https://blog.example.com/route (guide)' },
+      { anchorText: 'Host', url: 'https://blog.example.com/host' },
+      { anchorText: 'dispatch', url: 'ftp://blog.example.com/dispatch' }
+    ]);
+
+    expect(link('**Host:** Mostly route-planning, and more route planning.'))
+      .toBe('**Host:** Mostly [route-planning](https://blog.example.com/route%20%28guide%29), and more route planning.');
+    expect(link('Route planning again.')).toBe('Route planning again.');
+    expect(link('Our host for dispatch.')).toBe('Our [host](https://blog.example.com/host) for dispatch.');
+  });
+});
+
+describe('sitemap and internal links API', () => {
+  let site;
+
+  beforeAll(async () => {
+    site = await startStubSiteServer(SITE);
+  });
+
+  afterAll(() => site.close());
+
+  test('indexes a sitemap URL, following the sitemap index', async () => {
+    const res = await request(app).post('/api/sitemap').send({ url: `${site.baseUrl}/sitemap.xml` });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sitemapUrl).toBe(`${site.baseUrl}/sitemap.xml`);
+    expect(res.body.pages).toEqual([
+      { url: `${site.baseUrl}/route-planning-guide/`, title: 'The Complete Guide to Route Planning for Field Teams', excerpt: 'How to plan efficient routes for technicians & drivers.' },
+      { url: `${site.baseUrl}/scheduling-software-buyers-guide/`, title: 'Choosing Scheduling Software: A Buyer\'s Guide', excerpt: 'What to look for in scheduling software.' },
+      { url: `${site.baseUrl}/dispatch-kpis/`, title: 'Dispatch KPIs Every Operations Manager Should Track', excerpt: 'Measure first-time fix rate and travel time.' },
+      { url: `${site.baseUrl}/invoicing-for-plumbers/`, title: 'Invoicing for plumbers', excerpt: '' }
+    ]);
+    expect(res.body.unreachable).toEqual([`${site.baseUrl}/invoicing-for-plumbers/`]);
+    expect((await request(app).get('/api/sitemap')).body).toEqual(res.body);
+  });
+
+  test('suggests links for results and for finished jobs', async () => {
+    const res = await request(app).post('/api/internal-links').send({ results: RESULTS });
+
+    expect(res.status).toBe(200);
+    expect(res.body.suggestions.map(suggestion => suggestion.url).sort()).toEqual([
+      `${site.baseUrl}/dispatch-kpis/`,
+      `${site.baseUrl}/route-planning-guide/`,
+      `${site.baseUrl}/scheduling-software-buyers-guide/`
+    ]);
+    expect(res.body.suggestions[0]).toEqual(expect.objectContaining({ anchorText: 'track dispatch KPIs', source: 'transcript', score: expect.any(Number) }));
+
+    const created = await request(app).post('/api/jobs').send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+    let job = created.body;
+    while (!['completed', 'failed'].includes(job.status)) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+    }
+    expect(job.status).toBe('completed');
+    expect(job.results.linkSuggestions.map(suggestion => suggestion.url)).toContain(`${site.baseUrl}/route-planning-guide/`);
+  });
+
+  test('indexes an uploaded sitemap and replaces the previous index', async () => {
+    const xml = `<urlset><url><loc>${site.baseUrl}/dispatch-kpis/</loc></url></urlset>`;
+    const res = await request(app).post('/api/sitemap').send({ xml });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({ sitemapUrl: null, unreachable: [] }));
+    expect(res.body.pages.map(indexed => indexed.title)).toEqual(['Dispatch KPIs Every Operations Manager Should Track']);
+  });
+
+  test('exports link the accepted suggestions', async () => {
+    const internalLinks = [
+      { anchorText: 'Route planning', url: `${site.baseUrl}/route-planning-guide/` },
+      { anchorText: 'track dispatch KPIs', url: `${site.baseUrl}/dispatch-kpis/?ref=video&utm=1` }
+    ];
+
+    const markdown = await request(app).post('/api/export/markdown').send({ results: { ...RESULTS, internalLinks } });
+    expect(markdown.text).toContain(`2. [Route planning](${site.baseUrl}/route-planning-guide/) made the biggest difference for the team.`);
+    expect(markdown.text).toContain('Mostly the route planning.');
+    expect(markdown.text).toContain(`and we [track dispatch KPIs](${site.baseUrl}/dispatch-kpis/?ref=video&utm=1) weekly.`);
+
+    const html = await request(app).post('/api/export/html').send({ results: { ...RESULTS, internalLinks } });
+    expect(html.text).toContain(`<li><a href="${site.baseUrl}/route-planning-guide/">Route planning</a> made the biggest difference for the team.</li>`);
+    expect(html.text).toContain(`we <a href="${site.baseUrl}/dispatch-kpis/?ref=video&amp;utm=1">track dispatch KPIs</a> weekly.`);
+  });
+
+  test('clearing the index stops suggestions', async () => {
+    expect((await request(app).delete('/api/sitemap')).status).toBe(204);
+    expect((await request(app).get('/api/sitemap')).body).toEqual({ sitemapUrl: null, indexedAt: null, pages: [], unreachable: [] });
+
+    const res = await request(app).post('/api/internal-links').send({ results: RESULTS });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Register a sitemap first');
+  });
+
+  test.each([
+    [{}, 400, 'Upload a sitemap.xml or give its url'],
+    [{ url: 'ftp://blog.example.com/sitemap.xml' }, 400, 'url must be an http or https URL'],
+    [{ xml: '<urlset></urlset>' }, 400, 'The sitemap lists no page URLs'],
+    [{ url: 'http://127.0.0.1:9/sitemap.xml' }, 502, expect.stringMatching(/^Could not fetch the sitemap: /)]
+  ])('rejects %p', async (body, status, error) => {
+    const res = await request(app).post('/api/sitemap').send(body);
+    expect(res.status).toBe(status);
+    expect(res.body.error).toEqual(error);
+  });
+
+  test('a job answers 500 when the site index can\'t be read', async () => {
+    fs.writeFileSync(process.env.SITE_INDEX_FILE, '{ not json');
+    try {
+      const res = await request(app).post('/api/jobs').send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+      expect(res.status).toBe(500);
+      expect(res.body.error).toMatch(/^Failed to start job: /);
+    } finally {
+      fs.rmSync(process.env.SITE_INDEX_FILE, { force: true });
+    }
+  });
+
+  test('requires results with a transcript', async () => {
+    const res = await request(app).post('/api/internal-links').send({ results: { seoTitle: 'x' } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('results with a formattedTranscript are required');
+  });
+});
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { createJobManager } = require('../jobs');
+const { runConversion } = require('../pipeline');
+const { startStubLLMServer, anthropicStream } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const TRANSCRIPT = [
+  'Host: Welcome to the webinar on dispatch software.',
+  'Guest: We cut our scheduling time by 40 percent in three months.',
+  'Host: What made the difference for the team?',
+  'Guest: Route planning, and drivers getting jobs on their phones.'
+].join('\n\n');
+
+const VALID_SEO = {
+  seoTitle: 'Dispatch Software Webinar',
+  metaDescription: 'How route planning cut scheduling time by 40 percent.',
+  faqs: [1, 2, 3, 4, 5].map(i => ({ question: `Question ${i}?`, answer: `Answer ${i}.` })),
+  keyTakeaways: [1, 2, 3, 4].map(i => `Takeaway ${i}.`)
+};
+
+// Read a job's event stream to the end and return the parsed events
+const readEvents = async (id) => {
+  const res = await request(app)
+    .get(`/api/jobs/${id}/events`)
+    .buffer(true)
+    .parse((response, callback) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => callback(null, text));
+    });
+
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+  return res.body
+    .split('\n\n')
+    .filter(block => block.startsWith('data: '))
+    .map(block => JSON.parse(block.slice('data: '.length)));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+afterAll(() => {
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('POST /api/jobs', () => {
+  test('runs the pipeline in the background, streams progress and saves the result', async () => {
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT, outputMode: 'both' });
+
+    expect(created.status).toBe(202);
+    expect(created.body.id).toBeTruthy();
+    expect(Object.keys(created.body.steps)).toEqual(['validate', 'extract', 'clean', 'generate', 'article', 'finalize']);
+
+    const events = await readEvents(created.body.id);
+    expect(events[0].type).toBe('snapshot');
+
+    const result = events[events.length - 1];
+    expect(result.type).toBe('result');
+    expect(result.results.videoId).toBe('dQw4w9WgXcQ');
+    expect(result.results.formattedTranscript).toContain('**Host:**');
+    expect(result.results.faqs).toHaveLength(5);
+    expect(result.results.article.markdown).toBeTruthy();
+
+    const job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+    expect(job.status).toBe('completed');
+    expect(Object.values(job.steps).map(step => step.status)).toEqual(Array(6).fill('completed'));
+    expect(job.conversionId).toBe(result.conversionId);
+
+    const saved = await request(app).get(`/api/conversions/${job.conversionId}`);
+    expect(saved.status).toBe(200);
+    expect(saved.body.results.seoTitle).toBe(result.results.seoTitle);
+    expect(saved.body.rawTranscript).toBe(TRANSCRIPT);
+  });
+
+  test('keeps the pasted transcript in history when it differs from the parsed text', async () => {
+    const srt = '1\n00:00:01,000 --> 00:00:04,000\nHost: Welcome to the webinar on dispatch software.\n';
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({
+        url: 'https://youtu.be/dQw4w9WgXcQ',
+        transcript: 'Host: Welcome to the webinar on dispatch software.',
+        rawTranscript: srt,
+        segments: [{ start: 1, end: 4, text: 'Host: Welcome to the webinar on dispatch software.' }],
+        transcriptFormat: 'srt'
+      });
+    const events = await readEvents(created.body.id);
+    const { conversionId, results } = events[events.length - 1];
+
+    expect(results.transcriptFormat).toBe('srt');
+    expect(results.segments).toHaveLength(1);
+    const saved = await request(app).get(`/api/conversions/${conversionId}`);
+    expect(saved.body.rawTranscript).toBe(srt);
+  });
+
+  test('a reconnect after the job finished gets the outcome in the snapshot', async () => {
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+    await readEvents(created.body.id);
+
+    const events = await readEvents(created.body.id);
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe('snapshot');
+    expect(events[0].job.status).toBe('completed');
+    expect(events[0].job.results.seoTitle).toBeTruthy();
+    expect(events[0].job.preview.generate).toContain('seoTitle');
+  });
+
+  test('fails the validate step for an invalid URL', async () => {
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({ url: 'https://example.com/not-a-video', transcript: TRANSCRIPT });
+    expect(created.status).toBe(202);
+
+    const [snapshot] = await readEvents(created.body.id);
+    expect(snapshot.job.status).toBe('failed');
+    expect(snapshot.job.error).toBe('Not a YouTube, Vimeo or Loom video URL');
+    expect(snapshot.job.steps.validate.status).toBe('failed');
+  });
+
+  test('rejects requests without a URL or transcript', async () => {
+    const noUrl = await request(app).post('/api/jobs').send({ transcript: TRANSCRIPT });
+    expect(noUrl.status).toBe(400);
+
+    const noTranscript = await request(app).post('/api/jobs').send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: '  ' });
+    expect(noTranscript.status).toBe(400);
+    expect(noTranscript.body.error).toBe('Transcript is required');
+  });
+
+  test('returns 404 for unknown jobs', async () => {
+    expect((await request(app).get('/api/jobs/missing')).status).toBe(404);
+    expect((await request(app).get('/api/jobs/missing/events')).status).toBe(404);
+    expect((await request(app).delete('/api/jobs/missing')).status).toBe(404);
+  });
+
+  test('streams model tokens from an OpenAI-compatible provider', async () => {
+    const stub = await startStubLLMServer((payload) => {
+      const prompt = payload.messages.map(m => m.content).join('\n');
+      if (prompt.includes('Clean up this video transcript')) {
+        return { stream: ['**Host:** Welcome ', 'to the webinar.'] };
+      }
+      const json = JSON.stringify(VALID_SEO);
+      return { stream: [json.slice(0, 20), json.slice(20)] };
+    });
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+      const events = await readEvents(created.body.id);
+
+      expect(stub.requests.every(r => r.payload.stream === true)).toBe(true);
+      const result = events[events.length - 1];
+      expect(result.type).toBe('result');
+      expect(result.results.formattedTranscript).toBe('**Host:** Welcome to the webinar.');
+      expect(result.results.seoTitle).toBe(VALID_SEO.seoTitle);
+
+      const job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+      expect(job.preview['clean:1']).toBe('**Host:** Welcome to the webinar.');
+      expect(job.preview.generate).toBe(JSON.stringify(VALID_SEO));
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+  test('streams model tokens from Anthropic, prefill included', async () => {
+    const stub = await startStubLLMServer((payload) => {
+      const prompt = payload.messages.map(m => m.content).join('\n');
+      if (prompt.includes('Clean up this video transcript')) {
+        return { events: anthropicStream(['**Host:** Welcome ', 'to the webinar.']) };
+      }
+      // The reply continues the prefilled "{"
+      const json = JSON.stringify(VALID_SEO).slice(1);
+      return { events: anthropicStream([json.slice(0, 20), json.slice(20)]) };
+    });
+    const restore = withEnv({ LLM_PROVIDER: 'anthropic', LLM_BASE_URL: stub.baseUrl, ANTHROPIC_API_KEY: 'sk-ant-test' });
+
+    try {
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+      const events = await readEvents(created.body.id);
+
+      expect(stub.requests.every(r => r.url === '/v1/messages' && r.payload.stream === true)).toBe(true);
+      const result = events[events.length - 1];
+      expect(result.type).toBe('result');
+      expect(result.results.formattedTranscript).toBe('**Host:** Welcome to the webinar.');
+      expect(result.results.seoTitle).toBe(VALID_SEO.seoTitle);
+
+      const job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+      expect(job.preview['clean:1']).toBe('**Host:** Welcome to the webinar.');
+      expect(job.preview.generate).toBe(JSON.stringify(VALID_SEO));
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('fails the job on an Anthropic stream error event', async () => {
+    const stub = await startStubLLMServer(() => ({
+      events: [
+        ...anthropicStream(['**Host:** Welcome ']).slice(0, 4),
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ]
+    }));
+    const restore = withEnv({ LLM_PROVIDER: 'anthropic', LLM_BASE_URL: stub.baseUrl, ANTHROPIC_API_KEY: 'sk-ant-test' });
+
+    try {
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+      await readEvents(created.body.id);
+
+      const job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+      expect(job.status).toBe('failed');
+      expect(job.error).toBe('API request failed (500): Overloaded');
+      expect(job.steps.clean).toEqual({ status: 'failed', description: 'Error: API request failed (500): Overloaded' });
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+});
+
+describe('job manager', () => {
+  const conversions = { create: jest.fn(async (fields) => ({ id: 'conversion-1', ...fields })) };
+
+  beforeEach(() => conversions.create.mockClear());
+
+  test('emits step and token events as the pipeline runs', async () => {
+    const jobs = createJobManager({ conversions, runConversion });
+    const job = jobs.create({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+    // The first model call has already started when create() returns
+    expect(jobs.get(job.id).steps.clean.status).toBe('active');
+
+    const events = [];
+    const done = new Promise(resolve => {
+      jobs.subscribe(job.id, event => {
+        events.push(event);
+        if (event.type === 'result') resolve();
+      });
+    });
+    await done;
+
+    const tokens = events.filter(e => e.type === 'token');
+    expect(tokens.filter(e => e.step === 'clean').map(e => e.text).join('')).toContain('**Host:**');
+    expect(tokens.every(e => e.step !== 'clean' || e.chunk === 1)).toBe(true);
+    expect(tokens.some(e => e.step === 'generate')).toBe(true);
+
+    const steps = events.filter(e => e.type === 'step').map(e => `${e.step}:${e.status}`);
+    expect(steps).toEqual([
+      'clean:completed',
+      'generate:active', 'generate:completed',
+      'finalize:active', 'finalize:completed'
+    ]);
+    expect(events.map(e => e.seq)).toEqual([...events.map(e => e.seq)].sort((x, y) => x - y));
+    expect(conversions.create).toHaveBeenCalledWith(expect.objectContaining({ jobId: job.id }));
+  });
+
+  test('cancel aborts the running conversion and nothing is saved', async () => {
+    let aborted = false;
+    const runConversion = (input, { signal, onStep }) => new Promise((resolve, reject) => {
+      onStep('clean');
+      signal.addEventListener('abort', () => {
+        aborted = true;
+        reject(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+      });
+    });
+    const jobs = createJobManager({ conversions, runConversion });
+    const job = jobs.create({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+    const events = [];
+    jobs.subscribe(job.id, event => events.push(event));
+
+    expect(jobs.get(job.id).steps.clean.status).toBe('active');
+    const canceled = jobs.cancel(job.id);
+    await sleep(0);
+
+    expect(aborted).toBe(true);
+    expect(canceled.status).toBe('canceled');
+    expect(canceled.steps.clean).toEqual({ status: 'failed', description: 'Canceled' });
+    expect(events.map(e => e.type)).toEqual(['canceled']);
+    expect(conversions.create).not.toHaveBeenCalled();
+  });
+
+  test('reports a pipeline failure on the step that was running', async () => {
+    const runConversion = async (input, { onStep }) => {
+      onStep('clean');
+      onStep('generate');
+      throw new Error('Generated content failed validation');
+    };
+    const jobs = createJobManager({ conversions, runConversion });
+    const job = jobs.create({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT });
+    await sleep(0);
+
+    const failed = jobs.get(job.id);
+    expect(failed.status).toBe('failed');
+    expect(failed.steps.clean.status).toBe('completed');
+    expect(failed.steps.generate).toEqual({ status: 'failed', description: 'Error: Generated content failed validation' });
+    expect(jobs.cancel(job.id).status).toBe('failed');
+  });
+});
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const JSZip = require('jszip');
+const request = require('supertest');
+const app = require('../../server');
+const { detectLanguage, normalizeLanguages } = require('../languages');
+const { startStubLLMServer, completion } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const SPANISH = [
+  'Anfitrión: Bienvenidos al programa. Hoy hablamos de Docket y de cómo cambió nuestro despacho.',
+  'Invitada: Gracias por invitarme. Redujimos el tiempo de planificación en un 40 por ciento en los primeros tres meses.',
+  'Anfitrión: Es una cifra muy grande. ¿Qué marcó la diferencia para el equipo?',
+  'Invitada: Sobre todo la planificación de rutas. Los conductores reciben sus trabajos en el teléfono cada mañana.'
+].join('\n\n');
+
+const ENGLISH = [
+  'Host: Welcome to the show. Today we are talking about Docket and how it changed our dispatch.',
+  'Guest: Thanks for having me. We cut our scheduling time by 40 percent in the first three months.',
+  'Host: That is a big number. What made the difference for your team?',
+  'Guest: Mostly the route planning. Our drivers get their jobs on their phones every morning.'
+].join('\n\n');
+
+// Run a job to the end and return it
+const runJob = async (body) => {
+  const created = await request(app).post('/api/jobs').send(body);
+  expect(created.status).toBe(202);
+
+  let job = created.body;
+  while (!['completed', 'failed'].includes(job.status)) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+  }
+  return job;
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('detectLanguage', () => {
+  test.each([
+    [ENGLISH, 'en'],
+    [SPANISH, 'es'],
+    ['**Moderator:** Wir haben die Planung mit Docket um 40 Prozent verkürzt, und das ist für uns sehr wichtig.', 'de'],
+    ['**Hôte :** Nous avons réduit le temps de planification de 40 pour cent avec Docket, et c\'est très important pour nous.', 'fr'],
+    ['司会: 今日はDocketについて話します。スケジュールの時間を40パーセント短縮しました。', 'ja'],
+    ['Ведущий: Сегодня мы говорим о Docket и о том, как он изменил нашу диспетчерскую.', 'ru']
+  ])('%s', (text, code) => {
+    expect(detectLanguage(text).code).toBe(code);
+  });
+
+  test('falls back to English with no confidence when there is nothing to go on', () => {
+    expect(detectLanguage('00:01 Docket 42')).toEqual({ code: 'en', name: 'English', confidence: 0 });
+  });
+});
+
+describe('normalizeLanguages', () => {
+  test('accepts codes as a list or comma-separated, dropping the source language', () => {
+    expect(normalizeLanguages('ES, fr,es,en', 'en')).toEqual({ languages: ['es', 'fr'] });
+    expect(normalizeLanguages(['de'])).toEqual({ languages: ['de'] });
+    expect(normalizeLanguages(undefined)).toEqual({ languages: [] });
+  });
+
+  test('rejects unknown codes', () => {
+    expect(normalizeLanguages(['es', 'xx']).error).toMatch(/^Unknown language\(s\): xx\. Use: en, es, /);
+    expect(normalizeLanguages(42).error).toBe('languages must be a string or an array of language codes');
+  });
+});
+
+describe('source language', () => {
+  test('cleaning and generation are told the detected language, and the schema declares it', async () => {
+    const stub = await startStubLLMServer(({ messages }) => ({
+      body: completion(messages[messages.length - 1].content.includes('Return ONLY a valid JSON')
+        ? JSON.stringify({
+          seoTitle: 'Cómo Docket redujo la planificación',
+          metaDescription: 'Un equipo explica cómo la planificación de rutas redujo el tiempo un 40 por ciento.',
+          faqs: [1, 2, 3, 4, 5].map(i => ({ question: `¿Pregunta ${i}?`, answer: `Respuesta ${i}.` })),
+          keyTakeaways: [1, 2, 3, 4].map(i => `Conclusión ${i}.`)
+        })
+        : '**Anfitrión:** Bienvenidos al programa.')
+    }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const cleaned = await request(app).post('/api/clean-transcript').send({ transcript: SPANISH });
+      expect(cleaned.body.language).toMatchObject({ code: 'es', name: 'Spanish' });
+      expect(stub.requests[0].payload.messages[0].content).toContain('The transcript is in Spanish. Keep it in Spanish - DO NOT translate it');
+
+      const generated = await request(app).post('/api/generate-content').send({ transcript: SPANISH, schemaFormat: 'both' });
+      expect(generated.status).toBe(200);
+      expect(stub.requests[1].payload.messages[1].content).toContain('Write every field in Spanish, the language of the transcript.');
+      expect(generated.body.schemaMarkup).toContain('<meta itemprop="inLanguage" content="es">');
+      expect(generated.body.schemaMarkup).toContain('"inLanguage": "es"');
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('a given language overrides detection', async () => {
+    const res = await request(app).post('/api/clean-transcript').send({ transcript: ENGLISH, language: 'pt' });
+    expect(res.body.language).toEqual({ code: 'pt', name: 'Portuguese', confidence: 1 });
+  });
+
+  test.each([
+    ['/api/clean-transcript', { transcript: ENGLISH, language: 'xx' }, /^language must be one of: en, es/],
+    ['/api/jobs', { url: 'https://youtu.be/dQw4w9WgXcQ', transcript: ENGLISH, languages: ['es', 'klingon'] }, /^Unknown language\(s\): klingon/],
+    ['/api/faq-schema', { faqs: [], language: 'xx' }, /^language must be one of/]
+  ])('%s rejects unknown languages', async (url, body, error) => {
+    const res = await request(app).post(url).send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(error);
+  });
+});
+
+describe('translations', () => {
+  test('a job translates the transcript and SEO package into each target language', async () => {
+    const job = await runJob({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: ENGLISH, languages: ['es', 'de', 'en'] });
+
+    expect(job.status).toBe('completed');
+    expect(job.steps.translate.status).toBe('completed');
+    expect(job.results.language.code).toBe('en');
+    expect(Object.keys(job.results.translations)).toEqual(['es', 'de']);
+
+    const spanish = job.results.translations.es;
+    expect(spanish.language).toEqual({ code: 'es', name: 'Spanish' });
+    expect(spanish.formattedTranscript).toContain('**Host:** [es] Welcome to the show.');
+    expect(spanish.seoTitle.startsWith('[es] ')).toBe(true);
+    expect(spanish.faqs).toHaveLength(job.results.faqs.length);
+    expect(spanish.keyTakeaways).toHaveLength(job.results.keyTakeaways.length);
+    expect(spanish.schemaMarkup).toContain('<meta itemprop="inLanguage" content="es">');
+  });
+
+  test('a job asked to translate only into the detected source language finishes the translate step', async () => {
+    const job = await runJob({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: ENGLISH, languages: ['en'] });
+
+    expect(job.status).toBe('completed');
+    expect(job.steps.translate).toEqual({ status: 'completed', description: 'Already in English, nothing to translate' });
+    expect(job.results.translations).toEqual({});
+  });
+
+  test('/api/translate translates finished results on demand', async () => {
+    const generated = await request(app).post('/api/generate-content').send({ transcript: ENGLISH });
+    const results = { ...generated.body, formattedTranscript: '**Host:** Welcome.\n\n**Guest:** Thanks.' };
+
+    const res = await request(app).post('/api/translate').send({ results, language: 'fr' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.formattedTranscript).toBe('**Host:** [fr] Welcome.\n\n**Guest:** [fr] Thanks.');
+    expect(res.body.faqs[0].question).toBe(`[fr] ${results.faqs[0].question}`);
+  });
+
+  test('a translation that drops an FAQ is rejected', async () => {
+    const stub = await startStubLLMServer(({ messages }) => ({
+      body: completion(messages[0].content.startsWith('Translate this SEO content')
+        ? JSON.stringify({ seoTitle: 'Título', metaDescription: 'Descripción', faqs: [], keyTakeaways: ['Uno'] })
+        : '**Host:** Hola.')
+    }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const res = await request(app).post('/api/translate').send({
+        results: { formattedTranscript: '**Host:** Hello.', seoTitle: 'Title', metaDescription: 'Description', faqs: [{ question: 'Q?', answer: 'A.' }], keyTakeaways: ['One'] },
+        language: 'es'
+      });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Translated content failed validation');
+      expect(stub.requests[0].payload.messages[0].content).toContain('Translate this cleaned video transcript from English into Spanish.');
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test.each([
+    [{ results: { formattedTranscript: 'x', seoTitle: 'x' }, language: 'xx' }, /^language must be one of/],
+    [{ results: { formattedTranscript: 'x', seoTitle: 'x', language: { code: 'es' } }, language: 'es' }, /^The results are already in Spanish$/],
+    [{ language: 'es' }, /^results with a formattedTranscript and seoTitle are required$/]
+  ])('/api/translate rejects %p', async (body, error) => {
+    const res = await request(app).post('/api/translate').send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(error);
+  });
+});
+
+describe('multilingual exports', () => {
+  const RESULTS = {
+    outputMode: 'transcript',
+    article: null,
+    videoId: 'dQw4w9WgXcQ',
+    thumbnailUrl: '',
+    formattedTranscript: '**Host:** Welcome.',
+    seoTitle: 'Dispatch Software',
+    metaDescription: 'How dispatch changed.',
+    faqs: [{ question: 'What changed?', answer: 'Routes.' }],
+    keyTakeaways: ['Routes matter.'],
+    schemaFormat: 'jsonld',
+    language: { code: 'en', name: 'English', confidence: 0.9 },
+    translations: {
+      es: {
+        language: { code: 'es', name: 'Spanish' },
+        formattedTranscript: '**Host:** Bienvenidos.',
+        seoTitle: 'Software de despacho',
+        metaDescription: 'Cómo cambió el despacho.',
+        faqs: [{ question: '¿Qué cambió?', answer: 'Las rutas.' }],
+        keyTakeaways: ['Las rutas importan.'],
+        schemaMarkup: ''
+      }
+    }
+  };
+
+  test('html in a translation has its lang, inLanguage and hreflang links to every language', async () => {
+    const res = await request(app)
+      .post('/api/export/html')
+      .send({ results: RESULTS, slug: 'dispatch', language: 'es', baseUrl: 'https://blog.example.com/' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="dispatch.es.html"');
+    expect(res.text).toContain('<html lang="es">');
+    expect(res.text).toContain('<h1>Software de despacho</h1>');
+    expect(res.text).toContain('"inLanguage": "es"');
+    expect(res.text).toContain('<link rel="alternate" hreflang="en" href="https://blog.example.com/en/dispatch.html">');
+    expect(res.text).toContain('<link rel="alternate" hreflang="es" href="https://blog.example.com/es/dispatch.html">');
+    expect(res.text).toContain('<link rel="alternate" hreflang="x-default" href="https://blog.example.com/en/dispatch.html">');
+  });
+
+  test('markdown front matter has the language and alternates', async () => {
+    const res = await request(app).post('/api/export/markdown').send({ results: RESULTS, slug: 'dispatch' });
+
+    expect(res.text).toContain('lang: "en"');
+    expect(res.text).toContain('alternates:\n  - hreflang: "en"\n    href: "../en/dispatch.html"\n  - hreflang: "es"\n    href: "../es/dispatch.html"');
+    expect(res.text).toContain('# Dispatch Software');
+  });
+
+  test('zip has a folder per language', async () => {
+    const res = await request(app)
+      .post('/api/export/zip')
+      .send({ results: RESULTS, slug: 'dispatch' })
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    const zip = await JSZip.loadAsync(res.body);
+    expect(Object.keys(zip.files).sort()).toEqual([
+      'dispatch.json', 'en/', 'en/dispatch.docx', 'en/dispatch.html', 'en/dispatch.md',
+      'es/', 'es/dispatch.docx', 'es/dispatch.html', 'es/dispatch.md'
+    ]);
+    expect(await zip.file('es/dispatch.md').async('string')).toContain('**Host:** Bienvenidos.');
+  });
+
+  test('rejects a language the results were not translated into', async () => {
+    const res = await request(app).post('/api/export/html').send({ results: RESULTS, language: 'fr' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No French translation in these results');
+  });
+});
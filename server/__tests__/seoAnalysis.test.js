@@ -0,0 +1,238 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { normalizeKeywords, findKeyword, fleschReadingEase, analyzeSeo } = require('../../src/shared/seoAnalysis');
+const { startStubLLMServer, completion } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const TRANSCRIPT = [
+  'Host: Welcome to the show. Today we are talking about schedule software and how it changed our dispatch.',
+  'Guest: Thanks for having me. We cut our scheduling time by 40 percent in the first three months.',
+  'Host: That is a big number. What made the difference for your team?',
+  'Guest: Mostly the route planning. Our drivers get their jobs on their phones every morning.'
+].join('\n\n');
+
+const RESULTS = {
+  seoTitle: 'Schedule Software: How One Team Cut Dispatch Time by 40 Percent',
+  metaDescription: 'A field service team explains how scheduling software and route planning cut their dispatch time by 40 percent in three months.',
+  faqs: [
+    { question: 'Which schedule software did the team pick?', answer: 'Docket.' },
+    { question: 'How much time did they save?', answer: 'About 40 percent.' }
+  ],
+  keyTakeaways: ['Scheduled jobs reach drivers on their phones.'],
+  formattedTranscript: [
+    '**Choosing schedule software**',
+    '**Host:** Welcome to the show. Today we talk about schedule software.',
+    '**Guest:** Thanks for having me. We cut our scheduling time by 40 percent. Our old schedule software was slow.',
+    '**Host:** What made the difference?',
+    '**Guest:** Mostly the route planning. Our drivers get their jobs on their phones every morning.'
+  ].join('\n\n')
+};
+
+const SEO = {
+  seoTitle: 'Schedule Software That Cut Dispatch Time by 40 Percent',
+  metaDescription: 'How a field service team used schedule software and route planning to cut scheduling time by 40 percent in their first three months.',
+  faqs: [1, 2, 3, 4, 5].map(i => ({ question: `Question ${i}?`, answer: `Answer ${i}.` })),
+  keyTakeaways: [1, 2, 3, 4].map(i => `Takeaway ${i}.`)
+};
+
+// Every message of the stub's `index`th request, system prompt included
+const promptOf = (stub, index) => stub.requests[index].payload.messages.map(message => message.content).join('\n\n');
+
+const statuses = (analysis) => Object.fromEntries(analysis.checks.map(item => [item.id, item.status]));
+
+// Run a job to the end and return it
+const runJob = async (body) => {
+  const created = await request(app).post('/api/jobs').send(body);
+  expect(created.status).toBe(202);
+
+  let job = created.body;
+  while (!['completed', 'failed'].includes(job.status)) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+  }
+  return job;
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('normalizeKeywords', () => {
+  test('trims, splits and dedupes the secondary keywords without the focus keyword', () => {
+    expect(normalizeKeywords('  schedule   software ', 'Route planning, route planning, , Schedule Software, dispatch'))
+      .toEqual({ keywords: { focus: 'schedule software', secondary: ['Route planning', 'dispatch'] } });
+    expect(normalizeKeywords(undefined, ['dispatch'])).toEqual({ keywords: { focus: '', secondary: ['dispatch'] } });
+  });
+
+  test.each([
+    ['focusKeyword must be a string', 42, undefined],
+    ['secondaryKeywords must be a string or an array of keywords', 'dispatch', { a: 1 }],
+    ['Keywords must be at most 80 characters', 'x'.repeat(81), undefined],
+    ['At most 10 secondary keywords are allowed', 'dispatch', Array.from({ length: 11 }, (_, i) => `keyword ${i}`)]
+  ])('%s', (error, focus, secondary) => {
+    expect(normalizeKeywords(focus, secondary)).toEqual({ error });
+  });
+});
+
+describe('findKeyword', () => {
+  test('counts exact matches and word-ending variants in English', () => {
+    expect(findKeyword('Scheduling software and schedule software, plus scheduled softwares.', 'schedule software', true)).toEqual({
+      exact: 1,
+      variants: { 'scheduling software': 1, 'scheduled softwares': 1 },
+      total: 3,
+      first: 0,
+      words: 8
+    });
+  });
+
+  test('only matches the exact words in other languages', () => {
+    expect(findKeyword('Scheduling software', 'schedule software', false).total).toBe(0);
+    expect(findKeyword('El software de planificación', 'software de planificación', false).exact).toBe(1);
+  });
+});
+
+describe('fleschReadingEase', () => {
+  test('scores short plain sentences higher than long technical ones', () => {
+    expect(fleschReadingEase('The cat sat on the mat.')).toBe(100);
+    expect(fleschReadingEase('Comprehensive organizational transformation necessitates considerable interdepartmental communication.')).toBe(0);
+    expect(fleschReadingEase('')).toBeNull();
+  });
+});
+
+describe('analyzeSeo', () => {
+  test('checks the keyword in every place it should appear', () => {
+    const analysis = analyzeSeo(RESULTS, { focus: 'schedule software', secondary: ['route planning', 'payroll'] });
+
+    expect(statuses(analysis)).toEqual({
+      keywordInTitle: 'good',
+      keywordInMeta: 'ok',
+      keywordInFaqs: 'good',
+      keywordInHeadings: 'good',
+      keywordDensity: 'bad',
+      keywordVariants: 'ok',
+      secondaryKeywords: 'ok',
+      titleLength: 'good',
+      metaLength: 'good',
+      readability: 'good'
+    });
+    expect(analysis.checks.find(item => item.id === 'secondaryKeywords').text).toBe('1 of 2 secondary keywords are used. Missing: payroll.');
+    expect(analysis.variants).toEqual(['scheduling software']);
+    expect(analysis.density).toBe(8.7);
+    expect(analysis.readability).toEqual({ score: 77, label: 'easy' });
+    expect(analysis).toMatchObject({ score: 75, rating: 'good' });
+  });
+
+  test('flags a missing keyword and applies the given limits', () => {
+    const analysis = analyzeSeo(RESULTS, { focus: '', secondary: [] }, { titleMax: 50 });
+
+    expect(statuses(analysis)).toEqual({ focusKeyword: 'bad', titleLength: 'bad', metaLength: 'good', readability: 'good' });
+    expect(analysis.checks[1].text).toBe('The SEO title is 63 characters, over the 50-character limit, so search engines will cut it off.');
+    expect(analysis).toMatchObject({ score: 50, rating: 'ok', density: null });
+  });
+
+  test('skips readability and variants outside English', () => {
+    const analysis = analyzeSeo({ ...RESULTS, language: { code: 'de', name: 'German' } }, { focus: 'schedule software', secondary: [] });
+
+    expect(analysis.readability).toBeNull();
+    expect(analysis.checks.map(item => item.id)).not.toContain('readability');
+    expect(statuses(analysis).keywordInMeta).toBe('bad');
+    expect(analysis.variants).toEqual([]);
+  });
+});
+
+describe('keyword targeting', () => {
+  test('generate-content scores the mock content against the keywords', async () => {
+    const res = await request(app)
+      .post('/api/generate-content')
+      .send({ transcript: TRANSCRIPT, focusKeyword: 'schedule software', secondaryKeywords: 'route planning' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.keywords).toEqual({ focus: 'schedule software', secondary: ['route planning'] });
+    expect(res.body.seoAnalysis.checks.map(item => item.id)).toEqual(expect.arrayContaining(['keywordInTitle', 'keywordInMeta', 'secondaryKeywords']));
+    expect(res.body.seoAnalysis.score).toEqual(expect.any(Number));
+  });
+
+  test('generate-content and regenerate-section send the keywords to the model', async () => {
+    let reply = SEO;
+    const stub = await startStubLLMServer(() => ({ body: completion(JSON.stringify(reply)) }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+    try {
+      const res = await request(app)
+        .post('/api/generate-content')
+        .send({ transcript: TRANSCRIPT, focusKeyword: 'schedule software', secondaryKeywords: ['route planning', 'dispatch'] });
+
+      expect(res.status).toBe(200);
+      const prompt = promptOf(stub, 0);
+      expect(prompt).toContain('TARGET KEYWORDS:\n- Focus keyword: "schedule software"');
+      expect(prompt).toContain('- Secondary keywords: route planning, dispatch');
+      expect(statuses(res.body.seoAnalysis)).toMatchObject({ keywordInTitle: 'good', keywordInMeta: 'good', keywordInFaqs: 'bad', secondaryKeywords: 'good' });
+
+      reply = { seoTitle: 'Schedule Software for Field Service Dispatch Teams' };
+      const regenerated = await request(app)
+        .post('/api/regenerate-section')
+        .send({ transcript: TRANSCRIPT, section: 'seoTitle', current: SEO, focusKeyword: 'schedule software' });
+
+      expect(regenerated.status).toBe(200);
+      expect(promptOf(stub, 1)).toContain('- Focus keyword: "schedule software"');
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('prompts leave the keyword block out without keywords', async () => {
+    const stub = await startStubLLMServer(() => ({ body: completion(JSON.stringify(SEO)) }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+    try {
+      const res = await request(app).post('/api/generate-content').send({ transcript: TRANSCRIPT });
+
+      expect(res.status).toBe(200);
+      expect(promptOf(stub, 0)).not.toContain('TARGET KEYWORDS');
+      expect(statuses(res.body.seoAnalysis).focusKeyword).toBe('bad');
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('jobs keep the keywords and their analysis in the results', async () => {
+    const job = await runJob({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT, focusKeyword: 'schedule software' });
+
+    expect(job.status).toBe('completed');
+    expect(job.results.keywords).toEqual({ focus: 'schedule software', secondary: [] });
+    expect(job.results.seoAnalysis.checks[0].id).toBe('keywordInTitle');
+  });
+
+  test.each([
+    ['/api/generate-content', { transcript: TRANSCRIPT, secondaryKeywords: 5 }],
+    ['/api/regenerate-section', { transcript: TRANSCRIPT, section: 'seoTitle', current: SEO, focusKeyword: ['a'] }],
+    ['/api/jobs', { url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT, focusKeyword: 'x'.repeat(81) }]
+  ])('%s rejects invalid keywords', async (url, body) => {
+    const res = await request(app).post(url).send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^(focusKeyword|secondaryKeywords|Keywords) /);
+  });
+});
+
+describe('POST /api/seo-analysis', () => {
+  test('analyzes edited results with the SEO limits', async () => {
+    const res = await request(app)
+      .post('/api/seo-analysis')
+      .send({ results: RESULTS, focusKeyword: 'schedule software', secondaryKeywords: 'route planning, payroll' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(analyzeSeo(RESULTS, { focus: 'schedule software', secondary: ['route planning', 'payroll'] }, { titleMax: 65, metaMax: 160 }));
+  });
+
+  test.each([
+    [{}, 'results with a seoTitle are required'],
+    [{ results: RESULTS, focusKeyword: 7 }, 'focusKeyword must be a string'],
+    [{ results: RESULTS, templates: { seo: 'missing' } }, expect.stringMatching(/seo/)]
+  ])('rejects %p', async (body, error) => {
+    const res = await request(app).post('/api/seo-analysis').send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toEqual(error);
+  });
+});
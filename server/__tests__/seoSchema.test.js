@@ -0,0 +1,47 @@
+const { validateSeoContent, shortenToLimit, fieldOf } = require('../seoSchema');
+
+const valid = {
+  seoTitle: 'A title',
+  metaDescription: 'A description',
+  faqs: [1, 2, 3, 4, 5].map(i => ({ question: `Q${i}?`, answer: `A${i}.` })),
+  keyTakeaways: ['One', 'Two', 'Three', 'Four']
+};
+
+describe('validateSeoContent', () => {
+  it('accepts valid content', () => {
+    expect(validateSeoContent(valid)).toEqual([]);
+  });
+
+  it('reports lengths, counts, types and missing fields with paths', () => {
+    const errors = validateSeoContent({
+      seoTitle: 'x'.repeat(70),
+      metaDescription: 42,
+      faqs: [{ question: 'Q?' }],
+      keyTakeaways: ['One', '', 'Three', 'Four', 'Five']
+    });
+
+    expect(errors.map(error => `${error.path} ${error.keyword}`)).toEqual([
+      'seoTitle maxLength',
+      'metaDescription type',
+      'faqs minItems',
+      'faqs[0].answer required',
+      'keyTakeaways maxItems',
+      'keyTakeaways[1] minLength'
+    ]);
+    expect(errors.map(fieldOf)).toEqual(['seoTitle', 'metaDescription', 'faqs', 'faqs', 'keyTakeaways', 'keyTakeaways']);
+  });
+
+  it('rejects non-object content', () => {
+    expect(validateSeoContent([])).toEqual([{ path: '(root)', keyword: 'type', message: 'must be an object' }]);
+  });
+});
+
+describe('shortenToLimit', () => {
+  it('cuts at a word boundary without trailing separators', () => {
+    expect(shortenToLimit('Scheduling, Dispatch - and Route Planning', 22)).toBe('Scheduling, Dispatch');
+  });
+
+  it('leaves short strings alone', () => {
+    expect(shortenToLimit('Short', 65)).toBe('Short');
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { SOCIAL_LIMITS, locateQuote, normalizeSocialPack } = require('../social');
+const { startStubLLMServer, completion } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const TRANSCRIPT = [
+  '**Host:** Welcome to the show. Today we are talking about dispatch software.',
+  '**Guest:** Thanks for having me. We cut our scheduling time by 40 percent in three months.',
+  '**Host:** That is a big number. What made the "difference" for your team?',
+  '**Guest:** Mostly the route planning.\nOur drivers get their jobs on their phones every morning.'
+].join('\n\n');
+
+const PACK = {
+  linkedin: { text: 'Scheduling used to take all week.\n\n#dispatch', quote: { quote: 'We cut our scheduling time by 40 percent in three months.', speaker: 'Guest' } },
+  xThread: { posts: ['Hook post.', 'Second post.', 'Third post.'], quote: { quote: 'Mostly the route planning.', speaker: 'Guest' } },
+  newsletter: { subject: 'How one team cut scheduling by 40%', text: 'This week: dispatch software.', quote: { quote: 'Welcome to the show.', speaker: 'Host' } },
+  youtubeDescription: { text: 'A conversation about dispatch software.', quote: { quote: 'Thanks for having me.', speaker: 'Guest' } }
+};
+
+// Answer every request with `pack` as the model's JSON
+const withStub = async (pack, run) => {
+  const stub = await startStubLLMServer(() => ({ body: completion(JSON.stringify(pack)) }));
+  const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+  try {
+    await run(stub);
+  } finally {
+    restore();
+    await stub.close();
+  }
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('locateQuote', () => {
+  test('finds a quote across case, line breaks and quote styles and attributes it to the turn', () => {
+    expect(locateQuote(TRANSCRIPT, { quote: 'mostly the route planning. our drivers get their jobs', speaker: 'Host' }))
+      .toEqual({ quote: 'Mostly the route planning. Our drivers get their jobs', speaker: 'Guest' });
+    expect(locateQuote(TRANSCRIPT, { quote: '“What made the “difference” for your team?”' }))
+      .toEqual({ quote: 'What made the "difference" for your team?', speaker: 'Host' });
+  });
+
+  test('rejects paraphrases and falls back to the given speaker without labels', () => {
+    expect(locateQuote(TRANSCRIPT, { quote: 'We cut scheduling time by 40 percent.' })).toBeNull();
+    expect(locateQuote('No labels here at all.', { quote: 'no labels', speaker: 'Narrator' })).toEqual({ quote: 'No labels', speaker: 'Narrator' });
+  });
+});
+
+describe('normalizeSocialPack', () => {
+  test('adds attributed quotes and keeps every format within its limits', () => {
+    const { social, repairs, errors } = normalizeSocialPack({
+      ...PACK,
+      linkedin: { ...PACK.linkedin, text: 'word '.repeat(700) },
+      xThread: { posts: ['x'.repeat(300), ...Array.from({ length: 9 }, (_, i) => `Post ${i}.`)], quote: PACK.xThread.quote }
+    }, TRANSCRIPT, { chapters: [{ start: 0, title: 'Intro' }, { start: 95, title: 'Route planning' }] });
+
+    expect(errors).toEqual([]);
+    expect(social.linkedin.text.length).toBeLessThanOrEqual(SOCIAL_LIMITS.linkedin);
+    expect(social.linkedin.text.endsWith('\n\n"We cut our scheduling time by 40 percent in three months." — Guest')).toBe(true);
+    expect(social.xThread.posts).toHaveLength(SOCIAL_LIMITS.xThreadMax);
+    expect(social.xThread.posts[1]).toBe('"Mostly the route planning." — Guest');
+    social.xThread.posts.forEach(post => expect(post.length).toBeLessThanOrEqual(SOCIAL_LIMITS.xPost));
+    expect(social.youtubeDescription.text).toBe('A conversation about dispatch software.\n\n"Thanks for having me." — Guest\n\nChapters:\n00:00 Intro\n01:35 Route planning');
+    expect(repairs).toEqual([
+      { field: 'linkedin.text', action: 'shortened', detail: '3000 characters max' },
+      { field: 'xThread.posts[0]', action: 'shortened', detail: '280 characters max' },
+      { field: 'xThread.posts', action: 'trimmed', detail: '8 posts max' }
+    ]);
+  });
+
+  test('drops quotes that are not in the transcript and reports empty formats', () => {
+    const { social, repairs, errors } = normalizeSocialPack({
+      ...PACK,
+      newsletter: { subject: '', text: 'Blurb.', quote: { quote: 'Dispatch software changed everything for us.', speaker: 'Guest' } },
+      xThread: { posts: ['Only one post.'], quote: null }
+    }, TRANSCRIPT);
+
+    expect(social.newsletter).toEqual({ subject: '', text: 'Blurb.', quote: null });
+    expect(repairs).toEqual([{ field: 'newsletter.quote', action: 'dropped', detail: 'not found in the transcript' }]);
+    expect(errors).toEqual(['xThread needs at least 3 posts', 'newsletter.subject is empty']);
+  });
+});
+
+describe('POST /api/generate-social', () => {
+  test('generates every format from the transcript with attributed quotes', async () => {
+    const res = await request(app).post('/api/generate-social').send({ transcript: TRANSCRIPT });
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body)).toEqual(['linkedin', 'xThread', 'newsletter', 'youtubeDescription', 'repairs']);
+    expect(res.body.linkedin.quote).toEqual({ quote: 'Welcome to the show.', speaker: 'Host' });
+    expect(res.body.linkedin.text).toContain('"Welcome to the show." — Host');
+    expect(res.body.xThread.posts.length).toBeGreaterThanOrEqual(SOCIAL_LIMITS.xThreadMin);
+    expect(res.body.xThread.posts[1]).toBe('"Thanks for having me." — Guest');
+    expect(res.body.newsletter.text.length).toBeLessThanOrEqual(SOCIAL_LIMITS.newsletter);
+    expect(res.body.repairs).toEqual([]);
+  });
+
+  test('sends the titles and language to the model', async () => {
+    await withStub(PACK, async (stub) => {
+      const res = await request(app).post('/api/generate-social').send({ transcript: TRANSCRIPT, seoTitle: 'Dispatch Software', videoTitle: 'Episode 12', language: 'de' });
+
+      expect(res.status).toBe(200);
+      const prompt = stub.requests[0].payload.messages[0].content;
+      expect(prompt).toContain('Video title: Episode 12\nBlog post title: Dispatch Software');
+      expect(prompt).toContain('Write in German, the language of the transcript.');
+      expect(prompt).toContain(TRANSCRIPT);
+      expect(res.body.newsletter.text).toBe('This week: dispatch software.\n\n"Welcome to the show." — Host');
+    });
+  });
+
+  test('fails when a format comes back empty', async () => {
+    await withStub({ ...PACK, linkedin: { text: '', quote: null } }, async () => {
+      const res = await request(app).post('/api/generate-social').send({ transcript: TRANSCRIPT });
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ error: 'Generated social posts failed validation', validationErrors: ['linkedin.text is empty'], repairs: [] });
+    });
+  });
+
+  test('reports a response that is not JSON', async () => {
+    const stub = await startStubLLMServer(() => ({ body: completion('Here are your posts!') }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+    try {
+      const res = await request(app).post('/api/generate-social').send({ transcript: TRANSCRIPT });
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Failed to parse generated social posts');
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test.each([
+    [{}, 'Transcript is required'],
+    [{ transcript: 'Hello.', language: 'xx' }, expect.stringMatching(/^language must be one of/)]
+  ])('rejects %p', async (body, error) => {
+    const res = await request(app).post('/api/generate-social').send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toEqual(error);
+  });
+});
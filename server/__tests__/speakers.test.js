@@ -0,0 +1,271 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { extractSpeakers, normalizeSpeakerEdits, applySpeakerEdits } = require('../speakers');
+const { normalizeArticle, articleToMarkdown, articleToHtml } = require('../article');
+
+const TRANSCRIPT = [
+  '**Getting Started**',
+  '**Speaker 1:** Welcome to the webinar on dispatch software.',
+  '**Speaker 2:** Thanks for having me. We cut scheduling time by 40 percent.',
+  '**Speaker 1:** What made the difference?',
+  '**Speaker 2**: Route planning.',
+  '**Wrap Up**',
+  '**Producer:** We are out of time.'
+].join('\n\n');
+
+const draft = normalizeArticle({
+  title: 'What Speaker 2 Learned About Dispatch',
+  intro: 'Speaker 2 explains the rollout.',
+  sections: [{ heading: 'Results', body: 'Speaker 2 cut scheduling time by 40 percent.' }],
+  pullQuotes: [{ quote: 'We cut scheduling time by 40 percent.', speaker: 'Speaker 2' }],
+  conclusion: 'Thanks to Speaker 1 for hosting.'
+}, TRANSCRIPT);
+
+const RESULTS = {
+  formattedTranscript: TRANSCRIPT,
+  speakers: extractSpeakers(TRANSCRIPT),
+  seoTitle: 'Speaker 2 on Dispatch Software',
+  metaDescription: 'Speaker 2 explains how route planning cut scheduling time.',
+  faqs: [{ question: 'What did Speaker 2 change?', answer: 'Speaker 2 introduced route planning.' }],
+  keyTakeaways: ['Speaker 2 cut scheduling time by 40 percent.', 'Speaker 10 is not a speaker.'],
+  schemaFormat: 'jsonld',
+  segments: [{ start: 0, end: 4, text: 'Welcome', speaker: 'Speaker 1' }],
+  article: { article: draft, markdown: articleToMarkdown(draft), html: articleToHtml(draft) },
+  grounding: {
+    keyTakeaways: [{
+      score: 1,
+      status: 'grounded',
+      quotes: [{ text: 'We cut scheduling time by 40 percent.', speaker: 'Speaker 2', start: 0, end: 0 }],
+      issues: []
+    }, null],
+    summary: { grounded: 1, weak: 0, ungrounded: 0 }
+  }
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('extractSpeakers', () => {
+  test('lists speakers in order with turn and word counts, skipping section headers', () => {
+    expect(extractSpeakers(TRANSCRIPT)).toEqual([
+      { name: 'Speaker 1', role: '', headshotUrl: '', turns: 2, words: 11 },
+      { name: 'Speaker 2', role: '', headshotUrl: '', turns: 2, words: 13 },
+      { name: 'Producer', role: '', headshotUrl: '', turns: 1, words: 5 }
+    ]);
+  });
+
+  test('keeps roles and headshots of known speakers', () => {
+    const [host] = extractSpeakers(TRANSCRIPT, [{ name: 'Speaker 1', role: 'Host', headshotUrl: 'https://example.com/a.jpg' }]);
+    expect(host).toMatchObject({ role: 'Host', headshotUrl: 'https://example.com/a.jpg' });
+  });
+});
+
+describe('normalizeSpeakerEdits', () => {
+  test.each([
+    ['x', 'speakers must be an array'],
+    [[{ name: 'Jane' }], 'speakers[0].from is required'],
+    [[{ from: 'Speaker 1', name: 'Jane: CFO' }], 'speakers[0].name can\'t contain "*", ":" or line breaks'],
+    [[{ from: 'Speaker 1', headshotUrl: 'ftp://example.com/jane.jpg' }], 'speakers[0].headshotUrl must be an http(s) URL'],
+    [[{ from: 'Speaker 1', role: 'x'.repeat(81) }], 'speakers[0] name and role must be at most 80 characters']
+  ])('rejects %p', (value, error) => {
+    expect(normalizeSpeakerEdits(value)).toEqual({ error });
+  });
+
+  test('keeps the label when no new name is given', () => {
+    expect(normalizeSpeakerEdits([{ from: ' Speaker 1 ', role: 'Host' }])).toEqual({
+      edits: [{ from: 'Speaker 1', name: 'Speaker 1', role: 'Host', headshotUrl: '' }]
+    });
+  });
+});
+
+describe('applySpeakerEdits', () => {
+  const { edits } = normalizeSpeakerEdits([
+    { from: 'Speaker 1', name: 'Sam Lee', role: 'Host' },
+    { from: 'Speaker 2', name: 'Jane Ortiz', role: 'CFO', headshotUrl: 'https://example.com/jane.jpg' },
+    { from: 'Producer', name: 'Sam Lee' }
+  ]);
+  const patch = applySpeakerEdits(RESULTS, edits);
+
+  test('relabels turns, merging speakers given the same name', () => {
+    expect(patch.formattedTranscript).toContain('**Sam Lee:** Welcome');
+    expect(patch.formattedTranscript).toContain('**Jane Ortiz:** Route planning.');
+    expect(patch.formattedTranscript).toContain('**Sam Lee:** We are out of time.');
+    expect(patch.formattedTranscript).toContain('**Getting Started**');
+    expect(patch.speakers).toEqual([
+      { name: 'Sam Lee', role: 'Host', headshotUrl: '', turns: 3, words: 16 },
+      { name: 'Jane Ortiz', role: 'CFO', headshotUrl: 'https://example.com/jane.jpg', turns: 2, words: 13 }
+    ]);
+  });
+
+  test('renames mentions in the generated content as whole words', () => {
+    expect(patch.seoTitle).toBe('Jane Ortiz on Dispatch Software');
+    expect(patch.metaDescription).toBe('Jane Ortiz explains how route planning cut scheduling time.');
+    expect(patch.faqs).toEqual([{ question: 'What did Jane Ortiz change?', answer: 'Jane Ortiz introduced route planning.' }]);
+    expect(patch.schemaMarkup).toContain('Jane Ortiz introduced route planning.');
+    expect(patch.keyTakeaways).toEqual(['Jane Ortiz cut scheduling time by 40 percent.', 'Speaker 10 is not a speaker.']);
+    expect(patch.segments[0].speaker).toBe('Sam Lee');
+  });
+
+  test('rebuilds the article and moves grounding quotes', () => {
+    expect(patch.article.article.title).toBe('What Jane Ortiz Learned About Dispatch');
+    expect(patch.article.article.pullQuotes).toEqual([{ quote: 'We cut scheduling time by 40 percent.', speaker: 'Jane Ortiz' }]);
+    expect(patch.article.markdown).toContain('Thanks to Sam Lee for hosting.');
+
+    const [quote] = patch.grounding.keyTakeaways[0].quotes;
+    expect(quote.speaker).toBe('Jane Ortiz');
+    expect(patch.formattedTranscript.slice(quote.start, quote.end)).toBe(quote.text);
+    expect(patch.grounding.keyTakeaways[1]).toBeNull();
+    expect(patch.grounding.summary).toEqual(RESULTS.grounding.summary);
+  });
+
+  test('renames attributed quotes in the social pack', () => {
+    const quote = { quote: 'We cut scheduling time by 40 percent.', speaker: 'Speaker 2' };
+    const social = applySpeakerEdits({
+      ...RESULTS,
+      social: {
+        linkedin: { text: `Big news.\n\n"${quote.quote}" — Speaker 2`, quote },
+        xThread: { posts: ['Hook.', `"${quote.quote}" — Speaker 2`], quote },
+        newsletter: { subject: 'Speaker 2 on dispatch', text: 'Blurb.', quote: null },
+        youtubeDescription: { text: 'Summary.', quote: null },
+        repairs: []
+      }
+    }, edits).social;
+
+    expect(social.linkedin.text).toBe(`Big news.\n\n"${quote.quote}" — Jane Ortiz`);
+    expect(social.linkedin.quote.speaker).toBe('Jane Ortiz');
+    expect(social.xThread.posts[1]).toBe(`"${quote.quote}" — Jane Ortiz`);
+    expect(social.newsletter).toEqual({ subject: 'Jane Ortiz on dispatch', text: 'Blurb.', quote: null });
+  });
+
+  test('keeps the renamed social pack within the platform limits', () => {
+    const quote = { quote: 'We cut scheduling time by 40 percent.', speaker: 'Speaker 2' };
+    const chapters = [{ start: 0, title: 'Intro' }, { start: 60, title: 'Results' }, { start: 120, title: 'Wrap up' }];
+    const chapterList = 'Chapters:\n00:00 Intro\n01:00 Results\n02:00 Wrap up';
+    const longPost = `${'word '.repeat(53)}Speaker 2`;
+    const social = applySpeakerEdits({
+      ...RESULTS,
+      chapters,
+      social: {
+        linkedin: { text: 'Big news.', quote: null },
+        xThread: { posts: ['Hook.', `"${quote.quote}" — Speaker 2`, longPost], quote },
+        newsletter: { subject: `${'x'.repeat(70)} Speaker 2`, text: 'Blurb.', quote: null },
+        youtubeDescription: { text: `Summary.\n\n"${quote.quote}" — Speaker 2\n\n${chapterList}`, quote },
+        repairs: [{ field: 'linkedin.quote', action: 'dropped', detail: 'not found in the transcript' }]
+      }
+    }, [{ from: 'Speaker 2', name: 'Jane Ortiz-Villanueva de la Cruz', role: '', headshotUrl: '' }]).social;
+
+    expect(longPost.length).toBeLessThanOrEqual(280);
+    expect(social.xThread.posts[1]).toBe(`"${quote.quote}" — Jane Ortiz-Villanueva de la Cruz`);
+    social.xThread.posts.forEach(post => expect(post.length).toBeLessThanOrEqual(280));
+    expect(social.newsletter.subject.length).toBeLessThanOrEqual(80);
+    expect(social.youtubeDescription.text).toBe(`Summary.\n\n"${quote.quote}" — Jane Ortiz-Villanueva de la Cruz\n\n${chapterList}`);
+    expect(social.repairs).toEqual([
+      { field: 'linkedin.quote', action: 'dropped', detail: 'not found in the transcript' },
+      { field: 'xThread.posts[1]', action: 'shortened', detail: '280 characters max' },
+      { field: 'newsletter.subject', action: 'shortened', detail: '80 characters max' }
+    ]);
+  });
+
+  test('renames generic labels only where they name the speaker', () => {
+    const transcript = '**Host:** Welcome to the show.\n\n**Guest:** We cut scheduling time by 40 percent.';
+    const hosted = applySpeakerEdits({
+      formattedTranscript: transcript,
+      seoTitle: 'How to Host a Dispatch Webinar',
+      metaDescription: 'Guest speakers explain how the host of a webinar keeps it short.',
+      faqs: [{ question: 'Who is the Guest?', answer: 'A dispatcher.' }],
+      keyTakeaways: ['Host the webinar on a weekday.'],
+      segments: [{ start: 0, end: 4, text: 'Welcome', speaker: 'Host' }],
+      social: { linkedin: { text: `Host a webinar.\n\n"We cut scheduling time by 40 percent." — Guest`, quote: { quote: 'We cut scheduling time by 40 percent.', speaker: 'Guest' } } }
+    }, [
+      { from: 'Host', name: 'Dana Lee', role: '', headshotUrl: '' },
+      { from: 'Guest', name: 'Jane Ortiz', role: '', headshotUrl: '' }
+    ]);
+
+    expect(hosted.formattedTranscript).toBe('**Dana Lee:** Welcome to the show.\n\n**Jane Ortiz:** We cut scheduling time by 40 percent.');
+    expect(hosted.seoTitle).toBe('How to Host a Dispatch Webinar');
+    expect(hosted.metaDescription).toBe('Guest speakers explain how the host of a webinar keeps it short.');
+    expect(hosted.faqs[0].question).toBe('Who is the Guest?');
+    expect(hosted.keyTakeaways).toEqual(['Host the webinar on a weekday.']);
+    expect(hosted.segments[0].speaker).toBe('Dana Lee');
+    expect(hosted.social.linkedin.text).toBe('Host a webinar.\n\n"We cut scheduling time by 40 percent." — Jane Ortiz');
+    expect(hosted.repairs).toBeUndefined();
+  });
+
+  test('shortens a title or meta description a longer name pushes past its limit', () => {
+    const long = applySpeakerEdits({ ...RESULTS, repairs: [{ field: 'faqs', action: 'trimmed', detail: 'kept the first 5 of 6 items' }] }, [
+      { from: 'Speaker 2', name: 'Dr. Jane Ortiz-Villanueva, Director of Field Operations', role: '', headshotUrl: '' }
+    ]);
+
+    expect(long.seoTitle).toBe('Dr. Jane Ortiz-Villanueva, Director of Field Operations on');
+    expect(long.metaDescription).toBe('Dr. Jane Ortiz-Villanueva, Director of Field Operations explains how route planning cut scheduling time.');
+    expect(long.repairs).toEqual([
+      { field: 'faqs', action: 'trimmed', detail: 'kept the first 5 of 6 items' },
+      { field: 'seoTitle', action: 'shortened', detail: '65 characters max' }
+    ]);
+  });
+
+  test('swaps two names in one pass', () => {
+    const swap = applySpeakerEdits(RESULTS, [
+      { from: 'Speaker 1', name: 'Speaker 2', role: '', headshotUrl: '' },
+      { from: 'Speaker 2', name: 'Speaker 1', role: '', headshotUrl: '' }
+    ]);
+    expect(swap.formattedTranscript).toContain('**Speaker 2:** Welcome');
+    expect(swap.formattedTranscript).toContain('**Speaker 1:** Thanks for having me.');
+    expect(swap.seoTitle).toBe('Speaker 1 on Dispatch Software');
+  });
+});
+
+describe('speaker endpoints', () => {
+  test('cleaning returns the speaker list', async () => {
+    const res = await request(app)
+      .post('/api/clean-transcript')
+      .send({ transcript: 'Host: Welcome to the show.\n\nGuest: Thanks for having me.\n\nHost: Let us begin.' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.speakers.map(speaker => [speaker.name, speaker.turns])).toEqual([['Host', 2], ['Guest', 1]]);
+  });
+
+  test('/api/speakers returns the patched fields', async () => {
+    const res = await request(app)
+      .post('/api/speakers')
+      .send({ results: RESULTS, speakers: [{ from: 'Speaker 2', name: 'Jane Ortiz, CFO' }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.formattedTranscript).toContain('**Jane Ortiz, CFO:** Route planning.');
+    expect(res.body.faqs[0].answer).toBe('Jane Ortiz, CFO introduced route planning.');
+  });
+
+  test.each([
+    [{ speakers: [] }, 'results with a formattedTranscript are required'],
+    [{ results: RESULTS, speakers: [{ from: 'Speaker 1', headshotUrl: 'not a url' }] }, 'speakers[0].headshotUrl must be an http(s) URL']
+  ])('/api/speakers rejects %p', async (body, error) => {
+    const res = await request(app).post('/api/speakers').send(body);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+
+  test('exports list speakers with roles and headshots', async () => {
+    const results = {
+      ...RESULTS,
+      article: null,
+      outputMode: 'transcript',
+      videoId: 'dQw4w9WgXcQ',
+      ...applySpeakerEdits(RESULTS, [
+        { from: 'Speaker 2', name: 'Jane Ortiz', role: 'CFO', headshotUrl: 'https://example.com/jane.jpg' }
+      ])
+    };
+
+    const markdown = await request(app).post('/api/export/markdown').send({ results });
+    expect(markdown.text).toContain('speakers:\n  - name: "Speaker 1"\n  - name: "Jane Ortiz"\n    role: "CFO"\n    headshot: "https://example.com/jane.jpg"');
+    expect(markdown.text).toContain('## Speakers\n\n- **Speaker 1**\n- **Jane Ortiz**, CFO');
+
+    const html = await request(app).post('/api/export/html').send({ results });
+    expect(html.text).toContain('<li><img src="https://example.com/jane.jpg" alt="Jane Ortiz"><strong>Jane Ortiz</strong>, CFO</li>');
+
+    const plain = await request(app).post('/api/export/markdown').send({ results: { ...results, speakers: RESULTS.speakers } });
+    expect(plain.text).not.toContain('Speakers');
+  });
+});
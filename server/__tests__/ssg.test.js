@@ -0,0 +1,199 @@
+const JSZip = require('jszip');
+const request = require('supertest');
+const app = require('../../server');
+const { startStubWordPressServer } = require('./helpers/stubWordPressServer');
+const { startStubVideoServer } = require('./helpers/stubVideoServer');
+const { withEnv } = require('./helpers/env');
+
+const JPEG_BYTES = Buffer.from('ffd8ffe0ssg-thumbnail');
+
+const RESULTS = {
+  outputMode: 'transcript',
+  article: null,
+  videoId: 'dQw4w9WgXcQ',
+  formattedTranscript: '**Getting Started**\n\n**Host:** Welcome to the webinar, {{ everyone }}.\n\n**Guest:** We cut scheduling time by 40 percent <really>.',
+  thumbnailUrl: 'https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg',
+  seoTitle: 'How Dispatch Software Cut Scheduling Time',
+  metaDescription: 'Route planning cut scheduling time by 40 percent.',
+  faqs: [{ question: 'How much time was saved?', answer: 'Scheduling time dropped by "40 percent".' }],
+  keyTakeaways: ['Scheduling time fell by 40 percent.'],
+  chapters: [],
+  schemaFormat: 'microdata'
+};
+
+const DATE = '2026-03-14T09:30:00.000Z';
+
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const exportPost = (target, body = {}) => request(app)
+  .post(`/api/export/ssg/${target}`)
+  .send({ results: RESULTS, url: 'https://youtu.be/dQw4w9WgXcQ', tags: ['dispatch', ' webinars ', ''], date: DATE, ...body });
+
+let youtube;
+let restoreEnv;
+
+beforeAll(async () => {
+  youtube = await startStubVideoServer({
+    dQw4w9WgXcQ: { title: 'Dispatch Webinar', channel: 'Field Service Weekly', thumbnails: { maxresdefault: JPEG_BYTES } }
+  });
+  restoreEnv = withEnv({ YOUTUBE_BASE_URL: youtube.baseUrl, YOUTUBE_IMAGE_BASE_URL: youtube.baseUrl });
+});
+
+afterAll(async () => {
+  restoreEnv();
+  await youtube.close();
+});
+
+describe('POST /api/export/ssg/:target', () => {
+  test('hugo post has front matter, the youtube shortcode and the transcript with speaker labels', async () => {
+    const res = await exportPost('hugo');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="how-dispatch-software-cut-scheduling-time.md"');
+    expect(res.text).toBe(`---
+title: "How Dispatch Software Cut Scheduling Time"
+description: "Route planning cut scheduling time by 40 percent."
+date: 2026-03-14T09:30:00.000Z
+draft: false
+images: ["https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg"]
+slug: "how-dispatch-software-cut-scheduling-time"
+tags: ["dispatch","webinars"]
+youtube_id: "dQw4w9WgXcQ"
+faqs:
+  - question: "How much time was saved?"
+    answer: "Scheduling time dropped by \\"40 percent\\"."
+---
+
+{{< youtube dQw4w9WgXcQ >}}
+
+## Getting Started
+
+**Host:** Welcome to the webinar, {{ everyone }}.
+
+**Guest:** We cut scheduling time by 40 percent <really>.
+`);
+  });
+
+  test('hugo post escapes shortcode delimiters in the transcript', async () => {
+    const res = await exportPost('hugo', {
+      results: { ...RESULTS, formattedTranscript: '**Host:** Type {{< youtube abc >}} or {{% notice %}} and {{<unclosed in the editor.' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('{{< youtube dQw4w9WgXcQ >}}');
+    expect(res.text).toContain('**Host:** Type &#123;&#123;< youtube abc >}} or &#123;&#123;% notice %}} and &#123;&#123;<unclosed in the editor.');
+    expect(res.text.match(/\{\{[<%]/g)).toEqual(['{{<']);
+  });
+
+  test('jekyll post is dated in its file name, uses the include and keeps Liquid-like text raw', async () => {
+    const res = await exportPost('jekyll');
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="2026-03-14-how-dispatch-software-cut-scheduling-time.md"');
+    expect(res.text).toContain('layout: post\ndate: 2026-03-14 09:30:00 +0000\nimage: "https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg"');
+    expect(res.text).toContain('{% include youtube.html id=page.youtube_id title=page.title %}');
+    expect(res.text).toContain('{% raw %}\n## Getting Started\n\n**Host:** Welcome to the webinar, {{ everyone }}.');
+    expect(res.text).toMatch(/\{% endraw %\}\n$/);
+  });
+
+  test('jekyll post keeps a literal endraw tag in the transcript from closing the raw block', async () => {
+    const res = await exportPost('jekyll', {
+      results: {
+        ...RESULTS,
+        formattedTranscript: '**Host:** Close it with {% endraw %}{% include evil.html %} right there.\n\n**Guest:** Or {%- endraw -%}{{ site.secret }} instead.'
+      }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Close it with {% endraw %}{{ "{% endraw %}" }}{% raw %}{% include evil.html %} right there.');
+    expect(res.text).toContain('Or {% endraw %}{{ "{%- endraw -%}" }}{% raw %}{{ site.secret }} instead.');
+    // Outside the raw blocks only the printed endraw strings are left
+    const outsideRaw = res.text.replace(/\{% raw %\}[\s\S]*?\{% endraw %\}/g, '');
+    expect(outsideRaw).not.toContain('evil.html');
+    expect(outsideRaw).not.toContain('site.secret');
+  });
+
+  test('astro post is MDX with the YouTube component and escaped transcript text', async () => {
+    const res = await exportPost('astro');
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="how-dispatch-software-cut-scheduling-time.mdx"');
+    expect(res.text).toContain('pubDate: 2026-03-14T09:30:00.000Z\nheroImage: "https://img.youtube.com/vi/dQw4w9WgXcQ/maxresdefault.jpg"');
+    expect(res.text).toContain("import YouTube from '../../components/YouTube.astro';\n\n<YouTube id={\"dQw4w9WgXcQ\"} title={\"How Dispatch Software Cut Scheduling Time\"} />");
+    expect(res.text).toContain('**Host:** Welcome to the webinar, &#123;&#123; everyone &#125;&#125;.');
+    expect(res.text).toContain('40 percent &lt;really>.');
+  });
+
+  test('zip is laid out like the site with the embed helper and the video\'s thumbnail', async () => {
+    // The thumbnail comes from the video lookup; a thumbnailUrl from the client is never fetched
+    const stub = await startStubWordPressServer();
+    try {
+      const res = await exportPost('jekyll', { output: 'zip', results: { ...RESULTS, thumbnailUrl: `${stub.siteUrl}/thumbnail.png` } })
+        .buffer(true)
+        .parse(binary);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="how-dispatch-software-cut-scheduling-time-jekyll.zip"');
+
+      const zip = await JSZip.loadAsync(res.body);
+      const files = Object.keys(zip.files).filter(name => !zip.files[name].dir).sort();
+      expect(files).toEqual([
+        '_includes/youtube.html',
+        '_posts/2026-03-14-how-dispatch-software-cut-scheduling-time.md',
+        'assets/images/how-dispatch-software-cut-scheduling-time.jpg'
+      ]);
+      const post = await zip.file('_posts/2026-03-14-how-dispatch-software-cut-scheduling-time.md').async('string');
+      expect(post).toContain('image: "/assets/images/how-dispatch-software-cut-scheduling-time.jpg"');
+      expect(await zip.file('assets/images/how-dispatch-software-cut-scheduling-time.jpg').async('nodebuffer')).toEqual(JPEG_BYTES);
+      expect(stub.requests).toEqual([]);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('hugo zip is a page bundle and astro zip ships the component', async () => {
+    const hugo = await JSZip.loadAsync((await exportPost('hugo', { output: 'zip' }).buffer(true).parse(binary)).body);
+    expect(Object.keys(hugo.files).filter(name => !hugo.files[name].dir).sort()).toEqual([
+      'content/posts/how-dispatch-software-cut-scheduling-time/featured.jpg',
+      'content/posts/how-dispatch-software-cut-scheduling-time/index.md'
+    ]);
+    expect(await hugo.file('content/posts/how-dispatch-software-cut-scheduling-time/index.md').async('string')).toContain('images: ["featured.jpg"]');
+
+    const astro = await JSZip.loadAsync((await exportPost('astro', { output: 'zip' }).buffer(true).parse(binary)).body);
+    expect(Object.keys(astro.files).filter(name => !astro.files[name].dir).sort()).toEqual([
+      'src/assets/how-dispatch-software-cut-scheduling-time.jpg',
+      'src/components/YouTube.astro',
+      'src/content/blog/how-dispatch-software-cut-scheduling-time.mdx'
+    ]);
+    expect(await astro.file('src/content/blog/how-dispatch-software-cut-scheduling-time.mdx').async('string'))
+      .toContain('heroImage: "../../assets/how-dispatch-software-cut-scheduling-time.jpg"');
+  });
+
+  test('vimeo and loom videos get a plain iframe and no YouTube helpers', async () => {
+    const vimeo = await exportPost('jekyll', { url: 'https://vimeo.com/76979871/8272103f6e' });
+    expect(vimeo.text).toContain('video_provider: "vimeo"\nvideo_id: "76979871"');
+    expect(vimeo.text).not.toContain('youtube_id');
+    expect(vimeo.text).toContain('<iframe src="https://player.vimeo.com/video/76979871?h=8272103f6e" title="How Dispatch Software Cut Scheduling Time"');
+
+    const loom = await exportPost('hugo', {
+      output: 'zip',
+      url: 'https://www.loom.com/share/0123456789abcdef0123456789abcdef',
+      results: { ...RESULTS, thumbnailUrl: '' }
+    }).buffer(true).parse(binary);
+    const zip = await JSZip.loadAsync(loom.body);
+    const post = await zip.file('content/posts/how-dispatch-software-cut-scheduling-time/index.md').async('string');
+    expect(post).toContain('<iframe src="https://www.loom.com/embed/0123456789abcdef0123456789abcdef"');
+    expect(Object.keys(zip.files).filter(name => !zip.files[name].dir)).toEqual(['content/posts/how-dispatch-software-cut-scheduling-time/index.md']);
+  });
+
+  test('rejects unknown targets and bad dates', async () => {
+    const unknown = await exportPost('gatsby');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toMatch(/Unknown static site generator "gatsby"/);
+
+    const badDate = await exportPost('hugo', { date: 'next tuesday' });
+    expect(badDate.status).toBe(400);
+  });
+});
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { renderTemplate, templateVariables, DEFAULT_PROMPTS } = require('../promptTemplates');
+const { startStubLLMServer, completion } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const TRANSCRIPT = [
+  'Host: Welcome to the webinar on dispatch software.',
+  'Guest: We cut our scheduling time by 40 percent in three months.',
+  'Host: What made the difference for the team?',
+  'Guest: Route planning, and drivers getting jobs on their phones.'
+].join('\n\n');
+
+const SHORT_SEO_PROMPT = 'Write {{faqCount}} FAQs and {{takeawayCount}} takeaways for {{brandName}}.\n\n{{transcript}}';
+
+const createTemplate = (fields) => request(app).post('/api/templates').send(fields);
+
+// Read a job's event stream to the end and return the last event
+const jobOutcome = async (id) => {
+  const res = await request(app)
+    .get(`/api/jobs/${id}/events`)
+    .buffer(true)
+    .parse((response, callback) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => callback(null, text));
+    });
+  const events = res.body.split('\n\n').filter(block => block.startsWith('data: '));
+  return JSON.parse(events[events.length - 1].slice('data: '.length));
+};
+
+afterAll(() => {
+  fs.rmSync(process.env.TEMPLATES_FILE, { force: true });
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('renderTemplate', () => {
+  test('fills variables and leaves unknown ones empty', () => {
+    expect(renderTemplate('Hi {{ name }}, {{missing}}done', { name: 'Ana' })).toBe('Hi Ana, done');
+  });
+
+  test('keeps a section only when its variable is set, dropping standalone tag lines', () => {
+    const text = 'Intro\n\n{{#title}}\nTitle: {{title}}\n\n{{/title}}\nBody';
+    expect(renderTemplate(text, { title: 'Demo' })).toBe('Intro\n\nTitle: Demo\n\nBody');
+    expect(renderTemplate(text, { title: '' })).toBe('Intro\n\nBody');
+  });
+
+  test('does not expand variables inside substituted values', () => {
+    expect(renderTemplate('{{transcript}}', { transcript: 'Say {{brandName}} $1' })).toBe('Say {{brandName}} $1');
+  });
+
+  test('the built-in prompts only use their kind\'s variables', () => {
+    expect(templateVariables(DEFAULT_PROMPTS.seo.prompt)).toEqual(expect.arrayContaining(['transcript', 'faqCount', 'takeawayCount', 'voiceGuidelines']));
+    expect(renderTemplate(DEFAULT_PROMPTS.cleaning.prompt, { transcript: 'Raw text', partNumber: '' })).not.toMatch(/\{\{|part \d of/);
+  });
+});
+
+describe('/api/templates', () => {
+  test('lists the built-in templates first, with the variables each kind can use', async () => {
+    const res = await request(app).get('/api/templates');
+
+    expect(res.status).toBe(200);
+    expect(res.body.templates.slice(0, 3).map(template => template.id)).toEqual(['default-cleaning', 'default-seo', 'default-article']);
+    expect(res.body.templates[1]).toMatchObject({ builtIn: true, settings: { faqCount: 5, takeawayCount: 4 } });
+    expect(res.body.variables.seo).toEqual(expect.arrayContaining(['transcript', 'faqCount', 'brandName']));
+
+    const seoOnly = await request(app).get('/api/templates?kind=seo');
+    expect(seoOnly.body.templates.every(template => template.kind === 'seo')).toBe(true);
+    expect((await request(app).get('/api/templates?kind=blog')).status).toBe(400);
+  });
+
+  test('creates, updates and deletes a template', async () => {
+    const created = await createTemplate({ kind: 'seo', name: 'Short FAQ', prompt: SHORT_SEO_PROMPT, settings: { faqCount: 3, takeawayCount: 2 } });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ kind: 'seo', name: 'Short FAQ', builtIn: false, settings: { faqCount: 3, takeawayCount: 2 } });
+
+    const updated = await request(app).put(`/api/templates/${created.body.id}`).send({ name: 'Three FAQs', kind: 'article' });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ kind: 'seo', name: 'Three FAQs', prompt: SHORT_SEO_PROMPT });
+    expect((await request(app).get(`/api/templates/${created.body.id}`)).body.name).toBe('Three FAQs');
+
+    expect((await request(app).delete(`/api/templates/${created.body.id}`)).status).toBe(204);
+    expect((await request(app).get(`/api/templates/${created.body.id}`)).status).toBe(404);
+    expect((await request(app).delete(`/api/templates/${created.body.id}`)).status).toBe(404);
+  });
+
+  test('saves voice profiles with their lists split', async () => {
+    const res = await createTemplate({ kind: 'voice', name: 'Acme', brandName: 'Acme Logistics', tone: 'Plain, friendly', glossary: 'Docket, RouteIQ\nFleetOS', forbiddenWords: ['synergy'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ kind: 'voice', glossary: ['Docket', 'RouteIQ', 'FleetOS'], forbiddenWords: ['synergy'] });
+  });
+
+  test.each([
+    [{ kind: 'blog', name: 'X', prompt: '{{transcript}}' }, 'kind must be one of: cleaning, seo, article, voice'],
+    [{ kind: 'seo', prompt: '{{transcript}}' }, 'name is required'],
+    [{ kind: 'seo', name: 'X', prompt: 'No transcript here' }, 'prompt must include {{transcript}}'],
+    [{ kind: 'article', name: 'X', prompt: '{{transcript}} {{faqCount}}' }, 'Unknown variable(s) for article templates: faqCount'],
+    [{ kind: 'seo', name: 'X', prompt: '{{transcript}}', settings: { faqCount: 0 } }, 'settings.faqCount must be a whole number from 1 to 10']
+  ])('rejects %p', async (fields, error) => {
+    const res = await createTemplate(fields);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+  });
+
+  test('built-in templates are read-only', async () => {
+    const updated = await request(app).put('/api/templates/default-seo').send({ name: 'Mine' });
+    expect(updated.status).toBe(403);
+    expect((await request(app).delete('/api/templates/default-cleaning')).status).toBe(403);
+  });
+});
+
+describe('conversions with templates', () => {
+  test('a job uses the selected SEO template counts and keeps the template IDs', async () => {
+    const seo = await createTemplate({ kind: 'seo', name: 'Short FAQ', prompt: SHORT_SEO_PROMPT, settings: { faqCount: 3, takeawayCount: 2 } });
+    const voice = await createTemplate({ kind: 'voice', name: 'Acme', brandName: 'Acme Logistics' });
+
+    const created = await request(app)
+      .post('/api/jobs')
+      .send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT, templates: { seo: seo.body.id, voice: voice.body.id } });
+    const outcome = await jobOutcome(created.body.id);
+
+    expect(outcome.type).toBe('result');
+    expect(outcome.results.faqs).toHaveLength(3);
+    expect(outcome.results.keyTakeaways).toHaveLength(2);
+    expect(outcome.results.templates).toEqual({ cleaning: 'default-cleaning', seo: seo.body.id, article: 'default-article', voice: voice.body.id });
+
+    const regenerated = await request(app)
+      .post('/api/regenerate-section')
+      .send({ transcript: TRANSCRIPT, section: 'faqs', current: outcome.results, keep: [0], templates: outcome.results.templates });
+    expect(regenerated.status).toBe(200);
+    expect(regenerated.body.faqs).toHaveLength(3);
+    expect(regenerated.body.faqs[0]).toEqual(outcome.results.faqs[0]);
+  });
+
+  test('renders the template and voice profile into the prompt', async () => {
+    const seo = await createTemplate({ kind: 'seo', name: 'Short FAQ', system: 'You write for {{brandName}}.', prompt: SHORT_SEO_PROMPT, settings: { faqCount: 3, takeawayCount: 2 } });
+    const voice = await createTemplate({ kind: 'voice', name: 'Acme', brandName: 'Acme Logistics', tone: 'Plain', forbiddenWords: 'synergy' });
+    const stub = await startStubLLMServer(() => ({
+      body: completion(JSON.stringify({
+        seoTitle: 'Dispatch Software Webinar',
+        metaDescription: 'How route planning cut scheduling time by 40 percent.',
+        faqs: [1, 2, 3].map(i => ({ question: `Question ${i}?`, answer: `Answer ${i}.` })),
+        keyTakeaways: ['Takeaway 1.', 'Takeaway 2.']
+      }))
+    }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const res = await request(app)
+        .post('/api/generate-content')
+        .send({ transcript: TRANSCRIPT, templates: { seo: seo.body.id, voice: voice.body.id } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.repairs).toEqual([]);
+      const [system, user] = stub.requests[0].payload.messages;
+      expect(system).toEqual({ role: 'system', content: 'You write for Acme Logistics.' });
+      expect(user.content).toBe(`Write 3 FAQs and 2 takeaways for Acme Logistics.\n\n${TRANSCRIPT}`);
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('the default prompts carry the voice guidelines', async () => {
+    const voice = await createTemplate({ kind: 'voice', name: 'Acme', tone: 'Plain', glossary: ['RouteIQ'], forbiddenWords: ['synergy'] });
+    const stub = await startStubLLMServer(() => ({ body: completion('**Host:** Welcome to the webinar.') }));
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const res = await request(app)
+        .post('/api/clean-transcript')
+        .send({ transcript: TRANSCRIPT, templates: { voice: voice.body.id } });
+
+      expect(res.status).toBe(200);
+      const prompt = stub.requests[0].payload.messages[0].content;
+      expect(prompt).toContain('write it exactly like this: RouteIQ');
+      expect(prompt).toContain(`Raw transcript:\n${TRANSCRIPT}`);
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+
+  test('rejects unknown or mismatched template IDs', async () => {
+    const voice = await createTemplate({ kind: 'voice', name: 'Acme' });
+
+    const unknown = await request(app).post('/api/jobs').send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT, templates: { seo: 'missing' } });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Unknown seo template "missing"');
+
+    const mismatched = await request(app).post('/api/batches').send({ items: [{ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT }], templates: { cleaning: voice.body.id } });
+    expect(mismatched.status).toBe(400);
+    expect(mismatched.body.error).toBe(`Unknown cleaning template "${voice.body.id}"`);
+  });
+
+  test('answers 500 when the template store can\'t be read', async () => {
+    const saved = fs.readFileSync(process.env.TEMPLATES_FILE, 'utf8');
+    fs.writeFileSync(process.env.TEMPLATES_FILE, '{ not json');
+    try {
+      const templates = { seo: 'custom-seo' };
+      const job = await request(app).post('/api/jobs').send({ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT, templates });
+      expect(job.status).toBe(500);
+      expect(job.body.error).toMatch(/^Failed to start job: /);
+
+      const batch = await request(app).post('/api/batches').send({ items: [{ url: 'https://youtu.be/dQw4w9WgXcQ', transcript: TRANSCRIPT }], templates });
+      expect(batch.status).toBe(500);
+      expect(batch.body.error).toMatch(/^Failed to start batch: /);
+    } finally {
+      fs.writeFileSync(process.env.TEMPLATES_FILE, saved);
+    }
+  });
+});
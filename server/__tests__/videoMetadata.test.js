@@ -0,0 +1,253 @@
+const fs = require('fs');
+const request = require('supertest');
+const app = require('../../server');
+const { createVideoMetadataService, parseIsoDuration, parseWatchPage } = require('../videoMetadata');
+const { startStubVideoServer } = require('./helpers/stubVideoServer');
+const { startStubLLMServer } = require('./helpers/stubLLMServer');
+const { withEnv } = require('./helpers/env');
+
+const SD_BYTES = Buffer.from('ffd8ffe0sd-thumbnail');
+const HQ_BYTES = Buffer.from('ffd8ffe0hq-thumbnail');
+const VIMEO_BYTES = Buffer.from('ffd8ffe0vimeo-thumbnail');
+const LOOM_BYTES = Buffer.from('ffd8ffe0loom-thumbnail');
+const LOOM_ID = '0123456789abcdef0123456789abcdef';
+
+const PLAYLIST_PAGE = `<html><head><meta property="og:title" content="Webinar Series &amp; Replays"></head><body><script>
+var ytInitialData = {"contents":[
+{"playlistVideoRenderer":{"videoId":"dispatch001","thumbnail":{},"title":{"runs":[{"text":"Part 1: \\"Dispatch\\" basics"}]}}},
+{"playlistVideoRenderer":{"videoId":"generation1","thumbnail":{},"title":{"runs":[{"text":"Part 2"}]}}},
+{"playlistVideoRenderer":{"videoId":"dispatch001","thumbnail":{},"title":{"runs":[{"text":"Part 1 again"}]}}},
+{"playlistVideoRenderer":{"isPlayable":false,"title":{"runs":[{"text":"[Private video]"}]}}}
+]};</script></body></html>`;
+
+const WATCH_PAGE = `<!DOCTYPE html><html><head>
+<meta property="og:title" content="Dispatch Software &amp; Route Planning">
+<meta itemprop="duration" content="PT1H2M5S">
+<meta content="2024-03-14T09:30:00-07:00" itemprop="datePublished">
+</head><body></body></html>`;
+
+const VIDEOS = {
+  // maxresdefault.jpg doesn't exist, so sddefault is the best thumbnail
+  dispatch001: {
+    title: 'Dispatch Software & Route Planning',
+    channel: 'Field Service Weekly',
+    watchPage: WATCH_PAGE,
+    thumbnails: { sddefault: SD_BYTES, hqdefault: HQ_BYTES }
+  },
+  thumbnail01: { title: 'Thumbnail Test', channel: 'Field Service Weekly', thumbnails: { hqdefault: HQ_BYTES } },
+  noThumbs001: { title: 'No Thumbnails', channel: 'Field Service Weekly', thumbnails: {} },
+  generation1: {
+    title: 'How Acme Cut Scheduling Time by 40%',
+    channel: 'Field Service Weekly',
+    watchPage: WATCH_PAGE,
+    thumbnails: { maxresdefault: SD_BYTES }
+  },
+  76979871: {
+    title: 'Quarterly Review',
+    channel: 'Acme Video',
+    duration: 754,
+    uploadDate: '2024-03-14 09:30:00',
+    thumbnails: { oembed: VIMEO_BYTES }
+  },
+  [LOOM_ID]: { title: 'Weekly Sync', channel: 'Dana', duration: 62.4, thumbnails: { oembed: LOOM_BYTES } }
+};
+
+let youtube;
+let restoreEnv;
+
+beforeAll(async () => {
+  youtube = await startStubVideoServer(VIDEOS, { PLwebinarSeries01: PLAYLIST_PAGE });
+  restoreEnv = withEnv({
+    YOUTUBE_BASE_URL: youtube.baseUrl,
+    YOUTUBE_IMAGE_BASE_URL: youtube.baseUrl,
+    VIMEO_BASE_URL: youtube.baseUrl,
+    LOOM_BASE_URL: youtube.baseUrl
+  });
+});
+
+afterAll(async () => {
+  restoreEnv();
+  await youtube.close();
+  fs.rmSync(process.env.CONVERSIONS_FILE, { force: true });
+});
+
+describe('GET /api/videos/:provider/:videoId', () => {
+  test('resolves title and channel from oEmbed, date and duration from the page, and the best thumbnail', async () => {
+    const res = await request(app).get('/api/videos/youtube/dispatch001');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      provider: 'youtube',
+      videoId: 'dispatch001',
+      url: 'https://www.youtube.com/watch?v=dispatch001',
+      title: 'Dispatch Software & Route Planning',
+      channel: 'Field Service Weekly',
+      channelUrl: 'https://www.example.com/@FieldServiceWeekly',
+      publishedAt: '2024-03-14T09:30:00-07:00',
+      duration: 3725,
+      thumbnailUrl: `${youtube.baseUrl}/vi/dispatch001/sddefault.jpg`,
+      thumbnailSize: 'sddefault'
+    });
+    expect(youtube.requests.map(r => r.url)).toContain('/vi/dispatch001/maxresdefault.jpg');
+  });
+
+  test('serves the thumbnail from the cache', async () => {
+    const first = await request(app).get('/api/videos/youtube/thumbnail01/thumbnail');
+    const second = await request(app).get('/api/videos/youtube/thumbnail01/thumbnail');
+    await request(app).get('/api/videos/youtube/thumbnail01');
+
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toBe('image/jpeg');
+    expect(first.headers['cache-control']).toBe('public, max-age=86400');
+    expect(first.body).toEqual(HQ_BYTES);
+    expect(second.body).toEqual(HQ_BYTES);
+    expect(youtube.requests.filter(r => r.url.includes('thumbnail01'))).toHaveLength(5);
+  });
+
+  test('returns 404 for the thumbnail when no size exists', async () => {
+    const metadata = await request(app).get('/api/videos/youtube/noThumbs001');
+    expect(metadata.body.title).toBe('No Thumbnails');
+    expect(metadata.body.thumbnailSize).toBeNull();
+    expect(metadata.body.thumbnailUrl).toBe(`${youtube.baseUrl}/vi/noThumbs001/hqdefault.jpg`);
+
+    const thumbnail = await request(app).get('/api/videos/youtube/noThumbs001/thumbnail');
+    expect(thumbnail.status).toBe(404);
+  });
+
+  test('looks up Vimeo videos through oEmbed, keeping the unlisted hash', async () => {
+    const res = await request(app).get('/api/videos/vimeo/76979871?h=8272103f6e');
+
+    expect(res.body).toEqual({
+      provider: 'vimeo',
+      videoId: '76979871',
+      url: 'https://vimeo.com/76979871/8272103f6e',
+      title: 'Quarterly Review',
+      channel: 'Acme Video',
+      channelUrl: 'https://www.example.com/@AcmeVideo',
+      publishedAt: '2024-03-14 09:30:00',
+      duration: 754,
+      thumbnailUrl: `${youtube.baseUrl}/thumbs/76979871.jpg`,
+      thumbnailSize: null
+    });
+    const lookup = youtube.requests.find(r => r.url.startsWith('/api/oembed.json'));
+    expect(lookup.url).toBe(`/api/oembed.json?url=${encodeURIComponent('https://vimeo.com/76979871/8272103f6e')}&width=1280`);
+    expect((await request(app).get('/api/videos/vimeo/76979871/thumbnail')).body).toEqual(VIMEO_BYTES);
+  });
+
+  test('looks up Loom videos through oEmbed', async () => {
+    const res = await request(app).get(`/api/videos/loom/${LOOM_ID}`);
+
+    expect(res.body).toMatchObject({ provider: 'loom', title: 'Weekly Sync', duration: 62, publishedAt: null });
+    expect((await request(app).get(`/api/videos/loom/${LOOM_ID}/thumbnail`)).body).toEqual(LOOM_BYTES);
+  });
+
+  test('rejects unknown providers and malformed video IDs', async () => {
+    expect((await request(app).get('/api/videos/youtube/not-an-id')).status).toBe(400);
+    expect((await request(app).get('/api/videos/youtube/not-an-id/thumbnail')).status).toBe(400);
+    expect((await request(app).get('/api/videos/vimeo/abc')).status).toBe(400);
+    expect((await request(app).get('/api/videos/dailymotion/x8abc12')).status).toBe(400);
+  });
+});
+
+describe('GET /api/playlists/:playlistId', () => {
+  test('lists the playlist videos in order, once each', async () => {
+    const res = await request(app).get('/api/playlists/PLwebinarSeries01');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      playlistId: 'PLwebinarSeries01',
+      title: 'Webinar Series & Replays',
+      entries: [
+        { videoId: 'dispatch001', url: 'https://www.youtube.com/watch?v=dispatch001', title: 'Part 1: "Dispatch" basics' },
+        { videoId: 'generation1', url: 'https://www.youtube.com/watch?v=generation1', title: 'Part 2' }
+      ]
+    });
+  });
+
+  test('returns 404 for an unknown playlist and 400 for a malformed ID', async () => {
+    expect((await request(app).get('/api/playlists/PLmissingList01')).status).toBe(404);
+    expect((await request(app).get('/api/playlists/x')).status).toBe(400);
+  });
+});
+
+describe('video details in conversions', () => {
+  test('a job passes the real title to generation and keeps the details with the results', async () => {
+    const prompts = [];
+    const stub = await startStubLLMServer((payload) => {
+      const prompt = payload.messages.map(m => m.content).join('\n');
+      prompts.push(prompt);
+      if (prompt.includes('Clean up this video transcript')) {
+        return { stream: ['**Host:** Welcome to the webinar.'] };
+      }
+      return {
+        stream: [JSON.stringify({
+          seoTitle: 'Dispatch Software Webinar',
+          metaDescription: 'How route planning cut scheduling time by 40 percent.',
+          faqs: [1, 2, 3, 4, 5].map(i => ({ question: `Question ${i}?`, answer: `Answer ${i}.` })),
+          keyTakeaways: [1, 2, 3, 4].map(i => `Takeaway ${i}.`)
+        })]
+      };
+    });
+    const restore = withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: stub.baseUrl });
+
+    try {
+      const created = await request(app)
+        .post('/api/jobs')
+        .send({ url: 'https://www.youtube.com/watch?v=generation1', transcript: 'Host: Welcome to the webinar.' });
+
+      let job;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        job = (await request(app).get(`/api/jobs/${created.body.id}`)).body;
+        if (job.status !== 'running' && job.status !== 'queued') break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      expect(job.status).toBe('completed');
+      expect(job.steps.extract).toEqual({ status: 'completed', description: 'Found "How Acme Cut Scheduling Time by 40%"' });
+      expect(prompts.find(p => p.includes('Create SEO content'))).toContain('Video title: How Acme Cut Scheduling Time by 40%');
+      expect(prompts.join('\n')).not.toContain('Video Content - ');
+      expect(job.results.thumbnailUrl).toBe(`${youtube.baseUrl}/vi/generation1/maxresdefault.jpg`);
+      expect(job.results.video).toMatchObject({ title: 'How Acme Cut Scheduling Time by 40%', duration: 3725 });
+    } finally {
+      restore();
+      await stub.close();
+    }
+  });
+});
+
+describe('createVideoMetadataService', () => {
+  test('drops a failed lookup from the cache so the next one retries', async () => {
+    const video = { provider: 'youtube', id: 'failing0001', url: 'https://www.youtube.com/watch?v=failing0001' };
+    const found = { metadata: { title: 'Second Try' }, thumbnail: null };
+    const resolve = jest.fn()
+      .mockRejectedValueOnce(new Error('lookup exploded'))
+      .mockResolvedValueOnce(found);
+    const service = createVideoMetadataService({ resolve });
+
+    await expect(service.metadata(video)).rejects.toThrow('lookup exploded');
+    await expect(service.metadata(video)).resolves.toEqual({ title: 'Second Try' });
+    await expect(service.thumbnail(video)).resolves.toBeNull();
+    expect(resolve).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('watch page parsing', () => {
+  test('parses ISO 8601 durations', () => {
+    expect(parseIsoDuration('PT45S')).toBe(45);
+    expect(parseIsoDuration('PT12M')).toBe(720);
+    expect(parseIsoDuration('PT1H0M9S')).toBe(3609);
+    expect(parseIsoDuration('P1DT1H')).toBe(90000);
+    expect(parseIsoDuration('PT')).toBeNull();
+    expect(parseIsoDuration('')).toBeNull();
+  });
+
+  test('falls back to the embedded player response', () => {
+    const page = '<script>var ytInitialPlayerResponse = {"videoDetails":{"lengthSeconds":"754","ownerChannelName":"Field Service Weekly"},"microformat":{"playerMicroformatRenderer":{"publishDate":"2024-03-14"}}};</script>';
+    expect(parseWatchPage(page)).toEqual({
+      title: null,
+      publishedAt: '2024-03-14',
+      duration: 754,
+      channel: 'Field Service Weekly'
+    });
+  });
+});
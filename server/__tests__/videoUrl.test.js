@@ -0,0 +1,152 @@
+const {
+  parseVideoUrl,
+  parseStartTime,
+  extractVideoId,
+  videoUrlError,
+  videoFromResults,
+  embedUrl,
+  timestampUrl
+} = require('../../src/shared/videoUrl');
+
+const LOOM_ID = '0123456789abcdef0123456789abcdef';
+
+describe('parseVideoUrl', () => {
+  // [input, provider, id, extra fields]
+  test.each([
+    // YouTube watch pages
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['http://youtube.com/watch?v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://m.youtube.com/watch?v=dQw4w9WgXcQ&feature=share', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://music.youtube.com/watch?v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://www.youtube.com/watch?feature=youtu.be&v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=95s', 'youtube', 'dQw4w9WgXcQ', { start: 95 }],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1h2m3s', 'youtube', 'dQw4w9WgXcQ', { start: 3723 }],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf', 'youtube', 'dQw4w9WgXcQ', { playlistId: 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf' }],
+    ['youtube.com/watch?v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['  https://www.youtube.com/watch?v=dQw4w9WgXcQ  ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://WWW.YOUTUBE.COM/watch?v=dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    // YouTube short links and other paths
+    ['https://youtu.be/dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://youtu.be/dQw4w9WgXcQ?si=abc123&t=42', 'youtube', 'dQw4w9WgXcQ', { start: 42 }],
+    ['https://www.youtube.com/shorts/dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://youtube.com/shorts/dQw4w9WgXcQ?feature=share', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://www.youtube.com/embed/dQw4w9WgXcQ?start=30', 'youtube', 'dQw4w9WgXcQ', { start: 30 }],
+    ['https://www.youtube.com/live/dQw4w9WgXcQ?feature=shared', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://www.youtube.com/v/dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', 'youtube', 'dQw4w9WgXcQ', {}],
+    ['https://youtube-nocookie.com/embed/dQw4w9WgXcQ?rel=0', 'youtube', 'dQw4w9WgXcQ', {}],
+    // Vimeo
+    ['https://vimeo.com/76979871', 'vimeo', '76979871', {}],
+    ['https://www.vimeo.com/76979871/', 'vimeo', '76979871', {}],
+    ['https://vimeo.com/76979871/8272103f6e', 'vimeo', '76979871', { hash: '8272103f6e', url: 'https://vimeo.com/76979871/8272103f6e' }],
+    ['https://player.vimeo.com/video/76979871', 'vimeo', '76979871', {}],
+    ['https://player.vimeo.com/video/76979871?h=8272103f6e&badge=0', 'vimeo', '76979871', { hash: '8272103f6e' }],
+    ['https://vimeo.com/channels/staffpicks/76979871', 'vimeo', '76979871', {}],
+    ['https://vimeo.com/groups/motion/videos/76979871', 'vimeo', '76979871', {}],
+    ['https://vimeo.com/showcase/1234567/video/76979871', 'vimeo', '76979871', {}],
+    ['https://vimeo.com/album/1234567/video/76979871', 'vimeo', '76979871', {}],
+    ['https://vimeo.com/76979871#t=1m5s', 'vimeo', '76979871', { start: 65 }],
+    // Loom
+    [`https://www.loom.com/share/${LOOM_ID}`, 'loom', LOOM_ID, {}],
+    [`https://loom.com/share/${LOOM_ID}?sid=1a2b3c`, 'loom', LOOM_ID, {}],
+    [`https://www.loom.com/share/Weekly-Sync-with-the-team-${LOOM_ID}`, 'loom', LOOM_ID, {}],
+    [`https://www.loom.com/embed/${LOOM_ID}`, 'loom', LOOM_ID, {}],
+    [`https://www.loom.com/share/${LOOM_ID.toUpperCase()}?t=12`, 'loom', LOOM_ID, { start: 12 }]
+  ])('%s -> %s %s', (input, provider, id, extra) => {
+    expect(parseVideoUrl(input)).toMatchObject({ kind: 'video', provider, id, ...extra });
+  });
+
+  test.each([
+    ['https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf', 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'],
+    ['https://m.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf&si=x', 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'],
+    ['https://www.youtube.com/embed/videoseries?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf', 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'],
+    ['https://music.youtube.com/playlist?list=OLAK5uy_kXwNjA1L1Cxr7YwbAXr5Q4yR0d7E9WfX8', 'OLAK5uy_kXwNjA1L1Cxr7YwbAXr5Q4yR0d7E9WfX8']
+  ])('%s is a playlist', (input, playlistId) => {
+    expect(parseVideoUrl(input)).toEqual({
+      kind: 'playlist',
+      provider: 'youtube',
+      playlistId,
+      url: `https://www.youtube.com/playlist?list=${playlistId}`
+    });
+  });
+
+  test.each([
+    [''],
+    [null],
+    ['not a url'],
+    ['https://example.com/watch?v=dQw4w9WgXcQ'],
+    ['https://notyoutube.com/watch?v=dQw4w9WgXcQ'],
+    ['https://www.youtube.com/'],
+    ['https://www.youtube.com/watch'],
+    ['https://www.youtube.com/watch?v=short'],
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQextra'],
+    ['https://www.youtube.com/@SomeChannel'],
+    ['https://www.youtube.com/channel/UC38IQsAvIsxxjztdMZQtwHA'],
+    ['https://www.youtube.com/playlist'],
+    ['https://youtu.be/'],
+    ['ftp://youtube.com/watch?v=dQw4w9WgXcQ'],
+    ['mailto:someone@youtube.com'],
+    ['https://vimeo.com/'],
+    ['https://vimeo.com/channels/staffpicks'],
+    ['https://vimeo.com/showcase/1234567'],
+    ['https://vimeo.com/user12345'],
+    ['https://www.loom.com/share/not-a-loom-id'],
+    ['https://www.loom.com/looms/videos']
+  ])('%p is not a video', (input) => {
+    expect(parseVideoUrl(input)).toBeNull();
+  });
+
+  test('gives each provider its canonical watch URL', () => {
+    expect(parseVideoUrl('https://youtu.be/dQw4w9WgXcQ?t=5').url).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    expect(parseVideoUrl('https://player.vimeo.com/video/76979871').url).toBe('https://vimeo.com/76979871');
+    expect(parseVideoUrl(`https://www.loom.com/embed/${LOOM_ID}`).url).toBe(`https://www.loom.com/share/${LOOM_ID}`);
+  });
+});
+
+describe('helpers', () => {
+  test('parseStartTime reads seconds and h/m/s forms', () => {
+    expect(parseStartTime('95')).toBe(95);
+    expect(parseStartTime('95s')).toBe(95);
+    expect(parseStartTime('2m')).toBe(120);
+    expect(parseStartTime('1h0m1s')).toBe(3601);
+    expect(parseStartTime('0')).toBeNull();
+    expect(parseStartTime('soon')).toBeNull();
+    expect(parseStartTime(null)).toBeNull();
+  });
+
+  test('extractVideoId only returns single videos', () => {
+    expect(extractVideoId('https://www.youtube.com/shorts/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+    expect(extractVideoId('https://vimeo.com/76979871')).toBe('76979871');
+    expect(extractVideoId('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf')).toBeNull();
+    expect(extractVideoId('https://example.com')).toBeNull();
+  });
+
+  test('videoUrlError explains why a URL cannot be converted', () => {
+    expect(videoUrlError(parseVideoUrl('https://youtu.be/dQw4w9WgXcQ'))).toBeNull();
+    expect(videoUrlError(parseVideoUrl('https://example.com'))).toBe('Not a YouTube, Vimeo or Loom video URL');
+    expect(videoUrlError(parseVideoUrl('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf')))
+      .toBe('Playlist URLs must be expanded into their videos first');
+  });
+
+  test('embed and timestamp URLs follow each provider', () => {
+    const youtube = parseVideoUrl('https://youtu.be/dQw4w9WgXcQ');
+    const vimeo = parseVideoUrl('https://vimeo.com/76979871/8272103f6e');
+    const loom = parseVideoUrl(`https://www.loom.com/share/${LOOM_ID}`);
+
+    expect(embedUrl(youtube)).toBe('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+    expect(embedUrl(vimeo)).toBe('https://player.vimeo.com/video/76979871?h=8272103f6e');
+    expect(embedUrl(loom)).toBe(`https://www.loom.com/embed/${LOOM_ID}`);
+
+    expect(timestampUrl(youtube, 95.6)).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=95');
+    expect(timestampUrl(vimeo, 95)).toBe('https://vimeo.com/76979871/8272103f6e#t=95s');
+    expect(timestampUrl(loom, 95)).toBe(`https://www.loom.com/share/${LOOM_ID}?t=95`);
+  });
+
+  test('videoFromResults falls back to a YouTube video ID for older results', () => {
+    expect(videoFromResults({ provider: 'vimeo', videoId: '76979871', videoUrl: 'https://vimeo.com/76979871/8272103f6e' }))
+      .toMatchObject({ provider: 'vimeo', id: '76979871', hash: '8272103f6e' });
+    expect(videoFromResults({ videoId: 'dQw4w9WgXcQ' })).toMatchObject({ provider: 'youtube', id: 'dQw4w9WgXcQ' });
+    expect(videoFromResults({ videoId: '' })).toBeNull();
+    expect(videoFromResults(null)).toBeNull();
+  });
+});
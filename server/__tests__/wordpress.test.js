@@ -0,0 +1,142 @@
+const request = require('supertest');
+const app = require('../../server');
+const { transcriptToBlocks, buildPostContent } = require('../gutenberg');
+const { startStubWordPressServer } = require('./helpers/stubWordPressServer');
+const { startStubVideoServer } = require('./helpers/stubVideoServer');
+const { withEnv } = require('./helpers/env');
+
+const JPEG_BYTES = Buffer.from('ffd8ffe0wordpress-thumbnail');
+
+const RESULT = {
+  seoTitle: 'How Docket Cut Scheduling Time by 40%',
+  metaDescription: 'A field service team explains how route planning cut scheduling time.',
+  formattedTranscript: '**Getting Started**\n\n**Host:** Welcome to the show.\n\n**Guest:** We cut scheduling time by 40 percent & more.',
+  keyTakeaways: ['Route planning saved time.', 'Drivers get jobs on their phones.'],
+  faqs: [{ question: 'What is Docket?', answer: 'Scheduling software <for> field teams.' }],
+  schemaFormat: 'jsonld'
+};
+
+describe('Gutenberg blocks', () => {
+  test('turns section headers into headings and speaker turns into paragraphs', () => {
+    const blocks = transcriptToBlocks(RESULT.formattedTranscript);
+
+    expect(blocks).toContain('<!-- wp:heading {"level":3} -->\n<h3 class="wp-block-heading">Getting Started</h3>\n<!-- /wp:heading -->');
+    expect(blocks).toContain('<!-- wp:paragraph -->\n<p><strong>Host:</strong> Welcome to the show.</p>\n<!-- /wp:paragraph -->');
+    expect(blocks).toContain('40 percent &amp; more.');
+  });
+
+  test('builds takeaways as an ordered list and the FAQ markup as an HTML block', () => {
+    const content = buildPostContent({ keyTakeaways: RESULT.keyTakeaways, faqSchemaMarkup: '<div>FAQ</div>' });
+
+    expect(content).toContain('<!-- wp:list {"ordered":true} -->');
+    expect(content).toContain('<!-- wp:list-item -->\n<li>Route planning saved time.</li>\n<!-- /wp:list-item -->');
+    expect(content).toContain('<!-- wp:html -->\n<div>FAQ</div>\n<!-- /wp:html -->');
+    expect(content).not.toContain('Transcript</h2>');
+  });
+});
+
+describe('POST /api/publish/wordpress', () => {
+  let stub;
+  let restore;
+  let youtube;
+  let restoreVideos;
+
+  beforeAll(async () => {
+    youtube = await startStubVideoServer({
+      dispatch001: { title: 'Dispatch Webinar', channel: 'Field Service Weekly', thumbnails: { maxresdefault: JPEG_BYTES } }
+    });
+    restoreVideos = withEnv({ YOUTUBE_BASE_URL: youtube.baseUrl, YOUTUBE_IMAGE_BASE_URL: youtube.baseUrl });
+  });
+
+  afterAll(async () => {
+    restoreVideos();
+    await youtube.close();
+  });
+
+  const configure = async (options) => {
+    stub = await startStubWordPressServer(options);
+    restore = withEnv({
+      WORDPRESS_URL: stub.siteUrl,
+      WORDPRESS_USERNAME: 'editor',
+      WORDPRESS_APP_PASSWORD: 'abcd efgh ijkl mnop',
+      WORDPRESS_SEO_PLUGIN: 'both'
+    });
+  };
+
+  afterEach(async () => {
+    if (restore) restore();
+    if (stub) await stub.close();
+    restore = null;
+    stub = null;
+  });
+
+  test('uploads the video\'s thumbnail and creates a draft post with SEO meta', async () => {
+    await configure();
+
+    // thumbnailUrl isn't part of the API: the image is the one looked up for the video
+    const res = await request(app)
+      .post('/api/publish/wordpress')
+      .send({ ...RESULT, provider: 'youtube', videoId: 'dispatch001', thumbnailUrl: `${stub.siteUrl}/thumbnail.png` });
+
+    expect(res.status).toBe(200);
+    expect(res.body.editLink).toBe(`${stub.siteUrl}/wp-admin/post.php?post=${res.body.id}&action=edit`);
+    expect(res.body.warnings).toEqual([]);
+
+    const upload = stub.requests.find(req => req.url === '/wp-json/wp/v2/media');
+    expect(upload.headers.authorization).toBe(`Basic ${Buffer.from('editor:abcd efgh ijkl mnop').toString('base64')}`);
+    expect(upload.headers['content-type']).toBe('image/jpeg');
+    expect(upload.headers['content-disposition']).toBe('attachment; filename="how-docket-cut-scheduling-time-by-40.jpg"');
+    expect(upload.payload.equals(JPEG_BYTES)).toBe(true);
+    expect(stub.requests.map(req => req.url)).not.toContain('/thumbnail.png');
+
+    const post = stub.requests.find(req => req.url === '/wp-json/wp/v2/posts').payload;
+    expect(post).toMatchObject({
+      title: RESULT.seoTitle,
+      excerpt: RESULT.metaDescription,
+      status: 'draft',
+      slug: 'how-docket-cut-scheduling-time-by-40',
+      featured_media: res.body.featuredMediaId,
+      meta: {
+        _yoast_wpseo_title: RESULT.seoTitle,
+        _yoast_wpseo_metadesc: RESULT.metaDescription,
+        rank_math_title: RESULT.seoTitle,
+        rank_math_description: RESULT.metaDescription
+      }
+    });
+    expect(post.content).toContain('<strong>Host:</strong> Welcome to the show.');
+    expect(post.content).toContain('<script type="application/ld+json">');
+    // FAQ markup is rebuilt and escaped on the server
+    expect(post.content).toContain('Scheduling software &lt;for&gt; field teams.');
+  });
+
+  test('still creates the post when the thumbnail upload fails', async () => {
+    await configure({ fail: { '/media': { status: 413, body: { message: 'File too large' } } } });
+
+    const res = await request(app)
+      .post('/api/publish/wordpress')
+      .send({ ...RESULT, provider: 'youtube', videoId: 'dispatch001' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.featuredMediaId).toBeNull();
+    expect(res.body.warnings).toEqual(['Featured image was not uploaded: File too large']);
+    expect(stub.requests.find(req => req.url === '/wp-json/wp/v2/posts').payload.featured_media).toBeUndefined();
+  });
+
+  test('reports rejected credentials', async () => {
+    await configure({ fail: { '/posts': { status: 401, body: { code: 'rest_not_logged_in', message: 'You are not currently logged in.' } } } });
+
+    const res = await request(app).post('/api/publish/wordpress').send(RESULT);
+
+    expect(res.status).toBe(502);
+    expect(res.body.error).toBe('WordPress request failed (401): Check WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD');
+  });
+
+  test('explains missing configuration', async () => {
+    restore = withEnv({ WORDPRESS_URL: '', WORDPRESS_USERNAME: '', WORDPRESS_APP_PASSWORD: '' });
+
+    const res = await request(app).post('/api/publish/wordpress').send(RESULT);
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('WordPress publishing is not configured. Set WORDPRESS_URL, WORDPRESS_USERNAME, WORDPRESS_APP_PASSWORD in your .env file');
+  });
+});
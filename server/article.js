@@ -0,0 +1,105 @@
+// Blog article draft mode: turns a cleaned transcript into a structured article.
+// The model returns JSON sections; Markdown and HTML are rendered here so the
+// output format stays consistent and pull quotes can be checked against the transcript.
+// The prompt is the article template (see promptTemplates.js).
+
+const { escapeHtml } = require('./html');
+
+// Compare text ignoring markdown emphasis, punctuation spacing and case
+const normalizeForMatch = (text) => String(text)
+  .replace(/\*\*/g, '')
+  .replace(/[“”]/g, '"')
+  .replace(/[‘’]/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Coerce the model output into the expected shape and drop pull quotes that aren't verbatim
+const normalizeArticle = (raw, transcript) => {
+  const source = normalizeForMatch(transcript);
+
+  const sections = (Array.isArray(raw.sections) ? raw.sections : [])
+    .map(section => ({
+      heading: asText(section && section.heading),
+      body: asText(section && section.body),
+      subsections: (Array.isArray(section && section.subsections) ? section.subsections : [])
+        .map(sub => ({ heading: asText(sub && sub.heading), body: asText(sub && sub.body) }))
+        .filter(sub => sub.heading && sub.body)
+    }))
+    .filter(section => section.heading && (section.body || section.subsections.length > 0));
+
+  const pullQuotes = (Array.isArray(raw.pullQuotes) ? raw.pullQuotes : [])
+    .map(item => ({ quote: asText(item && item.quote).replace(/^["“]|["”]$/g, ''), speaker: asText(item && item.speaker) }))
+    .filter(item => item.quote && source.includes(normalizeForMatch(item.quote)));
+
+  return {
+    title: asText(raw.title),
+    intro: asText(raw.intro),
+    sections,
+    pullQuotes,
+    conclusion: asText(raw.conclusion)
+  };
+};
+
+const paragraphs = (body) => body.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+// Pull quotes are spread out after sections, one per section starting with the first
+const quoteForSection = (article, index) => article.pullQuotes[index] || null;
+
+const articleToMarkdown = (article) => {
+  const parts = [];
+  if (article.title) parts.push(`# ${article.title}`);
+  if (article.intro) parts.push(article.intro);
+
+  article.sections.forEach((section, index) => {
+    parts.push(`## ${section.heading}`);
+    if (section.body) parts.push(section.body);
+    section.subsections.forEach(sub => {
+      parts.push(`### ${sub.heading}`, sub.body);
+    });
+
+    const pullQuote = quoteForSection(article, index);
+    if (pullQuote) {
+      parts.push(`> "${pullQuote.quote}"${pullQuote.speaker ? `\n>\n> — ${pullQuote.speaker}` : ''}`);
+    }
+  });
+
+  if (article.conclusion) parts.push('## Conclusion', article.conclusion);
+  return parts.join('\n\n');
+};
+
+const articleToHtml = (article) => {
+  const html = [];
+  const addParagraphs = (body) => paragraphs(body).forEach(p => html.push(`<p>${escapeHtml(p)}</p>`));
+
+  if (article.title) html.push(`<h1>${escapeHtml(article.title)}</h1>`);
+  if (article.intro) addParagraphs(article.intro);
+
+  article.sections.forEach((section, index) => {
+    html.push(`<h2>${escapeHtml(section.heading)}</h2>`);
+    if (section.body) addParagraphs(section.body);
+    section.subsections.forEach(sub => {
+      html.push(`<h3>${escapeHtml(sub.heading)}</h3>`);
+      addParagraphs(sub.body);
+    });
+
+    const pullQuote = quoteForSection(article, index);
+    if (pullQuote) {
+      html.push(`<blockquote class="pull-quote"><p>${escapeHtml(pullQuote.quote)}</p>${pullQuote.speaker ? `<cite>${escapeHtml(pullQuote.speaker)}</cite>` : ''}</blockquote>`);
+    }
+  });
+
+  if (article.conclusion) {
+    html.push('<h2>Conclusion</h2>');
+    addParagraphs(article.conclusion);
+  }
+  return html.join('\n');
+};
+
+module.exports = {
+  normalizeArticle,
+  articleToMarkdown,
+  articleToHtml
+};
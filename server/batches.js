@@ -0,0 +1,219 @@
+// Batch conversions: many videos queued at once and processed on the server.
+// Batches live in memory while they run; every finished video is saved to the
+// conversion history, so results survive a restart even though batch status doesn't.
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { parseVideoUrl, videoUrlError } = require('../src/shared/videoUrl');
+const { slugify } = require('./slug');
+const { normalizeSegments } = require('./segments');
+const { describeError } = require('./pipeline');
+const llm = require('./llm');
+
+const OUTPUT_MODES = ['transcript', 'article', 'both'];
+
+// What the status table needs for one video
+const itemView = (item) => ({
+  index: item.index,
+  url: item.url,
+  provider: item.provider,
+  videoId: item.videoId,
+  status: item.status,
+  step: item.step,
+  progress: item.progress,
+  attempts: item.attempts,
+  retryAt: item.retryAt,
+  error: item.error,
+  conversionId: item.conversionId,
+  seoTitle: item.seoTitle
+});
+
+const batchView = (batch) => {
+  const counts = { queued: 0, running: 0, retrying: 0, completed: 0, failed: 0 };
+  batch.items.forEach(item => { counts[item.status]++; });
+  return {
+    id: batch.id,
+    outputMode: batch.outputMode,
+    schemaFormat: batch.schemaFormat,
+    createdAt: batch.createdAt,
+    finished: counts.completed + counts.failed === batch.items.length,
+    counts,
+    items: batch.items.map(itemView)
+  };
+};
+
+const createBatchManager = ({ queue, conversions, runConversion, videoMetadata = null }) => {
+  const batches = new Map();
+
+  const enqueue = (batch, item, input) => queue.add(async (attempt) => {
+    item.status = 'running';
+    item.attempts = attempt;
+    item.retryAt = null;
+
+    item.step = 'extract';
+    const video = videoMetadata ? await videoMetadata.metadata(item.source) : null;
+    const results = await runConversion(
+      { ...input, videoId: item.videoId, provider: item.provider, videoUrl: item.source.url, video, outputMode: batch.outputMode, schemaFormat: batch.schemaFormat, prompts: batch.prompts, glossary: batch.glossary, judge: batch.judge, language: batch.language, languages: batch.languages },
+      {
+        onStep: (step, { completedChunks, totalChunks } = {}) => {
+          item.step = step;
+          item.progress = totalChunks > 1 ? { current: completedChunks, total: totalChunks } : null;
+        }
+      }
+    );
+
+    const { provider, models } = llm.describeLLMConfig();
+    const conversion = await conversions.create({
+      url: item.url,
+      videoId: item.videoId,
+      rawTranscript: input.rawTranscript,
+      results,
+      llm: { provider, models },
+      batchId: batch.id
+    });
+
+    item.status = 'completed';
+    item.error = null;
+    item.step = null;
+    item.progress = null;
+    item.conversionId = conversion.id;
+    item.seoTitle = results.seoTitle;
+  }, {
+    onRetry: ({ delay, error }) => {
+      item.status = 'retrying';
+      item.retryAt = new Date(Date.now() + delay).toISOString();
+      item.error = describeError(error);
+      console.warn(`⏳ Batch ${batch.id} item ${item.index + 1} rate limited, retrying in ${delay}ms`);
+    }
+  }).catch(error => {
+    console.error(`Batch ${batch.id} item ${item.index + 1} failed:`, error.message);
+    item.status = 'failed';
+    item.step = null;
+    item.progress = null;
+    item.error = describeError(error);
+  });
+
+  return {
+    // `items`: [{ url, transcript, rawTranscript?, segments?, transcriptFormat? }], where
+    // `transcript` is the parsed text and `rawTranscript` what was pasted (kept in the history,
+    // like a single conversion's); every item uses `prompts`
+    // and the `glossary` terms, and `judge` turns on the model's grounding check. `language`
+    // (the source language, detected per video when not given) and the `languages` to
+    // translate into apply to every item.
+    create({ items, outputMode, schemaFormat, prompts, glossary, judge, language, languages = [] }) {
+      const batch = {
+        id: crypto.randomUUID(),
+        outputMode: OUTPUT_MODES.includes(outputMode) ? outputMode : 'transcript',
+        schemaFormat,
+        prompts,
+        glossary,
+        judge,
+        language,
+        languages,
+        createdAt: new Date().toISOString(),
+        items: []
+      };
+
+      items.forEach((input, index) => {
+        const source = parseVideoUrl(input.url);
+        const isVideo = source?.kind === 'video';
+        const item = {
+          index,
+          url: input.url,
+          source,
+          provider: isVideo ? source.provider : null,
+          videoId: isVideo ? source.id : null,
+          status: 'queued',
+          step: null,
+          progress: null,
+          attempts: 0,
+          retryAt: null,
+          error: null,
+          conversionId: null,
+          seoTitle: null
+        };
+        batch.items.push(item);
+
+        if (!isVideo) {
+          item.status = 'failed';
+          item.error = videoUrlError(source);
+        } else if (!input.transcript) {
+          item.status = 'failed';
+          item.error = 'Transcript is required';
+        } else {
+          enqueue(batch, item, {
+            transcript: input.transcript,
+            rawTranscript: typeof input.rawTranscript === 'string' ? input.rawTranscript : input.transcript,
+            segments: normalizeSegments(input.segments),
+            transcriptFormat: input.transcriptFormat
+          });
+        }
+      });
+
+      batches.set(batch.id, batch);
+      console.log(`📦 Batch ${batch.id} created with ${items.length} item(s)`);
+      return batchView(batch);
+    },
+
+    get(id) {
+      const batch = batches.get(id);
+      return batch ? batchView(batch) : null;
+    },
+
+    // ZIP of every completed video: a folder per video plus a summary CSV
+    async archive(id) {
+      const batch = batches.get(id);
+      if (!batch) return null;
+
+      const zip = new JSZip();
+      const summary = [['#', 'url', 'status', 'seo_title', 'folder', 'error']];
+
+      for (const item of batch.items) {
+        const conversion = item.conversionId ? await conversions.get(item.conversionId) : null;
+        let folder = '';
+
+        if (conversion) {
+          const { results } = conversion;
+          folder = `${String(item.index + 1).padStart(2, '0')}-${slugify(results.seoTitle, item.videoId)}`;
+          zip.file(`${folder}/transcript.md`, `# ${results.seoTitle}\n\n${results.formattedTranscript}\n`);
+          zip.file(`${folder}/seo.json`, JSON.stringify({
+            url: conversion.url,
+            videoId: conversion.videoId,
+            seoTitle: results.seoTitle,
+            metaDescription: results.metaDescription,
+            faqs: results.faqs,
+            keyTakeaways: results.keyTakeaways,
+            chapters: results.chapters,
+            thumbnailUrl: results.thumbnailUrl
+          }, null, 2));
+          zip.file(`${folder}/faq-schema.html`, results.schemaMarkup);
+          if (results.article) {
+            zip.file(`${folder}/article.md`, results.article.markdown);
+          }
+          Object.entries(results.translations || {}).forEach(([code, translation]) => {
+            zip.file(`${folder}/${code}/transcript.md`, `# ${translation.seoTitle}\n\n${translation.formattedTranscript}\n`);
+            zip.file(`${folder}/${code}/seo.json`, JSON.stringify({
+              language: code,
+              seoTitle: translation.seoTitle,
+              metaDescription: translation.metaDescription,
+              faqs: translation.faqs,
+              keyTakeaways: translation.keyTakeaways
+            }, null, 2));
+            zip.file(`${folder}/${code}/faq-schema.html`, translation.schemaMarkup);
+          });
+        }
+
+        summary.push([item.index + 1, item.url, item.status, item.seoTitle || '', folder, item.error || '']);
+      }
+
+      const csv = summary
+        .map(row => row.map(value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value)).join(','))
+        .join('\n');
+      zip.file('batch.csv', `${csv}\n`);
+
+      return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+  };
+};
+
+module.exports = { createBatchManager, OUTPUT_MODES };
@@ -0,0 +1,102 @@
+// YouTube chapter markers derived from timed transcript segments.
+// The model picks topic shifts from a timestamped outline; the rules YouTube enforces
+// for description chapters (first at 00:00, at least 3, 10s minimum length) are applied here.
+
+const MIN_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+const BLOCK_SECONDS = 30;
+const MAX_OUTLINE_CHARS = 60000;
+
+// Seconds -> "04:12" or "1:02:03", the format YouTube recognises in descriptions
+const formatChapterTimestamp = (totalSeconds) => {
+  const seconds = Math.floor(totalSeconds);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${String(m).padStart(2, '0')}:${s}`;
+};
+
+// Group segments into ~30 second blocks, one "[04:12] text" line each
+const buildTimedOutline = (segments) => {
+  const blocks = [];
+
+  segments.forEach(segment => {
+    const block = blocks[blocks.length - 1];
+    if (block && segment.start - block.start < BLOCK_SECONDS) {
+      block.text.push(segment.text);
+    } else {
+      blocks.push({ start: segment.start, text: [segment.text] });
+    }
+  });
+
+  // Very long videos: trim each block evenly so the outline fits in one prompt
+  const fullLength = blocks.reduce((total, block) => total + block.text.join(' ').length + 10, 0);
+  const maxBlockChars = fullLength > MAX_OUTLINE_CHARS
+    ? Math.max(80, Math.floor(MAX_OUTLINE_CHARS / blocks.length) - 10)
+    : Infinity;
+
+  return blocks
+    .map(block => {
+      const text = block.text.join(' ');
+      const trimmed = text.length > maxBlockChars ? `${text.slice(0, maxBlockChars)}…` : text;
+      return `[${formatChapterTimestamp(block.start)}] ${trimmed}`;
+    })
+    .join('\n');
+};
+
+const buildChaptersPrompt = (segments, duration) => `Create YouTube chapter markers for this video from its timestamped transcript.
+
+RULES:
+- Start a new chapter only where the topic clearly shifts
+- The first chapter MUST start at 0 seconds (usually "Intro")
+- Use between 3 and 15 chapters depending on the video length (${formatChapterTimestamp(duration)})
+- Chapter titles: 2-6 words, specific to what is discussed, no numbering, no timestamps
+- Use ONLY topics actually discussed in the transcript
+- "start" must be one of the timestamps shown in the transcript, converted to seconds
+
+Timestamped transcript:
+${buildTimedOutline(segments)}
+
+Return ONLY a valid JSON object with this structure:
+{
+  "chapters": [
+    { "start": 0, "title": "string" }
+  ]
+}`;
+
+// Sort, de-duplicate and enforce YouTube's chapter rules; returns [] when they can't be met
+const normalizeChapters = (chapters, duration) => {
+  if (!Array.isArray(chapters)) return [];
+
+  const sorted = chapters
+    .filter(chapter => chapter && typeof chapter.title === 'string' && chapter.title.trim())
+    .map(chapter => ({ start: Math.max(0, Math.floor(Number(chapter.start) || 0)), title: chapter.title.trim() }))
+    .filter(chapter => !duration || chapter.start < duration)
+    .sort((a, b) => a.start - b.start);
+
+  if (sorted.length === 0) return [];
+  sorted[0].start = 0;
+
+  const result = [];
+  sorted.forEach(chapter => {
+    const previous = result[result.length - 1];
+    if (!previous || chapter.start - previous.start >= MIN_CHAPTER_SECONDS) {
+      result.push(chapter);
+    }
+  });
+
+  if (duration && result.length > 0 && duration - result[result.length - 1].start < MIN_CHAPTER_SECONDS) {
+    result.pop();
+  }
+
+  if (result.length < MIN_CHAPTERS) return [];
+
+  return result.map(chapter => ({ ...chapter, timestamp: formatChapterTimestamp(chapter.start) }));
+};
+
+module.exports = {
+  buildChaptersPrompt,
+  buildTimedOutline,
+  normalizeChapters,
+  formatChapterTimestamp
+};
@@ -0,0 +1,117 @@
+// Splits long transcripts into chunks the model can clean in one pass.
+// Chunks break at speaker turns or paragraph boundaries whenever possible,
+// and each chunk carries a short tail of the previous one as read-only context.
+
+const DEFAULT_MAX_CHARS = 24000;
+const DEFAULT_OVERLAP_CHARS = 1200;
+
+// Matches lines that open a speaker turn, e.g. "John:", "**Host:**", "SPEAKER 2:"
+const SPEAKER_LINE = /^\s*(?:\*\*)?[A-Z][\w .,'&()-]{0,40}?(?:\*\*)?:(?:\*\*)?\s/;
+
+const isSpeakerTurn = (text) => SPEAKER_LINE.test(text);
+
+// Last resort for a single unit that is still too long: cut on sentence ends, then whitespace
+const splitOversized = (text, maxChars) => {
+  const pieces = [];
+  let remaining = text;
+
+  while (remaining.length > maxChars) {
+    const window = remaining.slice(0, maxChars);
+    let cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    if (cut < maxChars * 0.5) {
+      cut = window.lastIndexOf(' ');
+    }
+    if (cut <= 0) {
+      cut = maxChars - 1;
+    }
+    pieces.push(remaining.slice(0, cut + 1).trim());
+    remaining = remaining.slice(cut + 1).trim();
+  }
+
+  if (remaining) {
+    pieces.push(remaining);
+  }
+  return pieces;
+};
+
+// Break the transcript into the smallest natural units: paragraphs, or lines
+// for transcripts that have no blank lines at all
+const toUnits = (transcript, maxChars) => {
+  const normalized = transcript.replace(/\r\n?/g, '\n').trim();
+  let units = normalized.split(/\n\s*\n/);
+
+  if (units.length === 1) {
+    units = normalized.split('\n');
+  }
+
+  return units
+    .map(unit => unit.trim())
+    .filter(Boolean)
+    .flatMap(unit => (unit.length > maxChars ? splitOversized(unit, maxChars) : [unit]));
+};
+
+// Trailing units of a chunk, up to overlapChars, used as context for the next chunk
+const tailContext = (units, overlapChars) => {
+  const tail = [];
+  let length = 0;
+
+  for (let i = units.length - 1; i >= 0; i--) {
+    if (length + units[i].length > overlapChars && tail.length > 0) break;
+    tail.unshift(units[i]);
+    length += units[i].length;
+  }
+
+  const context = tail.join('\n\n');
+  return context.length > overlapChars ? context.slice(-overlapChars) : context;
+};
+
+const splitTranscript = (transcript, options = {}) => {
+  const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+  const overlapChars = options.overlapChars ?? DEFAULT_OVERLAP_CHARS;
+
+  if (!transcript || !transcript.trim()) return [];
+
+  const units = toUnits(transcript, maxChars);
+  const groups = [];
+  let current = [];
+  let currentLength = 0;
+
+  units.forEach(unit => {
+    const wouldOverflow = currentLength + unit.length + 2 > maxChars;
+    // Once a chunk is reasonably full, prefer to end it right before a new speaker turn
+    const goodBreak = currentLength > maxChars * 0.75 && isSpeakerTurn(unit);
+
+    if (current.length > 0 && (wouldOverflow || goodBreak)) {
+      groups.push(current);
+      current = [];
+      currentLength = 0;
+    }
+
+    current.push(unit);
+    currentLength += unit.length + 2;
+  });
+
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups.map((group, index) => ({
+    index,
+    text: group.join('\n\n'),
+    context: index > 0 && overlapChars > 0 ? tailContext(groups[index - 1], overlapChars) : ''
+  }));
+};
+
+// Reassemble cleaned chunks into a single transcript
+const stitchChunks = (cleanedChunks) => cleanedChunks
+  .map(chunk => chunk.trim())
+  .filter(Boolean)
+  .join('\n\n');
+
+module.exports = {
+  splitTranscript,
+  stitchChunks,
+  isSpeakerTurn,
+  DEFAULT_MAX_CHARS,
+  DEFAULT_OVERLAP_CHARS
+};
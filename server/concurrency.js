@@ -0,0 +1,39 @@
+// Runs an async function over every item with at most `limit` calls in flight.
+// Results keep the order of the input; the first rejection rejects the whole run.
+// Each call gets a signal as `fn(item, index, signal)`: it is aborted on the first rejection
+// (or when the optional outer `signal` aborts) so the calls still in flight can give up,
+// and no further items are started.
+const mapWithConcurrency = async (items, limit, fn, { signal } = {}) => {
+  const results = new Array(items.length);
+  const controller = new AbortController();
+  // Follow the outer signal by hand; AbortSignal.any needs Node 20.3
+  const abortFromOuter = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) abortFromOuter();
+    else signal.addEventListener('abort', abortFromOuter, { once: true });
+  }
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      if (controller.signal.aborted) throw controller.signal.reason;
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index, controller.signal);
+      } catch (error) {
+        controller.abort(error);
+        throw error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  try {
+    await Promise.all(Array.from({ length: workerCount }, worker));
+  } finally {
+    if (signal) signal.removeEventListener('abort', abortFromOuter);
+  }
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,88 @@
+// Conversion history kept in a single JSON file (CONVERSIONS_FILE, default data/conversions.json).
+// See jsonFile.js for how writes are queued and replaced atomically.
+
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'conversions.json');
+
+// Fields shown in the history list; the full record is only sent when a conversion is opened
+const summarize = (conversion) => ({
+  id: conversion.id,
+  url: conversion.url,
+  videoId: conversion.videoId,
+  seoTitle: conversion.results?.seoTitle || '',
+  thumbnailUrl: conversion.results?.thumbnailUrl || '',
+  outputMode: conversion.results?.outputMode || 'transcript',
+  createdAt: conversion.createdAt,
+  updatedAt: conversion.updatedAt
+});
+
+const matchesQuery = (conversion, query) => {
+  const haystack = [
+    conversion.url,
+    conversion.videoId,
+    conversion.results?.seoTitle,
+    conversion.results?.metaDescription,
+    conversion.rawTranscript
+  ].filter(Boolean).join('\n').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+};
+
+const createConversionStore = (filePath = process.env.CONVERSIONS_FILE || DEFAULT_FILE) => {
+  const file = createJsonFile(filePath, () => []);
+
+  // `change(conversions)` returns { conversions, result }; see createJsonFile's mutate
+  const mutate = (change) => file.mutate(conversions => {
+    const { conversions: next, result } = change(conversions);
+    return { value: next, result };
+  });
+
+  return {
+    filePath,
+
+    // Newest first; `query` matches every word against URL, video ID, title, description and transcript
+    async list(query = '') {
+      const conversions = await file.read();
+      // Reversed first so conversions saved in the same millisecond still list newest first
+      return conversions
+        .reverse()
+        .filter(conversion => !query || matchesQuery(conversion, query))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarize);
+    },
+
+    async get(id) {
+      const conversions = await file.read();
+      return conversions.find(conversion => conversion.id === id) || null;
+    },
+
+    create(fields) {
+      const now = new Date().toISOString();
+      const conversion = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+      return mutate(conversions => ({ conversions: [...conversions, conversion], result: conversion }));
+    },
+
+    // Returns the updated conversion, or null when it doesn't exist
+    update(id, fields) {
+      return mutate(conversions => {
+        const existing = conversions.find(conversion => conversion.id === id);
+        if (!existing) return { result: null };
+        const updated = { ...existing, ...fields, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        return { conversions: conversions.map(conversion => (conversion.id === id ? updated : conversion)), result: updated };
+      });
+    },
+
+    // Returns true when a conversion was removed
+    remove(id) {
+      return mutate(conversions => {
+        const remaining = conversions.filter(conversion => conversion.id !== id);
+        if (remaining.length === conversions.length) return { result: false };
+        return { conversions: remaining, result: true };
+      });
+    }
+  };
+};
+
+module.exports = { createConversionStore, summarize };
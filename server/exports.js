@@ -0,0 +1,423 @@
+// Export formats for a finished conversion: Markdown with front matter, a self-contained HTML
+// page, a DOCX for client review, the raw JSON, and a ZIP of all of them plus the thumbnail.
+// Every file in the ZIP is named with the same slug as the thumbnail download.
+// A result with translations exports in any of its languages, with hreflang alternates
+// pointing at the other ones; its ZIP has a folder per language. Accepted internal links
+// (`internalLinks`) are inserted at their anchor's first mention in the takeaways or transcript.
+
+const JSZip = require('jszip');
+const { escapeHtml } = require('./html');
+const { buildFaqSchemaMarkup, normalizeSchemaFormat } = require('./faqSchema');
+const { slugify } = require('./slug');
+const { createLinker } = require('./internalLinks');
+const { normalizeArticle, articleToMarkdown, articleToHtml } = require('./article');
+const { imageExtension } = require('./videoMetadata');
+const { videoFromResults, timestampUrl } = require('../src/shared/videoUrl');
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  zip: { extension: 'zip', contentType: 'application/zip' }
+};
+
+// The client sends the slug its thumbnail download uses, so it is kept as is (only made safe
+// for file names); without one, a slug is built from the title
+const exportSlug = (results, slug) => (
+  String(slug || '').replace(/[^a-zA-Z0-9-]/g, '-') || slugify(results.seoTitle, results.videoId || 'export')
+);
+
+// Link into the video at a chapter's start, in the provider's own timestamp syntax
+const chapterUrl = (results, seconds) => {
+  const video = videoFromResults(results);
+  return video ? timestampUrl(video, seconds) : '';
+};
+
+// A line that is only a bold phrase ("**Pricing**") is a section header in the cleaned
+// transcript (same rule as the WordPress blocks); everything else is a paragraph
+const SECTION_HEADER = /^\*\*([^*]+?)\*\*$/;
+
+const transcriptParts = (transcript) => String(transcript || '')
+  .replace(/\r\n?/g, '\n')
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => {
+    const header = paragraph.match(SECTION_HEADER);
+    return header && !header[1].trim().endsWith(':')
+      ? { heading: header[1].trim() }
+      : { text: paragraph.replace(/\n/g, ' ') };
+  });
+
+// A result as it reads in `language`: the source itself, or with a translation's transcript and
+// SEO fields swapped in. The article draft isn't translated, so a translation carries the
+// transcript instead.
+const localizedResults = (results, language) => {
+  const translation = language && results.translations ? results.translations[language] : null;
+  return translation ? { ...results, ...translation, article: null, outputMode: 'transcript' } : results;
+};
+
+// Language codes a result can be exported in, source first; empty without translations
+const exportLanguages = (results) => {
+  const translated = Object.keys(results.translations || {});
+  return translated.length > 0 ? [results.language?.code || 'en', ...translated] : [];
+};
+
+// hreflang alternates for every language of a result (plus x-default, the source), following
+// the ZIP layout: {baseUrl}/{language}/{slug}.html, or relative paths without a baseUrl
+const hreflangAlternates = (results, name, baseUrl) => {
+  const languages = exportLanguages(results);
+  const href = (code) => `${baseUrl ? String(baseUrl).replace(/\/+$/, '') : '..'}/${code}/${name}.html`;
+  return languages.length > 0
+    ? [...languages.map(code => ({ hreflang: code, href: href(code) })), { hreflang: 'x-default', href: href(languages[0]) }]
+    : [];
+};
+
+// Double-quoted YAML scalars are JSON strings, so JSON.stringify escapes them correctly
+const yamlString = (value) => JSON.stringify(String(value || ''));
+
+// `faqs:` as a YAML list of { question, answer }
+const faqYaml = (faqs = []) => (faqs.length > 0
+  ? ['faqs:', ...faqs.flatMap(faq => [`  - question: ${yamlString(faq.question)}`, `    answer: ${yamlString(faq.answer)}`])]
+  : ['faqs: []']);
+
+// Speakers are listed once someone has given them a role or headshot; bare labels like
+// "Speaker 1" add nothing the transcript doesn't already show
+const namedSpeakers = (results) => {
+  const speakers = Array.isArray(results.speakers) ? results.speakers : [];
+  return speakers.some(speaker => speaker.role || speaker.headshotUrl) ? speakers : [];
+};
+
+// `speakers:` as a YAML list of { name, role, headshot }, left out when no speaker has details
+const speakerYaml = (results) => (namedSpeakers(results).length > 0
+  ? ['speakers:', ...namedSpeakers(results).flatMap(speaker => [
+    `  - name: ${yamlString(speaker.name)}`,
+    ...(speaker.role ? [`    role: ${yamlString(speaker.role)}`] : []),
+    ...(speaker.headshotUrl ? [`    headshot: ${yamlString(speaker.headshotUrl)}`] : [])
+  ])]
+  : []);
+
+// `alternates:` as a YAML list of { hreflang, href }
+const alternateYaml = (alternates = []) => (alternates.length > 0
+  ? ['alternates:', ...alternates.flatMap(alternate => [`  - hreflang: ${yamlString(alternate.hreflang)}`, `    href: ${yamlString(alternate.href)}`])]
+  : []);
+
+const frontMatter = (results, url, alternates) => {
+  const lines = [
+    '---',
+    `title: ${yamlString(results.seoTitle)}`,
+    `description: ${yamlString(results.metaDescription)}`,
+    ...(results.language ? [`lang: ${yamlString(results.language.code)}`] : []),
+    `thumbnail: ${yamlString(results.thumbnailUrl)}`,
+    `video: ${yamlString(url || videoFromResults(results)?.url || '')}`,
+    ...alternateYaml(alternates),
+    ...speakerYaml(results),
+    ...faqYaml(results.faqs),
+    '---'
+  ];
+  return lines.join('\n');
+};
+
+// The article draft re-rendered from its structured sections, never from the Markdown or HTML
+// the client sent along with it; null when the results carry no draft
+const articleDraft = (results) => {
+  const draft = results.article && results.article.article;
+  return draft && typeof draft === 'object' ? normalizeArticle(draft, results.formattedTranscript || '') : null;
+};
+
+// Markdown body shared by the .md export and the DOCX: article draft and/or transcript,
+// takeaways, chapters and FAQs, following the conversion's output mode
+const markdownBody = (results) => {
+  const parts = [];
+  const link = createLinker(results.internalLinks);
+  const article = articleDraft(results);
+
+  if (article) {
+    parts.push(articleToMarkdown(article));
+  } else {
+    parts.push(`# ${results.seoTitle}`);
+  }
+
+  if ((results.keyTakeaways || []).length > 0) {
+    parts.push('## Key Takeaways', results.keyTakeaways.map((item, i) => `${i + 1}. ${link(item)}`).join('\n'));
+  }
+
+  if (namedSpeakers(results).length > 0) {
+    parts.push('## Speakers', namedSpeakers(results).map(speaker => (
+      `- **${speaker.name}**${speaker.role ? `, ${speaker.role}` : ''}`
+    )).join('\n'));
+  }
+
+  if (results.outputMode !== 'article' && results.formattedTranscript) {
+    parts.push('## Transcript', ...transcriptParts(results.formattedTranscript).map(part => (
+      part.heading ? `### ${part.heading}` : link(part.text)
+    )));
+  }
+
+  if ((results.chapters || []).length > 0) {
+    parts.push('## Chapters', results.chapters.map(chapter => (
+      `- [${chapter.timestamp}](${chapterUrl(results, chapter.start)}) ${chapter.title}`
+    )).join('\n'));
+  }
+
+  if ((results.faqs || []).length > 0) {
+    parts.push('## Frequently Asked Questions', ...results.faqs.flatMap(faq => [`### ${faq.question}`, faq.answer]));
+  }
+
+  return parts.join('\n\n');
+};
+
+const toMarkdown = (results, { url, alternates } = {}) => `${frontMatter(results, url, alternates)}\n\n${markdownBody(results)}\n`;
+
+// Escape, then render **bold** spans (speaker labels, emphasis) as <strong> and [text](url)
+// links as <a>
+const inlineHtml = (text) => escapeHtml(text)
+  .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+  .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+const HTML_STYLES = `body{margin:0;background:#f7f7f8;color:#1f2933;font:17px/1.7 Georgia,'Times New Roman',serif}
+article{max-width:720px;margin:0 auto;padding:48px 24px;background:#fff}
+h1,h2,h3{font-family:-apple-system,'Segoe UI',Helvetica,Arial,sans-serif;line-height:1.3}
+h1{font-size:2.1em;margin-top:0}
+img.thumbnail{width:100%;height:auto;border-radius:6px}
+.description{color:#52606d;font-style:italic}
+blockquote{margin:1.5em 0;padding:.5em 1.2em;border-left:4px solid #0891b2;color:#334e68}
+blockquote cite{display:block;margin-top:.5em;font-style:normal;font-size:.9em}
+.speakers{list-style:none;padding:0}
+.speakers li{display:flex;align-items:center;gap:12px;margin-bottom:.6em}
+.speakers img{width:48px;height:48px;border-radius:50%;object-fit:cover}
+.faq-item{margin-bottom:1.2em}
+.faq-item h3{margin-bottom:.3em}`;
+
+// Standalone page: inline CSS, the thumbnail embedded as a data URI when it could be fetched,
+// and the FAQ schema rebuilt from the FAQs so the markup is always escaped
+const toHtml = (results, { thumbnail, alternates = [] } = {}) => {
+  const body = [];
+  const link = createLinker(results.internalLinks);
+  const imageSrc = thumbnail
+    ? `data:${thumbnail.contentType};base64,${thumbnail.data.toString('base64')}`
+    : results.thumbnailUrl;
+  const article = articleDraft(results);
+
+  if (article) {
+    body.push(articleToHtml(article));
+  } else {
+    body.push(`<h1>${escapeHtml(results.seoTitle)}</h1>`);
+  }
+  if (imageSrc) {
+    body.push(`<img class="thumbnail" src="${escapeHtml(imageSrc)}" alt="${escapeHtml(results.seoTitle)}">`);
+  }
+  if (results.metaDescription) {
+    body.push(`<p class="description">${escapeHtml(results.metaDescription)}</p>`);
+  }
+
+  if ((results.keyTakeaways || []).length > 0) {
+    body.push('<h2>Key Takeaways</h2>', `<ol>\n${results.keyTakeaways.map(item => `<li>${inlineHtml(link(item))}</li>`).join('\n')}\n</ol>`);
+  }
+
+  if (namedSpeakers(results).length > 0) {
+    body.push('<h2>Speakers</h2>', `<ul class="speakers">\n${namedSpeakers(results).map(speaker => [
+      '<li>',
+      speaker.headshotUrl ? `<img src="${escapeHtml(speaker.headshotUrl)}" alt="${escapeHtml(speaker.name)}">` : '',
+      `<strong>${escapeHtml(speaker.name)}</strong>`,
+      speaker.role ? `, ${escapeHtml(speaker.role)}` : '',
+      '</li>'
+    ].join('')).join('\n')}\n</ul>`);
+  }
+
+  if (results.outputMode !== 'article' && results.formattedTranscript) {
+    body.push('<h2>Transcript</h2>', ...transcriptParts(results.formattedTranscript).map(part => (
+      part.heading ? `<h3>${inlineHtml(part.heading)}</h3>` : `<p>${inlineHtml(link(part.text))}</p>`
+    )));
+  }
+
+  if ((results.chapters || []).length > 0) {
+    body.push('<h2>Chapters</h2>', `<ul>\n${results.chapters.map(chapter => (
+      `<li><a href="${escapeHtml(chapterUrl(results, chapter.start))}">${escapeHtml(chapter.timestamp)}</a> ${escapeHtml(chapter.title)}</li>`
+    )).join('\n')}\n</ul>`);
+  }
+
+  if ((results.faqs || []).length > 0) {
+    body.push('<h2>Frequently Asked Questions</h2>', buildFaqSchemaMarkup(results.faqs, normalizeSchemaFormat(results.schemaFormat), { inLanguage: results.language?.code }));
+  }
+
+  const links = alternates.map(alternate => (
+    `<link rel="alternate" hreflang="${escapeHtml(alternate.hreflang)}" href="${escapeHtml(alternate.href)}">\n`
+  )).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(results.language?.code || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(results.seoTitle)}</title>
+<meta name="description" content="${escapeHtml(results.metaDescription || '')}">
+${links}<style>
+${HTML_STYLES}
+</style>
+</head>
+<body>
+<article>
+${body.join('\n')}
+</article>
+</body>
+</html>
+`;
+};
+
+// DOCX: a minimal WordprocessingML package (document, styles, relationships) zipped by hand.
+// The content comes from the Markdown body, so headings map to Word heading styles and
+// **bold** spans to bold runs; links keep their text only.
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:rPr><w:b/><w:sz w:val="44"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="360"/><w:spacing w:after="80"/></w:pPr></w:style>
+</w:styles>`;
+
+const DOCX_CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+const DOCX_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCX_DOCUMENT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const docxRuns = (text) => String(text)
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+  .split(/(\*\*.+?\*\*)/)
+  .filter(Boolean)
+  .map(piece => {
+    const bold = /^\*\*.+\*\*$/.test(piece);
+    const content = escapeHtml(bold ? piece.slice(2, -2) : piece);
+    return `<w:r>${bold ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${content}</w:t></w:r>`;
+  })
+  .join('');
+
+const docxParagraph = (text, style) => (
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${docxRuns(text)}</w:p>`
+);
+
+const MARKDOWN_STYLES = [
+  [/^# /, 'Title'],
+  [/^## /, 'Heading1'],
+  [/^### /, 'Heading2'],
+  [/^> ?/, 'Quote'],
+  [/^(?:- |\d+\. )/, 'ListParagraph']
+];
+
+const markdownToDocxParagraphs = (markdown) => markdown
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line && line !== '>')
+  .map(line => {
+    const match = MARKDOWN_STYLES.find(([pattern]) => pattern.test(line));
+    if (!match) return docxParagraph(line);
+    const [pattern, style] = match;
+    return docxParagraph(style === 'ListParagraph' ? line.replace(/^- /, '• ') : line.replace(pattern, ''), style);
+  });
+
+const toDocx = async (results) => {
+  const paragraphs = markdownToDocxParagraphs(markdownBody(results));
+  // Reviewers see the SEO fields right under the title
+  paragraphs.splice(1, 0,
+    docxParagraph(`**SEO title:** ${results.seoTitle}`),
+    docxParagraph(`**Meta description:** ${results.metaDescription || ''}`));
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>
+${paragraphs.join('\n')}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', DOCX_CONTENT_TYPES);
+  zip.file('_rels/.rels', DOCX_RELS);
+  zip.file('word/document.xml', document);
+  zip.file('word/styles.xml', DOCX_STYLES);
+  zip.file('word/_rels/document.xml.rels', DOCX_DOCUMENT_RELS);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const toJson = (results, { url } = {}) => `${JSON.stringify({ url: url || null, ...results }, null, 2)}\n`;
+
+// Build one export. Resolves { body, filename, contentType }. `language` picks one of the
+// result's translations (the file name gets its code); `baseUrl` is where the language
+// folders are published, for the hreflang links. JSON always has every language.
+// `getThumbnail()` resolves the video's thumbnail ({ data, contentType }) or null; it is only
+// called for HTML and ZIP, and is never given `results.thumbnailUrl` to fetch, since that
+// comes from the client.
+const buildExport = async (format, results, { url, slug, language, baseUrl, getThumbnail = async () => null } = {}) => {
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const name = exportSlug(results, slug);
+  const localized = localizedResults(results, language);
+  const alternates = hreflangAlternates(results, name, baseUrl);
+  const filename = localized !== results && format !== 'zip' && format !== 'json'
+    ? `${name}.${language}.${extension}`
+    : `${name}.${extension}`;
+
+  switch (format) {
+    case 'markdown':
+      return { body: toMarkdown(localized, { url, alternates }), filename, contentType };
+    case 'html':
+      return { body: toHtml(localized, { thumbnail: await getThumbnail(), alternates }), filename, contentType };
+    case 'docx':
+      return { body: await toDocx(localized), filename, contentType };
+    case 'json':
+      return { body: toJson(results, { url }), filename, contentType };
+    default: {
+      const thumbnail = await getThumbnail();
+      const zip = new JSZip();
+      const languages = exportLanguages(results);
+      if (languages.length > 0) {
+        for (const code of languages) {
+          const version = localizedResults(results, code);
+          zip.file(`${code}/${name}.md`, toMarkdown(version, { url, alternates }));
+          zip.file(`${code}/${name}.html`, toHtml(version, { thumbnail, alternates }));
+          zip.file(`${code}/${name}.docx`, await toDocx(version));
+        }
+      } else {
+        zip.file(`${name}.md`, toMarkdown(results, { url }));
+        zip.file(`${name}.html`, toHtml(results, { thumbnail }));
+        zip.file(`${name}.docx`, await toDocx(results));
+      }
+      zip.file(`${name}.json`, toJson(results, { url }));
+      if (thumbnail) {
+        zip.file(`${name}.${imageExtension(thumbnail.contentType)}`, thumbnail.data);
+      }
+      return { body: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }), filename, contentType };
+    }
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportSlug,
+  exportLanguages,
+  transcriptParts,
+  yamlString,
+  faqYaml,
+  speakerYaml,
+  toMarkdown,
+  toHtml,
+  toDocx,
+  toJson,
+  buildExport
+};
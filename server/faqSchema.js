@@ -0,0 +1,78 @@
+// FAQPage structured data built from the validated `faqs` array.
+// The model never writes markup itself: every question and answer is escaped here,
+// so malformed schema or HTML injected through the transcript can't reach a post.
+
+const { escapeHtml, jsonForScript } = require('./html');
+
+const SCHEMA_FORMATS = ['microdata', 'jsonld', 'both'];
+const DEFAULT_SCHEMA_FORMAT = 'microdata';
+
+const normalizeSchemaFormat = (format) => (
+  SCHEMA_FORMATS.includes(format) ? format : DEFAULT_SCHEMA_FORMAT
+);
+
+// Visible FAQ section annotated with schema.org microdata
+const faqMicrodata = (faqs, inLanguage) => {
+  const items = faqs.map(faq => `  <div itemscope itemprop="mainEntity" itemtype="https://schema.org/Question">
+    <h3 itemprop="name">${escapeHtml(faq.question)}</h3>
+    <div itemscope itemprop="acceptedAnswer" itemtype="https://schema.org/Answer">
+      <p itemprop="text">${escapeHtml(faq.answer)}</p>
+    </div>
+  </div>`);
+
+  const language = inLanguage ? `  <meta itemprop="inLanguage" content="${escapeHtml(inLanguage)}">\n` : '';
+  return `<div itemscope itemtype="https://schema.org/FAQPage">
+${language}${items.join('\n')}
+</div>`;
+};
+
+// Visible FAQ section without microdata, paired with the JSON-LD block
+const faqPlainHtml = (faqs) => `<div class="faq-section">
+${faqs.map(faq => `  <h3>${escapeHtml(faq.question)}</h3>
+  <p>${escapeHtml(faq.answer)}</p>`).join('\n')}
+</div>`;
+
+const faqJsonLd = (faqs, inLanguage) => {
+  const schema = {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    ...(inLanguage && { "inLanguage": inLanguage }),
+    "mainEntity": faqs.map(faq => ({
+      "@type": "Question",
+      "name": faq.question,
+      "acceptedAnswer": {
+        "@type": "Answer",
+        "text": faq.answer
+      }
+    }))
+  };
+
+  return `<script type="application/ld+json">
+${jsonForScript(schema)}
+</script>`;
+};
+
+// 'microdata': annotated FAQ HTML
+// 'jsonld':    plain FAQ HTML plus a JSON-LD script
+// 'both':      annotated FAQ HTML plus a JSON-LD script
+// `inLanguage` (a language code such as "es") is added to the FAQPage when given.
+const buildFaqSchemaMarkup = (faqs, format = DEFAULT_SCHEMA_FORMAT, { inLanguage } = {}) => {
+  const validFaqs = (Array.isArray(faqs) ? faqs : [])
+    .filter(faq => faq && typeof faq.question === 'string' && typeof faq.answer === 'string');
+
+  switch (normalizeSchemaFormat(format)) {
+    case 'jsonld':
+      return `${faqPlainHtml(validFaqs)}\n\n${faqJsonLd(validFaqs, inLanguage)}`;
+    case 'both':
+      return `${faqMicrodata(validFaqs, inLanguage)}\n\n${faqJsonLd(validFaqs, inLanguage)}`;
+    default:
+      return faqMicrodata(validFaqs, inLanguage);
+  }
+};
+
+module.exports = {
+  SCHEMA_FORMATS,
+  DEFAULT_SCHEMA_FORMAT,
+  normalizeSchemaFormat,
+  buildFaqSchemaMarkup
+};
@@ -0,0 +1,233 @@
+// Glossary protection for transcript cleaning. The glossary (product names, people, jargon)
+// goes into the cleaning prompt, and afterwards the cleaned text is diffed word by word against
+// the raw transcript. Every place the raw transcript says a glossary term is followed into the
+// cleaned text:
+// - still there, but spelled or capitalised differently -> corrected to the glossary spelling
+// - replaced by something close to it ("Docket" -> "Docka")   -> corrected
+// - replaced by something else                              -> flagged as "changed"
+// - gone                                                    -> flagged as "dropped"
+// Terms are matched case-insensitively, so a glossary of common words would "correct" them too.
+
+const MAX_TERMS = 200;
+const MAX_TERM_LENGTH = 80;
+// Beyond this many word edits the cleaned text is a rewrite, not a cleanup; the check is skipped
+const MAX_EDITS = 3000;
+// How close a replacement has to be to the term to be corrected rather than flagged
+const MIN_SIMILARITY = 0.6;
+
+const TOKEN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// Words with their position; `key` is what the diff compares
+const tokenize = (text) => Array.from(String(text).matchAll(TOKEN), match => ({
+  text: match[0],
+  key: match[0].toLowerCase().replace(/’/g, "'"),
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// "a, b\nc" or ["a", "b"] -> unique terms (case-insensitively), first spelling wins
+const normalizeGlossary = (value) => {
+  const seen = new Set();
+  return (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+    .map(term => String(term).trim())
+    .filter(term => term && term.length <= MAX_TERM_LENGTH && tokenize(term).length > 0)
+    .filter(term => {
+      const key = term.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_TERMS);
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+// Myers' O(ND) diff of two key lists. Returns the [aIndex, bIndex] pairs of the longest common
+// subsequence in order, or null when more than `maxEdits` insertions/deletions separate them.
+// The trace keeps only the live diagonals of each round, so memory grows with the edits squared.
+const matchTokens = (a, b, maxEdits = MAX_EDITS) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const mid = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(mid - d, mid + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[mid + k - 1] < v[mid + k + 1]) ? v[mid + k + 1] : v[mid + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[mid + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, d, n, m);
+    }
+  }
+  return null;
+};
+
+const backtrack = (trace, edits, n, m) => {
+  const pairs = [];
+  let x = n;
+  let y = m;
+  for (let d = edits; d > 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d]) ? k + 1 : k - 1;
+    const previousX = v[previousK + d];
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      pairs.push([--x, --y]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    pairs.push([--x, --y]);
+  }
+  return pairs.reverse();
+};
+
+// Start indexes of every run of `tokens` whose keys spell `keys`
+const occurrences = (tokens, keys) => {
+  const starts = [];
+  for (let i = 0; i + keys.length <= tokens.length; i++) {
+    if (keys.every((key, offset) => tokens[i + offset].key === key)) starts.push(i);
+  }
+  return starts;
+};
+
+// The run of `region` tokens closest to `term`, trying runs one word shorter or longer too
+const closestRun = (region, term, length) => {
+  const target = term.toLowerCase();
+  let best = null;
+  for (let size = Math.max(1, length - 1); size <= length + 1; size++) {
+    for (let first = 0; first + size <= region.length; first++) {
+      const text = region.slice(first, first + size).map(token => token.key).join(' ');
+      const score = similarity(text, target);
+      if (!best || score > best.score) best = { first, last: first + size - 1, score };
+    }
+  }
+  return best;
+};
+
+// Follow each raw occurrence of each term into the cleaned text. Returns the problems found as
+// { term, type, said, start, end } with positions in `cleaned`; corrections carry `replacement`.
+const findGlossaryIssues = (rawTokens, cleanTokens, cleaned, terms, pairs) => {
+  const cleanIndexOf = new Int32Array(rawTokens.length).fill(-1);
+  pairs.forEach(([rawIndex, cleanIndex]) => { cleanIndexOf[rawIndex] = cleanIndex; });
+
+  const issues = [];
+  const seen = new Set();
+  const add = (issue) => {
+    const key = `${issue.start}:${issue.end}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    issues.push(issue);
+  };
+
+  terms.forEach(term => {
+    const keys = tokenize(term).map(token => token.key);
+
+    occurrences(rawTokens, keys).forEach(start => {
+      const end = start + keys.length;
+      const said = rawTokens.slice(start, end).map(token => token.text).join(' ');
+      const mapped = rawTokens.slice(start, end).map((token, offset) => cleanIndexOf[start + offset]);
+
+      // Every word survived in place: only the spelling can be off
+      if (mapped.every((cleanIndex, offset) => cleanIndex >= 0 && cleanIndex === mapped[0] + offset)) {
+        const from = cleanTokens[mapped[0]].start;
+        const to = cleanTokens[mapped[mapped.length - 1]].end;
+        if (cleaned.slice(from, to) !== term) {
+          add({ term, type: 'corrected', said, start: from, end: to, replacement: term });
+        }
+        return;
+      }
+
+      // The nearest raw words on either side that survived cleaning bound where the term went
+      let before = start - 1;
+      while (before >= 0 && cleanIndexOf[before] < 0) before--;
+      let after = end;
+      while (after < rawTokens.length && cleanIndexOf[after] < 0) after++;
+      const regionStart = before >= 0 ? cleanIndexOf[before] + 1 : 0;
+      const regionEnd = after < rawTokens.length ? cleanIndexOf[after] : cleanTokens.length;
+      const region = cleanTokens.slice(regionStart, regionEnd);
+
+      if (region.length === 0) {
+        const at = regionStart > 0 ? cleanTokens[regionStart - 1].end : 0;
+        add({ term, type: 'dropped', said, start: at, end: at });
+        return;
+      }
+
+      const closest = closestRun(region, term, keys.length);
+      if (closest.score >= MIN_SIMILARITY) {
+        add({ term, type: 'corrected', said, start: region[closest.first].start, end: region[closest.last].end, replacement: term });
+      } else {
+        add({ term, type: 'changed', said, start: region[0].start, end: region[region.length - 1].end });
+      }
+    });
+  });
+
+  return issues.sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+// Apply the corrections and move every issue to its position in the corrected text.
+// Issues overlapping an earlier one are dropped.
+const applyCorrections = (cleaned, issues) => {
+  let text = '';
+  let cursor = 0;
+  let shift = 0;
+  const placed = [];
+
+  issues.forEach(issue => {
+    if (issue.start < cursor) return;
+    const found = cleaned.slice(issue.start, issue.end);
+    const { replacement, ...fields } = issue;
+
+    if (replacement === undefined) {
+      placed.push({ ...fields, found, start: issue.start + shift, end: issue.end + shift });
+      return;
+    }
+
+    text += cleaned.slice(cursor, issue.start) + replacement;
+    placed.push({ ...fields, found, start: issue.start + shift, end: issue.start + shift + replacement.length });
+    shift += replacement.length - (issue.end - issue.start);
+    cursor = issue.end;
+  });
+
+  return { text: text + cleaned.slice(cursor), issues: placed };
+};
+
+// Returns { text, issues }: the cleaned transcript with glossary terms corrected where that is
+// safe, and every corrected or flagged spot as { term, type, said, found, start, end }
+// (`said` is the raw wording, `found` what cleaning produced; positions are in `text`).
+const protectGlossary = (raw, cleaned, terms) => {
+  if (terms.length === 0) return { text: cleaned, issues: [] };
+
+  const rawTokens = tokenize(raw);
+  const cleanTokens = tokenize(cleaned);
+  const pairs = matchTokens(rawTokens.map(token => token.key), cleanTokens.map(token => token.key));
+  if (!pairs) {
+    console.warn(`Glossary check skipped: the cleaned transcript differs from the raw one in more than ${MAX_EDITS} places`);
+    return { text: cleaned, issues: [] };
+  }
+
+  return applyCorrections(cleaned, findGlossaryIssues(rawTokens, cleanTokens, cleaned, terms, pairs));
+};
+
+module.exports = { normalizeGlossary, protectGlossary, matchTokens, similarity };
@@ -0,0 +1,328 @@
+// Faithfulness check for generated FAQ answers and key takeaways ("claims"). Each claim is
+// matched against the cleaned transcript it was generated from:
+// 1. Passages (one sentence, or two in a row) are scored by how many of the claim's content
+//    words they contain. Words match loosely ("scheduling"/"schedule", a misspelt name).
+// 2. Every number in the claim has to be in the transcript in some form ("40%", "40 percent",
+//    "forty percent", "1.5M"/"1.5 million").
+// 3. Every name (a capitalised word mid-sentence) has to be in the transcript, give or take a typo.
+// 4. Optionally the model judges each claim against its best quotes.
+// Each claim gets a 0-1 score, a status, its supporting quotes and the problems found.
+
+const llm = require('./llm');
+const { similarity } = require('./glossary');
+
+const GROUNDED_SCORE = 0.6;
+const WEAK_SCORE = 0.35;
+// A claim with a number that isn't in the transcript is never more than ungrounded
+const MISSING_NUMBER_SCORE = 0.2;
+const MISSING_NAME_FACTOR = 0.6;
+const MAX_QUOTES = 2;
+const FUZZY_WORD_SIMILARITY = 0.8;
+const JUDGE_VERDICTS = { supported: 1, partial: 0.5, unsupported: 0 };
+
+const STOPWORDS = new Set(`a about after again all also am an and any are as at be because been before being
+between both but by can could did do does doing down during each few for from further had has have having
+he her here hers him his how i if in into is it its itself just me more most my no nor not now of off on once
+only or other our ours out over own same she should so some such than that the their theirs them then there
+these they this those through to too under until up very was we were what when where which while who whom
+why will with would you your yours get got go going really thing things way well like lot lots much many
+make made say said says want wanted know think see use used using within without across around among
+per via onto upon`.split(/\s+/));
+
+const NUMBER_WORDS = new Map(Object.entries({
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90
+}));
+// Scales that can follow digits ("2 million", "1.5M"); the spelled-out ones also follow words
+const SCALES = new Map(Object.entries({ hundred: 100, thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, billion: 1e9, bn: 1e9 }));
+const SPELLED_SCALES = ['hundred', 'thousand', 'million', 'billion'];
+
+const SPEAKER_LABEL = /^(?:\*\*)?([A-Z][\w .'-]{0,40}?)(?:\*\*)?:(?:\*\*)?\s+/;
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+const wordsOf = (text) => (String(text).match(WORD) || []).map(word => word.toLowerCase().replace(/’/g, "'"));
+
+// Rough stem so inflections meet: "planning"/"planned"/"plans" -> "plann"/"plan"; the fuzzy
+// comparison covers what this misses
+const stem = (word) => (word.length > 4 ? word.replace(/(?:'s|ing|ed|es|s|ly)$/, '') : word);
+
+// Numbers are checked on their own, so they aren't content words
+const contentStems = (text) => [...new Set(wordsOf(text)
+  .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d/.test(word) && !NUMBER_WORDS.has(word) && !SCALES.has(word))
+  .map(stem))];
+
+// Every number mentioned, as { value, text }: digits with an optional scale ("1.5M", "2 million",
+// "1,200"), and spelled-out numbers ("forty five", "three hundred"). A lone "one" is skipped,
+// it is rarely a quantity.
+const numbersIn = (text) => {
+  const tokens = Array.from(String(text).matchAll(/\d+(?:[.,]\d+)*|[a-z]+/gi), match => ({ word: match[0].toLowerCase(), raw: match[0], index: match.index }));
+  const numbers = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { word, raw, index } = tokens[i];
+
+    if (/^\d/.test(word)) {
+      let value = Number(/^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(word) ? word.replace(/,/g, '') : word.replace(',', '.'));
+      let end = index + raw.length;
+      const scale = tokens[i + 1] && SCALES.get(tokens[i + 1].word);
+      if (scale && tokens[i + 1].index - end <= 1) {
+        value *= scale;
+        end = tokens[i + 1].index + tokens[i + 1].raw.length;
+        i++;
+      }
+      if (Number.isFinite(value)) numbers.push({ value, text: String(text).slice(index, end) });
+      continue;
+    }
+
+    if (!NUMBER_WORDS.has(word)) continue;
+    let value = 0;
+    let current = 0;
+    let j = i;
+    while (j < tokens.length && (NUMBER_WORDS.has(tokens[j].word) || (j > i && SPELLED_SCALES.includes(tokens[j].word)))) {
+      const next = tokens[j].word;
+      if (NUMBER_WORDS.has(next)) {
+        current += NUMBER_WORDS.get(next);
+      } else if (next === 'hundred') {
+        current *= 100;
+      } else {
+        value += current * SCALES.get(next);
+        current = 0;
+      }
+      j++;
+    }
+    value += current;
+    const last = tokens[j - 1];
+    const spelled = String(text).slice(index, last.index + last.raw.length);
+    i = j - 1;
+    if (spelled.toLowerCase() !== 'one') numbers.push({ value, text: spelled });
+  }
+
+  return numbers;
+};
+
+const sameNumber = (a, b) => Math.abs(a - b) <= Math.abs(a) * 0.01;
+
+// Capitalised words that don't start a sentence: people, companies, products
+const namesIn = (text) => {
+  const names = [];
+  String(text).split(/(?<=[.!?:])\s+/).forEach(sentence => {
+    (sentence.match(WORD) || []).slice(1).forEach(word => {
+      if (/^\p{Lu}/u.test(word) && word.length > 1 && !STOPWORDS.has(word.toLowerCase())) names.push(word);
+    });
+  });
+  return [...new Set(names)];
+};
+
+// Sentences of the transcript with their speaker and position, then passages of one or two
+// consecutive sentences from the same paragraph
+const passagesOf = (transcript) => {
+  const passages = [];
+  const paragraphPattern = /[^\n]+/g;
+  let paragraph;
+
+  while ((paragraph = paragraphPattern.exec(transcript)) !== null) {
+    const label = paragraph[0].match(SPEAKER_LABEL);
+    const bodyStart = paragraph.index + (label ? label[0].length : 0);
+    const body = transcript.slice(bodyStart, paragraph.index + paragraph[0].length);
+    // Punctuation followed by a non-space ("40.5", "e.g.") doesn't end a sentence
+    const sentences = Array.from(body.matchAll(/(?:[^.!?]|[.!?](?=\S))+(?:[.!?]+|$)/g), match => {
+      const leading = match[0].length - match[0].trimStart().length;
+      const text = match[0].trim();
+      const start = bodyStart + match.index + leading;
+      return { start, end: start + text.length };
+    }).filter(sentence => sentence.end > sentence.start);
+
+    sentences.forEach((sentence, i) => {
+      const speaker = label ? label[1].trim() : '';
+      passages.push({ ...sentence, speaker });
+      if (i + 1 < sentences.length) passages.push({ start: sentence.start, end: sentences[i + 1].end, speaker });
+    });
+  }
+
+  return passages.map(passage => {
+    const text = transcript.slice(passage.start, passage.end);
+    return { ...passage, text, stems: new Set(contentStems(text)) };
+  });
+};
+
+// Transcript stems each claim stem counts as: itself, plus near spellings of longer words
+const stemMatcher = (vocabulary) => {
+  const cache = new Map();
+  return (claimStem) => {
+    if (!cache.has(claimStem)) {
+      const matches = new Set([claimStem]);
+      if (claimStem.length >= 5) {
+        vocabulary.forEach(word => {
+          if (word[0] === claimStem[0] && Math.abs(word.length - claimStem.length) <= 2 && similarity(word, claimStem) >= FUZZY_WORD_SIMILARITY) {
+            matches.add(word);
+          }
+        });
+      }
+      cache.set(claimStem, matches);
+    }
+    return cache.get(claimStem);
+  };
+};
+
+const statusFor = (score) => {
+  if (score >= GROUNDED_SCORE) return 'grounded';
+  if (score >= WEAK_SCORE) return 'weak';
+  return 'ungrounded';
+};
+
+const round = (score) => Math.round(score * 100) / 100;
+
+// Score one claim against the transcript; see the top of the file
+const groundClaim = (claim, { transcript, passages, matcher, transcriptNumbers, transcriptWords }) => {
+  const stems = contentStems(claim);
+  const issues = [];
+
+  // Greedily pick the passages that cover the most claim words not covered yet
+  const covered = new Set();
+  const quotes = [];
+  const matches = stems.map(claimStem => [...matcher(claimStem)]);
+  const coveredBy = (passage) => stems.filter((claimStem, i) => !covered.has(claimStem) && matches[i].some(word => passage.stems.has(word)));
+  while (quotes.length < MAX_QUOTES && covered.size < stems.length) {
+    let best = null;
+    passages.forEach(passage => {
+      if (quotes.some(quote => passage.start < quote.end && quote.start < passage.end)) return;
+      const gained = coveredBy(passage);
+      if (gained.length > 0 && (!best || gained.length > best.gained.length || (gained.length === best.gained.length && passage.text.length < best.passage.text.length))) {
+        best = { passage, gained };
+      }
+    });
+    if (!best || (quotes.length > 0 && best.gained.length < 2)) break;
+    best.gained.forEach(claimStem => covered.add(claimStem));
+    quotes.push(best.passage);
+  }
+
+  let score = stems.length > 0 ? covered.size / stems.length : 0;
+
+  const missingNumbers = numbersIn(claim).filter(number => !transcriptNumbers.some(value => sameNumber(value, number.value)));
+  missingNumbers.forEach(number => issues.push(`The number "${number.text}" isn't in the transcript`));
+
+  const missingNames = namesIn(claim).filter(name => {
+    const word = name.toLowerCase();
+    return !transcriptWords.has(word) && ![...transcriptWords].some(known => Math.abs(known.length - word.length) <= 2 && similarity(known, word) >= FUZZY_WORD_SIMILARITY);
+  });
+  missingNames.forEach(name => issues.push(`"${name}" isn't mentioned in the transcript`));
+
+  if (missingNames.length > 0) score *= MISSING_NAME_FACTOR;
+  if (missingNumbers.length > 0) score = Math.min(score, MISSING_NUMBER_SCORE);
+  if (quotes.length === 0) issues.push('No passage in the transcript supports this');
+
+  return {
+    score: round(score),
+    status: statusFor(score),
+    quotes: quotes
+      .sort((a, b) => a.start - b.start)
+      .map(({ text, speaker, start, end }) => ({ text, speaker, start, end })),
+    issues,
+    missingNumbers: missingNumbers.length > 0
+  };
+};
+
+const buildJudgePrompt = (claims) => `Check whether each claim below, written from a video transcript, is backed up by the quoted passages of that transcript.
+
+For each claim answer:
+- "supported": everything it says, including numbers and names, is in the quotes
+- "partial": some of it is, the rest is missing or stretched
+- "unsupported": the quotes don't back it up or contradict it
+
+CLAIMS:
+${claims.map((claim, i) => `[${i + 1}] ${claim.text}
+Quotes:
+${claim.quotes.length > 0 ? claim.quotes.map(quote => `- "${quote.text}"`).join('\n') : '- (no matching passage found)'}`).join('\n\n')}
+
+Return ONLY a JSON object: {"verdicts": [{"claim": 1, "verdict": "supported", "reason": "one short sentence"}]}`;
+
+// Ask the model for a verdict per claim; returns [{ verdict, reason }] by claim index (holes
+// where it gave none). The judge is a second opinion, so failures are logged and ignored.
+const judgeClaims = async (claims, { signal } = {}) => {
+  try {
+    console.log(`⚖️ Judging ${claims.length} claims against their quotes`);
+    const completion = await llm.chat({
+      task: 'grounding',
+      input: { claims },
+      maxTokens: 4096,
+      temperature: 0,
+      json: true,
+      signal,
+      messages: [
+        {
+          role: 'user',
+          content: buildJudgePrompt(claims)
+        }
+      ]
+    });
+
+    const parsed = JSON.parse(completion.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+    const verdicts = [];
+    (Array.isArray(parsed.verdicts) ? parsed.verdicts : []).forEach(entry => {
+      const index = Number(entry && entry.claim) - 1;
+      if (Number.isInteger(index) && index >= 0 && index < claims.length && Object.prototype.hasOwnProperty.call(JUDGE_VERDICTS, entry.verdict)) {
+        verdicts[index] = { verdict: entry.verdict, reason: typeof entry.reason === 'string' ? entry.reason : '' };
+      }
+    });
+    return verdicts;
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error('Error judging claims:', error.message);
+    return [];
+  }
+};
+
+// Check `faqs` (their answers) and `keyTakeaways` against the cleaned `transcript`. With
+// `judge`, the model also rates each claim and its verdict counts for half the score.
+// Returns { faqs: [...], keyTakeaways: [...], summary: { grounded, weak, ungrounded }, judged },
+// one { score, status, quotes: [{ text, speaker, start, end }], issues, judge? } per item.
+const verifyGrounding = async (transcript, { faqs, keyTakeaways }, { judge = false, signal } = {}) => {
+  const text = String(transcript || '');
+  const passages = passagesOf(text);
+  const vocabulary = new Set();
+  passages.forEach(passage => passage.stems.forEach(word => vocabulary.add(word)));
+  const context = {
+    transcript: text,
+    passages,
+    matcher: stemMatcher(vocabulary),
+    transcriptNumbers: numbersIn(text).map(number => number.value),
+    transcriptWords: new Set(wordsOf(text))
+  };
+
+  const sections = {};
+  if (Array.isArray(faqs)) sections.faqs = faqs.map(faq => String((faq && faq.answer) || ''));
+  if (Array.isArray(keyTakeaways)) sections.keyTakeaways = keyTakeaways.map(takeaway => String(takeaway || ''));
+
+  const claims = [];
+  const result = {};
+  Object.entries(sections).forEach(([section, texts]) => {
+    result[section] = texts.map(claim => {
+      const grounding = groundClaim(claim, context);
+      claims.push({ text: claim, quotes: grounding.quotes, grounding });
+      return grounding;
+    });
+  });
+
+  const verdicts = judge && claims.length > 0 ? await judgeClaims(claims.map(({ text: claim, quotes, grounding }) => ({ text: claim, quotes, score: grounding.score })), { signal }) : [];
+  claims.forEach(({ grounding }, i) => {
+    const verdict = verdicts[i];
+    if (verdict) {
+      let score = (grounding.score + JUDGE_VERDICTS[verdict.verdict]) / 2;
+      if (grounding.missingNumbers) score = Math.min(score, MISSING_NUMBER_SCORE);
+      grounding.score = round(score);
+      grounding.status = statusFor(score);
+      grounding.judge = verdict;
+      if (verdict.verdict !== 'supported') grounding.issues.push(`Model check: ${verdict.verdict}${verdict.reason ? ` - ${verdict.reason}` : ''}`);
+    }
+    delete grounding.missingNumbers;
+  });
+
+  const summary = { grounded: 0, weak: 0, ungrounded: 0 };
+  claims.forEach(({ grounding }) => { summary[grounding.status]++; });
+
+  return { ...result, summary, judged: verdicts.length > 0 };
+};
+
+module.exports = { verifyGrounding, numbersIn, namesIn, buildJudgePrompt };
@@ -0,0 +1,75 @@
+// Converts generated content into Gutenberg block markup for the WordPress block editor.
+// Text is escaped before the transcript's **bold** markers are turned into <strong>.
+
+const { escapeHtml } = require('./html');
+
+const block = (name, html, attributes) => {
+  const attrs = attributes ? ` ${JSON.stringify(attributes)}` : '';
+  return `<!-- wp:${name}${attrs} -->\n${html}\n<!-- /wp:${name} -->`;
+};
+
+// Escape, then render **bold** spans (speaker labels, emphasis) as <strong>
+const inlineHtml = (text) => escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+
+const headingBlock = (text, level = 2) => block(
+  'heading',
+  `<h${level} class="wp-block-heading">${inlineHtml(text)}</h${level}>`,
+  level === 2 ? null : { level }
+);
+
+const paragraphBlock = (text) => block('paragraph', `<p>${inlineHtml(text)}</p>`);
+
+const listBlock = (items, ordered = false) => {
+  const tag = ordered ? 'ol' : 'ul';
+  const listItems = items.map(item => block('list-item', `<li>${inlineHtml(item)}</li>`)).join('\n');
+  return block('list', `<${tag} class="wp-block-list">\n${listItems}\n</${tag}>`, ordered ? { ordered: true } : null);
+};
+
+// Raw HTML (the FAQ schema markup, which is already escaped when it is built)
+const htmlBlock = (html) => block('html', html);
+
+// A line that is only a bold phrase ("**Pricing**") is a section header in the cleaned transcript;
+// "**Speaker:** text" stays a paragraph
+const SECTION_HEADER = /^\*\*([^*]+?)\*\*$/;
+
+const transcriptToBlocks = (transcript) => String(transcript || '')
+  .replace(/\r\n?/g, '\n')
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => {
+    const header = paragraph.match(SECTION_HEADER);
+    if (header && !header[1].trim().endsWith(':')) {
+      return headingBlock(header[1].trim(), 3);
+    }
+    return paragraphBlock(paragraph.replace(/\n/g, ' '));
+  })
+  .join('\n\n');
+
+// Full post body: key takeaways, the formatted transcript and the FAQ section
+const buildPostContent = ({ formattedTranscript, keyTakeaways = [], faqSchemaMarkup }) => {
+  const blocks = [];
+
+  if (keyTakeaways.length > 0) {
+    blocks.push(headingBlock('Key Takeaways'), listBlock(keyTakeaways, true));
+  }
+
+  if (formattedTranscript) {
+    blocks.push(headingBlock('Transcript'), transcriptToBlocks(formattedTranscript));
+  }
+
+  if (faqSchemaMarkup) {
+    blocks.push(headingBlock('Frequently Asked Questions'), htmlBlock(faqSchemaMarkup));
+  }
+
+  return blocks.join('\n\n');
+};
+
+module.exports = {
+  headingBlock,
+  paragraphBlock,
+  listBlock,
+  htmlBlock,
+  transcriptToBlocks,
+  buildPostContent
+};
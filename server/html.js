@@ -0,0 +1,27 @@
+// HTML helpers shared by everything that renders markup for WordPress or exports
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Text of an attribute or element scraped from a page: the entities escapeHtml produces, plus numeric ones
+const decodeHtml = (text) => String(text)
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// JSON safe to embed in a <script> block: no "</script>" or HTML comment openers can survive
+const jsonForScript = (value) => JSON.stringify(value, null, 2)
+  .replace(/</g, '\\u003c')
+  .replace(/>/g, '\\u003e')
+  .replace(/&/g, '\\u0026')
+  .replace(/\u2028/g, '\\u2028')
+  .replace(/\u2029/g, '\\u2029');
+
+module.exports = { escapeHtml, decodeHtml, jsonForScript };
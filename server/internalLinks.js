@@ -0,0 +1,193 @@
+// Internal link suggestions: pages from the registered sitemap (siteIndexStore.js) that a
+// conversion should link to, each with anchor text taken word for word from the cleaned
+// transcript or the key takeaways. Deterministic: a page's title terms are looked for as a
+// short phrase in the text (weighted by how rare each term is across the site), and the whole
+// post is compared with the page's title, URL and excerpt. Accepted links (`internalLinks` in
+// the results) are inserted at their anchor's first mention by the Markdown and HTML exports.
+
+const { wordsOf, stemOf } = require('../src/shared/seoAnalysis');
+
+const LINK_LIMITS = {
+  min: 3,
+  max: 5,
+  anchorWords: 5
+};
+// Below this, a page only makes the list when fewer than LINK_LIMITS.min pages do better
+const MIN_SCORE = 0.35;
+// Anchors matching less of the page title than this aren't suggested at all
+const MIN_ANCHOR_SCORE = 0.2;
+
+const STOPWORDS = new Set(('a an and are as at be been but by can did do does for from had has have how i if in into is it '
+  + 'its just me more most my no not of on or our out so than that the their them then there these they this those '
+  + 'to too up us very was we were what when where which who why will with you your').split(' '));
+
+const isTerm = (word) => !STOPWORDS.has(word) && (word.length > 2 || /\d/.test(word));
+
+const termsOf = (text, stem) => wordsOf(text).filter(isTerm).map(stem);
+
+// Words of `text` with their offsets; `term` is the stemmed word, or null for a stopword
+const tokensOf = (text, stem) => Array.from(String(text).matchAll(/[\p{L}\p{N}]+(?:['’]\p{L}+)?/gu), match => {
+  const word = match[0].toLowerCase().replace(/’/g, "'");
+  return { start: match.index, end: match.index + match[0].length, term: isTerm(word) ? stem(word) : null };
+});
+
+// Takeaways and transcript paragraphs, without section headers and speaker labels
+const sourceSegments = (results) => {
+  const segments = (results.keyTakeaways || []).map(text => ({ source: 'keyTakeaways', text: String(text) }));
+  String(results.formattedTranscript || '').split(/\n\s*\n/).forEach(paragraph => {
+    const text = paragraph.trim();
+    if (!text || /^\*\*[^*]+\*\*$/.test(text)) return;
+    segments.push({ source: 'transcript', text: text.replace(/^\*\*[^*\n]{1,80}?(?::\*\*|\*\*:)\s*/, '') });
+  });
+  return segments;
+};
+
+const urlWords = (url) => {
+  try {
+    return new URL(url).pathname.replace(/[-_/.]+/g, ' ');
+  } catch (error) {
+    return '';
+  }
+};
+
+const countTerms = (terms) => {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+};
+
+// tf-idf cosine similarity of two term counts
+const similarity = (a, b, idf) => {
+  const weight = (term, count) => count * idf(term);
+  let dot = 0;
+  a.forEach((count, term) => {
+    if (b.has(term)) dot += weight(term, count) * weight(term, b.get(term));
+  });
+  if (dot === 0) return 0;
+  const norm = (counts) => Math.sqrt(Array.from(counts).reduce((sum, [term, count]) => sum + weight(term, count) ** 2, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+// The phrase (up to LINK_LIMITS.anchorWords words, within one sentence) that best matches the
+// page title: { text, source, score }, where score is the share of the title's term weight it
+// covers times the share of its own words that are title terms. Null without any title term.
+const bestAnchor = (segments, titleTerms, idf) => {
+  const titleWeight = titleTerms.reduce((sum, term) => sum + idf(term), 0);
+  const inTitle = new Set(titleTerms);
+  let best = null;
+
+  segments.forEach(segment => {
+    const { tokens, text } = segment;
+    tokens.forEach((first, i) => {
+      if (!inTitle.has(first.term)) return;
+      const matched = new Set();
+      let words = 0;
+      let hits = 0;
+      for (let j = i; j < Math.min(tokens.length, i + LINK_LIMITS.anchorWords); j++) {
+        if (j > i && !/^[ \t-]+$/.test(text.slice(tokens[j - 1].end, tokens[j].start))) break;
+        const { term } = tokens[j];
+        if (!term) continue;
+        words++;
+        if (!inTitle.has(term)) continue;
+        hits++;
+        matched.add(term);
+
+        const coverage = Array.from(matched).reduce((sum, matchedTerm) => sum + idf(matchedTerm), 0) / titleWeight;
+        const score = coverage * (hits / words);
+        if (!best || score > best.score) {
+          best = { text: text.slice(first.start, tokens[j].end), source: segment.source, score };
+        }
+      }
+    });
+  });
+  return best;
+};
+
+const overlaps = (a, b) => a.includes(b) || b.includes(a);
+
+// Up to LINK_LIMITS.max suggestions for `results` from the indexed `pages`, best first:
+// [{ url, title, excerpt, anchorText, source ('transcript' or 'keyTakeaways'), score (0-1) }].
+// Every suggestion has a different page and anchor text. Stemming is English only, like the
+// SEO analysis; other languages match exact words.
+const suggestInternalLinks = (results, pages = []) => {
+  const english = !results.language || !results.language.code || results.language.code === 'en';
+  const stem = english ? stemOf : (word) => word;
+
+  const models = pages.map(page => {
+    const title = Array.from(new Set(termsOf(page.title, stem)));
+    const terms = termsOf(page.title, stem).concat(termsOf(page.title, stem), termsOf(urlWords(page.url), stem), termsOf(page.excerpt, stem));
+    return { page, title, counts: countTerms(terms) };
+  });
+
+  // Terms on fewer pages count for more; title terms every page shares ("blog") hardly count
+  const pageCounts = new Map();
+  models.forEach(model => model.counts.forEach((count, term) => pageCounts.set(term, (pageCounts.get(term) || 0) + 1)));
+  const idf = (term) => Math.log((models.length + 1) / ((pageCounts.get(term) || 0) + 1)) + 1;
+
+  const segments = sourceSegments(results).map(segment => ({ ...segment, tokens: tokensOf(segment.text, stem) }));
+  const postCounts = countTerms([].concat(...segments.map(segment => segment.tokens.map(token => token.term).filter(Boolean))));
+
+  const candidates = models
+    .map(model => {
+      const anchor = model.title.length > 0 ? bestAnchor(segments, model.title, idf) : null;
+      if (!anchor || anchor.score < MIN_ANCHOR_SCORE) return null;
+      const relevance = 0.7 * anchor.score + 0.3 * Math.min(1, similarity(postCounts, model.counts, idf) * 2);
+      return {
+        url: model.page.url,
+        title: model.page.title,
+        excerpt: model.page.excerpt || '',
+        anchorText: anchor.text,
+        source: anchor.source,
+        score: Math.round(relevance * 100) / 100
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+  const suggestions = [];
+  candidates.forEach(candidate => {
+    if (suggestions.length >= LINK_LIMITS.max) return;
+    if (suggestions.length >= LINK_LIMITS.min && candidate.score < MIN_SCORE) return;
+    const anchor = candidate.anchorText.toLowerCase();
+    if (suggestions.some(chosen => chosen.url === candidate.url || overlaps(chosen.anchorText.toLowerCase(), anchor))) return;
+    suggestions.push(candidate);
+  });
+  return suggestions;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Markdown links and **bold** spans (speaker labels) are never linked inside
+const PROTECTED = /(\[[^\]]*\]\([^)]*\)|\*\*[^*]+?\*\*)/;
+
+// A function that takes the next Markdown text of a post and returns it with the accepted
+// `links` ([{ anchorText, url }]) inserted at their anchor's first mention. Each link is
+// inserted once per post, so call it on the texts in reading order.
+const createLinker = (links) => {
+  const pending = (Array.isArray(links) ? links : []).filter(link => (
+    link && typeof link.anchorText === 'string' && link.anchorText.trim() && /^https?:\/\//i.test(String(link.url))
+  ));
+
+  return (text) => {
+    let linked = String(text);
+    pending.slice().forEach(link => {
+      const words = link.anchorText.trim().split(/[ \t-]+/).map(escapeRegExp);
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[ \\t-]+')}(?![\\p{L}\\p{N}])`, 'iu');
+      const pieces = linked.split(PROTECTED);
+      const index = pieces.findIndex((piece, i) => i % 2 === 0 && pattern.test(piece));
+      if (index === -1) return;
+
+      const href = String(link.url).replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+      pieces[index] = pieces[index].replace(pattern, match => `[${match}](${href})`);
+      linked = pieces.join('');
+      pending.splice(pending.indexOf(link), 1);
+    });
+    return linked;
+  };
+};
+
+module.exports = {
+  LINK_LIMITS,
+  suggestInternalLinks,
+  createLinker
+};
@@ -0,0 +1,8 @@
+// Jest config for the Express API (the React app's tests run through react-scripts)
+module.exports = {
+  rootDir: __dirname,
+  testEnvironment: '<rootDir>/__tests__/helpers/environment.js',
+  testMatch: ['**/__tests__/**/*.test.js'],
+  setupFiles: ['<rootDir>/__tests__/helpers/setup.js'],
+  transform: {}
+};
@@ -0,0 +1,62 @@
+// In-process job queue with a concurrency limit and retries for rate-limited work.
+// A job that fails with a retryable error (HTTP 429 by default) is put back in the queue
+// after an exponential backoff; the wait doesn't hold one of the concurrency slots.
+
+const isRateLimited = (error) => error && error.status === 429;
+
+const createJobQueue = ({ concurrency = 2, maxRetries = 3, retryDelayMs = 5000, isRetryable = isRateLimited } = {}) => {
+  const waiting = [];
+  let running = 0;
+
+  const finished = () => {
+    running--;
+    next();
+  };
+
+  const next = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const job = waiting.shift();
+      running++;
+      execute(job).finally(finished);
+    }
+  };
+
+  const execute = async (job) => {
+    job.attempt++;
+    try {
+      job.resolve(await job.run(job.attempt));
+    } catch (error) {
+      if (job.attempt <= maxRetries && isRetryable(error)) {
+        const delay = retryDelayMs * 2 ** (job.attempt - 1);
+        if (job.onRetry) job.onRetry({ attempt: job.attempt, delay, error });
+        setTimeout(() => {
+          waiting.push(job);
+          next();
+        }, delay);
+        return;
+      }
+      job.reject(error);
+    }
+  };
+
+  return {
+    // Queue `run(attempt)`; resolves with its result or rejects with its last error.
+    // `onRetry({ attempt, delay, error })` is called before each retry is scheduled.
+    add(run, { onRetry } = {}) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ run, onRetry, resolve, reject, attempt: 0 });
+        next();
+      });
+    },
+
+    get size() {
+      return waiting.length;
+    },
+
+    get pending() {
+      return running;
+    }
+  };
+};
+
+module.exports = { createJobQueue, isRateLimited };
@@ -0,0 +1,239 @@
+// Background conversion jobs: one video run on the server from validation to saved result.
+// Jobs live in memory and keep running when the browser goes away; clients follow them over
+// Server-Sent Events and get a snapshot first, so a refreshed page picks up where it was.
+// Finished jobs are kept for JOB_TTL_MS so a late reconnect still sees the outcome.
+
+const crypto = require('crypto');
+const { parseVideoUrl, videoUrlError } = require('../src/shared/videoUrl');
+const { normalizeSegments } = require('./segments');
+const { PipelineError, describeError } = require('./pipeline');
+const { OUTPUT_MODES } = require('./batches');
+const llm = require('./llm');
+const { languageName } = require('../src/shared/languages');
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+// Streamed model output kept per step for snapshots; live clients get every token
+const PREVIEW_CHARS = 2000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'canceled'];
+
+const stepIdsFor = (outputMode, languages = []) => [
+  'validate',
+  'extract',
+  'clean',
+  'generate',
+  ...(outputMode !== 'transcript' ? ['article'] : []),
+  ...(languages.length > 0 ? ['translate'] : []),
+  'finalize'
+];
+
+const jobView = (job) => ({
+  id: job.id,
+  status: job.status,
+  url: job.url,
+  provider: job.provider,
+  videoId: job.videoId,
+  outputMode: job.outputMode,
+  steps: job.steps,
+  preview: job.preview,
+  results: job.results,
+  conversionId: job.conversionId,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+// `videoMetadata` (see videoMetadata.js) looks up the video's title and thumbnail in the
+// extract step; without it the conversion runs on the video ID alone.
+const createJobManager = ({ conversions, runConversion, videoMetadata = null, ttlMs = JOB_TTL_MS }) => {
+  const jobs = new Map();
+
+  // Every event gets a sequence number so clients can tell snapshots and live events apart
+  const emit = (job, event) => {
+    job.seq++;
+    job.updatedAt = new Date().toISOString();
+    const sequenced = { ...event, seq: job.seq };
+    job.listeners.forEach(listener => listener(sequenced));
+  };
+
+  const setStep = (job, step, status, { description, progress } = {}) => {
+    job.steps[step] = {
+      status,
+      ...(description && { description }),
+      ...(progress && { progress })
+    };
+    job.currentStep = step;
+    emit(job, { type: 'step', step, status, description, progress });
+  };
+
+  const finish = (job, status) => {
+    job.status = status;
+    job.controller = null;
+    setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+  };
+
+  const run = async (job, input) => {
+    const { signal } = job.controller;
+    job.status = 'running';
+
+    try {
+      setStep(job, 'validate', 'active');
+      if (!job.videoId) throw new PipelineError(videoUrlError(job.source), 400);
+      setStep(job, 'validate', 'completed');
+
+      setStep(job, 'extract', 'active');
+      const video = videoMetadata ? await videoMetadata.metadata(job.source) : null;
+      if (job.status === 'canceled') return;
+      setStep(job, 'extract', 'completed', { description: video?.title ? `Found "${video.title}"` : undefined });
+
+      const results = await runConversion(
+        { ...input, videoId: job.videoId, provider: job.provider, videoUrl: job.source.url, video, outputMode: job.outputMode, schemaFormat: job.schemaFormat },
+        {
+          signal,
+          onStep: (step, { completedChunks, totalChunks, language } = {}) => {
+            const previous = job.currentStep;
+            if (previous !== step && job.steps[previous].status === 'active') setStep(job, previous, 'completed');
+            if (step === 'translate') {
+              setStep(job, step, 'active', {
+                description: totalChunks > 1
+                  ? `Translating into ${languageName(language)}: chunk ${completedChunks} of ${totalChunks}...`
+                  : `Translating into ${languageName(language)}...`,
+                progress: totalChunks > 1 ? { current: completedChunks, total: totalChunks } : undefined
+              });
+            } else if (totalChunks > 1) {
+              setStep(job, step, 'active', {
+                description: completedChunks === 0
+                  ? `Split into ${totalChunks} chunks, cleaning...`
+                  : `Cleaned chunk ${completedChunks} of ${totalChunks}...`,
+                progress: { current: completedChunks, total: totalChunks }
+              });
+            } else if (previous !== step) {
+              setStep(job, step, 'active');
+            }
+          },
+          onToken: (step, text, { chunk } = {}) => {
+            const key = chunk ? `${step}:${chunk}` : step;
+            job.preview[key] = `${job.preview[key] || ''}${text}`.slice(-PREVIEW_CHARS);
+            emit(job, { type: 'token', step, chunk, text });
+          }
+        }
+      );
+      if (job.status === 'canceled') return;
+      setStep(job, job.currentStep, 'completed');
+      // Every language asked for turned out to be the detected source one
+      if (job.steps.translate && job.steps.translate.status === 'pending') {
+        setStep(job, 'translate', 'completed', { description: `Already in ${results.language.name}, nothing to translate` });
+      }
+
+      setStep(job, 'finalize', 'active');
+      const { provider, models } = llm.describeLLMConfig();
+      const conversion = await conversions.create({
+        url: job.url,
+        videoId: job.videoId,
+        rawTranscript: input.rawTranscript,
+        results,
+        llm: { provider, models },
+        jobId: job.id
+      });
+      if (job.status === 'canceled') return;
+      job.results = results;
+      job.conversionId = conversion.id;
+      setStep(job, 'finalize', 'completed');
+
+      finish(job, 'completed');
+      console.log(`✅ Job ${job.id} completed as conversion ${conversion.id}`);
+      emit(job, { type: 'result', results, conversionId: conversion.id });
+    } catch (error) {
+      if (job.status === 'canceled') return;
+
+      console.error(`Job ${job.id} failed:`, error.message);
+      job.error = describeError(error);
+      const step = job.currentStep;
+      if (step) {
+        job.steps[step] = { status: 'failed', description: `Error: ${job.error}` };
+      }
+      finish(job, 'failed');
+      emit(job, { type: 'error', step, error: job.error, status: error.status || 500 });
+    }
+  };
+
+  return {
+    // `transcript` is the parsed text sent to the model; `rawTranscript` (what was pasted,
+    // e.g. SRT) is what the history keeps so a reopened conversion has its timings.
+    // `prompts` are the resolved templates and voice profile (templateStore.resolve()) and
+    // `glossary` the project's protected terms; `judge` has the model double-check the FAQs
+    // and takeaways. `language` is the source language code (detected when not given) and
+    // `languages` the codes to translate into. `keywords` ({ focus, secondary }) are targeted
+    // by the SEO content and article, and `sitePages` are the indexed pages to suggest
+    // internal links to.
+    create({ url, transcript, rawTranscript = transcript, segments, transcriptFormat, outputMode, schemaFormat, prompts, glossary, judge, language, languages = [], keywords, sitePages }) {
+      const now = new Date().toISOString();
+      const source = parseVideoUrl(url);
+      const isVideo = source?.kind === 'video';
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        url,
+        source,
+        provider: isVideo ? source.provider : null,
+        videoId: isVideo ? source.id : null,
+        outputMode: OUTPUT_MODES.includes(outputMode) ? outputMode : 'transcript',
+        schemaFormat,
+        steps: {},
+        currentStep: null,
+        preview: {},
+        results: null,
+        conversionId: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        seq: 0,
+        listeners: new Set(),
+        controller: new AbortController()
+      };
+      stepIdsFor(job.outputMode, languages).forEach(step => { job.steps[step] = { status: 'pending' }; });
+      jobs.set(job.id, job);
+
+      console.log(`🚀 Job ${job.id} started`);
+      run(job, { transcript, rawTranscript, segments: normalizeSegments(segments), transcriptFormat, prompts, glossary, judge, language, languages, keywords, sitePages });
+      return jobView(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? jobView(job) : null;
+    },
+
+    // Listen to a job's events; returns the current snapshot (with the last sequence number)
+    // and an unsubscribe function, or null when the job doesn't exist.
+    subscribe(id, listener) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      job.listeners.add(listener);
+      return {
+        snapshot: { ...jobView(job), seq: job.seq },
+        unsubscribe: () => job.listeners.delete(listener)
+      };
+    },
+
+    // Abort the in-flight model request and stop the job. Finished jobs are left as they are.
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (!TERMINAL_STATUSES.includes(job.status)) {
+        const { controller } = job;
+        if (job.currentStep && job.steps[job.currentStep].status === 'active') {
+          job.steps[job.currentStep] = { status: 'failed', description: 'Canceled' };
+        }
+        finish(job, 'canceled');
+        controller.abort();
+        console.log(`🛑 Job ${job.id} canceled`);
+        emit(job, { type: 'canceled' });
+      }
+      return jobView(job);
+    }
+  };
+};
+
+const isTerminal = (status) => TERMINAL_STATUSES.includes(status);
+
+module.exports = { createJobManager, isTerminal, JOB_TTL_MS };
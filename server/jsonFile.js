@@ -0,0 +1,51 @@
+// A JSON document kept in one file. Writes go through a queue and replace the file
+// atomically, so concurrent requests can't interleave and a crash mid-write can't leave half
+// a file behind. Used by the conversion history and the template store.
+
+const fs = require('fs');
+const path = require('path');
+
+// `empty()` is the value of a file that doesn't exist yet
+const createJsonFile = (filePath, empty) => {
+  let queue = Promise.resolve();
+
+  const readNow = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return empty();
+      throw error;
+    }
+  };
+
+  const writeNow = async (value) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(value, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  return {
+    filePath,
+
+    // The contents once every queued write has finished
+    async read() {
+      await queue;
+      return readNow();
+    },
+
+    // Run a read-modify-write step after every earlier one has finished. `change(value)`
+    // returns { value, result }; the file is only written when `value` is set.
+    mutate(change) {
+      const run = queue.then(async () => {
+        const { value, result } = change(await readNow());
+        if (value) await writeNow(value);
+        return result;
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+};
+
+module.exports = { createJsonFile };
@@ -0,0 +1,91 @@
+// Source language detection for transcripts, so every prompt can be told which language to
+// write in. Detection is deterministic and offline: transcripts in a non-Latin script are
+// recognised by the script itself, Latin-script ones by how many of each language's most
+// common words they use. `confidence` is the winner's share of the evidence (0 when there
+// was nothing to go on, in which case the result is English).
+
+const { LANGUAGES, DEFAULT_LANGUAGE, isLanguage, languageName } = require('../src/shared/languages');
+
+// The language a script's letters point to. Kana wins over Han so Japanese (which mixes the
+// two) isn't taken for Chinese.
+const SCRIPTS = [
+  { code: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { code: 'ko', pattern: /\p{Script=Hangul}/gu },
+  { code: 'zh', pattern: /\p{Script=Han}/gu },
+  { code: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+  { code: 'el', pattern: /\p{Script=Greek}/gu },
+  { code: 'ar', pattern: /\p{Script=Arabic}/gu },
+  { code: 'he', pattern: /\p{Script=Hebrew}/gu },
+  { code: 'hi', pattern: /\p{Script=Devanagari}/gu },
+  { code: 'th', pattern: /\p{Script=Thai}/gu }
+];
+
+const COMMON_WORDS = {
+  en: 'the and is are was were that this with have has for you what they our we of to not but be about just there',
+  es: 'el los las del que es por para con una pero como más está son muy también nosotros hay lo se su cuando porque y',
+  fr: 'le les des est et une pour dans pas qui avec sur nous vous mais très c\'est ce cette sont au aux était il je',
+  de: 'der die das und ist nicht ein eine mit auf für wir ich sie es auch sich dem den zu von haben wie aber sehr',
+  it: 'il della che di è per non una sono con anche gli questo molto nel alla come ma noi perché delle dei lo abbiamo essere',
+  pt: 'o os as do da dos das não uma com para que é em mas muito também nós isso você está são foi no na',
+  nl: 'de het een en is van niet dat met voor op zijn wij ik ook maar heel dit er naar wat hebben bij te deze',
+  pl: 'i w nie na się to jest że z do jak ale co tak po są dla jestem bardzo już oraz może by mamy tego',
+  sv: 'och att det är som en på inte för med har jag vi om men till av den ett så var också mycket kan de'
+};
+
+const COMMON_WORD_SETS = Object.entries(COMMON_WORDS).map(([code, words]) => ({ code, words: new Set(words.split(' ')) }));
+
+const rounded = (value) => Math.round(value * 100) / 100;
+
+const result = (code, confidence) => ({ code, name: languageName(code), confidence: rounded(confidence) });
+
+// Speaker labels, section headers and timestamps say nothing about the language
+const spokenText = (text) => String(text || '')
+  .replace(/^\s*\*{0,2}[^*\n:]{1,40}?\*{0,2}:\*{0,2}/gm, ' ')
+  .replace(/\*\*/g, '')
+  .replace(/\[?\d{1,2}:\d{2}(?::\d{2})?\]?/g, ' ');
+
+// { code, name, confidence } for a transcript
+const detectLanguage = (transcript) => {
+  const text = spokenText(transcript);
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return result(DEFAULT_LANGUAGE, 0);
+
+  for (const { code, pattern } of SCRIPTS) {
+    const count = (text.match(pattern) || []).length;
+    // Kana and Hangul are mixed with Han and Latin words, so a smaller share is enough for them
+    const share = count / letters;
+    if (share >= (code === 'ja' || code === 'ko' ? 0.2 : 0.5)) {
+      return result(code, Math.min(1, code === 'ja' || code === 'ko' ? share * 2 : share));
+    }
+  }
+
+  const words = (text.toLowerCase().match(/[\p{L}']+/gu) || []);
+  const scores = COMMON_WORD_SETS.map(({ code, words: common }) => ({
+    code,
+    hits: words.filter(word => common.has(word)).length
+  })).sort((a, b) => b.hits - a.hits);
+
+  const total = scores.reduce((sum, score) => sum + score.hits, 0);
+  if (total === 0) return result(DEFAULT_LANGUAGE, 0);
+  return result(scores[0].code, scores[0].hits / total);
+};
+
+// Target languages for translation from a request: a comma-separated string or an array of
+// codes. The source language is dropped. Returns { languages } or { error }.
+const normalizeLanguages = (value, source = null) => {
+  if (value === undefined || value === null || value === '') return { languages: [] };
+  if (typeof value !== 'string' && !Array.isArray(value)) {
+    return { error: 'languages must be a string or an array of language codes' };
+  }
+
+  const codes = (Array.isArray(value) ? value : value.split(','))
+    .map(code => String(code).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = codes.filter(code => !isLanguage(code));
+  if (unknown.length > 0) {
+    return { error: `Unknown language(s): ${unknown.join(', ')}. Use: ${Object.keys(LANGUAGES).join(', ')}` };
+  }
+  return { languages: [...new Set(codes)].filter(code => code !== source) };
+};
+
+module.exports = { detectLanguage, normalizeLanguages };
@@ -0,0 +1,340 @@
+// LLM provider layer. One configuration picks the backend for every route:
+//   LLM_PROVIDER=openai             api.openai.com, OPENAI_API_KEY
+//   LLM_PROVIDER=anthropic          api.anthropic.com, ANTHROPIC_API_KEY
+//   LLM_PROVIDER=openai-compatible  any /chat/completions server at LLM_BASE_URL
+//                                   (Ollama, llama.cpp server, vLLM, a local test stub)
+//   LLM_PROVIDER=mock               deterministic offline responses (see mockLLM.js)
+// Models are chosen per task with LLM_MODEL_<TASK> (e.g. LLM_MODEL_CLEANING, LLM_MODEL_SEO),
+// falling back to LLM_MODEL and then the provider default.
+
+const { mockChat } = require('./mockLLM');
+
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    defaultModel: 'gpt-4o',
+    supportsJsonMode: true,
+    supportsStructuredOutputs: true
+  },
+  anthropic: {
+    label: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    defaultModel: 'claude-3-5-sonnet-latest',
+    maxOutputTokens: 8192,
+    supportsJsonMode: false
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible',
+    baseUrl: 'http://localhost:11434/v1',
+    apiKeyEnv: 'LLM_API_KEY',
+    defaultModel: 'llama3.1',
+    supportsJsonMode: true,
+    apiKeyOptional: true
+  },
+  mock: {
+    label: 'Mock LLM',
+    baseUrl: 'mock://local',
+    apiKeyEnv: 'LLM_API_KEY',
+    defaultModel: 'mock',
+    supportsJsonMode: true,
+    apiKeyOptional: true
+  }
+};
+
+// Tasks without their own model setting borrow another task's model
+const TASK_FALLBACKS = {
+  chapters: 'seo',
+  article: 'seo',
+  seoRepair: 'seo',
+  regenerate: 'seo',
+  grounding: 'seo',
+  social: 'seo',
+  translation: 'cleaning'
+};
+
+// Thrown for any non-2xx provider response; carries the upstream status and error body
+class LLMError extends Error {
+  constructor(message, status, errorData = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.errorData = errorData;
+  }
+}
+
+const getLLMConfig = (env = process.env) => {
+  const provider = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const defaults = PROVIDERS[provider];
+
+  if (!defaults) {
+    return { provider, error: `Unknown LLM_PROVIDER "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}` };
+  }
+
+  return {
+    provider,
+    label: defaults.label,
+    baseUrl: (env.LLM_BASE_URL || defaults.baseUrl).replace(/\/+$/, ''),
+    apiKey: env.LLM_API_KEY || env[defaults.apiKeyEnv] || '',
+    apiKeyEnv: defaults.apiKeyEnv,
+    apiKeyOptional: !!defaults.apiKeyOptional,
+    defaultModel: env.LLM_MODEL || defaults.defaultModel,
+    maxOutputTokens: Number(env.LLM_MAX_OUTPUT_TOKENS) || defaults.maxOutputTokens || null,
+    supportsJsonMode: env.LLM_JSON_MODE ? env.LLM_JSON_MODE !== 'false' : defaults.supportsJsonMode,
+    supportsStructuredOutputs: !!defaults.supportsStructuredOutputs && env.LLM_STRUCTURED_OUTPUTS !== 'false',
+    env
+  };
+};
+
+const modelForTask = (config, task) => {
+  const own = task && config.env[`LLM_MODEL_${task.toUpperCase()}`];
+  if (own) return own;
+
+  const fallback = TASK_FALLBACKS[task];
+  if (fallback && config.env[`LLM_MODEL_${fallback.toUpperCase()}`]) {
+    return config.env[`LLM_MODEL_${fallback.toUpperCase()}`];
+  }
+  return config.defaultModel;
+};
+
+// Returns a human-readable problem with the configuration, or null when it is usable
+const configurationError = (config = getLLMConfig()) => {
+  if (config.error) return config.error;
+  if (!config.apiKey && !config.apiKeyOptional) return `${config.apiKeyEnv} not configured`;
+  if (config.provider === 'openai' && !config.env.LLM_BASE_URL && !config.apiKey.startsWith('sk-')) {
+    return 'Invalid OPENAI_API_KEY format. Should start with sk-';
+  }
+  return null;
+};
+
+const readErrorBody = async (response) => {
+  try {
+    return await response.json();
+  } catch (e) {
+    return { error: { message: 'Failed to parse error response' } };
+  }
+};
+
+// Structured outputs (strict mode) accept a subset of JSON Schema: every property required,
+// no additional properties, and no length/count keywords. Those limits are enforced by our
+// own validation afterwards. `only` restricts the top-level properties (used for repairs).
+const toStructuredSchema = (schema, only) => {
+  if (schema.type === 'object') {
+    const keys = Object.keys(schema.properties || {}).filter(key => !only || only.includes(key));
+    return {
+      type: 'object',
+      properties: Object.fromEntries(keys.map(key => [key, toStructuredSchema(schema.properties[key])])),
+      required: keys,
+      additionalProperties: false
+    };
+  }
+  if (schema.type === 'array') {
+    return { type: 'array', items: toStructuredSchema(schema.items || {}) };
+  }
+  return { type: schema.type };
+};
+
+const responseFormat = (config, json, schema) => {
+  if (!json || !config.supportsJsonMode) return null;
+  if (schema && config.supportsStructuredOutputs) {
+    return {
+      type: 'json_schema',
+      json_schema: { name: schema.name, strict: true, schema: toStructuredSchema(schema.schema, schema.only) }
+    };
+  }
+  return { type: 'json_object' };
+};
+
+const capTokens = (config, maxTokens) => (
+  config.maxOutputTokens ? Math.min(maxTokens, config.maxOutputTokens) : maxTokens
+);
+
+// Read a text/event-stream response body, calling `onData` with each event's data payload
+const readEventStream = async (body, onData) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (event) => {
+    const data = event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) onData(data);
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(flush);
+  }
+  flush(buffer + decoder.decode());
+};
+
+const callOpenAI = async (config, model, { messages, maxTokens, temperature, json, schema, onToken, signal }) => {
+  const format = responseFormat(config, json, schema);
+  const payload = {
+    model,
+    max_tokens: capTokens(config, maxTokens),
+    messages,
+    ...(temperature !== undefined && { temperature }),
+    ...(format && { response_format: format }),
+    ...(onToken && { stream: true })
+  };
+
+  const response = await fetch(`${config.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.apiKey && { 'Authorization': `Bearer ${config.apiKey}` })
+    },
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  console.log(`${config.label} API response status:`, response.status, response.statusText);
+  if (!response.ok) {
+    const errorData = await readErrorBody(response);
+    throw new LLMError(errorData.error?.message || errorData.message || response.statusText || 'Unknown error', response.status, errorData);
+  }
+
+  if (onToken) {
+    let content = '';
+    let usage = null;
+    await readEventStream(response.body, (data) => {
+      if (data === '[DONE]') return;
+      const event = JSON.parse(data);
+      const text = event.choices?.[0]?.delta?.content;
+      if (text) {
+        content += text;
+        onToken(text);
+      }
+      if (event.usage) usage = event.usage;
+    });
+    return { content, usage };
+  }
+
+  const data = await response.json();
+  return {
+    content: data.choices[0].message.content || '',
+    usage: data.usage || null
+  };
+};
+
+const callAnthropic = async (config, model, { messages, maxTokens, temperature, json, onToken, signal }) => {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const conversation = messages.filter(m => m.role !== 'system');
+
+  // No JSON mode on this API: prefill the assistant turn with "{" to force an object
+  if (json) {
+    conversation.push({ role: 'assistant', content: '{' });
+  }
+
+  const payload = {
+    model,
+    max_tokens: capTokens(config, maxTokens),
+    messages: conversation,
+    ...(system && { system }),
+    ...(temperature !== undefined && { temperature }),
+    ...(onToken && { stream: true })
+  };
+
+  const response = await fetch(`${config.baseUrl}/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify(payload),
+    signal
+  });
+
+  console.log(`${config.label} API response status:`, response.status, response.statusText);
+  if (!response.ok) {
+    const errorData = await readErrorBody(response);
+    throw new LLMError(errorData.error?.message || response.statusText || 'Unknown error', response.status, errorData);
+  }
+
+  if (onToken) {
+    let text = json ? '{' : '';
+    let usage = null;
+    if (json) onToken('{');
+    await readEventStream(response.body, (data) => {
+      const event = JSON.parse(data);
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onToken(event.delta.text);
+      } else if (event.type === 'message_delta' && event.usage) {
+        usage = event.usage;
+      } else if (event.type === 'error') {
+        throw new LLMError(event.error?.message || 'Stream error', 500, event);
+      }
+    });
+    return { content: text, usage };
+  }
+
+  const data = await response.json();
+  const text = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+  return {
+    content: json ? `{${text}` : text,
+    usage: data.usage || null
+  };
+};
+
+// Send a chat request for a task ('cleaning', 'seo', 'chapters', 'article', ...)
+// `input` is the data the prompt was built from; only the mock provider reads it.
+// With `json`, providers that support it are put in JSON mode; adding `schema`
+// ({ name, schema, only? }) upgrades that to structured outputs where available.
+// `onToken(text)` streams the response as it is generated and `signal` (an AbortSignal)
+// cancels the request; the resolved content is the same either way.
+// Resolves { content, model, provider, usage }; rejects with LLMError on API failures.
+const chat = async ({ task, messages, input, maxTokens = 4096, temperature, json = false, schema, onToken, signal }) => {
+  const config = getLLMConfig();
+  const problem = configurationError(config);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const model = modelForTask(config, task);
+  console.log(`Making ${config.label} API request:`, {
+    task,
+    model,
+    max_tokens: maxTokens,
+    messageLength: messages.reduce((total, m) => total + m.content.length, 0)
+  });
+
+  if (config.provider === 'mock') {
+    const result = await mockChat({ task, input, json, onToken, signal });
+    return { ...result, model, provider: config.provider };
+  }
+
+  const call = config.provider === 'anthropic' ? callAnthropic : callOpenAI;
+  const result = await call(config, model, { messages, maxTokens, temperature, json, schema, onToken, signal });
+  return { ...result, model, provider: config.provider };
+};
+
+// Short description of the active configuration for startup logs and /api/health
+const describeLLMConfig = (config = getLLMConfig()) => ({
+  provider: config.provider,
+  baseUrl: config.baseUrl,
+  models: {
+    cleaning: config.error ? null : modelForTask(config, 'cleaning'),
+    seo: config.error ? null : modelForTask(config, 'seo')
+  },
+  configured: !configurationError(config)
+});
+
+module.exports = {
+  chat,
+  getLLMConfig,
+  modelForTask,
+  configurationError,
+  describeLLMConfig,
+  toStructuredSchema,
+  LLMError,
+  PROVIDERS
+};
@@ -0,0 +1,197 @@
+// Deterministic mock provider (LLM_PROVIDER=mock) for offline development and tests.
+// Responses are built from the request's `input` (the transcript or data the prompt was
+// made from), never from the prompt wording, so they stay stable when prompts change.
+
+const { SEO_LIMITS } = require('./seoSchema');
+
+const FILLER_WORDS = /\b(?:um+|uh+|you know),?\s*|\blike,\s*/gi;
+const SPEAKER_LABEL = /^(?:\*\*)?([A-Z][\w .'-]{0,40}?)(?:\*\*)?:(?:\*\*)?\s+/;
+
+const paragraphsOf = (text) => String(text || '')
+  .split(/\n\s*\n|\n/)
+  .map(p => p.trim())
+  .filter(Boolean);
+
+const sentencesOf = (text) => (String(text || '').replace(/\*\*[^*]+:\*\*/g, '').match(/[^.!?]+[.!?]+/g) || [String(text || '')])
+  .map(s => s.trim())
+  .filter(Boolean);
+
+const truncate = (text, max) => {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+};
+
+// Label every paragraph with a speaker: keep existing "Name:" labels, otherwise alternate Speaker 1/2
+const mockCleaning = (input) => {
+  let turn = 0;
+  return paragraphsOf(input)
+    .map(paragraph => {
+      const label = paragraph.match(SPEAKER_LABEL);
+      const speaker = label ? label[1].trim() : `Speaker ${(turn++ % 2) + 1}`;
+      const text = paragraph.replace(SPEAKER_LABEL, '').replace(FILLER_WORDS, '').replace(/\s+/g, ' ').trim();
+      return `**${speaker}:** ${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+    })
+    .join('\n\n');
+};
+
+// `input` is the transcript, or { transcript, limits } when the SEO template changes the counts
+const mockSeo = (input) => {
+  const { transcript, limits = SEO_LIMITS } = typeof input === 'string' ? { transcript: input } : input;
+  const sentences = sentencesOf(transcript);
+  const pick = (index) => sentences[index % sentences.length];
+  const indexes = (count) => Array.from({ length: count }, (_, i) => i);
+
+  const faqs = indexes(limits.faqCount).map(i => ({
+    question: `What is said about "${truncate(pick(i).replace(/[.!?]+$/, ''), 50)}"?`,
+    answer: pick(i)
+  }));
+
+  return {
+    seoTitle: truncate(pick(0).replace(/[.!?]+$/, ''), 65),
+    metaDescription: truncate(sentences.slice(0, 3).join(' '), 160),
+    faqs,
+    keyTakeaways: indexes(limits.takeawayCount).map(i => pick(i))
+  };
+};
+
+// Evenly spaced chapters across the timed segments
+const mockChapters = ({ segments = [], duration = 0 } = {}) => {
+  if (segments.length === 0) return { chapters: [] };
+  const count = Math.min(5, Math.max(3, Math.floor(duration / 120)));
+
+  return {
+    chapters: Array.from({ length: count }, (_, i) => {
+      const segment = segments[Math.floor((i * segments.length) / count)];
+      return { start: i === 0 ? 0 : segment.start, title: i === 0 ? 'Intro' : truncate(segment.text, 40) };
+    })
+  };
+};
+
+const mockArticle = (input) => {
+  const paragraphs = paragraphsOf(input).map(p => p.replace(SPEAKER_LABEL, ''));
+  const sentences = sentencesOf(input);
+  const sections = paragraphs.slice(0, 4).map((paragraph, i) => ({
+    heading: `Part ${i + 1}: ${truncate(sentencesOf(paragraph)[0].replace(/[.!?]+$/, ''), 50)}`,
+    body: paragraph,
+    subsections: []
+  }));
+
+  return {
+    title: truncate(sentences[0].replace(/[.!?]+$/, ''), 65),
+    intro: sentences.slice(0, 2).join(' '),
+    sections,
+    pullQuotes: sentences.slice(0, 2).map(quote => ({ quote: quote.replace(/[.!?]+$/, ''), speaker: 'Speaker 1' })),
+    conclusion: sentences[sentences.length - 1]
+  };
+};
+
+// Re-generate only the requested fields from the transcript
+const mockSeoRepair = ({ fields = [], transcript, limits } = {}) => {
+  const fresh = mockSeo({ transcript, limits });
+  return Object.fromEntries(fields.filter(field => field in fresh).map(field => [field, fresh[field]]));
+};
+
+// New items for the replaced positions, preferring ones that aren't already kept or being replaced
+const mockRegenerate = ({ section, count = 0, kept = [], replaced = [], transcript } = {}) => {
+  const size = Math.max(count, SEO_LIMITS.faqCount, SEO_LIMITS.takeawayCount);
+  const fresh = mockSeo({ transcript, limits: { ...SEO_LIMITS, faqCount: size, takeawayCount: size } })[section];
+  if (!Array.isArray(fresh)) return { [section]: fresh };
+
+  const taken = new Set([...kept, ...replaced].map(item => JSON.stringify(item)));
+  const unused = fresh.filter(item => !taken.has(JSON.stringify(item)));
+  return { [section]: [...unused, ...fresh].slice(0, count) };
+};
+
+// Verdicts that follow the deterministic score the claim already has
+const mockGrounding = ({ claims = [] } = {}) => ({
+  verdicts: claims.map((claim, i) => ({
+    claim: i + 1,
+    verdict: claim.score >= 0.6 ? 'supported' : claim.score >= 0.35 ? 'partial' : 'unsupported',
+    reason: claim.quotes.length > 0 ? `Compared with "${truncate(claim.quotes[0].text, 60)}"` : 'No matching passage'
+  }))
+});
+
+// "Translates" by tagging every paragraph and field with the target language code; speaker
+// labels stay as they are and section headers stay bold
+const mockTranslation = ({ text, content, language } = {}) => {
+  const mark = (value) => `[${language}] ${value}`;
+  if (content) {
+    return {
+      seoTitle: mark(content.seoTitle),
+      metaDescription: mark(content.metaDescription),
+      faqs: content.faqs.map(faq => ({ question: mark(faq.question), answer: mark(faq.answer) })),
+      keyTakeaways: content.keyTakeaways.map(mark)
+    };
+  }
+  return paragraphsOf(text)
+    .map(paragraph => {
+      const header = paragraph.match(/^\*\*([^*]+)\*\*$/);
+      if (header && !header[1].endsWith(':')) return `**${mark(header[1])}**`;
+      const label = paragraph.match(/^\*\*[^*\n]+?:\*\*\s*/);
+      return label ? `${label[0]}${mark(paragraph.slice(label[0].length))}` : mark(paragraph);
+    })
+    .join('\n\n');
+};
+
+// Copy for each social format made of the transcript's sentences, and the first sentence of a
+// turn quoted as its speaker said it
+const mockSocial = ({ transcript } = {}) => {
+  const sentences = sentencesOf(transcript);
+  const pick = (index) => sentences[index % sentences.length];
+  const turns = paragraphsOf(transcript).filter(p => SPEAKER_LABEL.test(p));
+  const quote = (index) => {
+    const turn = turns[index % Math.max(1, turns.length)] || '';
+    const label = turn.match(SPEAKER_LABEL);
+    return { quote: sentencesOf(turn.replace(SPEAKER_LABEL, ''))[0] || '', speaker: label ? label[1].trim() : '' };
+  };
+
+  return {
+    linkedin: { text: `${pick(0)}\n\n${sentences.slice(1, 4).join(' ')}\n\n#video #podcast`, quote: quote(0) },
+    xThread: { posts: [0, 1, 2].map(i => truncate(pick(i), 240)), quote: quote(1) },
+    newsletter: { subject: truncate(pick(0).replace(/[.!?]+$/, ''), 60), text: truncate(sentences.slice(0, 2).join(' '), 300), quote: quote(0) },
+    youtubeDescription: { text: sentences.slice(0, 3).join(' '), quote: quote(1) }
+  };
+};
+
+const MOCK_TASKS = {
+  cleaning: mockCleaning,
+  seo: mockSeo,
+  seoRepair: mockSeoRepair,
+  regenerate: mockRegenerate,
+  grounding: mockGrounding,
+  translation: mockTranslation,
+  social: mockSocial,
+  chapters: mockChapters,
+  article: mockArticle
+};
+
+const STREAM_CHUNK_CHARS = 40;
+
+const abortError = () => Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+
+// Same result shape as the real providers. With `onToken` the content is also streamed in
+// small pieces, yielding to the event loop between them so `signal` can cancel midway.
+const mockChat = async ({ task, input, json, onToken, signal }) => {
+  const handler = MOCK_TASKS[task];
+  if (!handler) {
+    throw new Error(`Mock LLM has no response for task "${task}"`);
+  }
+  if (signal && signal.aborted) throw abortError();
+
+  const output = handler(input);
+  const content = typeof output === 'string' && !json ? output : JSON.stringify(output);
+
+  if (onToken) {
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_CHARS) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal && signal.aborted) throw abortError();
+      onToken(content.slice(i, i + STREAM_CHUNK_CHARS));
+    }
+  }
+
+  return { content, usage: null };
+};
+
+module.exports = { mockChat, MOCK_TASKS };
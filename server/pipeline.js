@@ -0,0 +1,540 @@
+// The conversion pipeline shared by the HTTP routes, background jobs and the batch queue:
+// clean (in chunks) -> generate SEO content (validated and repaired) -> optional article draft.
+// Each step throws LLMError for provider failures and PipelineError for bad model output,
+// which carries the JSON body the routes respond with.
+
+const llm = require('./llm');
+const { splitTranscript, stitchChunks } = require('./chunking');
+const { mapWithConcurrency } = require('./concurrency');
+const { segmentsDuration } = require('./segments');
+const { buildChaptersPrompt, normalizeChapters } = require('./chapters');
+const { normalizeArticle, articleToMarkdown, articleToHtml } = require('./article');
+const { seoContentSchema } = require('./seoSchema');
+const { repairSeoContent } = require('./seoRepair');
+const { buildFaqSchemaMarkup, normalizeSchemaFormat } = require('./faqSchema');
+const { thumbnailUrl } = require('./videoMetadata');
+const { DEFAULT_PROMPTS, promptIds, buildTemplateMessages, keywordVariables, seoLimitsFor } = require('./promptTemplates');
+const { normalizeGlossary, protectGlossary } = require('./glossary');
+const { verifyGrounding } = require('./grounding');
+const { extractSpeakers } = require('./speakers');
+const { detectLanguage } = require('./languages');
+const { buildTranscriptTranslationMessages, buildSeoTranslationPrompt, seoFields, translationLimits, normalizeSeoTranslation } = require('./translation');
+const { languageName } = require('../src/shared/languages');
+const { SOCIAL_SCHEMA, buildSocialPrompt, normalizeSocialPack } = require('./social');
+const { suggestInternalLinks } = require('./internalLinks');
+const { analyzeSeo } = require('../src/shared/seoAnalysis');
+
+class PipelineError extends Error {
+  constructor(message, status = 500, details = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// The project glossary plus the voice profile's, without duplicates
+const glossaryTerms = (glossary, prompts = DEFAULT_PROMPTS) => normalizeGlossary([
+  ...normalizeGlossary(glossary),
+  ...(prompts.voice ? prompts.voice.glossary : [])
+]);
+
+// Messages for cleaning one chunk of a (possibly split) transcript with the cleaning template
+const buildCleaningMessages = (chunk, totalChunks, prompts = DEFAULT_PROMPTS, glossary = [], language = null) => buildTemplateMessages(prompts.cleaning, {
+  transcript: chunk.text,
+  partNumber: totalChunks > 1 ? chunk.index + 1 : '',
+  totalParts: totalChunks,
+  context: chunk.context || '',
+  glossary: glossary.join(', '),
+  language: language ? language.name : ''
+}, prompts.voice);
+
+// Clean a single chunk; throws an error carrying the upstream status on API failure
+const cleanTranscriptChunk = async (chunk, totalChunks, { prompts, glossary, language, onToken, signal } = {}) => {
+  try {
+    const completion = await llm.chat({
+      task: 'cleaning',
+      input: chunk.text,
+      maxTokens: 16384,
+      onToken,
+      signal,
+      messages: buildCleaningMessages(chunk, totalChunks, prompts, glossary, language)
+    });
+    return completion.content.trim();
+  } catch (error) {
+    console.error(`LLM API error for transcript cleaning (chunk ${chunk.index + 1}/${totalChunks}):`, error.errorData || error.message);
+    throw error;
+  }
+};
+
+// Clean a whole transcript: split into chunks, clean them in parallel and stitch the result.
+// `onStart({ totalChunks })` is called once the transcript is split and
+// `onProgress({ chunk, completedChunks, totalChunks })` as each chunk finishes.
+// `onToken(text, { chunk })` streams each chunk's output; `signal` cancels the requests.
+// When one chunk fails the others still in flight are aborted and no more are started.
+// `prompts` are the templates and voice profile to use (templateStore.resolve()).
+// `glossary` terms (with the voice profile's) go into the prompt and are then checked against
+// the output: `glossaryIssues` lists the spots that were corrected or need review.
+// `speakers` lists the turn labels found in the result (see speakers.js).
+// The transcript is cleaned in its own `language` (a code), detected when not given; the
+// result's `language` is { code, name, confidence }.
+const cleanTranscript = async (transcript, { prompts = DEFAULT_PROMPTS, glossary = [], language, onStart, onProgress, onToken, signal } = {}) => {
+  const terms = glossaryTerms(glossary, prompts);
+  const source = language ? { code: language, name: languageName(language), confidence: 1 } : detectLanguage(transcript);
+  const chunks = splitTranscript(transcript, {
+    maxChars: Number(process.env.CLEAN_CHUNK_CHARS) || undefined
+  });
+  const totalChunks = chunks.length;
+  const concurrency = Number(process.env.CLEAN_CONCURRENCY) || 3;
+
+  const config = llm.getLLMConfig();
+  console.log(`Cleaning transcript with ${config.label}...`);
+  console.log(`🤖 Using model: ${llm.modelForTask(config, 'cleaning')} for transcript cleaning`);
+  console.log(`✂️ Transcript length ${transcript.length}, split into ${totalChunks} chunk(s)`);
+  console.log(`🌐 Language: ${source.name} (${language ? 'given' : `detected, confidence ${source.confidence}`})`);
+  if (onStart) onStart({ totalChunks });
+
+  let completedChunks = 0;
+  const cleanedChunks = await mapWithConcurrency(chunks, concurrency, async (chunk, index, chunkSignal) => {
+    const cleaned = await cleanTranscriptChunk(chunk, totalChunks, {
+      prompts,
+      glossary: terms,
+      language: source,
+      onToken: onToken && (text => onToken(text, { chunk: chunk.index + 1 })),
+      signal: chunkSignal
+    });
+    completedChunks++;
+    if (onProgress) onProgress({ chunk: chunk.index + 1, completedChunks, totalChunks });
+    return cleaned;
+  }, { signal });
+
+  const { text, issues } = protectGlossary(transcript, stitchChunks(cleanedChunks), terms);
+  if (issues.length > 0) console.log(`📖 Glossary: ${issues.length} term(s) corrected or flagged`);
+  return { cleanedTranscript: text, chunks: totalChunks, glossary: terms, glossaryIssues: issues, speakers: extractSpeakers(text), language: source };
+};
+
+// Provide more helpful error messages for failed API responses
+const describeApiError = (error) => {
+  const { label } = llm.getLLMConfig();
+  if (error.status === 429) {
+    return `${label} API rate limit exceeded. Please try again in a few minutes.`;
+  } else if (error.status === 401) {
+    return 'Invalid API key configuration';
+  } else if (error.status === 400) {
+    return 'Invalid request format';
+  }
+  return error.errorData?.error?.message || error.errorData?.message || error.message || 'Service temporarily unavailable';
+};
+
+// Error text for a failed background conversion (batch item or job)
+const describeError = (error) => (
+  error instanceof llm.LLMError ? `API request failed (${error.status}): ${describeApiError(error)}` : error.message
+);
+
+// Generate YouTube chapters from timed segments. Chapters are optional extras,
+// so failures are logged and an empty list is returned instead of failing the request.
+const generateChapters = async (segments, { signal } = {}) => {
+  const duration = segmentsDuration(segments);
+
+  try {
+    console.log(`📑 Generating chapters from ${segments.length} segments`);
+    const completion = await llm.chat({
+      task: 'chapters',
+      input: { segments, duration },
+      maxTokens: 2048,
+      temperature: 0.3,
+      json: true,
+      signal,
+      messages: [
+        {
+          role: "user",
+          content: buildChaptersPrompt(segments, duration)
+        }
+      ]
+    });
+
+    const parsed = JSON.parse(completion.content.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim());
+    return normalizeChapters(parsed.chapters, duration);
+  } catch (error) {
+    console.error('Error generating chapters:', error.message);
+    return [];
+  }
+};
+
+// Title and meta description limits for the SEO analysis, from the SEO template's limits
+const seoAnalysisLimits = (limits) => ({ titleMax: limits.seoTitle, metaMax: limits.metaDescription });
+
+const buildSeoMessages = (transcript, videoTitle, prompts = DEFAULT_PROMPTS, language = null, keywords = null) => {
+  const limits = seoLimitsFor(prompts.seo);
+  return buildTemplateMessages(prompts.seo, {
+    ...keywordVariables(keywords),
+    transcript,
+    videoTitle: videoTitle || '',
+    faqCount: limits.faqCount,
+    takeawayCount: limits.takeawayCount,
+    seoTitleMax: limits.seoTitle,
+    metaDescriptionMax: limits.metaDescription,
+    language: language ? language.name : ''
+  }, prompts.voice);
+};
+
+// Generate the SEO package for a cleaned transcript. The result is validated against
+// SEO_CONTENT_SCHEMA and repaired when needed; `repairs` lists the fixes. `schemaMarkup` is
+// built from the FAQs in `schemaFormat`, and timed `segments` add YouTube `chapters`.
+// `videoTitle` (the real YouTube title, when known) gives the model context. The SEO
+// template in `prompts` sets the prompt and the FAQ and takeaway counts. `grounding` rates how
+// well the transcript supports each FAQ answer and takeaway (with a model judge when `judge`).
+// Everything is written in `language` ({ code, name }, detected from the transcript when not
+// given), which the schema markup declares as inLanguage. `keywords` ({ focus, secondary }) are
+// passed to the prompt and kept with the content, and `seoAnalysis` is the on-page checklist
+// for them (see src/shared/seoAnalysis.js).
+const generateSeoContent = async (transcript, { videoTitle, segments = [], schemaFormat, prompts = DEFAULT_PROMPTS, judge = false, language = detectLanguage(transcript), keywords = { focus: '', secondary: [] }, onToken, signal } = {}) => {
+  const limits = seoLimitsFor(prompts.seo);
+  const config = llm.getLLMConfig();
+  console.log(`Making request to ${config.label} API for content generation...`);
+  console.log('Transcript length:', transcript.length);
+  console.log(`🤖 Using model: ${llm.modelForTask(config, 'seo')} for content generation (v2)`);
+
+  const completion = await llm.chat({
+    task: 'seo',
+    input: { transcript, limits },
+    maxTokens: 16384,
+    temperature: 0.7,
+    json: true,
+    schema: { name: 'seo_content', schema: seoContentSchema(limits) },
+    messages: buildSeoMessages(transcript, videoTitle, prompts, language, keywords),
+    onToken,
+    signal
+  });
+
+  // Clean up any markdown formatting
+  const responseText = completion.content.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+
+  let generatedContent;
+  try {
+    console.log('🚨 RAW OPENAI RESPONSE:', responseText);
+    generatedContent = JSON.parse(responseText);
+  } catch (parseError) {
+    console.error('🚨 JSON PARSE ERROR:', parseError.message);
+    console.error('🚨 RAW RESPONSE THAT FAILED:', responseText);
+    console.error('🚨 RESPONSE LENGTH:', responseText.length);
+    console.error('🚨 FIRST 500 CHARS:', responseText.substring(0, 500));
+    throw new PipelineError('Failed to parse generated content', 500, {
+      parseError: parseError.message,
+      rawResponse: responseText.substring(0, 200)
+    });
+  }
+
+  // Valid JSON that isn't an object (null, an array, a bare string) has none of the fields;
+  // start from an empty object so the repair loop asks for all of them, or reports them missing
+  if (!generatedContent || typeof generatedContent !== 'object' || Array.isArray(generatedContent)) {
+    console.error('🚨 PARSED CONTENT IS NOT AN OBJECT:', Array.isArray(generatedContent) ? 'array' : generatedContent === null ? 'null' : typeof generatedContent);
+    generatedContent = {};
+  } else {
+    console.log('🚨 PARSED CONTENT SUCCESS:', Object.keys(generatedContent));
+  }
+
+  // FAQ markup is always built server-side from the validated FAQs, never taken from the model
+  delete generatedContent.schemaMarkup;
+
+  // Enforce the schema (lengths, FAQ/takeaway counts), repairing what we can
+  const { content, repairs, errors } = await repairSeoContent(generatedContent, transcript, limits);
+  if (repairs.length > 0) {
+    console.log('🔧 SEO content repaired:', repairs);
+  }
+  if (errors.length > 0) {
+    console.error('🚨 SEO CONTENT STILL INVALID:', errors);
+    throw new PipelineError('Generated content failed validation', 500, {
+      validationErrors: errors,
+      repairs
+    });
+  }
+
+  const format = normalizeSchemaFormat(schemaFormat);
+  content.schemaMarkup = buildFaqSchemaMarkup(content.faqs, format, { inLanguage: language.code });
+  content.schemaFormat = format;
+  content.language = language;
+  content.keywords = keywords;
+  content.seoAnalysis = analyzeSeo({ ...content, formattedTranscript: transcript }, keywords, seoAnalysisLimits(limits));
+
+  content.grounding = await verifyGrounding(transcript, content, { judge, signal });
+  const { grounded, weak, ungrounded } = content.grounding.summary;
+  console.log(`🔎 Grounding: ${grounded} grounded, ${weak} weak, ${ungrounded} ungrounded`);
+
+  if (segments.length > 0) {
+    content.chapters = await generateChapters(segments, { signal });
+  }
+
+  return { ...content, repairs };
+};
+
+// Second output mode: turn the cleaned transcript into a structured blog article draft
+// (intro, H2/H3 sections, pull quotes, conclusion) rendered as Markdown and HTML.
+const generateArticleDraft = async (transcript, videoTitle, { prompts = DEFAULT_PROMPTS, language = detectLanguage(transcript), keywords = null, onToken, signal } = {}) => {
+  console.log('📝 Generating article draft, transcript length:', transcript.length);
+
+  const completion = await llm.chat({
+    task: 'article',
+    input: transcript,
+    maxTokens: 16384,
+    temperature: 0.7,
+    json: true,
+    onToken,
+    signal,
+    messages: buildTemplateMessages(prompts.article, { ...keywordVariables(keywords), transcript, videoTitle: videoTitle || '', language: language.name }, prompts.voice)
+  });
+
+  const responseText = completion.content.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+
+  let rawArticle;
+  try {
+    rawArticle = JSON.parse(responseText);
+  } catch (parseError) {
+    console.error('Article JSON parse error:', parseError.message);
+    throw new PipelineError('Failed to parse generated article', 500, {
+      parseError: parseError.message,
+      rawResponse: responseText.substring(0, 200)
+    });
+  }
+
+  const article = normalizeArticle(rawArticle, transcript);
+  if (article.sections.length === 0) {
+    throw new PipelineError('Generated article has no sections');
+  }
+
+  return {
+    article,
+    markdown: articleToMarkdown(article),
+    html: articleToHtml(article)
+  };
+};
+
+// Social repurposing pack for a cleaned transcript: a LinkedIn post, an X thread, a newsletter
+// blurb and a YouTube description, each within its platform's limits and with a quote checked
+// against the transcript (see social.js). `seoTitle` and `videoTitle` give the model context,
+// `chapters` are listed in the YouTube description, and `prompts.voice` sets the voice.
+// Resolves { linkedin, xThread, newsletter, youtubeDescription, repairs }.
+const generateSocialPack = async (transcript, { videoTitle, seoTitle, chapters = [], prompts = DEFAULT_PROMPTS, language = detectLanguage(transcript), onToken, signal } = {}) => {
+  console.log('📣 Generating social pack, transcript length:', transcript.length);
+
+  const completion = await llm.chat({
+    task: 'social',
+    input: { transcript },
+    maxTokens: 8192,
+    temperature: 0.7,
+    json: true,
+    schema: { name: 'social_pack', schema: SOCIAL_SCHEMA },
+    onToken,
+    signal,
+    messages: [
+      {
+        role: 'user',
+        content: buildSocialPrompt(transcript, { videoTitle, seoTitle, voice: prompts.voice, language: language.name })
+      }
+    ]
+  });
+
+  const responseText = completion.content.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
+
+  let raw;
+  try {
+    raw = JSON.parse(responseText);
+  } catch (parseError) {
+    console.error('Social pack JSON parse error:', parseError.message);
+    throw new PipelineError('Failed to parse generated social posts', 500, {
+      parseError: parseError.message,
+      rawResponse: responseText.substring(0, 200)
+    });
+  }
+
+  const { social, repairs, errors } = normalizeSocialPack(raw, transcript, { chapters: normalizeChapters(chapters) });
+  if (repairs.length > 0) {
+    console.log('🔧 Social pack repaired:', repairs);
+  }
+  if (errors.length > 0) {
+    throw new PipelineError('Generated social posts failed validation', 500, { validationErrors: errors, repairs });
+  }
+
+  return { ...social, repairs };
+};
+
+// Translate a finished conversion into the language `code`: the cleaned transcript (in chunks,
+// like cleaning) and the SEO package, with the FAQ schema rebuilt for that language. Resolves
+// { language, formattedTranscript, seoTitle, metaDescription, faqs, keyTakeaways, schemaMarkup }.
+// `onProgress({ completedChunks, totalChunks })` reports the transcript chunks as they finish.
+const translateResults = async (results, code, { onProgress, onToken, signal } = {}) => {
+  const source = results.language || detectLanguage(results.formattedTranscript);
+  const target = { code, name: languageName(code) };
+  const context = { source: source.name, target: target.name, glossary: results.glossary || [] };
+
+  const chunks = splitTranscript(results.formattedTranscript, {
+    maxChars: Number(process.env.CLEAN_CHUNK_CHARS) || undefined
+  });
+  console.log(`🌐 Translating into ${target.name}: ${chunks.length} transcript chunk(s) and the SEO package`);
+
+  let completedChunks = 0;
+  const translatedChunks = await mapWithConcurrency(chunks, Number(process.env.CLEAN_CONCURRENCY) || 3, async (chunk, index, chunkSignal) => {
+    const completion = await llm.chat({
+      task: 'translation',
+      input: { text: chunk.text, language: code },
+      maxTokens: 16384,
+      onToken,
+      signal: chunkSignal,
+      messages: buildTranscriptTranslationMessages(chunk, chunks.length, context)
+    });
+    completedChunks++;
+    if (onProgress) onProgress({ completedChunks, totalChunks: chunks.length });
+    return completion.content.trim();
+  }, { signal });
+
+  const original = seoFields(results);
+  const limits = translationLimits(original);
+  const completion = await llm.chat({
+    task: 'translation',
+    input: { content: original, language: code },
+    maxTokens: 8192,
+    temperature: 0.3,
+    json: true,
+    schema: { name: 'seo_translation', schema: seoContentSchema(limits) },
+    signal,
+    messages: [
+      {
+        role: 'user',
+        content: buildSeoTranslationPrompt(original, { ...context, limits })
+      }
+    ]
+  });
+
+  const responseText = completion.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(responseText);
+  } catch (parseError) {
+    console.error('Translation JSON parse error:', parseError.message);
+    throw new PipelineError('Failed to parse translated content', 500, {
+      parseError: parseError.message,
+      rawResponse: responseText.substring(0, 200)
+    });
+  }
+
+  const { content, errors } = normalizeSeoTranslation(parsed, original);
+  if (errors.length > 0) {
+    console.error(`🚨 ${target.name} translation invalid:`, errors);
+    throw new PipelineError('Translated content failed validation', 500, { validationErrors: errors });
+  }
+
+  return {
+    language: target,
+    formattedTranscript: stitchChunks(translatedChunks),
+    ...content,
+    schemaMarkup: buildFaqSchemaMarkup(content.faqs, normalizeSchemaFormat(results.schemaFormat), { inLanguage: code })
+  };
+};
+
+// Run every step for one video and return the results object the client displays.
+// `video` is the looked-up metadata (title, channel, thumbnail...) when the caller has it, and
+// `prompts` the templates and voice profile (templateStore.resolve()); the results keep their IDs.
+// `glossary` is the project's protected terms (see cleanTranscript); `judge` adds the model's
+// verdict to the grounding check. `language` sets the source language (detected when not
+// given) and `languages` are the codes to translate into; a failed translation is left out of
+// `translations` and its error kept in `translationErrors`. `keywords` ({ focus, secondary })
+// steer the SEO content and article, and `seoAnalysis` checks the results against them.
+// `sitePages` (the registered sitemap's pages) add `linkSuggestions` for internal links.
+// `onStep(step, detail)` reports 'clean' (with chunk progress), 'generate', 'article' and
+// 'translate' (with the language); `onToken(step, text, detail)` streams model output as it
+// arrives. Aborting `signal` cancels the in-flight request and stops before the next step.
+const runConversion = async ({ videoId, provider = 'youtube', videoUrl = '', video = null, transcript, segments = [], transcriptFormat = 'plain', outputMode = 'transcript', schemaFormat, prompts = DEFAULT_PROMPTS, glossary = [], judge = false, language, languages = [], keywords = { focus: '', secondary: [] }, sitePages = [] }, { onStep, onToken, signal } = {}) => {
+  const report = (step, detail = {}) => onStep && onStep(step, detail);
+  const stream = (step) => onToken && ((text, detail = {}) => onToken(step, text, detail));
+  const checkCanceled = () => {
+    if (signal && signal.aborted) throw new PipelineError('Conversion canceled');
+  };
+  const videoTitle = video?.title || '';
+
+  report('clean');
+  const { cleanedTranscript, glossary: terms, glossaryIssues, speakers, language: source } = await cleanTranscript(transcript, {
+    onStart: ({ totalChunks }) => report('clean', { completedChunks: 0, totalChunks }),
+    onProgress: ({ completedChunks, totalChunks }) => report('clean', { completedChunks, totalChunks }),
+    prompts,
+    glossary,
+    language,
+    onToken: stream('clean'),
+    signal
+  });
+  checkCanceled();
+
+  report('generate');
+  const content = await generateSeoContent(cleanedTranscript, { videoTitle, segments, schemaFormat, prompts, judge, language: source, keywords, onToken: stream('generate'), signal });
+  checkCanceled();
+
+  let article = null;
+  if (outputMode !== 'transcript') {
+    report('article');
+    article = await generateArticleDraft(cleanedTranscript, videoTitle, { prompts, language: source, keywords, onToken: stream('article'), signal });
+    checkCanceled();
+  }
+
+  const results = {
+    outputMode,
+    article,
+    videoId,
+    provider,
+    videoUrl,
+    video,
+    formattedTranscript: cleanedTranscript,
+    glossary: terms,
+    glossaryIssues,
+    speakers,
+    segments,
+    transcriptFormat,
+    thumbnailUrl: video?.thumbnailUrl || (provider === 'youtube' ? thumbnailUrl(videoId) : ''),
+    seoTitle: content.seoTitle,
+    metaDescription: content.metaDescription,
+    faqs: content.faqs,
+    keyTakeaways: content.keyTakeaways,
+    repairs: content.repairs || [],
+    chapters: content.chapters || [],
+    schemaMarkup: content.schemaMarkup,
+    schemaFormat: content.schemaFormat,
+    grounding: content.grounding,
+    language: source,
+    translations: {},
+    keywords,
+    seoAnalysis: content.seoAnalysis,
+    templates: promptIds(prompts)
+  };
+  // The article's headings and text count too once there is one
+  if (article) results.seoAnalysis = analyzeSeo(results, keywords, seoAnalysisLimits(seoLimitsFor(prompts.seo)));
+  if (sitePages.length > 0) results.linkSuggestions = suggestInternalLinks(results, sitePages);
+
+  const targets = languages.filter(code => code !== source.code);
+  for (const code of targets) {
+    report('translate', { language: code });
+    try {
+      results.translations[code] = await translateResults(results, code, {
+        onProgress: (progress) => report('translate', { language: code, ...progress }),
+        onToken: stream('translate'),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error(`Error translating into ${code}:`, error.message);
+      results.translationErrors = { ...results.translationErrors, [code]: describeError(error) };
+    }
+    checkCanceled();
+  }
+
+  return results;
+};
+
+module.exports = {
+  PipelineError,
+  describeApiError,
+  describeError,
+  cleanTranscript,
+  generateSeoContent,
+  generateArticleDraft,
+  generateSocialPack,
+  translateResults,
+  runConversion
+};
@@ -0,0 +1,49 @@
+// YouTube playlist expansion: the playlist page's embedded data lists each video's ID and
+// title, which become one batch row per video. YouTube only puts the first 100 videos in
+// the page, so longer playlists are cut off there. YOUTUBE_BASE_URL applies as for video lookups.
+
+const { decodeHtml } = require('./html');
+const { videoRef } = require('../src/shared/videoUrl');
+
+const FETCH_TIMEOUT_MS = 8000;
+
+const youtubeBaseUrl = () => (process.env.YOUTUBE_BASE_URL || 'https://www.youtube.com').replace(/\/+$/, '');
+
+// A JSON string body captured from the page ("Title \"quoted\"" without the outer quotes)
+const jsonString = (raw) => {
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch (error) {
+    return raw;
+  }
+};
+
+// Videos in page order, each listed once; unavailable entries without an ID are skipped
+const parsePlaylistPage = (html) => {
+  const title = html.match(/<meta\s+property="og:title"\s+content="([^"]*)"/i)?.[1];
+  const seen = new Set();
+  const entries = [];
+
+  html.split('"playlistVideoRenderer":').slice(1).forEach(chunk => {
+    const video = videoRef('youtube', chunk.match(/^\{"videoId":"([^"]+)"/)?.[1]);
+    if (!video || seen.has(video.id)) return;
+    seen.add(video.id);
+
+    const videoTitle = chunk.match(/"title":\{"runs":\[\{"text":"((?:[^"\\]|\\.)*)"/)?.[1];
+    entries.push({ videoId: video.id, url: video.url, title: videoTitle ? jsonString(videoTitle) : null });
+  });
+
+  return { title: title ? decodeHtml(title) : null, entries };
+};
+
+// { playlistId, title, entries: [{ videoId, url, title }] }
+const expandPlaylist = async (playlistId) => {
+  const response = await fetch(`${youtubeBaseUrl()}/playlist?list=${encodeURIComponent(playlistId)}`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (response.status === 404) return { playlistId, title: null, entries: [] };
+  if (!response.ok) throw new Error(`YouTube returned ${response.status}`);
+  return { playlistId, ...parsePlaylistPage(await response.text()) };
+};
+
+module.exports = { expandPlaylist, parsePlaylistPage };
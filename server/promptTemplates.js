@@ -0,0 +1,369 @@
+// Prompt templates and brand voice profiles. A template is the text of one pipeline prompt
+// (cleaning, seo or article) with {{variables}} filled in at run time; a voice profile (kind
+// "voice") holds a client's brand name, tone, glossary and forbidden words, which templates
+// pull in through {{brandName}}, {{tone}}, {{glossary}}, {{forbiddenWords}} and the ready-made
+// {{voiceGuidelines}} block. {{language}} is the transcript's language ("Spanish"), detected
+// before cleaning. The seo and article prompts also get the request's target keywords as
+// {{focusKeyword}}, {{secondaryKeywords}} and the ready-made {{keywordGuidelines}} block. The
+// built-in templates below are the stock prompts; custom ones live in the template store
+// (templateStore.js).
+//
+// Syntax: {{name}} is replaced by the variable's value, and {{#name}}...{{/name}} keeps its
+// contents only when the variable is non-empty (a section tag on a line of its own takes the
+// line with it, as in Mustache). Unknown variables render as empty text.
+
+const { SEO_LIMITS } = require('./seoSchema');
+
+const PROMPT_KINDS = ['cleaning', 'seo', 'article'];
+const TEMPLATE_KINDS = [...PROMPT_KINDS, 'voice'];
+
+const VOICE_VARIABLES = ['brandName', 'tone', 'glossary', 'forbiddenWords', 'voiceGuidelines'];
+const KEYWORD_VARIABLES = ['focusKeyword', 'secondaryKeywords', 'keywordGuidelines'];
+
+// Variables each kind of prompt is rendered with
+const TEMPLATE_VARIABLES = {
+  cleaning: ['transcript', 'partNumber', 'totalParts', 'context', 'language', ...VOICE_VARIABLES],
+  seo: ['transcript', 'videoTitle', 'faqCount', 'takeawayCount', 'seoTitleMax', 'metaDescriptionMax', 'language', ...KEYWORD_VARIABLES, ...VOICE_VARIABLES],
+  article: ['transcript', 'videoTitle', 'language', ...KEYWORD_VARIABLES, ...VOICE_VARIABLES]
+};
+
+const COUNT_RANGE = { min: 1, max: 10 };
+
+const DEFAULT_CLEANING_PROMPT = `Clean up this video transcript for blog readability. This is a TRANSCRIPT, not a rewrite.
+
+{{#partNumber}}
+This is part {{partNumber}} of {{totalParts}} of a longer transcript. Clean ONLY this part.
+
+{{/partNumber}}
+FORMATTING REQUIREMENTS:
+1. Identify speakers and format as "**Speaker Name:**"
+2. Use existing section headers if provided (format as **Section Title**)
+3. Remove ONLY obvious filler words (um, uh, like, you know)
+4. Fix obvious typos and add punctuation for readability
+5. Add paragraph breaks where natural pauses occur
+
+CRITICAL RULES:
+- DO NOT change company names, proper nouns, or specific terms
+- DO NOT rewrite or paraphrase sentences
+- DO NOT add or remove meaning
+- DO NOT use H1 headings (#) - use **bold text** only
+- Keep the exact flow and structure of what was said
+- This should read like a cleaned transcript, not a blog article
+{{#language}}
+- The transcript is in {{language}}. Keep it in {{language}} - DO NOT translate it
+{{/language}}
+
+{{#glossary}}
+GLOSSARY - when one of these terms is said (even if the raw transcript misspells it), write it exactly like this: {{glossary}}
+
+{{/glossary}}
+EXAMPLE:
+If they say "um, Docket software, you know, really helped us"
+→ Format as "Docket software really helped us"
+NOT "Docka software provided assistance"
+
+{{#context}}
+PREVIOUS CONTEXT (the end of the previous part, cleaned separately):
+Use it ONLY to keep speaker names consistent and to know who is speaking if this part starts mid-turn.
+DO NOT include any of it in your output.
+---
+{{context}}
+---
+
+{{/context}}
+Raw transcript:
+{{transcript}}
+
+Return ONLY the cleaned transcript - same words, same meaning, just readable format.`;
+
+const DEFAULT_SEO_SYSTEM = 'You are an expert content strategist who creates SEO-optimized content. You carefully read transcripts to understand the main business topic being discussed, focusing on current operations rather than background history.';
+
+const DEFAULT_SEO_PROMPT = `Create SEO content for this transcript. Use ONLY information that is actually mentioned in the content - do not add generic information or make assumptions.
+
+{{#videoTitle}}
+Video title: {{videoTitle}}
+
+{{/videoTitle}}
+{{#voiceGuidelines}}
+{{voiceGuidelines}}
+
+{{/voiceGuidelines}}
+{{#keywordGuidelines}}
+{{keywordGuidelines}}
+
+{{/keywordGuidelines}}
+{{transcript}}
+
+Generate exactly:
+- 1 SEO title ({{seoTitleMax}} characters max) - Make it specific to what's actually discussed, not generic
+- 1 meta description ({{metaDescriptionMax}} characters max) - Based on the actual content and results mentioned
+- {{faqCount}} FAQs - Create detailed, comprehensive answers (2-3 sentences each) that can be directly answered from the transcript content. Include specific details, numbers, and context mentioned.
+- {{takeawayCount}} Key Takeaways - Write detailed takeaways (1-2 sentences each) using specific details, numbers, and results actually mentioned. Provide context and explanation.
+
+Make the FAQs and Key Takeaways substantial and informative for SEO value, but only use information that's actually in the transcript.
+
+Return ONLY a valid JSON object with this structure:
+{
+"seoTitle": "string ({{seoTitleMax}} characters max)",
+"metaDescription": "string ({{metaDescriptionMax}} characters max)",
+"faqs": [
+{
+"question": "string",
+"answer": "string"
+}
+],
+"keyTakeaways": [
+"string"
+]
+}
+
+{{#language}}
+Write every field in {{language}}, the language of the transcript.
+
+{{/language}}
+Plain text only in every field - no HTML or markdown.
+
+DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
+
+const DEFAULT_ARTICLE_SYSTEM = 'You are an experienced blog writer who turns interviews and webinars into well-structured articles. You never invent facts that are not in the source transcript.';
+
+const DEFAULT_ARTICLE_PROMPT = `Write a blog article based on this video transcript. Use ONLY information that is actually mentioned in the transcript - do not add generic information, statistics or claims that are not in it.
+
+{{#videoTitle}}
+Video title: {{videoTitle}}
+
+{{/videoTitle}}
+{{#voiceGuidelines}}
+{{voiceGuidelines}}
+
+{{/voiceGuidelines}}
+{{#keywordGuidelines}}
+{{keywordGuidelines}}
+
+{{/keywordGuidelines}}
+STRUCTURE:
+- 1 article title (65 characters max), specific to what is discussed
+- An intro paragraph (2-4 sentences) that sets up the topic and why it matters to the reader
+- 3-6 main sections, each with an H2 heading and 2-4 paragraphs
+- Optional H3 subsections inside a main section when it covers several distinct points
+- A conclusion paragraph summarising the key points
+- 2-4 pull quotes copied WORD FOR WORD from the transcript, with the speaker name as labelled in the transcript
+
+RULES:
+- Write in clear, engaging prose, third person, present the speakers' points accurately
+- Keep company names, product names, people and numbers exactly as they appear in the transcript
+- Pull quotes must be exact substrings of the transcript - do not fix, shorten or paraphrase them
+- Do not use H1 headings inside section bodies
+- Paragraphs are separated by a blank line ("\\n\\n") inside body strings
+{{#language}}
+- Write the article in {{language}}, the language of the transcript; pull quotes stay exactly as spoken
+{{/language}}
+
+Transcript:
+{{transcript}}
+
+Return ONLY a valid JSON object with this structure:
+{
+  "title": "string",
+  "intro": "string",
+  "sections": [
+    {
+      "heading": "string (H2)",
+      "body": "string",
+      "subsections": [
+        { "heading": "string (H3)", "body": "string" }
+      ]
+    }
+  ],
+  "pullQuotes": [
+    { "quote": "string", "speaker": "string" }
+  ],
+  "conclusion": "string"
+}`;
+
+const DEFAULT_TEMPLATES = [
+  {
+    id: 'default-cleaning',
+    kind: 'cleaning',
+    name: 'Default cleaning',
+    system: '',
+    prompt: DEFAULT_CLEANING_PROMPT,
+    builtIn: true
+  },
+  {
+    id: 'default-seo',
+    kind: 'seo',
+    name: 'Default SEO package',
+    system: DEFAULT_SEO_SYSTEM,
+    prompt: DEFAULT_SEO_PROMPT,
+    settings: { faqCount: SEO_LIMITS.faqCount, takeawayCount: SEO_LIMITS.takeawayCount },
+    builtIn: true
+  },
+  {
+    id: 'default-article',
+    kind: 'article',
+    name: 'Default article',
+    system: DEFAULT_ARTICLE_SYSTEM,
+    prompt: DEFAULT_ARTICLE_PROMPT,
+    builtIn: true
+  }
+];
+
+const defaultTemplate = (kind) => DEFAULT_TEMPLATES.find(template => template.kind === kind);
+
+// The prompts a conversion runs with when nothing else is selected
+const DEFAULT_PROMPTS = {
+  cleaning: defaultTemplate('cleaning'),
+  seo: defaultTemplate('seo'),
+  article: defaultTemplate('article'),
+  voice: null
+};
+
+// { cleaning, seo, article, voice } IDs of resolved prompts, as kept with the results
+const promptIds = (prompts) => Object.fromEntries(
+  [...PROMPT_KINDS, 'voice'].map(kind => [kind, prompts[kind] ? prompts[kind].id : null])
+);
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const renderTemplate = (text, variables = {}) => String(text)
+  .replace(/^[ \t]*(\{\{[#/]\w+\}\})[ \t]*\r?\n/gm, '$1')
+  .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => (isEmpty(variables[name]) ? '' : inner))
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (isEmpty(variables[name]) ? '' : String(variables[name])));
+
+// Every variable a template uses, in order of first use
+const templateVariables = (text) => [...new Set([...String(text).matchAll(/\{\{[#/]?\s*(\w+)\s*\}\}/g)].map(match => match[1]))];
+
+// {{brandName}}, {{tone}}, {{glossary}}, {{forbiddenWords}} and {{voiceGuidelines}} for a voice profile
+const voiceVariables = (voice) => {
+  if (!voice) return {};
+  const glossary = voice.glossary.join(', ');
+  const forbiddenWords = voice.forbiddenWords.join(', ');
+  const guidelines = [
+    voice.brandName && `- Write for ${voice.brandName}`,
+    voice.tone && `- Tone: ${voice.tone}`,
+    glossary && `- Spell these terms exactly as written: ${glossary}`,
+    forbiddenWords && `- Never use these words or phrases: ${forbiddenWords}`
+  ].filter(Boolean);
+
+  return {
+    brandName: voice.brandName,
+    tone: voice.tone,
+    glossary,
+    forbiddenWords,
+    voiceGuidelines: guidelines.length > 0 ? `BRAND VOICE (${voice.name}):\n${guidelines.join('\n')}` : ''
+  };
+};
+
+// {{focusKeyword}}, {{secondaryKeywords}} and {{keywordGuidelines}} for the target keywords
+// ({ focus, secondary }, see src/shared/seoAnalysis.js)
+const keywordVariables = (keywords) => {
+  const focus = keywords?.focus || '';
+  const secondary = (keywords?.secondary || []).join(', ');
+  const guidelines = [
+    focus && `- Focus keyword: "${focus}" - use it word for word in the title, near the start, and where it fits in the description, headings and questions`,
+    secondary && `- Secondary keywords: ${secondary} - work them in where the transcript supports them`
+  ].filter(Boolean);
+
+  return {
+    focusKeyword: focus,
+    secondaryKeywords: secondary,
+    keywordGuidelines: guidelines.length > 0
+      ? `TARGET KEYWORDS:\n${guidelines.join('\n')}\n- Never force a keyword into a sentence where it doesn't fit what was said`
+      : ''
+  };
+};
+
+// Chat messages for a template: the optional system prompt, then the rendered prompt
+const buildTemplateMessages = (template, variables, voice) => {
+  const values = { ...voiceVariables(voice), ...variables };
+  const messages = [];
+  if (!isEmpty(template.system)) {
+    messages.push({ role: 'system', content: renderTemplate(template.system, values) });
+  }
+  messages.push({ role: 'user', content: renderTemplate(template.prompt, values) });
+  return messages;
+};
+
+// SEO_LIMITS with the FAQ and takeaway counts an seo template asks for
+const seoLimitsFor = (template) => ({
+  ...SEO_LIMITS,
+  faqCount: template?.settings?.faqCount || SEO_LIMITS.faqCount,
+  takeawayCount: template?.settings?.takeawayCount || SEO_LIMITS.takeawayCount
+});
+
+const asTrimmedString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// "a, b\nc" or ["a", "b"] -> ["a", "b", "c"]
+const asList = (value) => (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Returns { template } with the fields a record keeps, or { error } when they aren't usable.
+// `existing` is the record being updated; its kind can't change.
+const normalizeTemplate = (fields, existing = null) => {
+  const input = { ...existing, ...fields };
+  const kind = existing ? existing.kind : input.kind;
+  const name = asTrimmedString(input.name);
+
+  if (!TEMPLATE_KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${TEMPLATE_KINDS.join(', ')}` };
+  }
+  if (!name) {
+    return { error: 'name is required' };
+  }
+
+  if (kind === 'voice') {
+    return {
+      template: {
+        kind,
+        name,
+        brandName: asTrimmedString(input.brandName),
+        tone: asTrimmedString(input.tone),
+        glossary: asList(input.glossary),
+        forbiddenWords: asList(input.forbiddenWords)
+      }
+    };
+  }
+
+  const system = asTrimmedString(input.system);
+  const prompt = typeof input.prompt === 'string' ? input.prompt : '';
+  if (!prompt.includes('{{transcript}}')) {
+    return { error: 'prompt must include {{transcript}}' };
+  }
+
+  const unknown = [...templateVariables(system), ...templateVariables(prompt)]
+    .filter(variable => !TEMPLATE_VARIABLES[kind].includes(variable));
+  if (unknown.length > 0) {
+    return { error: `Unknown variable(s) for ${kind} templates: ${[...new Set(unknown)].join(', ')}` };
+  }
+
+  const template = { kind, name, system, prompt };
+  if (kind === 'seo') {
+    const settings = { ...defaultTemplate('seo').settings, ...input.settings };
+    const badCount = ['faqCount', 'takeawayCount'].find(key => (
+      !Number.isInteger(settings[key]) || settings[key] < COUNT_RANGE.min || settings[key] > COUNT_RANGE.max
+    ));
+    if (badCount) {
+      return { error: `settings.${badCount} must be a whole number from ${COUNT_RANGE.min} to ${COUNT_RANGE.max}` };
+    }
+    template.settings = { faqCount: settings.faqCount, takeawayCount: settings.takeawayCount };
+  }
+  return { template };
+};
+
+module.exports = {
+  PROMPT_KINDS,
+  TEMPLATE_KINDS,
+  TEMPLATE_VARIABLES,
+  DEFAULT_TEMPLATES,
+  DEFAULT_PROMPTS,
+  promptIds,
+  renderTemplate,
+  templateVariables,
+  voiceVariables,
+  keywordVariables,
+  buildTemplateMessages,
+  seoLimitsFor,
+  normalizeTemplate
+};
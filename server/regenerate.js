@@ -0,0 +1,137 @@
+// Per-section regeneration for edited results. The caller sends the current content and,
+// for FAQs and takeaways, the positions it wants to keep; only the other positions are
+// regenerated, so one bad FAQ can be replaced without touching the rest.
+
+const llm = require('./llm');
+const { SEO_LIMITS, seoContentSchema, validateSchema, shortenToLimit } = require('./seoSchema');
+const { voiceVariables, keywordVariables } = require('./promptTemplates');
+
+const REGENERATE_SECTIONS = ['seoTitle', 'metaDescription', 'faqs', 'keyTakeaways'];
+
+// Sections that are lists, with their sizes under `limits`
+const arraySizes = (limits) => ({
+  faqs: limits.faqCount,
+  keyTakeaways: limits.takeawayCount
+});
+
+const SECTION_REQUIREMENTS = {
+  seoTitle: `1 SEO title, ${SEO_LIMITS.seoTitle} characters max, specific to what is discussed`,
+  metaDescription: `1 meta description, ${SEO_LIMITS.metaDescription} characters max, based on the actual content and results mentioned`,
+  faqs: 'FAQs of { "question", "answer" } covering questions that are actually answered in the transcript',
+  keyTakeaways: 'key takeaways, each one specific, actionable insight from the transcript'
+};
+
+// Schema for the model's response: just the section, with arrays sized to the replaced positions
+const sectionSchema = (section, count) => {
+  const property = seoContentSchema().properties[section];
+  return {
+    type: 'object',
+    required: [section],
+    properties: {
+      [section]: property.type === 'array' ? { ...property, minItems: count, maxItems: count } : property
+    }
+  };
+};
+
+// `voice` is the voice profile the content was written in, if any, `language` the name of
+// the language to write in and `keywords` the target keywords ({ focus, secondary })
+const buildRegeneratePrompt = (section, { count, kept, replaced, current }, transcript, voice = null, language = null, keywords = null) => {
+  const lines = ['Rewrite part of the SEO content generated from this video transcript. Use ONLY information that is actually mentioned in the transcript.', ''];
+  const isList = section in arraySizes(SEO_LIMITS);
+
+  if (isList) {
+    lines.push(`Write ${count} new ${SECTION_REQUIREMENTS[section]}.`);
+    if (kept.length > 0) {
+      lines.push('', 'These are being KEPT - do not repeat or overlap with them:', JSON.stringify(kept, null, 2));
+    }
+    if (replaced.length > 0) {
+      lines.push('', 'These are being REPLACED - write different ones:', JSON.stringify(replaced, null, 2));
+    }
+  } else {
+    lines.push(`Write ${SECTION_REQUIREMENTS[section]}.`);
+    if (current) {
+      lines.push('', `The current one is being replaced - write a different one: ${JSON.stringify(current)}`);
+    }
+  }
+
+  const { voiceGuidelines } = voiceVariables(voice);
+  if (voiceGuidelines) lines.push('', voiceGuidelines);
+  const { keywordGuidelines } = keywordVariables(keywords);
+  if (keywordGuidelines && section !== 'keyTakeaways') lines.push('', keywordGuidelines);
+  if (language) lines.push('', `Write in ${language}, the language of the transcript.`);
+
+  lines.push(
+    '',
+    'Plain text only - no HTML or markdown.',
+    '',
+    'Transcript:',
+    transcript,
+    '',
+    `Return ONLY a valid JSON object of the form { "${section}": ${isList ? `[${count} items]` : '"string"'} }`
+  );
+  return lines.join('\n');
+};
+
+// Returns { value, errors }: the complete new section value (kept items in place) and any
+// validation problems that remain. Rejects with LLMError on API failures and with a
+// SyntaxError when the response isn't JSON. `limits` size the lists (the SEO template's
+// FAQ and takeaway counts).
+const regenerateSection = async ({ section, current = {}, keep = [], transcript, limits = SEO_LIMITS, voice = null, language = null, keywords = null }) => {
+  const size = arraySizes(limits)[section];
+  const currentItems = size && Array.isArray(current[section]) ? current[section] : [];
+  const keptPositions = size ? keep.filter(index => Number.isInteger(index) && index >= 0 && index < Math.min(size, currentItems.length)) : [];
+  const replacedPositions = size ? Array.from({ length: size }, (_, index) => index).filter(index => !keptPositions.includes(index)) : [];
+  const count = replacedPositions.length;
+
+  if (size && count === 0) {
+    return { value: currentItems.slice(0, size), errors: [] };
+  }
+
+  const details = {
+    count,
+    kept: keptPositions.map(index => currentItems[index]),
+    replaced: replacedPositions.map(index => currentItems[index]).filter(Boolean),
+    current: size ? null : current[section]
+  };
+
+  const completion = await llm.chat({
+    task: 'regenerate',
+    input: { section, ...details, transcript },
+    maxTokens: 4096,
+    temperature: 0.7,
+    json: true,
+    schema: { name: `regenerate_${section}`, schema: sectionSchema(section, count) },
+    messages: [
+      {
+        role: 'user',
+        content: buildRegeneratePrompt(section, details, transcript, voice, language, keywords)
+      }
+    ]
+  });
+
+  const patch = JSON.parse(completion.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+  let value = patch ? patch[section] : undefined;
+
+  if (size && Array.isArray(value)) {
+    const fresh = value.slice(0, count);
+    value = Array.from({ length: size }, (_, index) => (
+      keptPositions.includes(index) ? currentItems[index] : fresh.shift()
+    )).filter(item => item !== undefined);
+  } else if (!size && typeof value === 'string') {
+    value = shortenToLimit(value.trim(), limits[section]);
+  }
+
+  if (value === undefined) {
+    return { value, errors: [{ path: section, keyword: 'required', message: 'is required' }] };
+  }
+
+  // Kept items are the user's call; only the regenerated ones have to pass validation
+  const errors = validateSchema(seoContentSchema(limits).properties[section], value, section)
+    .filter(error => {
+      const position = error.path.match(/^\w+\[(\d+)\]/);
+      return !position || !keptPositions.includes(Number(position[1]));
+    });
+  return { value, errors };
+};
+
+module.exports = { REGENERATE_SECTIONS, buildRegeneratePrompt, regenerateSection };
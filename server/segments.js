@@ -0,0 +1,36 @@
+// Timed transcript segments parsed on the client from SRT, WebVTT or YouTube pastes.
+// The server keeps them alongside the cleaned text so later steps can link back to the video.
+
+const MAX_SEGMENTS = 20000;
+
+// Keep only well-formed segments, sorted by start time; returns [] for anything unusable
+const normalizeSegments = (segments) => {
+  if (!Array.isArray(segments)) return [];
+
+  return segments
+    .slice(0, MAX_SEGMENTS)
+    .filter(segment => segment
+      && Number.isFinite(Number(segment.start))
+      && typeof segment.text === 'string'
+      && segment.text.trim())
+    .map(segment => {
+      const start = Math.max(0, Number(segment.start));
+      const end = Number.isFinite(Number(segment.end)) && segment.end !== null ? Number(segment.end) : null;
+      return {
+        start,
+        end: end !== null && end >= start ? end : null,
+        text: segment.text.trim(),
+        ...(typeof segment.speaker === 'string' && segment.speaker.trim() && { speaker: segment.speaker.trim() })
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+// Best guess at the video length covered by the segments, in seconds
+const segmentsDuration = (segments) => {
+  if (segments.length === 0) return 0;
+  const last = segments[segments.length - 1];
+  return last.end ?? last.start;
+};
+
+module.exports = { normalizeSegments, segmentsDuration };
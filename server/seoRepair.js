@@ -0,0 +1,145 @@
+// Repair loop for generated SEO content that fails SEO_CONTENT_SCHEMA.
+// 1. Surplus FAQs/takeaways are trimmed (no model call needed)
+// 2. The model is re-prompted for only the fields that are still invalid
+// 3. Strings that are still too long are shortened at a word boundary
+// Every change is recorded so the response can list what was repaired.
+
+const llm = require('./llm');
+const { SEO_LIMITS, seoContentSchema, validateSeoContent, fieldOf, shortenToLimit } = require('./seoSchema');
+
+const MAX_REPROMPTS = 2;
+
+const arrayLimits = (limits) => ({
+  faqs: limits.faqCount,
+  keyTakeaways: limits.takeawayCount
+});
+
+const stringLimits = (limits) => ({
+  seoTitle: limits.seoTitle,
+  metaDescription: limits.metaDescription
+});
+
+const fieldRequirements = (limits) => ({
+  seoTitle: `${limits.seoTitle} characters max, specific to what is discussed`,
+  metaDescription: `${limits.metaDescription} characters max, based on the actual content and results mentioned`,
+  faqs: `exactly ${limits.faqCount} items of { "question", "answer" }; keep the existing valid FAQs and only add or fix what is needed`,
+  keyTakeaways: `exactly ${limits.takeawayCount} strings; keep the existing valid takeaways and only add or fix what is needed`
+});
+
+const buildRepairPrompt = (content, errors, fields, transcript, limits = SEO_LIMITS) => {
+  const requirements = fieldRequirements(limits);
+  return `The SEO content below was generated from a video transcript but failed validation.
+Fix ONLY these fields: ${fields.join(', ')}
+
+PROBLEMS:
+${errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+REQUIREMENTS:
+${fields.filter(field => requirements[field]).map(field => `- ${field}: ${requirements[field]}`).join('\n')}
+- Use ONLY information that is actually mentioned in the transcript
+
+Current content:
+${JSON.stringify(content, null, 2)}
+
+Transcript:
+${transcript}
+
+Return ONLY a valid JSON object containing just these fields: ${fields.join(', ')}`;
+};
+
+// Trim arrays that have too many items; returns true when anything changed
+const trimSurplus = (content, repairs, limits) => {
+  let changed = false;
+  Object.entries(arrayLimits(limits)).forEach(([field, limit]) => {
+    if (Array.isArray(content[field]) && content[field].length > limit) {
+      repairs.push({ field, action: 'trimmed', detail: `kept the first ${limit} of ${content[field].length} items` });
+      content[field] = content[field].slice(0, limit);
+      changed = true;
+    }
+  });
+  return changed;
+};
+
+const shortenStrings = (content, repairs, limits) => {
+  Object.entries(stringLimits(limits)).forEach(([field, limit]) => {
+    if (typeof content[field] === 'string' && content[field].length > limit) {
+      const shortened = shortenToLimit(content[field], limit);
+      repairs.push({ field, action: 'shortened', detail: `${content[field].length} → ${shortened.length} characters` });
+      content[field] = shortened;
+    }
+  });
+};
+
+const reprompt = async (content, errors, transcript, limits) => {
+  const fields = [...new Set(errors.map(fieldOf))];
+  const completion = await llm.chat({
+    task: 'seoRepair',
+    input: { content, fields, transcript, limits },
+    maxTokens: 4096,
+    temperature: 0.3,
+    json: true,
+    schema: { name: 'seo_content_repair', schema: seoContentSchema(limits), only: fields },
+    messages: [
+      {
+        role: 'user',
+        content: buildRepairPrompt(content, errors, fields, transcript, limits)
+      }
+    ]
+  });
+
+  let patch;
+  try {
+    patch = JSON.parse(completion.content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+  } catch (parseError) {
+    console.error('SEO repair response was not valid JSON:', parseError.message);
+    return [];
+  }
+
+  return fields.filter(field => patch && patch[field] !== undefined).map(field => {
+    content[field] = patch[field];
+    return field;
+  });
+};
+
+// Returns { content, repairs, errors } where errors are the problems that remain after repair.
+// `limits` are the SEO_LIMITS in force (the SEO template sets the FAQ and takeaway counts).
+const repairSeoContent = async (generated, transcript, limits = SEO_LIMITS) => {
+  const content = { ...generated };
+  const repairs = [];
+
+  let errors = validateSeoContent(content, limits);
+  if (errors.some(error => error.path === '(root)')) {
+    return { content, repairs, errors };
+  }
+
+  for (let attempt = 0; attempt < MAX_REPROMPTS && errors.length > 0; attempt++) {
+    if (trimSurplus(content, repairs, limits)) {
+      errors = validateSeoContent(content, limits);
+      if (errors.length === 0) break;
+    }
+
+    console.log(`🔧 SEO content invalid (attempt ${attempt + 1}):`, errors.map(error => `${error.path} ${error.message}`));
+    const reasons = Object.fromEntries(errors.map(error => [fieldOf(error), error.message]));
+    let updated;
+    try {
+      updated = await reprompt(content, errors, transcript, limits);
+    } catch (error) {
+      // A failed repair call shouldn't sink the whole generation; fall through to the deterministic fixes
+      console.error('SEO repair request failed:', error.message);
+      break;
+    }
+    updated.forEach(field => repairs.push({ field, action: 'regenerated', detail: reasons[field] }));
+
+    errors = validateSeoContent(content, limits);
+  }
+
+  if (errors.length > 0) {
+    trimSurplus(content, repairs, limits);
+    shortenStrings(content, repairs, limits);
+    errors = validateSeoContent(content, limits);
+  }
+
+  return { content, repairs, errors };
+};
+
+module.exports = { repairSeoContent, buildRepairPrompt };
@@ -0,0 +1,119 @@
+// JSON Schema for the /api/generate-content response and a small validator for it.
+// The validator covers the JSON Schema keywords this schema uses (type, required,
+// properties, items, minLength/maxLength, minItems/maxItems) and reports every
+// problem with a path so the repair step can re-ask for just those fields.
+
+const SEO_LIMITS = {
+  seoTitle: 65,
+  metaDescription: 160,
+  faqCount: 5,
+  takeawayCount: 4
+};
+
+// The FAQ and takeaway counts come from the SEO prompt template (see promptTemplates.js)
+const seoContentSchema = (limits = SEO_LIMITS) => ({
+  type: 'object',
+  required: ['seoTitle', 'metaDescription', 'faqs', 'keyTakeaways'],
+  properties: {
+    seoTitle: { type: 'string', minLength: 1, maxLength: limits.seoTitle },
+    metaDescription: { type: 'string', minLength: 1, maxLength: limits.metaDescription },
+    faqs: {
+      type: 'array',
+      minItems: limits.faqCount,
+      maxItems: limits.faqCount,
+      items: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+          question: { type: 'string', minLength: 1 },
+          answer: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    keyTakeaways: {
+      type: 'array',
+      minItems: limits.takeawayCount,
+      maxItems: limits.takeawayCount,
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+});
+
+const SEO_CONTENT_SCHEMA = seoContentSchema();
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+// Returns [{ path, keyword, message, limit?, actual? }]; empty when the value is valid
+const validateSchema = (schema, value, path = '') => {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type && typeOf(value) !== schema.type) {
+    errors.push({ path: at, keyword: 'type', message: `must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}` });
+    return errors;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, keyword: 'minLength', message: 'must not be empty', limit: schema.minLength, actual: value.trim().length });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters (currently ${value.length})`, limit: schema.maxLength, actual: value.length });
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, keyword: 'minItems', message: `must contain exactly ${schema.minItems} items (currently ${value.length})`, limit: schema.minItems, actual: value.length });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, keyword: 'maxItems', message: `must contain exactly ${schema.maxItems} items (currently ${value.length})`, limit: schema.maxItems, actual: value.length });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, keyword: 'required', message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  return errors;
+};
+
+const validateSeoContent = (content, limits = SEO_LIMITS) => validateSchema(seoContentSchema(limits), content);
+
+// Top-level field an error belongs to: "faqs[2].answer" -> "faqs"
+const fieldOf = (error) => error.path.split(/[.[]/)[0];
+
+// Cut a string to `max` characters at a word boundary, without a dangling separator
+const shortenToLimit = (text, max) => {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  const shortened = lastSpace > max * 0.6 ? cut.slice(0, lastSpace) : text.slice(0, max);
+  return shortened.replace(/[\s,;:|–—-]+$/, '').slice(0, max);
+};
+
+module.exports = {
+  SEO_LIMITS,
+  SEO_CONTENT_SCHEMA,
+  seoContentSchema,
+  validateSchema,
+  validateSeoContent,
+  fieldOf,
+  shortenToLimit
+};
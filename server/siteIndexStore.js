@@ -0,0 +1,34 @@
+// The registered sitemap's page index (SITE_INDEX_FILE, default data/site-index.json): the
+// pages internal link suggestions can point to. Registering a sitemap replaces the index.
+// See jsonFile.js for how writes are queued and replaced atomically.
+
+const path = require('path');
+const { createJsonFile } = require('./jsonFile');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'site-index.json');
+
+const emptyIndex = () => ({ sitemapUrl: null, indexedAt: null, pages: [], unreachable: [] });
+
+const createSiteIndexStore = (filePath = process.env.SITE_INDEX_FILE || DEFAULT_FILE) => {
+  const file = createJsonFile(filePath, emptyIndex);
+
+  return {
+    filePath,
+
+    // { sitemapUrl, indexedAt, pages: [{ url, title, excerpt }], unreachable }; indexedAt is
+    // null until a sitemap has been registered
+    get() {
+      return file.read();
+    },
+
+    save(index) {
+      return file.mutate(() => ({ value: index, result: index }));
+    },
+
+    clear() {
+      return file.mutate(() => ({ value: emptyIndex(), result: emptyIndex() }));
+    }
+  };
+};
+
+module.exports = { createSiteIndexStore };
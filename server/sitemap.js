@@ -0,0 +1,155 @@
+// Sitemap indexing for internal link suggestions. A blog's sitemap.xml (uploaded, or fetched
+// from its URL) lists the pages; each page is fetched once for its title and an excerpt (the
+// meta description, or the first paragraph). Sitemap indexes are followed one level down. A
+// page that can't be fetched is still indexed, titled from its URL slug, and listed in
+// `unreachable`.
+
+const { decodeHtml } = require('./html');
+const { mapWithConcurrency } = require('./concurrency');
+
+const SITEMAP_LIMITS = {
+  pages: 500,
+  sitemaps: 20,
+  excerpt: 300
+};
+const FETCH_CONCURRENCY = 4;
+const FETCH_TIMEOUT_MS = 8000;
+
+class SitemapError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SitemapError';
+    this.status = status;
+  }
+}
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const fetchText = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`returned ${response.status}`);
+  return response.text();
+};
+
+// Text of an element with its tags, CDATA and entities removed
+const textOf = (markup) => decodeHtml(String(markup)
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' '))
+  .replace(/\s+/g, ' ')
+  .replace(/ ([.,;:!?])/g, '$1')
+  .trim();
+
+// { pages: [url], sitemaps: [url] } from sitemap XML: <url><loc> entries are pages and
+// <sitemap><loc> entries (in a sitemap index) are more sitemaps
+const parseSitemap = (xml) => {
+  const locs = (tag) => (String(xml).match(new RegExp(`<${tag}[\\s>][\\s\\S]*?</${tag}>`, 'gi')) || [])
+    .map(entry => entry.match(/<loc>([\s\S]*?)<\/loc>/i))
+    .filter(Boolean)
+    .map(match => textOf(match[1]))
+    .filter(isHttpUrl);
+  return { pages: [...new Set(locs('url'))], sitemaps: [...new Set(locs('sitemap'))] };
+};
+
+// "/blog/route-planning-tips/" -> "Route planning tips"
+const titleFromUrl = (url) => {
+  const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || new URL(url).hostname;
+  let decoded = slug;
+  try {
+    decoded = decodeURIComponent(slug);
+  } catch (error) {
+    // Malformed escapes stay as they are
+  }
+  const words = decoded.replace(/\.[a-z]+$/i, '').replace(/[-_]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const shorten = (text, max) => (text.length > max ? `${text.slice(0, max).replace(/\s+\S*$/, '')}…` : text);
+
+// { title, excerpt } from a page's HTML: Open Graph tags first, then <title>/<h1> and the meta
+// description or first paragraph
+const parsePage = (html) => {
+  const meta = (name) => {
+    const tag = (html.match(/<meta\s[^>]*>/gi) || []).find(candidate => new RegExp(`\\s(?:name|property)=["']${name}["']`, 'i').test(candidate));
+    const content = tag && tag.match(/\scontent=(["'])([\s\S]*?)\1/i);
+    return content ? textOf(content[2]) : '';
+  };
+  const element = (tag) => {
+    const match = html.match(new RegExp(`<${tag}[\\s>][\\s\\S]*?</${tag}>`, 'i'));
+    return match ? textOf(match[0]) : '';
+  };
+
+  return {
+    title: meta('og:title') || element('title') || element('h1'),
+    excerpt: shorten(meta('description') || meta('og:description') || element('p'), SITEMAP_LIMITS.excerpt)
+  };
+};
+
+// Page URLs from the sitemap (`xml`, or fetched from `url`) and the sitemaps it points to
+const sitemapPages = async ({ xml, url }) => {
+  let source = xml;
+  if (!source) {
+    try {
+      source = await fetchText(url);
+    } catch (error) {
+      throw new SitemapError(`Could not fetch the sitemap: ${error.message}`, 502);
+    }
+  }
+
+  const { pages, sitemaps } = parseSitemap(source);
+  const nested = await mapWithConcurrency(sitemaps.slice(0, SITEMAP_LIMITS.sitemaps), FETCH_CONCURRENCY, async (sitemapUrl) => {
+    try {
+      return parseSitemap(await fetchText(sitemapUrl)).pages;
+    } catch (error) {
+      console.warn(`Could not fetch sitemap ${sitemapUrl}:`, error.message);
+      return [];
+    }
+  });
+  return [...new Set(pages.concat(...nested))];
+};
+
+// Index a sitemap given as `xml` (an upload) or `url`. Resolves { sitemapUrl, indexedAt,
+// pages: [{ url, title, excerpt }], unreachable: [url] }. Rejects with SitemapError when the
+// sitemap can't be fetched or lists no pages; only the first SITEMAP_LIMITS.pages are indexed.
+const indexSitemap = async ({ xml, url } = {}) => {
+  if (xml !== undefined && xml !== null && typeof xml !== 'string') throw new SitemapError('xml must be a string');
+  if (!xml && !(typeof url === 'string' && url.trim())) throw new SitemapError('Upload a sitemap.xml or give its url');
+  if (!xml && !isHttpUrl(url.trim())) throw new SitemapError('url must be an http or https URL');
+
+  const urls = await sitemapPages({ xml, url: url && url.trim() });
+  if (urls.length === 0) throw new SitemapError('The sitemap lists no page URLs');
+
+  const unreachable = new Set();
+  const pages = await mapWithConcurrency(urls.slice(0, SITEMAP_LIMITS.pages), FETCH_CONCURRENCY, async (pageUrl) => {
+    try {
+      const { title, excerpt } = parsePage(await fetchText(pageUrl));
+      return { url: pageUrl, title: title || titleFromUrl(pageUrl), excerpt };
+    } catch (error) {
+      console.warn(`Could not fetch ${pageUrl}:`, error.message);
+      unreachable.add(pageUrl);
+      return { url: pageUrl, title: titleFromUrl(pageUrl), excerpt: '' };
+    }
+  });
+
+  return {
+    sitemapUrl: xml ? null : url.trim(),
+    indexedAt: new Date().toISOString(),
+    pages,
+    unreachable: pages.map(page => page.url).filter(pageUrl => unreachable.has(pageUrl))
+  };
+};
+
+module.exports = {
+  SITEMAP_LIMITS,
+  SitemapError,
+  parseSitemap,
+  parsePage,
+  titleFromUrl,
+  indexSitemap
+};
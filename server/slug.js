@@ -0,0 +1,6 @@
+// URL/file-name slug: "How Docket Cut Costs by 40%" -> "how-docket-cut-costs-by-40"
+const slugify = (text, fallback = 'untitled') => (
+  String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback
+);
+
+module.exports = { slugify };
@@ -0,0 +1,247 @@
+// Social repurposing pack: a LinkedIn post, an X thread, a newsletter blurb and a YouTube
+// description written from the same cleaned transcript. The model writes each format's copy
+// and picks a quote for it; the quote is only used when it is found word for word in the
+// transcript, is attributed to the speaker whose turn it comes from, and is added here so
+// the platform's length limit holds for the finished text.
+
+const { shortenToLimit } = require('./seoSchema');
+const { voiceVariables } = require('./promptTemplates');
+const { speakerAt } = require('./turns');
+const { formatChapterTimestamp } = require('./chapters');
+
+// Character limits per platform. X counts every post separately.
+const SOCIAL_LIMITS = {
+  linkedin: 3000,
+  xPost: 280,
+  xThreadMin: 3,
+  xThreadMax: 8,
+  newsletterSubject: 80,
+  newsletter: 600,
+  youtubeDescription: 5000
+};
+
+const SOCIAL_FORMATS = ['linkedin', 'xThread', 'newsletter', 'youtubeDescription'];
+
+const quoteSchema = {
+  type: 'object',
+  required: ['quote', 'speaker'],
+  properties: {
+    quote: { type: 'string' },
+    speaker: { type: 'string' }
+  }
+};
+
+const SOCIAL_SCHEMA = {
+  type: 'object',
+  required: SOCIAL_FORMATS,
+  properties: {
+    linkedin: { type: 'object', required: ['text', 'quote'], properties: { text: { type: 'string' }, quote: quoteSchema } },
+    xThread: { type: 'object', required: ['posts', 'quote'], properties: { posts: { type: 'array', items: { type: 'string' } }, quote: quoteSchema } },
+    newsletter: { type: 'object', required: ['subject', 'text', 'quote'], properties: { subject: { type: 'string' }, text: { type: 'string' }, quote: quoteSchema } },
+    youtubeDescription: { type: 'object', required: ['text', 'quote'], properties: { text: { type: 'string' }, quote: quoteSchema } }
+  }
+};
+
+// `voice` is the voice profile to write in, if any, and `language` the name of the language
+const buildSocialPrompt = (transcript, { videoTitle = '', seoTitle = '', voice = null, language = null, limits = SOCIAL_LIMITS } = {}) => {
+  const lines = [
+    'Repurpose this video transcript for social media and email. Use ONLY information that is actually mentioned in the transcript.',
+    ''
+  ];
+  if (videoTitle) lines.push(`Video title: ${videoTitle}`);
+  if (seoTitle) lines.push(`Blog post title: ${seoTitle}`);
+  if (videoTitle || seoTitle) lines.push('');
+
+  lines.push(
+    'Write:',
+    `- linkedin: a LinkedIn post that opens with a strong first line, short paragraphs, 3-5 hashtags at the end (${limits.linkedin - 400} characters max)`,
+    `- xThread: an X thread of ${limits.xThreadMin}-${limits.xThreadMax - 1} posts, each under ${limits.xPost - 20} characters, the first one a hook`,
+    `- newsletter: a subject line (${limits.newsletterSubject} characters max) and a blurb introducing the video (${limits.newsletter - 200} characters max)`,
+    `- youtubeDescription: a YouTube description with a 2-3 sentence summary and what viewers will learn (${limits.youtubeDescription - 1500} characters max)`,
+    '',
+    'For each format also pick one short quote (under 200 characters) that fits it. Copy it EXACTLY as it appears in the transcript - same words, same order - and give the speaker\'s name as labelled. Do not put the quote in the text yourself, it is added for you.'
+  );
+
+  const { voiceGuidelines } = voiceVariables(voice);
+  if (voiceGuidelines) lines.push('', voiceGuidelines);
+  if (language) lines.push('', `Write in ${language}, the language of the transcript.`);
+
+  lines.push(
+    '',
+    'Plain text only - no HTML or markdown.',
+    '',
+    'Transcript:',
+    transcript,
+    '',
+    'Return ONLY a valid JSON object: { "linkedin": { "text", "quote": { "quote", "speaker" } }, "xThread": { "posts": [], "quote" }, "newsletter": { "subject", "text", "quote" }, "youtubeDescription": { "text", "quote" } }'
+  );
+  return lines.join('\n');
+};
+
+const asText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A quote character matches its curly and straight forms
+const quotePattern = (word) => escapeRegExp(word)
+  .replace(/["“”]/g, '["“”]')
+  .replace(/['‘’]/g, '[\'‘’]');
+
+// { quote, speaker } for a quote found word for word in the transcript (ignoring case, line
+// breaks and bold labels), with the transcript's own wording and the speaker of that turn;
+// null when it isn't there. The model's `speaker` is only used when the turn has no label.
+const locateQuote = (transcript, raw) => {
+  const words = asText(raw && raw.quote).replace(/^["“]+|["”]+$/g, '').split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const match = new RegExp(words.map(quotePattern).join('(?:\\s|\\*\\*)+'), 'iu').exec(transcript);
+  if (!match) return null;
+
+  return {
+    quote: match[0].replace(/\*\*/g, '').replace(/\s+/g, ' '),
+    speaker: speakerAt(transcript, match.index) || asText(raw.speaker)
+  };
+};
+
+const attributed = (quote) => `"${quote.quote}"${quote.speaker ? ` — ${quote.speaker}` : ''}`;
+
+// The chapter list YouTube turns into chapters, or '' without chapters
+const chapterListOf = (chapters) => (chapters.length > 0
+  ? `Chapters:\n${chapters.map(chapter => `${formatChapterTimestamp(chapter.start)} ${chapter.title}`).join('\n')}`
+  : '');
+
+// `text` followed by the blocks (quote, chapters), shortening the text so the whole fits in `max`
+const assemble = (text, blocks, max) => {
+  const tail = blocks.filter(Boolean).map(block => `\n\n${block}`).join('');
+  return `${shortenToLimit(text, Math.max(0, max - tail.length))}${tail}`.trim();
+};
+
+// Returns { social, repairs, errors }. `social` holds each format's finished, copy-ready text
+// with its attributed quote (or null); `repairs` lists what was shortened or dropped, like the
+// SEO repairs; `errors` lists formats that came back empty. `chapters` ([{ start, title }])
+// are added to the YouTube description.
+const normalizeSocialPack = (raw, transcript, { chapters = [], limits = SOCIAL_LIMITS } = {}) => {
+  const repairs = [];
+  const errors = [];
+  const source = String(transcript || '');
+
+  const quoteFor = (format) => {
+    const given = raw?.[format]?.quote;
+    if (!asText(given && given.quote)) return null;
+    const quote = locateQuote(source, given);
+    if (!quote) repairs.push({ field: `${format}.quote`, action: 'dropped', detail: 'not found in the transcript' });
+    return quote;
+  };
+
+  const textFor = (format, field) => {
+    const text = asText(raw?.[format]?.[field]);
+    if (!text) errors.push(`${format}.${field} is empty`);
+    return text;
+  };
+
+  const finished = (format, field, text, blocks, max) => {
+    const result = assemble(text, blocks, max);
+    if (!result.startsWith(text)) repairs.push({ field: `${format}.${field}`, action: 'shortened', detail: `${max} characters max` });
+    return result;
+  };
+
+  // LinkedIn
+  const linkedinQuote = quoteFor('linkedin');
+  const linkedinText = textFor('linkedin', 'text');
+  const linkedin = {
+    text: finished('linkedin', 'text', linkedinText, [linkedinQuote && attributed(linkedinQuote)], limits.linkedin),
+    quote: linkedinQuote
+  };
+
+  // X thread: the quote becomes the second post when it fits in one
+  let xQuote = quoteFor('xThread');
+  const posts = (Array.isArray(raw?.xThread?.posts) ? raw.xThread.posts : []).map(asText).filter(Boolean).map((post, i) => {
+    if (post.length <= limits.xPost) return post;
+    repairs.push({ field: `xThread.posts[${i}]`, action: 'shortened', detail: `${limits.xPost} characters max` });
+    return shortenToLimit(post, limits.xPost);
+  });
+  if (xQuote && attributed(xQuote).length > limits.xPost) {
+    repairs.push({ field: 'xThread.quote', action: 'dropped', detail: `longer than one ${limits.xPost}-character post` });
+    xQuote = null;
+  }
+  if (xQuote) posts.splice(Math.min(1, posts.length), 0, attributed(xQuote));
+  if (posts.length > limits.xThreadMax) {
+    repairs.push({ field: 'xThread.posts', action: 'trimmed', detail: `${limits.xThreadMax} posts max` });
+    posts.length = limits.xThreadMax;
+  }
+  if (posts.length < limits.xThreadMin) errors.push(`xThread needs at least ${limits.xThreadMin} posts`);
+  const xThread = { posts, quote: xQuote };
+
+  // Newsletter
+  const newsletterQuote = quoteFor('newsletter');
+  const subject = textFor('newsletter', 'subject');
+  const newsletterText = textFor('newsletter', 'text');
+  const newsletter = {
+    subject: finished('newsletter', 'subject', subject, [], limits.newsletterSubject),
+    text: finished('newsletter', 'text', newsletterText, [newsletterQuote && attributed(newsletterQuote)], limits.newsletter),
+    quote: newsletterQuote
+  };
+
+  // YouTube description, with the chapter list YouTube turns into chapters
+  const youtubeQuote = quoteFor('youtubeDescription');
+  const youtubeText = textFor('youtubeDescription', 'text');
+  const chapterList = chapterListOf(chapters);
+  const youtubeDescription = {
+    text: finished('youtubeDescription', 'text', youtubeText, [youtubeQuote && attributed(youtubeQuote), chapterList], limits.youtubeDescription),
+    quote: youtubeQuote
+  };
+
+  return { social: { linkedin, xThread, newsletter, youtubeDescription }, repairs, errors };
+};
+
+// `text` without `block` at its end, or null when it doesn't end with it (the copy was edited)
+const withoutBlock = (text, block) => (block && text.endsWith(`\n\n${block}`) ? text.slice(0, -(block.length + 2)) : null);
+
+// A finished pack (`results.social`) with `rename` applied to its copy, assembled again by
+// normalizeSocialPack so every format is back within its limits (`renameSpeaker`, for the
+// quotes' speakers, defaults to `rename`). The quotes (and chapter list)
+// added to the copy are taken out first and located again in `transcript`, which gives them
+// their new speakers. Copy that was edited so it no longer ends with its quote is renamed as
+// it is and loses the quote. The pack's earlier repairs are kept.
+const renameSocialPack = (social, transcript, { rename, renameSpeaker = rename, chapters = [], limits = SOCIAL_LIMITS } = {}) => {
+  const given = (quote) => quote && { quote: quote.quote, speaker: renameSpeaker(quote.speaker) };
+  const copy = (text, quote) => {
+    const body = quote ? withoutBlock(String(text || ''), attributed(quote)) : null;
+    return body === null ? { text: rename(text), quote: null } : { text: rename(body), quote: given(quote) };
+  };
+
+  const { linkedin, xThread, newsletter, youtubeDescription } = social;
+  const raw = {};
+  if (linkedin) raw.linkedin = copy(linkedin.text, linkedin.quote);
+  if (xThread) {
+    const posts = xThread.posts.slice();
+    const quoteAt = xThread.quote ? posts.indexOf(attributed(xThread.quote)) : -1;
+    if (quoteAt !== -1) posts.splice(quoteAt, 1);
+    raw.xThread = { posts: posts.map(rename), quote: quoteAt !== -1 ? given(xThread.quote) : null };
+  }
+  if (newsletter) raw.newsletter = { subject: rename(newsletter.subject), ...copy(newsletter.text, newsletter.quote) };
+
+  // The chapter list goes back in only when it is still there, unedited
+  let listed = [];
+  if (youtubeDescription) {
+    const text = String(youtubeDescription.text || '');
+    const body = withoutBlock(text, chapterListOf(chapters));
+    if (body !== null) listed = chapters;
+    raw.youtubeDescription = copy(body === null ? text : body, youtubeDescription.quote);
+  }
+
+  const renamed = normalizeSocialPack(raw, transcript, { chapters: listed, limits });
+  const pack = { repairs: (social.repairs || []).concat(renamed.repairs) };
+  SOCIAL_FORMATS.filter(format => raw[format]).forEach(format => { pack[format] = renamed.social[format]; });
+  return pack;
+};
+
+module.exports = {
+  SOCIAL_LIMITS,
+  SOCIAL_FORMATS,
+  SOCIAL_SCHEMA,
+  buildSocialPrompt,
+  locateQuote,
+  normalizeSocialPack,
+  renameSocialPack
+};
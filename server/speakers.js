@@ -0,0 +1,204 @@
+// Speakers of a cleaned transcript. Cleaning labels every turn "**Name:**", and the model's
+// labels ("Speaker 2", "Host") change from run to run, so the speaker list is always derived
+// from the labels and edits are applied by rewriting them. Renaming a speaker to another
+// speaker's name merges the two. Renames also reach the FAQs, takeaways, SEO fields, article
+// and grounding quotes (generic labels such as "Host" only where they name the speaker); roles
+// and headshots ride along in `results.speakers` for the exports.
+
+const { normalizeArticle, articleToMarkdown, articleToHtml } = require('./article');
+const { buildFaqSchemaMarkup, normalizeSchemaFormat } = require('./faqSchema');
+const { SEO_LIMITS, shortenToLimit } = require('./seoSchema');
+const { normalizeChapters } = require('./chapters');
+const { renameSocialPack } = require('./social');
+const { TURN_LABEL } = require('./turns');
+
+const MAX_NAME_LENGTH = 80;
+
+// Labels that are also ordinary words ("How to Host a Webinar"). They are renamed where they
+// name a speaker (turn labels, quote attributions) but left alone in free text.
+const GENERIC_LABELS = new Set(['host', 'co-host', 'cohost', 'guest', 'interviewer', 'interviewee', 'moderator', 'narrator',
+  'presenter', 'panelist', 'producer', 'caller', 'audience', 'audience member', 'announcer', 'reporter', 'anchor']);
+
+const isGenericLabel = (name) => GENERIC_LABELS.has(name.toLowerCase().replace(/\s+\d+$/, ''));
+
+// A line that is only a bold phrase is a section header, not part of anyone's turn
+const SECTION_HEADER = /^\*\*[^*\n]+\*\*[ \t]*$/gm;
+
+const wordCount = (text) => (text.replace(SECTION_HEADER, '').match(/[\p{L}\p{N}]+/gu) || []).length;
+
+// [{ name, role, headshotUrl, turns, words }] in order of first appearance. Roles and
+// headshots are kept from `known` (the previous list) for names still in the transcript.
+const extractSpeakers = (transcript, known = []) => {
+  const text = String(transcript || '');
+  const speakers = new Map();
+  const labels = Array.from(text.matchAll(TURN_LABEL));
+
+  labels.forEach((label, i) => {
+    const name = label[1].trim();
+    const end = i + 1 < labels.length ? labels[i + 1].index : text.length;
+    if (!speakers.has(name)) {
+      const previous = known.find(speaker => speaker && speaker.name === name);
+      speakers.set(name, { name, role: previous?.role || '', headshotUrl: previous?.headshotUrl || '', turns: 0, words: 0 });
+    }
+    const speaker = speakers.get(name);
+    speaker.turns++;
+    speaker.words += wordCount(text.slice(label.index + label[0].length, end));
+  });
+
+  return [...speakers.values()];
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate the edits sent by the client: [{ from, name?, role?, headshotUrl? }], where `from`
+// is the label in the transcript and `name` the new one. Returns { edits } or { error }.
+const normalizeSpeakerEdits = (value) => {
+  if (!Array.isArray(value)) return { error: 'speakers must be an array' };
+
+  const edits = [];
+  for (let i = 0; i < value.length; i++) {
+    const entry = value[i];
+    const field = (name) => (entry && typeof entry[name] === 'string' ? entry[name].trim() : '');
+    if (!field('from')) return { error: `speakers[${i}].from is required` };
+
+    const edit = { from: field('from'), name: field('name') || field('from'), role: field('role'), headshotUrl: field('headshotUrl') };
+    if (edit.name.length > MAX_NAME_LENGTH || edit.role.length > MAX_NAME_LENGTH) {
+      return { error: `speakers[${i}] name and role must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    if (/[*:\n]/.test(edit.name)) return { error: `speakers[${i}].name can't contain "*", ":" or line breaks` };
+    if (edit.headshotUrl && !isHttpUrl(edit.headshotUrl)) return { error: `speakers[${i}].headshotUrl must be an http(s) URL` };
+    edits.push(edit);
+  }
+  return { edits };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace whole-word mentions of the old names in one pass, so swapping two names works
+const renamer = (renames) => {
+  const names = Object.keys(renames).sort((a, b) => b.length - a.length);
+  if (names.length === 0) return (text) => text;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+  return (text) => (typeof text === 'string' ? text.replace(pattern, name => renames[name]) : text);
+};
+
+const relabel = (transcript, renames) => String(transcript || '').replace(TURN_LABEL, (label, name) => (
+  renames[name.trim()] ? `**${renames[name.trim()]}:** ` : label
+));
+
+// Apply speaker edits to a results object and return the fields that changed, ready to merge:
+// formattedTranscript, speakers, faqs, schemaMarkup, keyTakeaways, seoTitle, metaDescription,
+// article, segments, grounding, translations (whose labels keep the source names), social and,
+// when a rename made the title or meta description too long, repairs
+const applySpeakerEdits = (results, edits) => {
+  const renames = {};
+  const textRenames = {};
+  edits.forEach(edit => {
+    if (edit.name === edit.from) return;
+    renames[edit.from] = edit.name;
+    if (!isGenericLabel(edit.from)) textRenames[edit.from] = edit.name;
+  });
+  // `renameSpeaker` is for fields that hold a speaker's name, `rename` for free text
+  const renameSpeaker = renamer(renames);
+  const rename = renamer(textRenames);
+
+  // A longer name can push the title or meta description past its limit; those are shortened
+  // at a word boundary like the SEO repair loop does, and listed in `repairs`
+  const repairs = [];
+  const renameWithin = (field, text, max) => {
+    const renamed = rename(text);
+    if (typeof renamed !== 'string' || renamed === text || renamed.length <= max) return renamed;
+    repairs.push({ field, action: 'shortened', detail: `${max} characters max` });
+    return shortenToLimit(renamed, max);
+  };
+
+  const formattedTranscript = relabel(results.formattedTranscript, renames);
+
+  // A merged speaker takes the first role and headshot given for its name
+  const details = {};
+  edits.forEach(edit => {
+    const current = details[edit.name] || { role: '', headshotUrl: '' };
+    details[edit.name] = { role: current.role || edit.role, headshotUrl: current.headshotUrl || edit.headshotUrl };
+  });
+  const speakers = extractSpeakers(formattedTranscript, results.speakers)
+    .map(speaker => (details[speaker.name] ? { ...speaker, ...details[speaker.name] } : speaker));
+
+  const patch = { formattedTranscript, speakers };
+
+  if (Array.isArray(results.faqs)) {
+    patch.faqs = results.faqs.map(faq => ({ ...faq, question: rename(faq.question), answer: rename(faq.answer) }));
+    patch.schemaMarkup = buildFaqSchemaMarkup(patch.faqs, normalizeSchemaFormat(results.schemaFormat), { inLanguage: results.language?.code });
+  }
+  if (Array.isArray(results.keyTakeaways)) patch.keyTakeaways = results.keyTakeaways.map(rename);
+  patch.seoTitle = renameWithin('seoTitle', results.seoTitle, SEO_LIMITS.seoTitle);
+  patch.metaDescription = renameWithin('metaDescription', results.metaDescription, SEO_LIMITS.metaDescription);
+
+  if (results.article && results.article.article) {
+    const draft = results.article.article;
+    const article = normalizeArticle({
+      title: rename(draft.title),
+      intro: rename(draft.intro),
+      sections: (draft.sections || []).map(section => ({
+        heading: rename(section.heading),
+        body: rename(section.body),
+        subsections: (section.subsections || []).map(sub => ({ heading: rename(sub.heading), body: rename(sub.body) }))
+      })),
+      pullQuotes: (draft.pullQuotes || []).map(item => ({ quote: item.quote, speaker: renameSpeaker(item.speaker) })),
+      conclusion: rename(draft.conclusion)
+    }, formattedTranscript);
+    patch.article = { article, markdown: articleToMarkdown(article), html: articleToHtml(article) };
+  }
+
+  if (Array.isArray(results.segments)) {
+    patch.segments = results.segments.map(segment => (segment.speaker ? { ...segment, speaker: renameSpeaker(segment.speaker) } : segment));
+  }
+
+  // Quote positions move with the relabelled turns; the quoted text itself doesn't change
+  if (results.grounding) {
+    const relocate = (item) => item && {
+      ...item,
+      quotes: item.quotes.map(quote => {
+        const start = formattedTranscript.indexOf(quote.text);
+        return { ...quote, speaker: renameSpeaker(quote.speaker), ...(start !== -1 && { start, end: start + quote.text.length }) };
+      })
+    };
+    patch.grounding = {
+      ...results.grounding,
+      ...(Array.isArray(results.grounding.faqs) && { faqs: results.grounding.faqs.map(relocate) }),
+      ...(Array.isArray(results.grounding.keyTakeaways) && { keyTakeaways: results.grounding.keyTakeaways.map(relocate) })
+    };
+  }
+
+  if (results.translations) {
+    patch.translations = Object.fromEntries(Object.entries(results.translations).map(([code, translation]) => {
+      const faqs = translation.faqs.map(faq => ({ ...faq, question: rename(faq.question), answer: rename(faq.answer) }));
+      return [code, {
+        ...translation,
+        formattedTranscript: relabel(translation.formattedTranscript, renames),
+        seoTitle: renameWithin(`translations.${code}.seoTitle`, translation.seoTitle, SEO_LIMITS.seoTitle),
+        metaDescription: renameWithin(`translations.${code}.metaDescription`, translation.metaDescription, SEO_LIMITS.metaDescription),
+        faqs,
+        keyTakeaways: translation.keyTakeaways.map(rename),
+        schemaMarkup: buildFaqSchemaMarkup(faqs, normalizeSchemaFormat(results.schemaFormat), { inLanguage: code })
+      }];
+    }));
+  }
+
+  // Social copy has the attributed quotes written into it; it is assembled again so a longer
+  // name can't push a post past its platform's limit
+  if (results.social) {
+    patch.social = renameSocialPack(results.social, formattedTranscript, { rename, renameSpeaker, chapters: normalizeChapters(results.chapters) });
+  }
+
+  if (repairs.length > 0) patch.repairs = (results.repairs || []).concat(repairs);
+
+  return patch;
+};
+
+module.exports = { extractSpeakers, normalizeSpeakerEdits, applySpeakerEdits };
@@ -0,0 +1,187 @@
+// Static-site generator export: a Markdown post for Hugo, Jekyll or Astro with the front matter
+// each one expects, a video embed in the framework's own syntax and the cleaned transcript
+// as the body. As a ZIP, files are laid out like the project's content directory, with the
+// embed helper (Jekyll include, Astro component) and the thumbnail next to the post.
+// YouTube videos use each framework's YouTube embed; Vimeo and Loom get a plain iframe.
+
+const JSZip = require('jszip');
+const { transcriptParts, yamlString, faqYaml, speakerYaml } = require('./exports');
+const { imageExtension } = require('./videoMetadata');
+const { escapeHtml } = require('./html');
+const { slugify } = require('./slug');
+const { parseVideoUrl, videoFromResults, embedUrl } = require('../src/shared/videoUrl');
+
+const EMBED_ALLOW = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+
+const JEKYLL_YOUTUBE_INCLUDE = `<div class="video-embed">
+  <iframe src="https://www.youtube-nocookie.com/embed/{{ include.id }}" title="{{ include.title | default: 'YouTube video' | escape }}" frameborder="0" allow="${EMBED_ALLOW}" allowfullscreen loading="lazy"></iframe>
+</div>
+`;
+
+const ASTRO_YOUTUBE_COMPONENT = `---
+const { id, title = 'YouTube video' } = Astro.props;
+---
+<div class="video-embed">
+  <iframe src={\`https://www.youtube-nocookie.com/embed/\${id}\`} title={title} frameborder="0" allow="${EMBED_ALLOW}" allowfullscreen loading="lazy"></iframe>
+</div>
+`;
+
+// Jekyll renders post bodies through Liquid, so transcript text containing {{ or {% is kept raw.
+// A literal {% endraw %} in the text would end the raw block early, so it is closed, printed
+// as a Liquid string and reopened.
+const liquidSafe = (text) => (/\{[{%]/.test(text)
+  ? `{% raw %}\n${text.replace(/\{%-?\s*endraw\s*-?%\}/g, tag => `{% endraw %}{{ "${tag}" }}{% raw %}`)}\n{% endraw %}`
+  : text);
+
+// Hugo runs {{< >}} and {{% %}} shortcodes in post bodies; writing the braces as entities keeps
+// transcript text that happens to contain them from breaking the build or calling a shortcode
+const shortcodeSafe = (text) => text.replace(/\{\{(?=\s*[<%])/g, '&#123;&#123;');
+
+// MDX reads < and { as JSX; escape them so transcript text stays text
+const mdxSafe = (text) => text.replace(/</g, '&lt;').replace(/\{/g, '&#123;').replace(/\}/g, '&#125;');
+
+const iframeEmbed = (video, title) => (
+  `<iframe src="${escapeHtml(embedUrl(video))}" title="${escapeHtml(title || 'Video')}" frameborder="0" allow="${EMBED_ALLOW}" allowfullscreen loading="lazy"></iframe>`
+);
+
+// Per framework: where the post lives, its front matter fields and the YouTube embed syntax
+// (with the files it needs).
+// `image` is the thumbnail URL, or its path when the ZIP bundles it.
+const SSG_TARGETS = {
+  hugo: {
+    label: 'Hugo',
+    extension: 'md',
+    // Page bundle, so the thumbnail sits next to index.md as a page resource
+    postPath: ({ slug }) => `content/posts/${slug}/index.md`,
+    imagePath: ({ slug }, extension) => ({ file: `content/posts/${slug}/featured.${extension}`, ref: `featured.${extension}` }),
+    frontMatter: ({ date, image }) => [
+      `date: ${date.toISOString()}`,
+      'draft: false',
+      ...(image ? [`images: [${yamlString(image)}]`] : [])
+    ],
+    embed: (videoId) => `{{< youtube ${videoId} >}}`,
+    body: shortcodeSafe,
+    extraFiles: {}
+  },
+  jekyll: {
+    label: 'Jekyll',
+    extension: 'md',
+    postPath: ({ slug, date }) => `_posts/${date.toISOString().slice(0, 10)}-${slug}.md`,
+    imagePath: ({ slug }, extension) => ({ file: `assets/images/${slug}.${extension}`, ref: `/assets/images/${slug}.${extension}` }),
+    frontMatter: ({ date, image }) => [
+      'layout: post',
+      `date: ${date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' +0000')}`,
+      ...(image ? [`image: ${yamlString(image)}`] : [])
+    ],
+    embed: () => '{% include youtube.html id=page.youtube_id title=page.title %}',
+    body: liquidSafe,
+    extraFiles: { '_includes/youtube.html': JEKYLL_YOUTUBE_INCLUDE }
+  },
+  astro: {
+    label: 'Astro',
+    // MDX, so the post can use the YouTube component
+    extension: 'mdx',
+    postPath: ({ slug }) => `src/content/blog/${slug}.mdx`,
+    imagePath: ({ slug }, extension) => ({ file: `src/assets/${slug}.${extension}`, ref: `../../assets/${slug}.${extension}` }),
+    frontMatter: ({ date, image }) => [
+      `pubDate: ${date.toISOString()}`,
+      ...(image ? [`heroImage: ${yamlString(image)}`] : [])
+    ],
+    embed: (videoId, { title }) => [
+      "import YouTube from '../../components/YouTube.astro';",
+      '',
+      `<YouTube id={${JSON.stringify(videoId)}} title={${JSON.stringify(title)}} />`
+    ].join('\n'),
+    body: mdxSafe,
+    extraFiles: { 'src/components/YouTube.astro': ASTRO_YOUTUBE_COMPONENT }
+  }
+};
+
+const postSlug = (results) => slugify(results.seoTitle, results.videoId || 'post');
+
+// The video a post embeds: the URL sent with the export, or the one the results were made from
+const postVideo = (results, url) => {
+  const parsed = parseVideoUrl(url);
+  return parsed && parsed.kind === 'video' ? parsed : videoFromResults(results);
+};
+
+// Build the post for `target`. `image` overrides the thumbnail URL in the front matter.
+const buildSsgPost = (target, results, { url, tags = [], date = new Date(), image } = {}) => {
+  const config = SSG_TARGETS[target];
+  const video = postVideo(results, url);
+  const slug = postSlug(results);
+
+  const frontMatter = [
+    '---',
+    `title: ${yamlString(results.seoTitle)}`,
+    `description: ${yamlString(results.metaDescription)}`,
+    ...config.frontMatter({ date, image: image === undefined ? results.thumbnailUrl : image }),
+    `slug: ${yamlString(slug)}`,
+    `tags: ${JSON.stringify(tags)}`,
+    ...(video?.provider === 'youtube' || !video
+      ? [`youtube_id: ${yamlString(video ? video.id : '')}`]
+      : [`video_provider: ${yamlString(video.provider)}`, `video_id: ${yamlString(video.id)}`]),
+    ...speakerYaml(results),
+    ...faqYaml(results.faqs),
+    '---'
+  ].join('\n');
+
+  // Section headers become headings; "**Speaker:** text" paragraphs are kept as they are
+  const transcript = transcriptParts(results.formattedTranscript)
+    .map(part => (part.heading ? `## ${part.heading}` : part.text))
+    .join('\n\n');
+
+  const parts = [frontMatter];
+  if (video) {
+    parts.push(video.provider === 'youtube' ? config.embed(video.id, { title: results.seoTitle }) : iframeEmbed(video, results.seoTitle));
+  }
+  if (transcript) parts.push(config.body(transcript));
+
+  return {
+    slug,
+    video,
+    path: config.postPath({ slug, date }),
+    content: `${parts.join('\n\n')}\n`
+  };
+};
+
+// Resolves { body, filename, contentType }: the post alone, or a ZIP shaped like the project.
+// `getThumbnail()` resolves the video's thumbnail ({ data, contentType }) for the ZIP, or null.
+const buildSsgExport = async (target, results, { url, tags, date, output = 'file', getThumbnail = async () => null } = {}) => {
+  const config = SSG_TARGETS[target];
+
+  if (output !== 'zip') {
+    const post = buildSsgPost(target, results, { url, tags, date });
+    // A Hugo bundle's index.md is named after the post when downloaded on its own
+    const name = post.path.split('/').pop();
+    return {
+      body: post.content,
+      filename: name.startsWith('index.') ? `${post.slug}.${config.extension}` : name,
+      contentType: 'text/markdown; charset=utf-8'
+    };
+  }
+
+  const zip = new JSZip();
+  const slug = postSlug(results);
+  const thumbnail = await getThumbnail();
+  let image;
+  if (thumbnail) {
+    const { file, ref } = config.imagePath({ slug }, imageExtension(thumbnail.contentType));
+    zip.file(file, thumbnail.data);
+    image = ref;
+  }
+
+  const post = buildSsgPost(target, results, { url, tags, date, image });
+  zip.file(post.path, post.content);
+  if (post.video?.provider === 'youtube') {
+    Object.entries(config.extraFiles).forEach(([path, content]) => zip.file(path, content));
+  }
+
+  return {
+    body: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }),
+    filename: `${post.slug}-${target}.zip`,
+    contentType: 'application/zip'
+  };
+};
+
+module.exports = { SSG_TARGETS, postVideo, buildSsgPost, buildSsgExport };
@@ -0,0 +1,96 @@
+// Custom prompt templates and voice profiles, kept in one JSON file (TEMPLATES_FILE, default
+// data/templates.json). The built-in templates from promptTemplates.js are listed first and
+// are read-only; copy one to change it.
+
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+const { PROMPT_KINDS, DEFAULT_TEMPLATES, DEFAULT_PROMPTS, normalizeTemplate } = require('./promptTemplates');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'templates.json');
+
+class TemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+  }
+}
+
+const builtIn = (id) => DEFAULT_TEMPLATES.find(template => template.id === id);
+
+const createTemplateStore = (filePath = process.env.TEMPLATES_FILE || DEFAULT_FILE) => {
+  const file = createJsonFile(filePath, () => []);
+
+  const find = async (id) => builtIn(id) || (await file.read()).find(template => template.id === id) || null;
+
+  // Built-in records aren't in the file, so they can't be edited or removed
+  const readOnly = () => new TemplateError('Built-in templates can\'t be changed; create a copy instead', 403);
+
+  return {
+    filePath,
+
+    // Built-in templates first, then custom ones oldest first; `kind` narrows the list
+    async list(kind) {
+      const templates = [...DEFAULT_TEMPLATES, ...await file.read()];
+      return kind ? templates.filter(template => template.kind === kind) : templates;
+    },
+
+    get: find,
+
+    // Rejects with TemplateError (400) when the fields aren't a valid template or voice profile
+    async create(fields) {
+      const { template, error } = normalizeTemplate(fields);
+      if (error) throw new TemplateError(error);
+
+      const now = new Date().toISOString();
+      const record = { id: crypto.randomUUID(), ...template, builtIn: false, createdAt: now, updatedAt: now };
+      return file.mutate(templates => ({ value: [...templates, record], result: record }));
+    },
+
+    // Resolves the updated record, or null when it doesn't exist
+    update(id, fields) {
+      if (builtIn(id)) return Promise.reject(readOnly());
+      return file.mutate(templates => {
+        const existing = templates.find(template => template.id === id);
+        if (!existing) return { result: null };
+
+        const { template, error } = normalizeTemplate(fields, existing);
+        if (error) throw new TemplateError(error);
+
+        const updated = { ...existing, ...template, updatedAt: new Date().toISOString() };
+        return { value: templates.map(item => (item.id === id ? updated : item)), result: updated };
+      });
+    },
+
+    // Resolves true when a template was removed
+    remove(id) {
+      if (builtIn(id)) return Promise.reject(readOnly());
+      return file.mutate(templates => {
+        const remaining = templates.filter(template => template.id !== id);
+        if (remaining.length === templates.length) return { result: false };
+        return { value: remaining, result: true };
+      });
+    },
+
+    // The prompts for a conversion from { cleaning?, seo?, article?, voice? } template IDs;
+    // missing entries fall back to the built-ins (and no voice). Rejects with TemplateError
+    // when an ID doesn't exist or belongs to another kind.
+    async resolve(selection) {
+      const prompts = { ...DEFAULT_PROMPTS };
+      const ids = selection && typeof selection === 'object' ? selection : {};
+
+      for (const kind of [...PROMPT_KINDS, 'voice']) {
+        if (!ids[kind]) continue;
+        const template = await find(ids[kind]);
+        if (!template || template.kind !== kind) {
+          throw new TemplateError(kind === 'voice' ? `Unknown voice profile "${ids[kind]}"` : `Unknown ${kind} template "${ids[kind]}"`);
+        }
+        prompts[kind] = template;
+      }
+      return prompts;
+    }
+  };
+};
+
+module.exports = { createTemplateStore, TemplateError };
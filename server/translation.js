@@ -0,0 +1,80 @@
+// Translation prompts and checks for a finished conversion. The cleaned transcript is
+// translated chunk by chunk like cleaning; the SEO package (title, meta description, FAQs and
+// takeaways) in one JSON request. Speaker labels, section headers and glossary terms keep
+// their form, so speakers.js and the exports read a translation the same way as the source.
+
+const { SEO_LIMITS, validateSeoContent, shortenToLimit } = require('./seoSchema');
+
+// Messages for translating one chunk of the cleaned transcript
+const buildTranscriptTranslationMessages = (chunk, totalChunks, { source, target, glossary = [] }) => {
+  const lines = [
+    `Translate this cleaned video transcript from ${source} into ${target}.`,
+    ''
+  ];
+  if (totalChunks > 1) {
+    lines.push(`This is part ${chunk.index + 1} of ${totalChunks}. Translate ONLY this part.`, '');
+  }
+  lines.push(
+    'RULES:',
+    '- Keep every "**Speaker Name:**" label exactly as written - do not translate names',
+    '- Translate section headers (**Section Title**) but keep them bold on a line of their own',
+    '- Keep paragraph breaks where they are',
+    '- Translate faithfully: do not summarise, add or leave out anything',
+    '- Keep company names, product names, people and numbers as they are'
+  );
+  if (glossary.length > 0) {
+    lines.push(`- Never translate these terms: ${glossary.join(', ')}`);
+  }
+  lines.push('', 'Transcript:', chunk.text, '', `Return ONLY the ${target} transcript.`);
+  return [{ role: 'user', content: lines.join('\n') }];
+};
+
+const buildSeoTranslationPrompt = (content, { source, target, glossary = [], limits = SEO_LIMITS }) => `Translate this SEO content for a blog post from ${source} into ${target}.
+
+RULES:
+- Keep the same number of FAQs and key takeaways, in the same order
+- seoTitle: ${limits.seoTitle} characters max; metaDescription: ${limits.metaDescription} characters max - shorten the wording if the translation runs long
+- Translate naturally for a ${target} reader, but keep every fact, number and name
+${glossary.length > 0 ? `- Never translate these terms: ${glossary.join(', ')}\n` : ''}- Plain text only in every field - no HTML or markdown
+
+Content:
+${JSON.stringify(content, null, 2)}
+
+Return ONLY a valid JSON object with the same structure: { "seoTitle", "metaDescription", "faqs": [{ "question", "answer" }], "keyTakeaways": [] }`;
+
+// The source fields a translation covers
+const seoFields = (results) => ({
+  seoTitle: results.seoTitle,
+  metaDescription: results.metaDescription,
+  faqs: (results.faqs || []).map(faq => ({ question: faq.question, answer: faq.answer })),
+  keyTakeaways: results.keyTakeaways || []
+});
+
+// Limits for translating `content`: the lengths stay, the counts are whatever the source has
+const translationLimits = (content) => ({
+  ...SEO_LIMITS,
+  faqCount: content.faqs.length,
+  takeawayCount: content.keyTakeaways.length
+});
+
+// Returns { content, errors } for the model's translation of `original`. Titles and
+// descriptions that came out too long are shortened; anything else wrong (a missing FAQ,
+// a different count) is an error, since a translation can't be patched from the transcript.
+const normalizeSeoTranslation = (raw, original) => {
+  const limits = translationLimits(original);
+  const content = {
+    seoTitle: typeof raw?.seoTitle === 'string' ? shortenToLimit(raw.seoTitle.trim(), limits.seoTitle) : raw?.seoTitle,
+    metaDescription: typeof raw?.metaDescription === 'string' ? shortenToLimit(raw.metaDescription.trim(), limits.metaDescription) : raw?.metaDescription,
+    faqs: raw?.faqs,
+    keyTakeaways: raw?.keyTakeaways
+  };
+  return { content, errors: validateSeoContent(content, limits) };
+};
+
+module.exports = {
+  buildTranscriptTranslationMessages,
+  buildSeoTranslationPrompt,
+  seoFields,
+  translationLimits,
+  normalizeSeoTranslation
+};
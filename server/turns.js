@@ -0,0 +1,17 @@
+// Speaker turns of a cleaned transcript. Cleaning labels every turn "**Name:**"; the speaker
+// list (speakers.js) and quote attribution (social.js) both read those labels.
+
+// "**Host:** text" (the format the cleaning prompt asks for) or "**Host**: text"
+const TURN_LABEL = /^\*\*([^*\n:]{1,80}?)(?::\*\*|\*\*:)[ \t]*/gm;
+
+// Name of the speaker whose turn contains position `index` of the transcript, or ''
+const speakerAt = (transcript, index) => {
+  let name = '';
+  for (const label of String(transcript || '').matchAll(TURN_LABEL)) {
+    if (label.index > index) break;
+    name = label[1].trim();
+  }
+  return name;
+};
+
+module.exports = { TURN_LABEL, speakerAt };
@@ -0,0 +1,224 @@
+// Video details for a conversion. YouTube: title and channel from the oEmbed endpoint, publish
+// date and duration from the watch page's metadata, and the best thumbnail that exists
+// (maxres -> sd -> hq; maxresdefault.jpg is missing for many videos). Vimeo and Loom: their
+// oEmbed endpoints, which also name the thumbnail. Lookups are cached in memory together with
+// the thumbnail bytes, so the browser gets the image through
+// /api/videos/:provider/:videoId/thumbnail and the provider is only asked once per video.
+// YOUTUBE_BASE_URL, YOUTUBE_IMAGE_BASE_URL, VIMEO_BASE_URL and LOOM_BASE_URL point the
+// lookups elsewhere (tests, a proxy).
+
+const { decodeHtml } = require('./html');
+
+const THUMBNAIL_SIZES = ['maxresdefault', 'sddefault', 'hqdefault'];
+// hqdefault exists for every video, so it is the fallback when nothing could be checked
+const FALLBACK_THUMBNAIL_SIZE = 'hqdefault';
+const METADATA_TTL_MS = 6 * 60 * 60 * 1000;
+const CACHE_LIMIT = 100;
+const FETCH_TIMEOUT_MS = 8000;
+
+const baseUrl = (name, fallback) => (process.env[name] || fallback).replace(/\/+$/, '');
+const youtubeBaseUrl = () => baseUrl('YOUTUBE_BASE_URL', 'https://www.youtube.com');
+const imageBaseUrl = () => baseUrl('YOUTUBE_IMAGE_BASE_URL', 'https://img.youtube.com');
+const vimeoBaseUrl = () => baseUrl('VIMEO_BASE_URL', 'https://vimeo.com');
+const loomBaseUrl = () => baseUrl('LOOM_BASE_URL', 'https://www.loom.com');
+
+const thumbnailUrl = (videoId, size = FALLBACK_THUMBNAIL_SIZE) => `${imageBaseUrl()}/vi/${videoId}/${size}.jpg`;
+
+// File extension for a downloaded image's content type
+const imageExtension = (contentType) => (contentType.includes('png') ? 'png' : contentType.includes('webp') ? 'webp' : 'jpg');
+
+const fetchWithTimeout = (url) => fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+// "PT1H2M3S" -> 3723
+const parseIsoDuration = (value) => {
+  const match = String(value || '').match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (!match || !match.slice(1).some(Boolean)) return null;
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+// <meta> tags keyed by their itemprop, property or name, in either attribute order
+const metaTags = (html) => {
+  const tags = {};
+  (html.match(/<meta\s[^>]*>/gi) || []).forEach(tag => {
+    const attribute = (name) => tag.match(new RegExp(`\\s${name}="([^"]*)"`, 'i'))?.[1];
+    const key = attribute('itemprop') || attribute('property') || attribute('name');
+    const content = attribute('content');
+    if (key && content !== undefined && !(key in tags)) tags[key] = decodeHtml(content);
+  });
+  return tags;
+};
+
+// Publish date and duration from the watch page: schema.org microdata first, then the
+// player response embedded in the page's script
+const parseWatchPage = (html) => {
+  const tags = metaTags(html);
+  const jsonField = (name) => html.match(new RegExp(`"${name}":"([^"]+)"`))?.[1];
+  const lengthSeconds = jsonField('lengthSeconds');
+
+  return {
+    title: tags['og:title'] || tags.title || null,
+    publishedAt: tags.datePublished || tags.uploadDate || jsonField('publishDate') || jsonField('uploadDate') || null,
+    duration: parseIsoDuration(tags.duration) ?? (lengthSeconds ? Number(lengthSeconds) : null),
+    channel: jsonField('ownerChannelName') || null
+  };
+};
+
+const fetchOEmbed = async (endpoint) => {
+  const response = await fetchWithTimeout(endpoint);
+  if (!response.ok) throw new Error(`oEmbed returned ${response.status}`);
+  return response.json();
+};
+
+const fetchWatchPage = async (videoId) => {
+  const response = await fetchWithTimeout(`${youtubeBaseUrl()}/watch?v=${videoId}`);
+  if (!response.ok) throw new Error(`watch page returned ${response.status}`);
+  return parseWatchPage(await response.text());
+};
+
+// Image bytes for the cache, or null when the image doesn't exist
+const downloadImage = async (url) => {
+  try {
+    const response = await fetchWithTimeout(url);
+    if (!response.ok) return null;
+    return {
+      url,
+      contentType: response.headers.get('content-type') || 'image/jpeg',
+      data: Buffer.from(await response.arrayBuffer())
+    };
+  } catch (error) {
+    console.warn(`Could not fetch thumbnail ${url}:`, error.message);
+    return null;
+  }
+};
+
+// First thumbnail size YouTube actually has
+const fetchBestThumbnail = async (videoId) => {
+  for (const size of THUMBNAIL_SIZES) {
+    const image = await downloadImage(thumbnailUrl(videoId, size));
+    if (image) return { ...image, size };
+  }
+  return null;
+};
+
+// A source that fails only leaves its fields empty
+const settle = (promise, label) => promise.catch(error => {
+  console.warn(`${label} failed:`, error.message);
+  return {};
+});
+
+// Per provider: { title, channel, channelUrl, publishedAt, duration, thumbnail } for a parsed video
+const LOOKUPS = {
+  youtube: async (video) => {
+    const [oembed, page, thumbnail] = await Promise.all([
+      settle(fetchOEmbed(`${youtubeBaseUrl()}/oembed?url=${encodeURIComponent(video.url)}&format=json`), `oEmbed lookup for ${video.id}`),
+      settle(fetchWatchPage(video.id), `Watch page lookup for ${video.id}`),
+      fetchBestThumbnail(video.id)
+    ]);
+    return {
+      title: oembed.title || page.title,
+      channel: oembed.author_name || page.channel,
+      channelUrl: oembed.author_url,
+      publishedAt: page.publishedAt,
+      duration: page.duration,
+      thumbnail
+    };
+  },
+
+  // Vimeo sizes the thumbnail to the requested width
+  vimeo: async (video) => {
+    const oembed = await settle(fetchOEmbed(`${vimeoBaseUrl()}/api/oembed.json?url=${encodeURIComponent(video.url)}&width=1280`), `Vimeo oEmbed lookup for ${video.id}`);
+    return {
+      title: oembed.title,
+      channel: oembed.author_name,
+      channelUrl: oembed.author_url,
+      publishedAt: oembed.upload_date,
+      duration: oembed.duration,
+      thumbnail: oembed.thumbnail_url ? await downloadImage(oembed.thumbnail_url) : null
+    };
+  },
+
+  loom: async (video) => {
+    const oembed = await settle(fetchOEmbed(`${loomBaseUrl()}/v1/oembed?url=${encodeURIComponent(video.url)}`), `Loom oEmbed lookup for ${video.id}`);
+    return {
+      title: oembed.title,
+      channel: oembed.author_name,
+      channelUrl: oembed.author_url,
+      publishedAt: null,
+      duration: oembed.duration,
+      thumbnail: oembed.thumbnail_url ? await downloadImage(oembed.thumbnail_url) : null
+    };
+  }
+};
+
+const resolveVideo = async (video) => {
+  const found = await LOOKUPS[video.provider](video);
+  const { thumbnail } = found;
+
+  return {
+    metadata: {
+      provider: video.provider,
+      videoId: video.id,
+      url: video.url,
+      title: found.title || null,
+      channel: found.channel || null,
+      channelUrl: found.channelUrl || null,
+      publishedAt: found.publishedAt || null,
+      duration: Number.isFinite(found.duration) ? Math.round(found.duration) : null,
+      // Vimeo and Loom only name their thumbnail through oEmbed
+      thumbnailUrl: thumbnail ? thumbnail.url : (video.provider === 'youtube' ? thumbnailUrl(video.id) : null),
+      thumbnailSize: thumbnail ? thumbnail.size || null : null
+    },
+    thumbnail
+  };
+};
+
+// `resolve(video)` does the actual lookup (tests swap it out)
+const createVideoMetadataService = ({ ttlMs = METADATA_TTL_MS, limit = CACHE_LIMIT, resolve = resolveVideo } = {}) => {
+  // "provider:id" -> { expiresAt, promise }; concurrent lookups for one video share the promise
+  const cache = new Map();
+
+  const lookup = (video) => {
+    const key = `${video.provider}:${video.id}`;
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = resolve(video);
+    cache.set(key, { expiresAt: Date.now() + ttlMs, promise });
+    if (cache.size > limit) cache.delete(cache.keys().next().value);
+
+    // Nothing found at all (provider unreachable) or the lookup failed: don't keep it, so the
+    // next lookup retries. The caller gets the rejection through the returned promise.
+    const forget = () => {
+      if (cache.get(key)?.promise === promise) cache.delete(key);
+    };
+    promise
+      .then(({ metadata, thumbnail }) => {
+        if (!metadata.title && !thumbnail) forget();
+      })
+      .catch(forget);
+    return promise;
+  };
+
+  // `video` is a parsed video (see src/shared/videoUrl.js); Vimeo needs its hash for unlisted videos
+  return {
+    // { provider, videoId, url, title, channel, channelUrl, publishedAt, duration (seconds), thumbnailUrl, thumbnailSize }
+    async metadata(video) {
+      return (await lookup(video)).metadata;
+    },
+
+    // { data, contentType, url, size? } for the best thumbnail, or null when none could be fetched
+    async thumbnail(video) {
+      return (await lookup(video)).thumbnail;
+    }
+  };
+};
+
+module.exports = {
+  THUMBNAIL_SIZES,
+  createVideoMetadataService,
+  thumbnailUrl,
+  imageExtension,
+  parseIsoDuration,
+  parseWatchPage
+};
@@ -0,0 +1,150 @@
+// WordPress publishing through the REST API, authenticated with an application password
+// (Users → Profile → Application Passwords). Posts are always created as drafts.
+//   WORDPRESS_URL           site root, e.g. https://blog.example.com
+//   WORDPRESS_USERNAME      user the application password belongs to
+//   WORDPRESS_APP_PASSWORD  the application password ("xxxx xxxx xxxx ...")
+//   WORDPRESS_SEO_PLUGIN    yoast | rankmath | both (default) - which SEO meta fields to fill
+
+const { buildPostContent } = require('./gutenberg');
+const { imageExtension } = require('./videoMetadata');
+
+const SEO_PLUGINS = ['yoast', 'rankmath', 'both'];
+
+// Thrown for any non-2xx WordPress response; carries the upstream status and error body
+class WordPressError extends Error {
+  constructor(message, status, errorData = {}) {
+    super(message);
+    this.name = 'WordPressError';
+    this.status = status;
+    this.errorData = errorData;
+  }
+}
+
+const getWordPressConfig = (env = process.env) => {
+  const seoPlugin = (env.WORDPRESS_SEO_PLUGIN || 'both').toLowerCase();
+  return {
+    siteUrl: (env.WORDPRESS_URL || '').replace(/\/+$/, ''),
+    username: env.WORDPRESS_USERNAME || '',
+    appPassword: env.WORDPRESS_APP_PASSWORD || '',
+    seoPlugin: SEO_PLUGINS.includes(seoPlugin) ? seoPlugin : 'both'
+  };
+};
+
+// Human-readable reason the configuration can't be used, or null when it's fine
+const wordPressConfigurationError = (config = getWordPressConfig()) => {
+  const missing = [
+    ['WORDPRESS_URL', config.siteUrl],
+    ['WORDPRESS_USERNAME', config.username],
+    ['WORDPRESS_APP_PASSWORD', config.appPassword]
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  if (missing.length > 0) {
+    return `WordPress publishing is not configured. Set ${missing.join(', ')} in your .env file`;
+  }
+  if (!/^https?:\/\//.test(config.siteUrl)) {
+    return 'WORDPRESS_URL must start with http:// or https://';
+  }
+  return null;
+};
+
+// Yoast and Rank Math read these post meta keys; each needs to be exposed to the REST API
+// (register_post_meta with show_in_rest) for WordPress to accept it
+const seoMeta = (seoPlugin, seoTitle, metaDescription) => {
+  const meta = {};
+  if (seoPlugin === 'yoast' || seoPlugin === 'both') {
+    meta._yoast_wpseo_title = seoTitle;
+    meta._yoast_wpseo_metadesc = metaDescription;
+  }
+  if (seoPlugin === 'rankmath' || seoPlugin === 'both') {
+    meta.rank_math_title = seoTitle;
+    meta.rank_math_description = metaDescription;
+  }
+  return meta;
+};
+
+const request = async (config, route, options = {}) => {
+  const auth = Buffer.from(`${config.username}:${config.appPassword}`).toString('base64');
+  const response = await fetch(`${config.siteUrl}/wp-json/wp/v2${route}`, {
+    ...options,
+    headers: { 'Authorization': `Basic ${auth}`, ...options.headers }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new WordPressError(errorData.message || `WordPress request failed with status ${response.status}`, response.status, errorData);
+  }
+  return response.json();
+};
+
+// Add the thumbnail ({ data, contentType }) to the media library; returns the attachment
+const uploadFeaturedImage = async (config, thumbnail, slug, altText) => {
+  const { contentType } = thumbnail;
+
+  const media = await request(config, '/media', {
+    method: 'POST',
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${slug || 'thumbnail'}.${imageExtension(contentType)}"`
+    },
+    body: thumbnail.data
+  });
+
+  if (altText) {
+    // Alt text can't be sent with the binary upload, so set it afterwards (best effort)
+    await request(config, `/media/${media.id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ alt_text: altText })
+    }).catch(error => console.warn('Could not set thumbnail alt text:', error.message));
+  }
+  return media;
+};
+
+// Create a draft post from a conversion result. `thumbnail` is the video's thumbnail as looked
+// up by the server ({ data, contentType }, see videoMetadata.js). A failed thumbnail upload
+// doesn't stop the post; it is reported in `warnings` instead.
+// Returns { id, link, editLink, featuredMediaId, warnings }
+const publishDraft = async (config, { seoTitle, metaDescription, formattedTranscript, keyTakeaways, faqSchemaMarkup, thumbnail, slug }) => {
+  const warnings = [];
+  let featuredMediaId = null;
+
+  if (thumbnail) {
+    try {
+      const media = await uploadFeaturedImage(config, thumbnail, slug, seoTitle);
+      featuredMediaId = media.id;
+    } catch (error) {
+      console.error('Featured image upload failed:', error.message);
+      warnings.push(`Featured image was not uploaded: ${error.message}`);
+    }
+  }
+
+  const post = await request(config, '/posts', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      title: seoTitle,
+      content: buildPostContent({ formattedTranscript, keyTakeaways, faqSchemaMarkup }),
+      excerpt: metaDescription,
+      status: 'draft',
+      ...(slug ? { slug } : {}),
+      ...(featuredMediaId ? { featured_media: featuredMediaId } : {}),
+      meta: seoMeta(config.seoPlugin, seoTitle, metaDescription)
+    })
+  });
+
+  return {
+    id: post.id,
+    link: post.link,
+    editLink: `${config.siteUrl}/wp-admin/post.php?post=${post.id}&action=edit`,
+    featuredMediaId,
+    warnings
+  };
+};
+
+module.exports = {
+  SEO_PLUGINS,
+  WordPressError,
+  getWordPressConfig,
+  wordPressConfigurationError,
+  publishDraft
+};
@@ -0,0 +1,322 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Plus, Trash2, Upload, Download, FolderOpen, Loader2, CheckCircle, XCircle, Clock, Layers, ListVideo } from 'lucide-react';
+import { parseTranscript } from '../utils/transcriptParser';
+import { readBatchFile } from '../utils/batchFile';
+import { parseVideoUrl } from '../shared/videoUrl';
+
+const emptyRow = () => ({ url: '', transcript: '', transcriptFile: null });
+
+const STEP_LABELS = {
+  extract: 'Looking up video',
+  clean: 'Cleaning transcript',
+  generate: 'Generating SEO content',
+  article: 'Drafting article',
+  translate: 'Translating'
+};
+
+// Status cell for one video in the batch table
+const ItemStatus = ({ item }) => {
+  if (item.status === 'completed') {
+    return <span className="flex items-center gap-1 text-green-400"><CheckCircle className="h-4 w-4" />Done</span>;
+  }
+  if (item.status === 'failed') {
+    return <span className="flex items-center gap-1 text-red-400" title={item.error}><XCircle className="h-4 w-4" />{item.error}</span>;
+  }
+  if (item.status === 'retrying') {
+    return (
+      <span className="flex items-center gap-1 text-yellow-400" title={item.error}>
+        <Clock className="h-4 w-4" />
+        Rate limited, retrying at {new Date(item.retryAt).toLocaleTimeString()}
+      </span>
+    );
+  }
+  if (item.status === 'running') {
+    return (
+      <span className="flex items-center gap-1 text-cyan-300">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        {STEP_LABELS[item.step] || 'Starting'}
+        {item.progress && ` (${item.progress.current}/${item.progress.total})`}
+        {item.attempts > 1 && ` - attempt ${item.attempts}`}
+      </span>
+    );
+  }
+  return <span className="flex items-center gap-1 text-gray-400"><Clock className="h-4 w-4" />Queued</span>;
+};
+
+// Batch mode: several URL + transcript rows (typed in or uploaded as CSV/ZIP) converted by the
+// server-side queue, with a status table that polls until every video is done.
+const BatchPanel = ({ outputMode, schemaFormat, templates, glossary, judge, language, languages, onOpen, onFinished }) => {
+  const [rows, setRows] = useState([emptyRow(), emptyRow()]);
+  const [uploadErrors, setUploadErrors] = useState([]);
+  const [batch, setBatch] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [expanding, setExpanding] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const batchId = batch?.id;
+  const finished = batch?.finished;
+
+  useEffect(() => {
+    if (!batchId || finished) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await fetch(`/api/batches/${batchId}`);
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || 'Failed to load batch status');
+        }
+        setBatch(await response.json());
+      } catch (error) {
+        console.error('Error polling batch:', error);
+      }
+    }, 2000);
+
+    return () => clearInterval(timer);
+  }, [batchId, finished]);
+
+  useEffect(() => {
+    if (finished && onFinished) onFinished();
+  }, [finished, onFinished]);
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { rows: uploaded, errors } = await readBatchFile(file);
+      setUploadErrors(errors);
+      if (uploaded.length > 0) {
+        // Replace the untouched starter rows, keep anything already typed in
+        setRows(prev => [...prev.filter(row => row.url || row.transcript), ...uploaded]);
+      }
+    } catch (error) {
+      console.error('Error reading batch file:', error);
+      setUploadErrors([`Could not read ${file.name}: ${error.message}`]);
+    }
+  };
+
+  // Replace a playlist row with one row per video; their transcripts still have to be added
+  const expandPlaylist = async (index, playlistId) => {
+    setExpanding(index);
+    try {
+      const response = await fetch(`/api/playlists/${playlistId}`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to expand playlist');
+      }
+      const playlist = await response.json();
+      const videoRows = playlist.entries.map(entry => ({ ...emptyRow(), url: entry.url }));
+      setRows(prev => [...prev.slice(0, index), ...videoRows, ...prev.slice(index + 1)]);
+    } catch (error) {
+      console.error('Error expanding playlist:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setExpanding(null);
+    }
+  };
+
+  const startBatch = async () => {
+    const filled = rows.filter(row => row.url.trim() || row.transcript.trim());
+    if (filled.length === 0) {
+      alert('Add at least one URL and transcript');
+      return;
+    }
+
+    setStarting(true);
+    try {
+      const items = filled.map(row => {
+        const parsed = parseTranscript(row.transcript);
+        return { url: row.url.trim(), transcript: parsed.text, rawTranscript: row.transcript, segments: parsed.segments, transcriptFormat: parsed.format };
+      });
+
+      const response = await fetch('/api/batches', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ items, outputMode, schemaFormat, templates, glossary, judge, language: language || undefined, languages })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to start batch');
+      }
+
+      setBatch(await response.json());
+    } catch (error) {
+      console.error('Error starting batch:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const resetBatch = () => {
+    setBatch(null);
+    setRows([emptyRow(), emptyRow()]);
+    setUploadErrors([]);
+  };
+
+  if (batch) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-cyan-300">
+            {batch.counts.completed} of {batch.items.length} done
+            {batch.counts.failed > 0 && `, ${batch.counts.failed} failed`}
+            {!batch.finished && ' - you can keep working, videos are processed on the server'}
+          </p>
+          <div className="flex gap-2">
+            {batch.counts.completed > 0 && (
+              <a
+                href={`/api/batches/${batch.id}/download`}
+                className={`px-3 py-2 bg-cyan-600 text-white rounded-md hover:bg-cyan-500 flex items-center gap-2 text-sm transition-all duration-300 ${batch.finished ? '' : 'opacity-75'}`}
+                style={{boxShadow: '0 0 10px rgba(6, 182, 212, 0.4)'}}
+              >
+                <Download className="h-4 w-4" />
+                {batch.finished ? 'Download All' : 'Download Finished'}
+              </a>
+            )}
+            {batch.finished && (
+              <button
+                onClick={resetBatch}
+                className="px-3 py-2 bg-gray-800 border border-cyan-500/50 text-cyan-300 rounded-md hover:bg-gray-700 text-sm"
+              >
+                New Batch
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="overflow-x-auto rounded-md border border-cyan-500/30">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-800 text-cyan-300 text-left">
+              <tr>
+                <th className="px-3 py-2 w-10">#</th>
+                <th className="px-3 py-2">Video</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2 w-16"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {batch.items.map(item => (
+                <tr key={item.index} className="border-t border-gray-800">
+                  <td className="px-3 py-2 text-gray-400">{item.index + 1}</td>
+                  <td className="px-3 py-2 max-w-xs">
+                    <p className="text-cyan-100 truncate">{item.seoTitle || item.videoId || item.url}</p>
+                    {item.seoTitle && <p className="text-xs text-gray-500 truncate">{item.url}</p>}
+                  </td>
+                  <td className="px-3 py-2"><ItemStatus item={item} /></td>
+                  <td className="px-3 py-2">
+                    {item.conversionId && (
+                      <button onClick={() => onOpen(item.conversionId)} className="text-cyan-400 hover:text-cyan-200" title="Open result">
+                        <FolderOpen className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-cyan-300">
+          One row per video, or upload a CSV of <code>url, transcript</code> rows or a ZIP with a CSV of <code>url, transcript file</code> plus the transcript files.
+        </p>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="ml-4 shrink-0 px-3 py-2 bg-gray-800 border border-cyan-500/50 text-cyan-300 rounded-md hover:bg-gray-700 flex items-center gap-2 text-sm"
+        >
+          <Upload className="h-4 w-4" />
+          Upload CSV/ZIP
+        </button>
+        <input ref={fileInputRef} type="file" accept=".csv,.zip" onChange={handleUpload} className="hidden" />
+      </div>
+
+      {uploadErrors.length > 0 && (
+        <ul className="text-xs text-yellow-300 bg-gray-800 border border-yellow-500/30 rounded-md p-3 list-disc list-inside">
+          {uploadErrors.map((error, index) => <li key={index}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="space-y-3">
+        {rows.map((row, index) => {
+          const parsed = parseVideoUrl(row.url);
+          return (
+            <div key={index} className="flex gap-2 items-start">
+              <span className="pt-2 text-sm text-gray-400 w-6">{index + 1}.</span>
+              <div className="flex-1 space-y-2">
+                <div className="flex gap-2">
+                  <input
+                    type="url"
+                    value={row.url}
+                    onChange={(e) => updateRow(index, 'url', e.target.value)}
+                    placeholder="YouTube, Vimeo or Loom link, or a YouTube playlist"
+                    className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600 text-sm"
+                  />
+                  {parsed?.kind === 'playlist' && (
+                    <button
+                      onClick={() => expandPlaylist(index, parsed.playlistId)}
+                      disabled={expanding !== null}
+                      className="shrink-0 px-3 py-2 bg-gray-800 border border-cyan-500/50 text-cyan-300 rounded-md hover:bg-gray-700 disabled:opacity-50 flex items-center gap-2 text-sm"
+                    >
+                      {expanding === index ? <Loader2 className="h-4 w-4 animate-spin" /> : <ListVideo className="h-4 w-4" />}
+                      Expand Playlist
+                    </button>
+                  )}
+                </div>
+                <textarea
+                  value={row.transcript}
+                  onChange={(e) => updateRow(index, 'transcript', e.target.value)}
+                  placeholder={row.transcriptFile ? `Transcript from ${row.transcriptFile}` : 'Paste the transcript (plain text, SRT, WebVTT or YouTube transcript)...'}
+                  rows={3}
+                  className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600 text-sm"
+                />
+              </div>
+              <button
+                onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                disabled={rows.length === 1}
+                className="pt-2 text-red-400 hover:text-red-300 disabled:opacity-30"
+                title="Remove row"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        onClick={() => setRows(prev => [...prev, emptyRow()])}
+        className="px-3 py-2 bg-gray-800 border border-cyan-500/50 text-cyan-300 rounded-md hover:bg-gray-700 flex items-center gap-2 text-sm"
+      >
+        <Plus className="h-4 w-4" />
+        Add Row
+      </button>
+
+      <button
+        onClick={startBatch}
+        disabled={starting}
+        className="w-full bg-gradient-to-r from-cyan-600 to-blue-600 text-white py-3 px-4 rounded-md hover:from-cyan-500 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 transition-all duration-300"
+        style={{boxShadow: '0 0 20px rgba(6, 182, 212, 0.5)'}}
+      >
+        {starting ? <Loader2 className="h-5 w-5 animate-spin" /> : <Layers className="h-5 w-5" />}
+        Convert {rows.filter(row => row.url.trim() || row.transcript.trim()).length || ''} Videos
+      </button>
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,119 @@
+import React, { useMemo, useRef } from 'react';
+import { BookOpen, Undo2, Check, X } from 'lucide-react';
+
+const MARK_CLASSES = {
+  corrected: 'bg-green-500/30 text-green-100',
+  changed: 'bg-yellow-500/40 text-yellow-50',
+  dropped: 'bg-red-500/40 text-red-50'
+};
+
+const describe = (issue) => {
+  if (issue.type === 'corrected') return `Auto-corrected "${issue.found}" to "${issue.term}"`;
+  if (issue.type === 'changed') return `The speaker said "${issue.said}" here, but the cleaned text has "${issue.found}"`;
+  return `The speaker said "${issue.said}" here, but it was left out`;
+};
+
+// The text an issue should still cover: the glossary spelling once corrected, else what cleaning wrote
+const expectedText = (issue) => (issue.type === 'corrected' ? issue.term : issue.found);
+
+// Where an issue is in the (possibly edited) transcript: its recorded position while the text
+// there still matches, otherwise the nearest copy of the same text; null once it's gone
+const locate = (text, issue) => {
+  const expected = expectedText(issue);
+  if (text.slice(issue.start, issue.end) === expected && issue.start <= text.length) {
+    return { start: issue.start, end: issue.end };
+  }
+  if (!expected) return null;
+
+  let best = -1;
+  for (let at = text.indexOf(expected); at !== -1; at = text.indexOf(expected, at + 1)) {
+    if (best === -1 || Math.abs(at - issue.start) < Math.abs(best - issue.start)) best = at;
+  }
+  return best === -1 ? null : { start: best, end: best + expected.length };
+};
+
+// Review the glossary terms cleaning corrected or flagged (`issues` from the server, positions
+// in `text`). Lists them, highlights them in a read-only copy of the transcript and lets each
+// one be undone, fixed or dismissed; `onChange({ formattedTranscript, glossaryIssues })`.
+const GlossaryReview = ({ text, issues, onChange }) => {
+  const viewRef = useRef(null);
+
+  const located = useMemo(() => issues
+    .map((issue, index) => ({ issue, index, at: locate(text, issue) }))
+    .filter(({ at }) => at)
+    .sort((a, b) => a.at.start - b.at.start), [text, issues]);
+
+  const parts = useMemo(() => {
+    const result = [];
+    let cursor = 0;
+    located.forEach(({ issue, index, at }) => {
+      if (at.start < cursor) return;
+      result.push({ text: text.slice(cursor, at.start) });
+      result.push({ text: text.slice(at.start, at.end), issue, index });
+      cursor = at.end;
+    });
+    result.push({ text: text.slice(cursor) });
+    return result;
+  }, [text, located]);
+
+  const withoutIssue = (index) => issues.filter((_, i) => i !== index);
+
+  // Swap the issue's span for `replacement` and stop tracking it
+  const replace = ({ index, at }, replacement) => onChange({
+    formattedTranscript: `${text.slice(0, at.start)}${replacement}${text.slice(at.end)}`,
+    glossaryIssues: withoutIssue(index)
+  });
+
+  const dismiss = (index) => onChange({ glossaryIssues: withoutIssue(index) });
+
+  const scrollTo = (index) => {
+    const mark = viewRef.current?.querySelector(`[data-issue="${index}"]`);
+    if (mark) mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  return (
+    <div className="space-y-3">
+      {located.length === 0 ? (
+        <p className="text-sm text-gray-400">Nothing left to review.</p>
+      ) : (
+        <ul className="space-y-1 max-h-40 overflow-y-auto">
+          {located.map(entry => (
+            <li key={entry.index} className="flex items-center gap-2 text-sm">
+              <button
+                type="button"
+                onClick={() => scrollTo(entry.index)}
+                className={`px-2 py-0.5 rounded ${MARK_CLASSES[entry.issue.type]}`}
+              >
+                {entry.issue.term}
+              </button>
+              <span className="flex-1 text-gray-300">{describe(entry.issue)}</span>
+              {entry.issue.type === 'corrected' && (
+                <button type="button" onClick={() => replace(entry, entry.issue.found)} title="Undo the correction" className="text-gray-400 hover:text-blue-300">
+                  <Undo2 className="h-4 w-4" />
+                </button>
+              )}
+              {entry.issue.type === 'changed' && (
+                <button type="button" onClick={() => replace(entry, entry.issue.term)} title={`Replace with "${entry.issue.term}"`} className="text-gray-400 hover:text-green-300">
+                  <Check className="h-4 w-4" />
+                </button>
+              )}
+              <button type="button" onClick={() => dismiss(entry.index)} title="Dismiss" className="text-gray-400 hover:text-red-300">
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div ref={viewRef} className="bg-gray-900 p-4 rounded border border-blue-500/30 max-h-96 overflow-y-auto whitespace-pre-wrap text-sm text-blue-100">
+        {parts.map((part, i) => (part.issue ? (
+          <mark key={i} data-issue={part.index} title={describe(part.issue)} className={`rounded px-0.5 ${MARK_CLASSES[part.issue.type]}`}>
+            {part.text || <BookOpen className="inline h-3 w-3" />}
+          </mark>
+        ) : part.text))}
+      </div>
+    </div>
+  );
+};
+
+export default GlossaryReview;
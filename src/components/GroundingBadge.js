@@ -0,0 +1,45 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert, ShieldClose, Shield } from 'lucide-react';
+
+const STATUS_STYLES = {
+  grounded: { icon: ShieldCheck, className: 'text-green-400', label: 'Grounded' },
+  weak: { icon: ShieldAlert, className: 'text-yellow-400', label: 'Weakly supported' },
+  ungrounded: { icon: ShieldClose, className: 'text-red-400', label: 'Not supported' }
+};
+
+// How well the transcript backs up one FAQ answer or takeaway (`grounding` from the server's
+// faithfulness check, or null after the item was edited). Hovering shows the supporting quotes
+// and the problems found.
+const GroundingBadge = ({ grounding }) => {
+  if (!grounding) {
+    return (
+      <span className="pt-1 text-gray-500" title="Edited since the last source check">
+        <Shield className="h-4 w-4" />
+      </span>
+    );
+  }
+
+  const { icon: Icon, className, label } = STATUS_STYLES[grounding.status];
+
+  return (
+    <span className="relative group pt-1">
+      <span className={`flex items-center gap-1 text-xs cursor-help ${className}`}>
+        <Icon className="h-4 w-4" />
+        {Math.round(grounding.score * 100)}%
+      </span>
+      <span className="hidden group-hover:block absolute right-0 top-full z-20 mt-1 w-80 p-3 bg-gray-950 border border-gray-600 rounded-md shadow-lg text-xs text-gray-200 space-y-2">
+        <span className={`block font-semibold ${className}`}>{label}</span>
+        {grounding.quotes.map((quote, i) => (
+          <span key={i} className="block italic">
+            "{quote.text}"{quote.speaker && <span className="not-italic text-gray-400"> - {quote.speaker}</span>}
+          </span>
+        ))}
+        {grounding.issues.map((issue, i) => (
+          <span key={`issue-${i}`} className="block text-red-300">{issue}</span>
+        ))}
+      </span>
+    </span>
+  );
+};
+
+export default GroundingBadge;
@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import { History, Search, Trash2, FolderOpen, FileJson, X, Loader2 } from 'lucide-react';
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Download a saved conversion (transcripts, SEO content, models) as a JSON file
+const exportConversion = async (id) => {
+  const response = await fetch(`/api/conversions/${id}`);
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to load conversion');
+  }
+  const conversion = await response.json();
+
+  const blob = new Blob([JSON.stringify(conversion, null, 2)], { type: 'application/json' });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `conversion-${conversion.videoId || conversion.id}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// Slide-over list of saved conversions. `refreshKey` changes whenever a new conversion is saved.
+const HistorySidebar = ({ open, onClose, onOpen, activeId, refreshKey }) => {
+  const [query, setQuery] = useState('');
+  const [conversions, setConversions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    // Debounce searches while typing
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const response = await fetch(`/api/conversions?q=${encodeURIComponent(query)}`);
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || 'Failed to load history');
+        }
+        const data = await response.json();
+        if (!cancelled) setConversions(data.conversions);
+      } catch (error) {
+        console.error('Error loading history:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, query, refreshKey]);
+
+  const handleDelete = async (conversion) => {
+    if (!window.confirm(`Delete "${conversion.seoTitle || conversion.url}" from history?`)) return;
+
+    try {
+      const response = await fetch(`/api/conversions/${conversion.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete conversion');
+      }
+      setConversions(prev => prev.filter(item => item.id !== conversion.id));
+    } catch (error) {
+      console.error('Error deleting conversion:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleExport = async (conversion) => {
+    try {
+      await exportConversion(conversion.id);
+    } catch (error) {
+      console.error('Error exporting conversion:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-40 flex">
+      <div className="w-full max-w-sm h-full bg-gray-900 border-r border-cyan-500/30 p-4 flex flex-col" style={{boxShadow: '0 0 30px rgba(6, 182, 212, 0.3)'}}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-cyan-100 flex items-center gap-2">
+            <History className="h-5 w-5 text-cyan-400" />
+            History
+          </h2>
+          <button onClick={onClose} className="text-cyan-400 hover:text-cyan-200" aria-label="Close history">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="relative mb-4">
+          <Search className="absolute left-2 top-2.5 h-4 w-4 text-cyan-600" />
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search title, URL or transcript..."
+            className="w-full pl-8 pr-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-sm text-cyan-100 placeholder-cyan-600"
+          />
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-2">
+          {loading && conversions.length === 0 && (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-5 w-5 text-cyan-400 animate-spin" />
+            </div>
+          )}
+          {!loading && conversions.length === 0 && (
+            <p className="text-sm text-gray-400 text-center py-8">
+              {query ? 'No conversions match your search.' : 'Finished conversions are saved here.'}
+            </p>
+          )}
+          {conversions.map(conversion => (
+            <div
+              key={conversion.id}
+              className={`p-3 rounded-md border ${conversion.id === activeId ? 'border-cyan-400 bg-cyan-900/30' : 'border-gray-700 bg-gray-800'}`}
+            >
+              <p className="text-sm font-medium text-cyan-100 truncate" title={conversion.seoTitle}>
+                {conversion.seoTitle || conversion.videoId || 'Untitled conversion'}
+              </p>
+              <p className="text-xs text-gray-400 truncate">{conversion.url}</p>
+              <div className="flex items-center justify-between mt-2">
+                <span className="text-xs text-gray-500">{formatDate(conversion.createdAt)}</span>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => onOpen(conversion.id)}
+                    className="p-1 text-cyan-400 hover:text-cyan-200"
+                    title="Reopen"
+                  >
+                    <FolderOpen className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleExport(conversion)}
+                    className="p-1 text-cyan-400 hover:text-cyan-200"
+                    title="Export JSON"
+                  >
+                    <FileJson className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(conversion)}
+                    className="p-1 text-red-400 hover:text-red-300"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="flex-1 bg-black/60" onClick={onClose}></div>
+    </div>
+  );
+};
+
+export default HistorySidebar;
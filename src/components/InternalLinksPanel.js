@@ -0,0 +1,224 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link2, Loader2, Upload, Check, X } from 'lucide-react';
+
+const inputClass = 'flex-1 px-3 py-2 bg-gray-900 border border-lime-500/40 rounded-md focus:outline-none focus:ring-2 focus:ring-lime-400 text-lime-100 placeholder-lime-700 text-sm';
+const buttonClass = 'px-3 py-2 bg-lime-600 text-white rounded-md hover:bg-lime-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 text-sm transition-all duration-300';
+
+const SOURCE_LABELS = {
+  transcript: 'transcript',
+  keyTakeaways: 'key takeaways'
+};
+
+// Internal links from the blog's own sitemap. The sitemap is registered once for the server
+// (a URL or an uploaded sitemap.xml) and its pages indexed; "Suggest Links" asks
+// /api/internal-links for pages this post should link to, kept in `results.linkSuggestions`.
+// "Insert" accepts a suggestion into `results.internalLinks`, which the Markdown and HTML
+// exports link at the anchor's first mention. `onChange(patch)` receives the changed results fields.
+const InternalLinksPanel = ({ results, onChange }) => {
+  const [index, setIndex] = useState(null);
+  const [sitemapUrl, setSitemapUrl] = useState('');
+  const [indexing, setIndexing] = useState(false);
+  const [suggesting, setSuggesting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const suggestions = results.linkSuggestions || [];
+  const accepted = results.internalLinks || [];
+
+  useEffect(() => {
+    fetch('/api/sitemap')
+      .then(response => (response.ok ? response.json() : null))
+      .then(setIndex)
+      .catch(error => console.error('Error loading site index:', error));
+  }, []);
+
+  const registerSitemap = async (body) => {
+    setIndexing(true);
+    try {
+      const response = await fetch('/api/sitemap', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to index sitemap');
+      }
+
+      setIndex(await response.json());
+      setSitemapUrl('');
+    } catch (error) {
+      console.error('Error indexing sitemap:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setIndexing(false);
+    }
+  };
+
+  const clearSitemap = async () => {
+    if (!window.confirm('Remove the indexed sitemap? Link suggestions already made are kept.')) return;
+    try {
+      const response = await fetch('/api/sitemap', { method: 'DELETE' });
+      if (!response.ok) throw new Error('Failed to clear sitemap');
+      setIndex(null);
+    } catch (error) {
+      console.error('Error clearing sitemap:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    await registerSitemap({ xml: await file.text() });
+  };
+
+  const suggest = async () => {
+    setSuggesting(true);
+    try {
+      const response = await fetch('/api/internal-links', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ results })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to suggest internal links');
+      }
+
+      const data = await response.json();
+      onChange({ linkSuggestions: data.suggestions });
+    } catch (error) {
+      console.error('Error suggesting internal links:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const isAccepted = (suggestion) => accepted.some(link => link.url === suggestion.url);
+
+  const toggle = (suggestion) => {
+    onChange({
+      internalLinks: isAccepted(suggestion)
+        ? accepted.filter(link => link.url !== suggestion.url)
+        : [...accepted, { url: suggestion.url, title: suggestion.title, anchorText: suggestion.anchorText }]
+    });
+  };
+
+  const insertAll = () => {
+    onChange({ internalLinks: [...accepted, ...suggestions.filter(suggestion => !isAccepted(suggestion)).map(suggestion => ({ url: suggestion.url, title: suggestion.title, anchorText: suggestion.anchorText }))] });
+  };
+
+  const registered = !!index?.indexedAt;
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg border border-lime-500/30" style={{boxShadow: '0 0 20px rgba(132, 204, 22, 0.2)'}}>
+      <h2 className="text-xl font-semibold text-lime-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(132, 204, 22, 0.5)'}}>
+        <Link2 className="h-5 w-5" style={{filter: 'drop-shadow(0 0 5px rgba(132, 204, 22, 0.8))'}} />
+        Internal Links
+      </h2>
+
+      <div className="space-y-2 mb-4">
+        <p className="text-sm text-lime-300">
+          {registered
+            ? `${index.pages.length} pages indexed from ${index.sitemapUrl || 'an uploaded sitemap'}${index.unreachable.length > 0 ? ` (${index.unreachable.length} couldn't be fetched and are titled from their URL)` : ''}.`
+            : 'Register your blog\'s sitemap.xml to get link suggestions to your own posts.'}
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="url"
+            value={sitemapUrl}
+            onChange={(e) => setSitemapUrl(e.target.value)}
+            placeholder="https://blog.example.com/sitemap.xml"
+            disabled={indexing}
+            className={inputClass}
+          />
+          <button onClick={() => registerSitemap({ url: sitemapUrl })} disabled={indexing || !sitemapUrl.trim()} className={buttonClass}>
+            {indexing && <Loader2 className="h-4 w-4 animate-spin" />}
+            {indexing ? 'Indexing...' : registered ? 'Re-index' : 'Index Sitemap'}
+          </button>
+          <button onClick={() => fileInputRef.current.click()} disabled={indexing} className={buttonClass}>
+            <Upload className="h-4 w-4" />
+            Upload
+          </button>
+          <input ref={fileInputRef} type="file" accept=".xml" onChange={handleUpload} className="hidden" />
+          {registered && (
+            <button onClick={clearSitemap} disabled={indexing} className="px-3 py-2 text-sm text-gray-400 hover:text-red-400" title="Remove the indexed sitemap">
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2 mb-4">
+        <button onClick={suggest} disabled={suggesting || !registered} className={buttonClass} style={{boxShadow: '0 0 10px rgba(132, 204, 22, 0.4)'}}>
+          {suggesting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Link2 className="h-4 w-4" />}
+          {suggesting ? 'Suggesting...' : results.linkSuggestions ? 'Refresh Suggestions' : 'Suggest Links'}
+        </button>
+        {suggestions.some(suggestion => !isAccepted(suggestion)) && (
+          <button onClick={insertAll} className="px-3 py-2 text-sm text-lime-300 hover:text-lime-100">
+            Insert all
+          </button>
+        )}
+      </div>
+
+      {results.linkSuggestions && suggestions.length === 0 && (
+        <p className="text-sm text-gray-400">None of the indexed pages matches what this post talks about.</p>
+      )}
+
+      <ul className="space-y-3">
+        {suggestions.map(suggestion => (
+          <li key={suggestion.url} className="flex items-start justify-between gap-3 bg-gray-900 border border-lime-500/20 rounded-md p-3">
+            <div className="min-w-0 text-sm">
+              <p className="text-lime-100">
+                "<span className="font-medium">{suggestion.anchorText}</span>"
+                <span className="text-gray-400"> in the {SOURCE_LABELS[suggestion.source]}</span>
+              </p>
+              <a href={suggestion.url} target="_blank" rel="noopener noreferrer" className="block truncate text-lime-400 hover:underline">
+                {suggestion.title || suggestion.url}
+              </a>
+              <p className="truncate text-xs text-gray-500">{suggestion.url}</p>
+            </div>
+            <div className="flex flex-col items-end gap-2 flex-shrink-0">
+              <span className="text-xs font-mono text-lime-300" title="Relevance">{Math.round(suggestion.score * 100)}%</span>
+              <button
+                onClick={() => toggle(suggestion)}
+                className={`px-2 py-1 rounded-md text-xs flex items-center gap-1 transition-all duration-300 ${
+                  isAccepted(suggestion) ? 'bg-lime-600 text-white hover:bg-lime-500' : 'bg-gray-800 border border-lime-500/50 text-lime-300 hover:bg-gray-700'
+                }`}
+              >
+                {isAccepted(suggestion) ? <Check className="h-3 w-3" /> : <Link2 className="h-3 w-3" />}
+                {isAccepted(suggestion) ? 'Inserted' : 'Insert'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {accepted.length > 0 && (
+        <div className="mt-4 text-xs text-lime-300/80">
+          <p className="font-medium mb-1">Linked in the Markdown and HTML exports:</p>
+          <ul className="space-y-1">
+            {accepted.map(link => (
+              <li key={link.url} className="flex items-center gap-2">
+                <button onClick={() => onChange({ internalLinks: accepted.filter(item => item.url !== link.url) })} className="text-gray-400 hover:text-red-400" title="Remove link">
+                  <X className="h-3 w-3" />
+                </button>
+                "{link.anchorText}" → {link.url}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InternalLinksPanel;
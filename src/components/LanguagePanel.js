@@ -0,0 +1,256 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Languages, Loader2, Copy } from 'lucide-react';
+import { LANGUAGES, languageName } from '../shared/languages';
+
+const inputClass = 'w-full px-3 py-2 bg-gray-900 border border-teal-500/40 rounded-md focus:outline-none focus:ring-2 focus:ring-teal-400 text-teal-100 placeholder-teal-700 text-sm';
+
+// The source language (detected or chosen) and its translations. The tabs switch which language
+// is shown here and exported; a translation's fields can be edited like the source's, and its
+// FAQ schema is rebuilt with inLanguage once typing pauses. "Translate" asks /api/translate for
+// another language. `onChange(patch)` receives the changed results fields.
+const LanguagePanel = ({ results, view, onView, baseUrl, onBaseUrl, onChange }) => {
+  const source = results.language?.code || 'en';
+  const translations = results.translations || {};
+  const available = Object.keys(LANGUAGES).filter(code => code !== source && !translations[code]);
+
+  const [target, setTarget] = useState(available[0] || '');
+  const [translating, setTranslating] = useState(false);
+  const [copied, setCopied] = useState(null);
+  const schemaTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (!available.includes(target)) setTarget(available[0] || '');
+  }, [available, target]);
+
+  useEffect(() => () => clearTimeout(schemaTimerRef.current), []);
+
+  const translation = view !== source ? translations[view] : null;
+
+  const updateTranslation = (code, patch) => {
+    onChange({ translations: { ...translations, [code]: { ...translations[code], ...patch } } });
+  };
+
+  const translate = async () => {
+    setTranslating(true);
+    try {
+      const response = await fetch('/api/translate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ results, language: target })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to translate');
+      }
+
+      const translated = await response.json();
+      const { [target]: _failed, ...translationErrors } = results.translationErrors || {};
+      onChange({ translations: { ...translations, [target]: translated }, translationErrors });
+      onView(target);
+    } catch (error) {
+      console.error('Error translating results:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  const rebuildSchema = async (code, faqs) => {
+    try {
+      const response = await fetch('/api/faq-schema', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ faqs, format: results.schemaFormat, language: code })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to build FAQ schema');
+      }
+
+      const data = await response.json();
+      onChange({ translations: { ...translations, [code]: { ...translations[code], faqs, schemaMarkup: data.schemaMarkup } } });
+    } catch (error) {
+      console.error('Error building FAQ schema:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const editFaq = (index, field, value) => {
+    const faqs = translation.faqs.map((faq, i) => (i === index ? { ...faq, [field]: value } : faq));
+    updateTranslation(view, { faqs });
+    clearTimeout(schemaTimerRef.current);
+    schemaTimerRef.current = setTimeout(() => rebuildSchema(view, faqs), 500);
+  };
+
+  const copy = (text, id) => {
+    navigator.clipboard.writeText(text);
+    setCopied(id);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  const tabClass = (code) => `px-3 py-1 rounded-md border text-sm transition-all duration-300 ${
+    view === code
+      ? 'bg-teal-600 border-teal-400 text-white'
+      : 'bg-gray-900 border-teal-500/40 text-teal-300 hover:bg-gray-700'
+  }`;
+
+  const errors = Object.entries(results.translationErrors || {});
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg border border-teal-500/30" style={{boxShadow: '0 0 20px rgba(20, 184, 166, 0.2)'}}>
+      <h2 className="text-xl font-semibold text-teal-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(20, 184, 166, 0.5)'}}>
+        <Languages className="h-5 w-5" />
+        Languages
+      </h2>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button onClick={() => onView(source)} className={tabClass(source)}>
+          {languageName(source)} (source{results.language?.confidence > 0 && results.language.confidence < 1 ? `, detected ${Math.round(results.language.confidence * 100)}%` : ''})
+        </button>
+        {Object.keys(translations).map(code => (
+          <button key={code} onClick={() => onView(code)} className={tabClass(code)}>
+            {languageName(code)}
+          </button>
+        ))}
+        {available.length > 0 && (
+          <div className="flex items-center gap-2 ml-auto">
+            <select
+              value={target}
+              onChange={(e) => setTarget(e.target.value)}
+              disabled={translating}
+              className="px-2 py-1 bg-gray-900 border border-teal-500/40 rounded-md text-teal-100 text-sm"
+            >
+              {available.map(code => <option key={code} value={code}>{LANGUAGES[code]}</option>)}
+            </select>
+            <button
+              onClick={translate}
+              disabled={translating || !target}
+              className="px-3 py-1 bg-teal-600 text-white rounded-md hover:bg-teal-500 disabled:opacity-50 flex items-center gap-2 text-sm transition-all duration-300"
+            >
+              {translating && <Loader2 className="h-4 w-4 animate-spin" />}
+              {translating ? 'Translating...' : 'Translate'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="mb-4 text-sm text-red-300 space-y-1">
+          {errors.map(([code, error]) => <li key={code}>{languageName(code)} translation failed: {error}</li>)}
+        </ul>
+      )}
+
+      {Object.keys(translations).length > 0 && (
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-teal-300 mb-1">Base URL for hreflang links</label>
+          <input
+            type="url"
+            value={baseUrl}
+            onChange={(e) => onBaseUrl(e.target.value)}
+            placeholder="https://blog.example.com/posts - exports link to {base}/{language}/{slug}.html"
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      {translation ? (
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-teal-300 mb-1">SEO Title</label>
+            <input
+              type="text"
+              value={translation.seoTitle}
+              onChange={(e) => updateTranslation(view, { seoTitle: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-teal-300 mb-1">Meta Description</label>
+            <textarea
+              value={translation.metaDescription}
+              onChange={(e) => updateTranslation(view, { metaDescription: e.target.value })}
+              rows={2}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-teal-300 mb-1">FAQs</label>
+            <div className="space-y-2">
+              {translation.faqs.map((faq, index) => (
+                <div key={index} className="space-y-1">
+                  <input
+                    type="text"
+                    value={faq.question}
+                    onChange={(e) => editFaq(index, 'question', e.target.value)}
+                    className={`${inputClass} font-medium`}
+                  />
+                  <textarea
+                    value={faq.answer}
+                    onChange={(e) => editFaq(index, 'answer', e.target.value)}
+                    rows={2}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-teal-300 mb-1">Key Takeaways</label>
+            <div className="space-y-2">
+              {translation.keyTakeaways.map((takeaway, index) => (
+                <textarea
+                  key={index}
+                  value={takeaway}
+                  onChange={(e) => updateTranslation(view, { keyTakeaways: translation.keyTakeaways.map((item, i) => (i === index ? e.target.value : item)) })}
+                  rows={2}
+                  className={inputClass}
+                />
+              ))}
+            </div>
+          </div>
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-teal-300">Formatted Transcript</label>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => copy(translation.formattedTranscript, 'transcript')}
+                  className="px-3 py-1 bg-teal-600 text-white rounded-md hover:bg-teal-500 flex items-center gap-1 text-xs"
+                >
+                  <Copy className="h-3 w-3" />
+                  {copied === 'transcript' ? 'Copied!' : 'Copy Transcript'}
+                </button>
+                <button
+                  onClick={() => copy(translation.schemaMarkup, 'schema')}
+                  className="px-3 py-1 bg-teal-600 text-white rounded-md hover:bg-teal-500 flex items-center gap-1 text-xs"
+                >
+                  <Copy className="h-3 w-3" />
+                  {copied === 'schema' ? 'Copied!' : 'Copy FAQ Schema'}
+                </button>
+              </div>
+            </div>
+            <textarea
+              value={translation.formattedTranscript}
+              onChange={(e) => updateTranslation(view, { formattedTranscript: e.target.value })}
+              rows={12}
+              className={inputClass}
+            />
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-400">
+          {Object.keys(translations).length > 0
+            ? 'Pick a translation to review and edit it. Exports use the language selected here.'
+            : 'Translate the transcript, title, meta description, FAQs and takeaways into another language.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LanguagePanel;
@@ -0,0 +1,92 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Target } from 'lucide-react';
+import { analyzeSeo, normalizeKeywords } from '../shared/seoAnalysis';
+
+const STATUS_STYLES = {
+  good: { dot: 'bg-green-500', text: 'text-green-400' },
+  ok: { dot: 'bg-yellow-400', text: 'text-yellow-400' },
+  bad: { dot: 'bg-red-500', text: 'text-red-400' }
+};
+
+const NO_KEYWORDS = { focus: '', secondary: [] };
+
+const inputClass = 'w-full px-3 py-2 bg-gray-900 border border-green-500/50 rounded-md text-green-100 placeholder-green-700 text-sm focus:outline-none focus:ring-2 focus:ring-green-400';
+
+// Yoast-style checklist for the SEO Content card: the focus and secondary keywords the results
+// target (`results.keywords`, editable here) and a red, yellow or green dot per check. The analysis
+// re-runs in the browser as the title, meta description, FAQs or keywords change; `limits` are
+// the title and meta maximums. `onChange(patch)` receives the changed results fields.
+const SeoAnalysisPanel = ({ results, limits, onChange }) => {
+  const keywords = results.keywords || NO_KEYWORDS;
+  // What is typed, kept apart from the normalized keywords so spaces and commas can be typed
+  const [text, setText] = useState({ focus: keywords.focus, secondary: keywords.secondary.join(', ') });
+
+  // Follow keywords set elsewhere (a new result, or one opened from history)
+  useEffect(() => {
+    setText(current => {
+      const parsed = normalizeKeywords(current.focus, current.secondary).keywords;
+      const same = parsed && parsed.focus === keywords.focus && parsed.secondary.join(', ') === keywords.secondary.join(', ');
+      return same ? current : { focus: keywords.focus, secondary: keywords.secondary.join(', ') };
+    });
+  }, [keywords]);
+
+  const analysis = useMemo(
+    () => analyzeSeo(results, keywords, { titleMax: limits.seoTitle, metaMax: limits.metaDescription }),
+    [results, keywords, limits]
+  );
+
+  const changeText = (patch) => {
+    const next = { ...text, ...patch };
+    setText(next);
+    const parsed = normalizeKeywords(next.focus, next.secondary).keywords;
+    if (parsed) onChange({ keywords: parsed });
+  };
+
+  const { text: ratingClass } = STATUS_STYLES[analysis.rating];
+
+  return (
+    <div className="border-t border-green-500/20 pt-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-green-300 flex items-center gap-2">
+          <Target className="h-4 w-4" />
+          SEO Analysis
+        </h3>
+        <span className={`text-sm font-mono ${ratingClass}`}>{analysis.score}/100</span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-green-300 mb-1">Focus keyword</label>
+          <input
+            type="text"
+            value={text.focus}
+            onChange={(e) => changeText({ focus: e.target.value })}
+            placeholder="e.g. dispatch software"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-green-300 mb-1">Secondary keywords</label>
+          <input
+            type="text"
+            value={text.secondary}
+            onChange={(e) => changeText({ secondary: e.target.value })}
+            placeholder="Comma-separated"
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <ul className="space-y-1.5">
+        {analysis.checks.map(item => (
+          <li key={item.id} className="flex items-start gap-2 text-sm text-gray-300">
+            <span className={`mt-1.5 h-2.5 w-2.5 flex-shrink-0 rounded-full ${STATUS_STYLES[item.status].dot}`} title={item.status} />
+            {item.text}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SeoAnalysisPanel;
@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { Copy, Loader2, Share2, Linkedin, Twitter, Mail, Youtube } from 'lucide-react';
+
+// Character limits enforced by the server's social pack (server/social.js)
+const SOCIAL_LIMITS = {
+  linkedin: 3000,
+  xPost: 280,
+  newsletterSubject: 80,
+  newsletter: 600,
+  youtubeDescription: 5000
+};
+
+const Counter = ({ value, limit }) => {
+  const length = (value || '').length;
+  return (
+    <span className={`text-xs font-mono ${length > limit ? 'text-red-400' : 'text-green-500'}`}>
+      {length}/{limit}
+    </span>
+  );
+};
+
+// One results card per format, in the colours of the existing sections
+const Card = ({ color, rgb, icon: Icon, title, children }) => (
+  <div className={`bg-gray-800 p-6 rounded-lg border border-${color}-500/30`} style={{boxShadow: `0 0 20px rgba(${rgb}, 0.2)`}}>
+    <h2 className={`text-xl font-semibold text-${color}-400 mb-4 flex items-center gap-2`} style={{textShadow: `0 0 10px rgba(${rgb}, 0.5)`}}>
+      <Icon className="h-5 w-5" style={{filter: `drop-shadow(0 0 5px rgba(${rgb}, 0.8))`}} />
+      {title}
+    </h2>
+    {children}
+  </div>
+);
+
+// Social repurposing pack: "Generate" asks /api/generate-social for a LinkedIn post, an X
+// thread, a newsletter blurb and a YouTube description written from the cleaned transcript,
+// kept in `results.social`. Each format gets its own card with editable copy, the platform's
+// character counter and copy buttons. `templates` keeps the voice profile the results used.
+// `onChange(patch)` receives the changed results fields.
+const SocialPanel = ({ results, templates, onChange }) => {
+  const [generating, setGenerating] = useState(false);
+  const [copied, setCopied] = useState(null);
+  const social = results.social;
+
+  const generate = async () => {
+    setGenerating(true);
+    try {
+      const response = await fetch('/api/generate-social', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          transcript: results.formattedTranscript,
+          videoTitle: results.video?.title,
+          seoTitle: results.seoTitle,
+          chapters: results.chapters,
+          templates,
+          language: results.language?.code
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to generate social posts');
+      }
+
+      onChange({ social: await response.json() });
+    } catch (error) {
+      console.error('Error generating social pack:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const update = (format, patch) => onChange({ social: { ...social, [format]: { ...social[format], ...patch } } });
+
+  const copy = (text, id) => {
+    navigator.clipboard.writeText(text);
+    setCopied(id);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  const CopyButton = ({ text, id, label, color }) => (
+    <button
+      onClick={() => copy(text, id)}
+      className={`px-4 py-2 bg-${color}-600 text-white rounded-md hover:bg-${color}-500 flex items-center gap-2 transition-all duration-300`}
+    >
+      <Copy className="h-4 w-4" />
+      {copied === id ? 'Copied!' : label}
+    </button>
+  );
+
+  const QuoteNote = ({ quote, color }) => (quote ? (
+    <p className={`text-xs text-${color}-300/80 mt-2`}>
+      Quote from the transcript: "{quote.quote}"{quote.speaker && ` — ${quote.speaker}`}
+    </p>
+  ) : null);
+
+  const textareaClass = (color) => `w-full px-3 py-2 bg-gray-900 border border-${color}-500/50 rounded-md text-${color}-100 text-sm focus:outline-none focus:ring-2 focus:ring-${color}-400`;
+
+  return (
+    <>
+      <Card color="indigo" rgb="99, 102, 241" icon={Share2} title="Social Media Pack">
+        <p className="text-sm text-indigo-300 mb-4">
+          A LinkedIn post, an X thread, a newsletter blurb and a YouTube description from the same transcript, within each platform's limits and with quotes taken word for word from the speakers.
+        </p>
+        <button
+          onClick={generate}
+          disabled={generating}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 transition-all duration-300"
+          style={{boxShadow: '0 0 10px rgba(99, 102, 241, 0.4)'}}
+        >
+          {generating ? <Loader2 className="h-4 w-4 animate-spin" /> : <Share2 className="h-4 w-4" />}
+          {generating ? 'Generating...' : social ? 'Regenerate Social Pack' : 'Generate Social Pack'}
+        </button>
+        {social?.repairs?.length > 0 && (
+          <div className="mt-4 text-xs text-indigo-300/80 bg-gray-900 border border-indigo-500/20 rounded-md p-3">
+            <p className="font-medium mb-1">Adjusted to fit the platforms:</p>
+            <ul className="list-disc list-inside space-y-0.5">
+              {social.repairs.map((repair, index) => (
+                <li key={index}>{repair.field}: {repair.action}{repair.detail ? ` (${repair.detail})` : ''}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </Card>
+
+      {social && (
+        <>
+          <Card color="sky" rgb="14, 165, 233" icon={Linkedin} title="LinkedIn Post">
+            <div className="flex items-center justify-between mb-2">
+              <CopyButton text={social.linkedin.text} id="linkedin" label="Copy Post" color="sky" />
+              <Counter value={social.linkedin.text} limit={SOCIAL_LIMITS.linkedin} />
+            </div>
+            <textarea
+              value={social.linkedin.text}
+              onChange={(e) => update('linkedin', { text: e.target.value })}
+              rows={10}
+              className={textareaClass('sky')}
+            />
+            <QuoteNote quote={social.linkedin.quote} color="sky" />
+          </Card>
+
+          <Card color="slate" rgb="148, 163, 184" icon={Twitter} title="X Thread">
+            <div className="mb-4">
+              <CopyButton text={social.xThread.posts.join('\n\n')} id="xThread" label="Copy Thread" color="slate" />
+            </div>
+            <ol className="space-y-3">
+              {social.xThread.posts.map((post, index) => (
+                <li key={index}>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm text-slate-300">{index + 1}/{social.xThread.posts.length}</span>
+                    <div className="flex items-center gap-3">
+                      <Counter value={post} limit={SOCIAL_LIMITS.xPost} />
+                      <button onClick={() => copy(post, `xPost:${index}`)} className="text-xs text-slate-300 hover:text-slate-100 flex items-center gap-1">
+                        <Copy className="h-3 w-3" />
+                        {copied === `xPost:${index}` ? 'Copied!' : 'Copy'}
+                      </button>
+                    </div>
+                  </div>
+                  <textarea
+                    value={post}
+                    onChange={(e) => update('xThread', { posts: social.xThread.posts.map((item, i) => (i === index ? e.target.value : item)) })}
+                    rows={3}
+                    className={textareaClass('slate')}
+                  />
+                </li>
+              ))}
+            </ol>
+          </Card>
+
+          <Card color="emerald" rgb="16, 185, 129" icon={Mail} title="Newsletter Blurb">
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-emerald-300">Subject</label>
+              <Counter value={social.newsletter.subject} limit={SOCIAL_LIMITS.newsletterSubject} />
+            </div>
+            <div className="flex gap-2 mb-4">
+              <input
+                type="text"
+                value={social.newsletter.subject}
+                onChange={(e) => update('newsletter', { subject: e.target.value })}
+                className={textareaClass('emerald')}
+              />
+              <CopyButton text={social.newsletter.subject} id="newsletterSubject" label="Copy" color="emerald" />
+            </div>
+            <div className="flex items-center justify-between mb-2">
+              <CopyButton text={social.newsletter.text} id="newsletter" label="Copy Blurb" color="emerald" />
+              <Counter value={social.newsletter.text} limit={SOCIAL_LIMITS.newsletter} />
+            </div>
+            <textarea
+              value={social.newsletter.text}
+              onChange={(e) => update('newsletter', { text: e.target.value })}
+              rows={6}
+              className={textareaClass('emerald')}
+            />
+            <QuoteNote quote={social.newsletter.quote} color="emerald" />
+          </Card>
+
+          <Card color="rose" rgb="244, 63, 94" icon={Youtube} title="YouTube Description">
+            <div className="flex items-center justify-between mb-2">
+              <CopyButton text={social.youtubeDescription.text} id="youtubeDescription" label="Copy Description" color="rose" />
+              <Counter value={social.youtubeDescription.text} limit={SOCIAL_LIMITS.youtubeDescription} />
+            </div>
+            <textarea
+              value={social.youtubeDescription.text}
+              onChange={(e) => update('youtubeDescription', { text: e.target.value })}
+              rows={10}
+              className={textareaClass('rose')}
+            />
+            <QuoteNote quote={social.youtubeDescription.quote} color="rose" />
+          </Card>
+        </>
+      )}
+    </>
+  );
+};
+
+export default SocialPanel;
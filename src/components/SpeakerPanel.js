@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Users, Loader2, Check } from 'lucide-react';
+
+const inputClass = 'w-full px-2 py-1 bg-gray-900 border border-purple-500/40 rounded-md focus:outline-none focus:ring-2 focus:ring-purple-400 text-purple-100 placeholder-purple-700 text-sm';
+
+const toRows = (speakers = []) => speakers.map(speaker => ({
+  from: speaker.name,
+  name: speaker.name,
+  role: speaker.role || '',
+  headshotUrl: speaker.headshotUrl || '',
+  mergeInto: ''
+}));
+
+// The speakers found in the transcript (`results.speakers`) with their turn counts. Speakers can
+// be renamed, merged into another one, and given a role and headshot; Apply sends the edits to
+// the server, which relabels the transcript and renames them in the FAQs, takeaways and article.
+// `onChange(patch)` receives the changed results fields.
+const SpeakerPanel = ({ results, onChange }) => {
+  const [rows, setRows] = useState(() => toRows(results.speakers));
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    setRows(toRows(results.speakers));
+  }, [results.speakers]);
+
+  const updateRow = (index, field, value) => setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+
+  // A merged speaker takes the name of the one it is merged into
+  const targetName = (row) => {
+    const target = row.mergeInto && rows.find(other => other.from === row.mergeInto);
+    return target ? target.name : row.name;
+  };
+
+  const edits = rows.map(row => ({ from: row.from, name: targetName(row), role: row.role, headshotUrl: row.headshotUrl }));
+
+  const changed = edits.some((edit, i) => {
+    const speaker = results.speakers[i];
+    return edit.name !== speaker.name || edit.role !== (speaker.role || '') || edit.headshotUrl !== (speaker.headshotUrl || '');
+  });
+
+  const apply = async () => {
+    setApplying(true);
+    try {
+      const response = await fetch('/api/speakers', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ results, speakers: edits })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update speakers');
+      }
+
+      onChange(await response.json());
+    } catch (error) {
+      console.error('Error updating speakers:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg border border-purple-500/30" style={{boxShadow: '0 0 20px rgba(168, 85, 247, 0.2)'}}>
+      <h2 className="text-xl font-semibold text-purple-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(168, 85, 247, 0.5)'}}>
+        <Users className="h-5 w-5" />
+        Speakers
+      </h2>
+      <table className="w-full text-sm mb-4">
+        <thead>
+          <tr className="text-left text-purple-300">
+            <th className="pb-2 pr-2 font-medium">Name</th>
+            <th className="pb-2 pr-2 font-medium">Role</th>
+            <th className="pb-2 pr-2 font-medium">Headshot URL</th>
+            <th className="pb-2 pr-2 font-medium">Merge into</th>
+            <th className="pb-2 font-medium text-right">Turns</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={row.from} className="align-middle">
+              <td className="py-1 pr-2">
+                <input
+                  value={row.mergeInto ? targetName(row) : row.name}
+                  onChange={(e) => updateRow(i, 'name', e.target.value)}
+                  disabled={Boolean(row.mergeInto)}
+                  placeholder={row.from}
+                  className={`${inputClass} disabled:opacity-50`}
+                />
+              </td>
+              <td className="py-1 pr-2">
+                <input value={row.role} onChange={(e) => updateRow(i, 'role', e.target.value)} placeholder="e.g. CFO, Acme" className={inputClass} />
+              </td>
+              <td className="py-1 pr-2">
+                <div className="flex items-center gap-2">
+                  {row.headshotUrl && <img src={row.headshotUrl} alt="" className="h-7 w-7 rounded-full object-cover flex-shrink-0" />}
+                  <input value={row.headshotUrl} onChange={(e) => updateRow(i, 'headshotUrl', e.target.value)} placeholder="https://..." className={inputClass} />
+                </div>
+              </td>
+              <td className="py-1 pr-2">
+                <select value={row.mergeInto} onChange={(e) => updateRow(i, 'mergeInto', e.target.value)} className={inputClass}>
+                  <option value="">-</option>
+                  {rows.filter(other => other.from !== row.from && !other.mergeInto).map(other => (
+                    <option key={other.from} value={other.from}>{other.name || other.from}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="py-1 text-right text-purple-200" title={`${results.speakers[i].words} words`}>
+                {results.speakers[i].turns}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        onClick={apply}
+        disabled={!changed || applying}
+        className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-500 disabled:bg-gray-600 disabled:cursor-not-allowed flex items-center gap-2 transition-all duration-300"
+      >
+        {applying ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4" />}
+        Apply to Transcript and Content
+      </button>
+    </div>
+  );
+};
+
+export default SpeakerPanel;
@@ -0,0 +1,290 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Settings2, Plus, Save, Trash2, Copy, Loader2, X } from 'lucide-react';
+
+const KINDS = [
+  { id: 'cleaning', label: 'Cleaning prompt' },
+  { id: 'seo', label: 'SEO prompt' },
+  { id: 'article', label: 'Article prompt' },
+  { id: 'voice', label: 'Voice profile' }
+];
+
+const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600 text-sm';
+
+const blankDraft = (kind) => (kind === 'voice'
+  ? { kind, name: '', brandName: '', tone: '', glossary: '', forbiddenWords: '' }
+  : { kind, name: '', system: '', prompt: '{{transcript}}', settings: kind === 'seo' ? { faqCount: 5, takeawayCount: 4 } : undefined });
+
+// Form state for a record: voice profile lists are edited as comma-separated text
+const toDraft = (template) => (template.kind === 'voice'
+  ? { ...template, glossary: template.glossary.join(', '), forbiddenWords: template.forbiddenWords.join(', ') }
+  : { ...template });
+
+// Pick the prompt templates and voice profile a conversion uses, and edit them through
+// /api/templates. `selection` is { cleaning?, seo?, article?, voice? } template IDs; an empty
+// entry means the built-in prompt (or no voice profile).
+const TemplatePanel = ({ selection, onChange, disabled }) => {
+  const [templates, setTemplates] = useState([]);
+  const [variables, setVariables] = useState({});
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [editorKind, setEditorKind] = useState('voice');
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await fetch('/api/templates');
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load templates');
+      }
+      const data = await response.json();
+      setTemplates(data.templates);
+      setVariables(data.variables);
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  // Drop selected templates that no longer exist (deleted here or on another machine)
+  useEffect(() => {
+    if (templates.length === 0) return;
+    const stale = Object.keys(selection).filter(kind => selection[kind] && !templates.some(template => template.id === selection[kind]));
+    if (stale.length > 0) {
+      onChange(Object.fromEntries(Object.entries(selection).filter(([kind]) => !stale.includes(kind))));
+    }
+  }, [templates, selection, onChange]);
+
+  const ofKind = (kind) => templates.filter(template => template.kind === kind);
+
+  const select = (kind, id) => onChange({ ...selection, [kind]: id || undefined });
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const updateSetting = (field, value) => setDraft(prev => ({ ...prev, settings: { ...prev.settings, [field]: Number(value) } }));
+
+  const saveDraft = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch(draft.id ? `/api/templates/${draft.id}` : '/api/templates', {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(draft)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save template');
+      }
+
+      const saved = await response.json();
+      setDraft(toDraft(saved));
+      await loadTemplates();
+      select(saved.kind, saved.id);
+    } catch (error) {
+      console.error('Error saving template:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteDraft = async () => {
+    if (!window.confirm(`Delete "${draft.name}"?`)) return;
+    try {
+      const response = await fetch(`/api/templates/${draft.id}`, { method: 'DELETE' });
+      if (!response.ok && response.status !== 404) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete template');
+      }
+      setDraft(null);
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const copyDraft = () => {
+    const { id, builtIn, createdAt, updatedAt, ...fields } = draft;
+    setDraft({ ...fields, name: `${draft.name} (copy)` });
+  };
+
+  const readOnly = !!draft?.builtIn;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-cyan-300">
+          Prompts &amp; Voice
+        </label>
+        <button
+          type="button"
+          onClick={() => setEditorOpen(open => !open)}
+          className="text-xs text-cyan-400 hover:text-cyan-200 flex items-center gap-1"
+        >
+          <Settings2 className="h-3 w-3" />
+          {editorOpen ? 'Close editor' : 'Edit templates'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {KINDS.map(kind => (
+          <div key={kind.id}>
+            <span className="block text-xs text-gray-400 mb-1">{kind.label}</span>
+            <select
+              value={selection[kind.id] || ''}
+              onChange={(e) => select(kind.id, e.target.value)}
+              disabled={disabled}
+              className={inputClass}
+            >
+              {kind.id === 'voice' && <option value="">No voice profile</option>}
+              {ofKind(kind.id).map(template => (
+                <option key={template.id} value={template.builtIn ? '' : template.id}>
+                  {template.name}{template.settings ? ` (${template.settings.faqCount} FAQs, ${template.settings.takeawayCount} takeaways)` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      {editorOpen && (
+        <div className="mt-3 p-3 bg-gray-800/60 border border-cyan-500/30 rounded-md space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {KINDS.map(kind => (
+              <button
+                key={kind.id}
+                type="button"
+                onClick={() => { setEditorKind(kind.id); setDraft(null); }}
+                className={`px-2 py-1 rounded text-xs ${editorKind === kind.id ? 'bg-cyan-600 text-white' : 'bg-gray-800 text-cyan-300 hover:bg-gray-700'}`}
+              >
+                {kind.label}s
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {ofKind(editorKind).map(template => (
+              <button
+                key={template.id}
+                type="button"
+                onClick={() => setDraft(toDraft(template))}
+                className={`px-2 py-1 rounded border text-xs ${draft?.id === template.id ? 'border-cyan-400 text-cyan-100' : 'border-gray-600 text-gray-300 hover:border-cyan-500'}`}
+              >
+                {template.name}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={() => setDraft(blankDraft(editorKind))}
+              className="px-2 py-1 rounded border border-dashed border-cyan-500/50 text-xs text-cyan-300 hover:bg-gray-700 flex items-center gap-1"
+            >
+              <Plus className="h-3 w-3" />
+              New
+            </button>
+          </div>
+
+          {draft && (
+            <div className="space-y-2">
+              {readOnly && (
+                <p className="text-xs text-yellow-300">Built-in templates are read-only. Copy this one to change it.</p>
+              )}
+              <input
+                value={draft.name}
+                onChange={(e) => updateDraft('name', e.target.value)}
+                placeholder="Name, e.g. the client"
+                readOnly={readOnly}
+                className={inputClass}
+              />
+
+              {draft.kind === 'voice' ? (
+                <>
+                  <input value={draft.brandName} onChange={(e) => updateDraft('brandName', e.target.value)} placeholder="Brand name" className={inputClass} />
+                  <input value={draft.tone} onChange={(e) => updateDraft('tone', e.target.value)} placeholder="Tone, e.g. plain and friendly, no hype" className={inputClass} />
+                  <textarea value={draft.glossary} onChange={(e) => updateDraft('glossary', e.target.value)} placeholder="Glossary: product and people names spelled exactly, comma-separated" rows={2} className={inputClass} />
+                  <textarea value={draft.forbiddenWords} onChange={(e) => updateDraft('forbiddenWords', e.target.value)} placeholder="Forbidden words or phrases, comma-separated" rows={2} className={inputClass} />
+                </>
+              ) : (
+                <>
+                  <textarea
+                    value={draft.system}
+                    onChange={(e) => updateDraft('system', e.target.value)}
+                    placeholder="System prompt (optional)"
+                    rows={2}
+                    readOnly={readOnly}
+                    className={inputClass}
+                  />
+                  <textarea
+                    value={draft.prompt}
+                    onChange={(e) => updateDraft('prompt', e.target.value)}
+                    rows={12}
+                    readOnly={readOnly}
+                    className={`${inputClass} font-mono text-xs`}
+                  />
+                  {draft.kind === 'seo' && (
+                    <div className="grid grid-cols-2 gap-2">
+                      {[['faqCount', 'FAQs'], ['takeawayCount', 'Takeaways']].map(([field, label]) => (
+                        <label key={field} className="text-xs text-gray-400">
+                          {label}
+                          <input
+                            type="number"
+                            min={1}
+                            max={10}
+                            value={draft.settings[field]}
+                            onChange={(e) => updateSetting(field, e.target.value)}
+                            readOnly={readOnly}
+                            className={`${inputClass} mt-1`}
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-400">
+                    Variables: {(variables[draft.kind] || []).map(name => `{{${name}}}`).join(' ')}. Wrap text in {'{{#name}}...{{/name}}'} to keep it only when the variable is set.
+                  </p>
+                </>
+              )}
+
+              <div className="flex gap-2">
+                {readOnly ? (
+                  <button type="button" onClick={copyDraft} className="px-3 py-2 bg-cyan-600 text-white rounded-md hover:bg-cyan-500 flex items-center gap-2 text-sm">
+                    <Copy className="h-4 w-4" />
+                    Copy
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={saveDraft}
+                    disabled={saving}
+                    className="px-3 py-2 bg-cyan-600 text-white rounded-md hover:bg-cyan-500 disabled:opacity-50 flex items-center gap-2 text-sm"
+                  >
+                    {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                    Save
+                  </button>
+                )}
+                {draft.id && !readOnly && (
+                  <button type="button" onClick={deleteDraft} className="px-3 py-2 bg-gray-800 border border-red-500/50 text-red-400 rounded-md hover:bg-gray-700 flex items-center gap-2 text-sm">
+                    <Trash2 className="h-4 w-4" />
+                    Delete
+                  </button>
+                )}
+                <button type="button" onClick={() => setDraft(null)} className="px-3 py-2 text-gray-400 hover:text-gray-200 flex items-center gap-1 text-sm">
+                  <X className="h-4 w-4" />
+                  Close
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplatePanel;
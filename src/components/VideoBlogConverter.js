@@ -1,80 +1,175 @@
-import React, { useState } from 'react';
-import { Copy, Download, Video, FileText, Tag, MessageSquare, CheckCircle, Clock, XCircle, Loader2, X } from 'lucide-react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Copy, Download, Video, FileText, Tag, MessageSquare, CheckCircle, Clock, XCircle, Loader2, X, Upload, History, RefreshCw, ChevronDown, BookOpen, ShieldAlert } from 'lucide-react';
+import HistorySidebar from './HistorySidebar';
+import BatchPanel from './BatchPanel';
+import TemplatePanel from './TemplatePanel';
+import GlossaryReview from './GlossaryReview';
+import GroundingBadge from './GroundingBadge';
+import SpeakerPanel from './SpeakerPanel';
+import LanguagePanel from './LanguagePanel';
+import SocialPanel from './SocialPanel';
+import SeoAnalysisPanel from './SeoAnalysisPanel';
+import InternalLinksPanel from './InternalLinksPanel';
+import { parseTranscript, formatTimestamp, TRANSCRIPT_FORMAT_LABELS } from '../utils/transcriptParser';
+import { PROVIDERS, parseVideoUrl, videoUrlError, videoFromResults, timestampUrl } from '../shared/videoUrl';
+import { LANGUAGES } from '../shared/languages';
+
+// Character limits enforced by the server's SEO schema
+const SEO_LIMITS = {
+  seoTitle: 65,
+  metaDescription: 160
+};
+
+// Live "42/65" counter that turns red once the limit is exceeded
+const CharacterCounter = ({ value, limit }) => {
+  const length = (value || '').length;
+  return (
+    <span className={`text-xs font-mono ${length > limit ? 'text-red-400' : 'text-green-500'}`}>
+      {length}/{limit}
+    </span>
+  );
+};
+
+// Small "Regenerate" action shown next to editable sections and items
+const RegenerateButton = ({ onClick, busy, disabled, label, className = '' }) => (
+  <button
+    onClick={onClick}
+    disabled={busy || disabled}
+    title="Regenerate"
+    className={`flex items-center gap-1 text-xs disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 ${className}`}
+  >
+    <RefreshCw className={`h-4 w-4 ${busy ? 'animate-spin' : ''}`} />
+    {label}
+  </button>
+);
+
+// Warning over a FAQ or takeaway list when the transcript doesn't back some items up
+const UngroundedWarning = ({ grounding, noun }) => {
+  const count = (grounding || []).filter(item => item && item.status === 'ungrounded').length;
+  if (count === 0) return null;
+  return (
+    <div className="mb-4 p-3 rounded border border-red-500/50 bg-red-900/20 text-sm text-red-200 flex items-center gap-2">
+      <ShieldAlert className="h-4 w-4 shrink-0" />
+      {count} {noun}{count === 1 ? ' is' : 's are'} not supported by the transcript. Hover the red shields to see why, then edit or regenerate.
+    </div>
+  );
+};
+
+// File name stem shared by the thumbnail download and every export, so a bundle's files match
+const fileSlug = (title) => String(title || '').replace(/[^a-zA-Z0-9\s]/g, '-').replace(/\s+/g, '-');
+
+// Thumbnail served (and cached) by the server, which picks the best size YouTube has;
+// results without a video keep the URL they were saved with
+const thumbnailSrc = (results) => {
+  const video = videoFromResults(results);
+  if (!video) return results.thumbnailUrl;
+  return `/api/videos/${video.provider}/${video.id}/thumbnail${video.hash ? `?h=${video.hash}` : ''}`;
+};
+
+// Offer a blob to the user as a file download
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+
+  // Clean up
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+// File name from a download response's Content-Disposition header
+const attachmentName = (response, fallback) => (
+  (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || fallback
+);
+
+// Formats offered by the export menu, built server-side by /api/export/:format
+const EXPORT_OPTIONS = [
+  { format: 'markdown', label: 'Markdown with front matter (.md)' },
+  { format: 'html', label: 'Standalone HTML post (.html)' },
+  { format: 'docx', label: 'Word document for review (.docx)' },
+  { format: 'json', label: 'Raw JSON (.json)' },
+  { format: 'zip', label: 'Download all, with thumbnail (.zip)' }
+];
+
+// Static site generators supported by /api/export/ssg/:target
+const SSG_OPTIONS = [
+  { target: 'hugo', label: 'Hugo' },
+  { target: 'jekyll', label: 'Jekyll' },
+  { target: 'astro', label: 'Astro (MDX)' }
+];
+
+// localStorage key holding the running job's ID, so a page refresh can pick it up again
+const ACTIVE_JOB_KEY = 'videoBlogConverter.activeJob';
+// localStorage key holding the selected prompt templates and voice profile
+const TEMPLATES_KEY = 'videoBlogConverter.templates';
+// localStorage key holding the project glossary (terms cleaning must keep as written)
+const GLOSSARY_KEY = 'videoBlogConverter.glossary';
+// Streamed model output kept per step (or per chunk while cleaning) for the live preview
+const PREVIEW_CHARS = 2000;
 
 const VideoBlogConverter = () => {
   const [url, setUrl] = useState('');
   const [transcript, setTranscript] = useState('');
-  const [processing, setProcessing] = useState(false);
+  const [processing, setProcessing] = useState(() => !!window.localStorage.getItem(ACTIVE_JOB_KEY));
   const [processingStep, setProcessingStep] = useState('');
   const [processingSteps, setProcessingSteps] = useState([]);
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
   const [results, setResults] = useState(null);
+  // 'transcript' (cleaned transcript post), 'article' (full article draft) or 'both'
+  const [outputMode, setOutputMode] = useState('transcript');
+  // 'single' (one URL + transcript in this page) or 'batch' (several videos queued on the server)
+  const [inputMode, setInputMode] = useState('single');
+  // FAQ structured data: 'microdata', 'jsonld' or 'both' (built server-side from the FAQs)
+  const [schemaFormat, setSchemaFormat] = useState('microdata');
+  // { cleaning?, seo?, article?, voice? } template IDs; empty entries use the built-in prompts
+  const [templateSelection, setTemplateSelection] = useState(() => JSON.parse(window.localStorage.getItem(TEMPLATES_KEY) || '{}'));
+  // Comma-separated product names, people and jargon; checked against the cleaned transcript
+  const [glossary, setGlossary] = useState(() => window.localStorage.getItem(GLOSSARY_KEY) || '');
+  // Keyword the title and meta description target, and comma-separated secondary keywords
+  const [focusKeyword, setFocusKeyword] = useState('');
+  const [secondaryKeywords, setSecondaryKeywords] = useState('');
+  // Source language code ('' to detect it) and the codes to translate into
+  const [language, setLanguage] = useState('');
+  const [targetLanguages, setTargetLanguages] = useState([]);
+  // Language shown in the language panel and exported, and where hreflang links point
+  const [viewLanguage, setViewLanguage] = useState(null);
+  const [hreflangBaseUrl, setHreflangBaseUrl] = useState('');
+  // Whether the Formatted Transcript panel shows the glossary review instead of the editor
+  const [reviewingGlossary, setReviewingGlossary] = useState(false);
+  // Have the model double-check FAQs and takeaways against their quotes (an extra request)
+  const [judge, setJudge] = useState(false);
+  const [checkingSources, setCheckingSources] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  // Export format being built, or null
+  const [exporting, setExporting] = useState(null);
+  // Static site export: target generator and comma-separated tags for the front matter
+  const [ssgTarget, setSsgTarget] = useState('hugo');
+  const [ssgTags, setSsgTags] = useState('');
+  // Conversion history: the saved record being shown, and a counter that refreshes the sidebar
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [conversionId, setConversionId] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  // Section being regenerated: 'seoTitle', 'faqs', or 'faqs:2' for a single item
+  const [regenerating, setRegenerating] = useState(null);
+  // Server-side job being followed over Server-Sent Events, and its live model output
+  const [jobId, setJobId] = useState(() => window.localStorage.getItem(ACTIVE_JOB_KEY));
+  const [jobPreview, setJobPreview] = useState({ latest: null, text: {} });
+  // Results as last saved to history, so only real edits are written back
+  const savedResultsRef = useRef(null);
+  const schemaTimerRef = useRef(null);
+  const jobSourceRef = useRef(null);
+  const jobEventRef = useRef(null);
 
-  // Extract YouTube video ID from URL
-  const extractVideoId = (url) => {
-    const match = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\n?#]+)/);
-    return match ? match[1] : null;
-  };
-
-  // Clean transcript using AI
-  const formatTranscript = async (text) => {
-    if (!text) return '';
-    
-    try {
-      setProcessingStep('🤖 Cleaning transcript with AI...');
-      const response = await fetch('/api/clean-transcript', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ transcript: text })
-      });
-
-      if (!response.ok) {
-        console.error('Failed to clean transcript, using original');
-        return text;
-      }
-
-      const data = await response.json();
-      
-      // Log success
-      console.log('Transcript cleaned successfully');
-      
-      return data.cleanedTranscript || text;
-    } catch (error) {
-      console.error('Error cleaning transcript:', error);
-      return text;
-    }
-  };
-
-  // Generate content using backend API
-  const generateContent = async (transcript, videoTitle) => {
-    try {
-      const response = await fetch("/api/generate-content", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          transcript,
-          videoTitle
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to generate content');
-      }
-
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('Error generating content:', error);
-      throw new Error(error.message || 'Failed to generate content');
-    }
-  };
+  // SRT, WebVTT and YouTube pastes are detected as you type; timings are kept as segments
+  const parsedTranscript = useMemo(() => parseTranscript(transcript), [transcript]);
+  const parsedUrl = useMemo(() => parseVideoUrl(url), [url]);
 
-  const initializeProcessingSteps = () => {
+  // `jobSteps` ({ [id]: { status, description?, progress? } }) overlays a server job's state
+  const initializeProcessingSteps = (mode, jobSteps = {}, translating = targetLanguages.length > 0) => {
     const steps = [
       {
         id: 'validate',
@@ -85,7 +180,7 @@ const VideoBlogConverter = () => {
       {
         id: 'extract',
         title: 'Extracting Video Info',
-        description: 'Getting video ID and thumbnail information...',
+        description: 'Looking up the video title, channel and thumbnail...',
         status: 'pending'
       },
       {
@@ -100,6 +195,18 @@ const VideoBlogConverter = () => {
         description: 'Creating title, meta description, FAQs, and takeaways with ChatGPT...',
         status: 'pending'
       },
+      ...(mode !== 'transcript' ? [{
+        id: 'article',
+        title: 'Writing Blog Article',
+        description: 'Drafting intro, sections, pull quotes and conclusion with ChatGPT...',
+        status: 'pending'
+      }] : []),
+      ...(translating || jobSteps.translate ? [{
+        id: 'translate',
+        title: 'Translating',
+        description: 'Translating the transcript and SEO content...',
+        status: 'pending'
+      }] : []),
       {
         id: 'finalize',
         title: 'Finalizing Content',
@@ -107,15 +214,16 @@ const VideoBlogConverter = () => {
         status: 'pending'
       }
     ];
-    setProcessingSteps(steps);
-    setCurrentStepIndex(0);
+    const merged = steps.map(step => ({ ...step, ...jobSteps[step.id] }));
+    setProcessingSteps(merged);
+    setCurrentStepIndex(Math.max(0, merged.findIndex(step => step.status === 'active' || step.status === 'failed')));
   };
 
-  const updateStep = (stepId, status, description = null) => {
+  const updateStep = (stepId, status, description = null, progress = null) => {
     setProcessingSteps(prev => {
       const newSteps = prev.map(step => 
         step.id === stepId 
-          ? { ...step, status, ...(description && { description }) }
+          ? { ...step, status, ...(description && { description }), ...(progress && { progress }) }
           : step
       );
       
@@ -128,111 +236,391 @@ const VideoBlogConverter = () => {
     });
   };
 
+  // Stable so the batch panel can call it from an effect when a batch finishes
+  const refreshHistory = useCallback(() => setHistoryVersion(version => version + 1), []);
+
+  const selectTemplates = useCallback((selection) => {
+    window.localStorage.setItem(TEMPLATES_KEY, JSON.stringify(selection));
+    setTemplateSelection(selection);
+  }, []);
+
+  const changeGlossary = (value) => {
+    window.localStorage.setItem(GLOSSARY_KEY, value);
+    setGlossary(value);
+  };
+
+  const closeProcessing = () => {
+    setProcessing(false);
+    setProcessingStep('');
+    setProcessingSteps([]);
+    setCurrentStepIndex(0);
+    setJobPreview({ latest: null, text: {} });
+  };
+
+  // Stop following the job; the modal is closed separately so the last state stays visible
+  const stopFollowingJob = () => {
+    if (jobSourceRef.current) jobSourceRef.current.close();
+    jobSourceRef.current = null;
+    window.localStorage.removeItem(ACTIVE_JOB_KEY);
+    setJobId(null);
+  };
+
+  const finishJob = (jobResults, savedId) => {
+    stopFollowingJob();
+    savedResultsRef.current = jobResults;
+    setResults(jobResults);
+    setViewLanguage(jobResults.language?.code || null);
+    // Open the review straight away when cleaning changed or dropped a glossary term
+    setReviewingGlossary((jobResults.glossaryIssues || []).some(issue => issue.type !== 'corrected'));
+    setConversionId(savedId);
+    refreshHistory();
+
+    // Small delay before closing modal
+    setTimeout(closeProcessing, 1000);
+  };
+
+  const failJob = (message) => {
+    stopFollowingJob();
+
+    // Show error after a delay
+    setTimeout(() => {
+      closeProcessing();
+      alert(`Error: ${message}`);
+    }, 1500);
+  };
+
+  // Events from /api/jobs/:id/events. Every (re)connect starts with a snapshot of the job.
+  const handleJobEvent = (event) => {
+    switch (event.type) {
+      case 'snapshot': {
+        const { job } = event;
+        setProcessing(true);
+        setUrl(current => current || job.url);
+        initializeProcessingSteps(job.outputMode, job.steps, false);
+        setJobPreview({ latest: Object.keys(job.preview).pop() || null, text: job.preview });
+        if (job.status === 'completed') {
+          finishJob(job.results, job.conversionId);
+        } else if (job.status === 'failed') {
+          failJob(job.error);
+        } else if (job.status === 'canceled') {
+          stopFollowingJob();
+          closeProcessing();
+        }
+        break;
+      }
+      case 'step':
+        updateStep(event.step, event.status, event.description, event.progress);
+        break;
+      case 'token': {
+        const key = event.chunk ? `${event.step}:${event.chunk}` : event.step;
+        setJobPreview(prev => ({
+          latest: key,
+          text: { ...prev.text, [key]: `${prev.text[key] || ''}${event.text}`.slice(-PREVIEW_CHARS) }
+        }));
+        break;
+      }
+      case 'result':
+        finishJob(event.results, event.conversionId);
+        break;
+      case 'error':
+        if (event.step) updateStep(event.step, 'failed', `Error: ${event.error}`);
+        failJob(event.error);
+        break;
+      case 'canceled':
+        stopFollowingJob();
+        closeProcessing();
+        break;
+      default:
+        break;
+    }
+  };
+  jobEventRef.current = handleJobEvent;
+
+  // Follow the active job. This also resumes a job that was running before a page refresh;
+  // the browser reconnects by itself after network blips.
+  useEffect(() => {
+    if (!jobId) return undefined;
+
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+    jobSourceRef.current = source;
+    source.onmessage = (message) => jobEventRef.current(JSON.parse(message.data));
+    source.onerror = () => {
+      // A closed stream means the server no longer knows the job (e.g. it restarted)
+      if (source.readyState === EventSource.CLOSED) {
+        jobEventRef.current({ type: 'error', error: 'The conversion is no longer running on the server' });
+      }
+    };
+
+    return () => source.close();
+  }, [jobId]);
+
   const handleProcess = async () => {
     if (!url || !transcript) {
       alert('Please provide both URL and transcript');
       return;
     }
+    if (videoUrlError(parsedUrl)) {
+      alert(videoUrlError(parsedUrl));
+      return;
+    }
 
     setProcessing(true);
-    initializeProcessingSteps();
+    setConversionId(null);
+    setJobPreview({ latest: null, text: {} });
+    initializeProcessingSteps(outputMode);
 
     try {
-      // Step 1: Validate
-      updateStep('validate', 'active');
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const videoId = extractVideoId(url);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-      updateStep('validate', 'completed');
-
-      // Step 2: Extract video info
-      updateStep('extract', 'active');
-      await new Promise(resolve => setTimeout(resolve, 300));
-      const videoTitle = `Video Content - ${videoId}`;
-      const thumbnailUrl = `https://img.youtube.com/vi/${videoId}/maxresdefault.jpg`;
-      updateStep('extract', 'completed');
-
-      // Step 3: Clean transcript
-      updateStep('clean', 'active', 'Processing transcript with ChatGPT...');
-      const formattedTranscript = await formatTranscript(transcript);
-      updateStep('clean', 'completed');
-
-      // Step 4: Generate content
-      updateStep('generate', 'active', 'Generating SEO content with ChatGPT...');
-      const generatedContent = await generateContent(formattedTranscript, videoTitle);
-      updateStep('generate', 'completed');
-
-      // Step 5: Finalize
-      updateStep('finalize', 'active');
-      await new Promise(resolve => setTimeout(resolve, 300));
-
-      setResults({
-        videoId,
-        formattedTranscript,
-        thumbnailUrl,
-        seoTitle: generatedContent.seoTitle,
-        metaDescription: generatedContent.metaDescription,
-        faqs: generatedContent.faqs,
-        keyTakeaways: generatedContent.keyTakeaways,
-        schemaMarkup: generatedContent.schemaMarkup || generateFAQSchema(generatedContent.faqs)
+      const response = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          url,
+          transcript: parsedTranscript.text,
+          rawTranscript: transcript,
+          segments: parsedTranscript.segments,
+          transcriptFormat: parsedTranscript.format,
+          outputMode,
+          schemaFormat,
+          templates: templateSelection,
+          glossary,
+          judge,
+          focusKeyword,
+          secondaryKeywords,
+          language: language || undefined,
+          languages: targetLanguages
+        })
       });
 
-      updateStep('finalize', 'completed');
-      
-      // Small delay before closing modal
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to start conversion');
+      }
+
+      const job = await response.json();
+      window.localStorage.setItem(ACTIVE_JOB_KEY, job.id);
+      setJobId(job.id);
+    } catch (error) {
+      console.error('Error starting conversion:', error);
+      updateStep('validate', 'failed', `Error: ${error.message}`);
+      failJob(error.message);
+    }
+  };
+
+  // Stop the job on the server; the in-flight model request is aborted there
+  const cancelJob = async () => {
+    try {
+      const response = await fetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+      if (!response.ok && response.status !== 404) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to cancel conversion');
+      }
+    } catch (error) {
+      console.error('Error canceling conversion:', error);
+    }
+    stopFollowingJob();
+    closeProcessing();
+  };
 
+  // Load a saved conversion back into the form and results
+  const openConversion = async (id) => {
+    try {
+      const response = await fetch(`/api/conversions/${id}`);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to load conversion');
+      }
+
+      const conversion = await response.json();
+      setUrl(conversion.url);
+      setTranscript(conversion.rawTranscript);
+      setOutputMode(conversion.results.outputMode || 'transcript');
+      setSchemaFormat(conversion.results.schemaFormat || 'microdata');
+      savedResultsRef.current = conversion.results;
+      setResults(conversion.results);
+      setViewLanguage(conversion.results.language?.code || null);
+      setReviewingGlossary(false);
+      setConversionId(conversion.id);
+      setHistoryOpen(false);
     } catch (error) {
-      // Mark current step as failed
-      setProcessingSteps(prev => {
-        const currentStep = prev[currentStepIndex];
-        if (currentStep) {
-          return prev.map(step => 
-            step.id === currentStep.id 
-              ? { ...step, status: 'failed', description: `Error: ${error.message}` }
-              : step
-          );
+      console.error('Error loading conversion:', error);
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  // Persist edits to the saved conversion a moment after the last change
+  useEffect(() => {
+    if (!conversionId || !results || results === savedResultsRef.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/conversions/${conversionId}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ results })
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || 'Failed to save edits');
         }
-        return prev;
+        savedResultsRef.current = results;
+      } catch (error) {
+        console.error('Error saving edits:', error);
+      }
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [results, conversionId]);
+
+  const updateResults = (patch) => setResults(prev => ({ ...prev, ...patch }));
+
+  // FAQ edits rebuild the schema markup once typing pauses
+  const updateFaqs = (faqs) => {
+    updateResults({ faqs });
+    clearTimeout(schemaTimerRef.current);
+    schemaTimerRef.current = setTimeout(() => rebuildFAQSchema(faqs, results.schemaFormat || schemaFormat), 500);
+  };
+
+  // An edited answer or takeaway has to be checked against the transcript again
+  const clearGrounding = (section, index) => {
+    if (!results.grounding?.[section]) return;
+    updateResults({ grounding: { ...results.grounding, [section]: results.grounding[section].map((item, i) => (i === index ? null : item)) } });
+  };
+
+  const editFaq = (index, field, value) => {
+    updateFaqs(results.faqs.map((faq, i) => (i === index ? { ...faq, [field]: value } : faq)));
+    if (field === 'answer') clearGrounding('faqs', index);
+  };
+
+  const editTakeaway = (index, value) => {
+    updateResults({ keyTakeaways: results.keyTakeaways.map((item, i) => (i === index ? value : item)) });
+    clearGrounding('keyTakeaways', index);
+  };
+
+  // Check the current FAQs and takeaways against the transcript again
+  const checkSources = async () => {
+    setCheckingSources(true);
+    try {
+      const response = await fetch('/api/verify-grounding', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          transcript: results.formattedTranscript,
+          faqs: results.faqs,
+          keyTakeaways: results.keyTakeaways,
+          judge
+        })
       });
-      
-      // Show error after a delay
-      setTimeout(() => {
-        alert(`Error: ${error.message}`);
-      }, 1500);
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to check sources');
+      }
+
+      const grounding = await response.json();
+      updateResults({ grounding });
+    } catch (error) {
+      console.error('Error checking sources:', error);
+      alert(`Error: ${error.message}`);
     } finally {
-      setTimeout(() => {
-        setProcessing(false);
-        setProcessingStep('');
-        setProcessingSteps([]);
-        setCurrentStepIndex(0);
-      }, 1500);
+      setCheckingSources(false);
     }
   };
 
-  // Generate FAQ Schema markup
-  const generateFAQSchema = (faqs) => {
-    const schema = {
-      "@context": "https://schema.org",
-      "@type": "FAQPage",
-      "mainEntity": faqs.map(faq => ({
-        "@type": "Question",
-        "name": faq.question,
-        "acceptedAnswer": {
-          "@type": "Answer",
-          "text": faq.answer
-        }
-      }))
-    };
+  // Ask the server for a new version of a section. With `index`, only that FAQ/takeaway is
+  // replaced and every other item is sent as one to keep.
+  const regenerateSection = async (section, index) => {
+    const items = results[section];
+    const keep = index === undefined || !Array.isArray(items) ? [] : items.map((_, i) => i).filter(i => i !== index);
+    setRegenerating(index === undefined ? section : `${section}:${index}`);
+
+    try {
+      const response = await fetch('/api/regenerate-section', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          transcript: results.formattedTranscript,
+          section,
+          keep,
+          schemaFormat: results.schemaFormat || schemaFormat,
+          language: results.language?.code,
+          focusKeyword: results.keywords?.focus,
+          secondaryKeywords: results.keywords?.secondary,
+          // The templates the results were made with, so counts and voice stay the same
+          templates: results.templates || templateSelection,
+          current: {
+            seoTitle: results.seoTitle,
+            metaDescription: results.metaDescription,
+            faqs: results.faqs,
+            keyTakeaways: results.keyTakeaways
+          }
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Failed to regenerate ${section}`);
+      }
+
+      const data = await response.json();
+      clearTimeout(schemaTimerRef.current);
+      setResults(prev => ({ ...prev, ...data, grounding: { ...prev.grounding, ...data.grounding } }));
+    } catch (error) {
+      console.error('Error regenerating section:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setRegenerating(null);
+    }
+  };
+
+  // Rebuild the FAQ markup on the server, e.g. after switching between microdata and JSON-LD
+  const rebuildFAQSchema = async (faqs, format) => {
+    try {
+      const response = await fetch('/api/faq-schema', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ faqs, format, language: results.language?.code })
+      });
 
-    return `<script type="application/ld+json">
-${JSON.stringify(schema, null, 2)}
-</script>`;
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to build FAQ schema');
+      }
+
+      const data = await response.json();
+      setResults(prev => ({ ...prev, schemaMarkup: data.schemaMarkup, schemaFormat: data.schemaFormat }));
+    } catch (error) {
+      console.error('Error building FAQ schema:', error);
+      alert(`Error: ${error.message}`);
+    }
   };
 
+  const handleSchemaFormatChange = (format) => {
+    setSchemaFormat(format);
+    if (results) {
+      rebuildFAQSchema(results.faqs, format);
+    }
+  };
+
+  // Deep link to a moment in the video, in the provider's own syntax
+  const chapterLink = (seconds) => {
+    const video = videoFromResults(results);
+    return video ? timestampUrl(video, seconds) : '#';
+  };
+
+  // Chapter list in the format YouTube expects in a video description
+  const chaptersToText = (chapters) => chapters.map(chapter => `${chapter.timestamp} ${chapter.title}`).join('\n');
+
   const [copiedStates, setCopiedStates] = useState({});
 
   const copyToClipboard = (text, buttonId) => {
@@ -248,22 +636,11 @@ ${JSON.stringify(schema, null, 2)}
     
     try {
       // Fetch the image as a blob
-      const response = await fetch(results.thumbnailUrl);
+      const response = await fetch(thumbnailSrc(results));
       if (!response.ok) throw new Error('Failed to fetch image');
       
       const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      
-      // Create download link
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `${results.seoTitle.replace(/[^a-zA-Z0-9\s]/g, '-').replace(/\s+/g, '-')}.jpg`;
-      document.body.appendChild(link);
-      link.click();
-      
-      // Clean up
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      saveBlob(blob, `${fileSlug(results.seoTitle)}.jpg`);
     } catch (error) {
       console.error('Error downloading thumbnail:', error);
       // Fallback to opening in new tab if download fails
@@ -271,7 +648,130 @@ ${JSON.stringify(schema, null, 2)}
     }
   };
 
+  // With translations, exports are in the language picked in the language panel and link to the others
+  const exportLanguage = results?.translations && Object.keys(results.translations).length > 0
+    ? { language: viewLanguage || undefined, baseUrl: hreflangBaseUrl.trim() || undefined }
+    : {};
+
+  // Toggle a language to translate into
+  const toggleTargetLanguage = (code) => setTargetLanguages(prev => (
+    prev.includes(code) ? prev.filter(other => other !== code) : [...prev, code]
+  ));
+
+  // Download the current results in one of EXPORT_OPTIONS' formats; files are named like the thumbnail
+  const exportResults = async (format) => {
+    if (!results) return;
+
+    setExportMenuOpen(false);
+    setExporting(format);
+    try {
+      const response = await fetch(`/api/export/${format}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ results, url, slug: fileSlug(results.seoTitle), ...exportLanguage })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to export');
+      }
+
+      saveBlob(await response.blob(), attachmentName(response, `${fileSlug(results.seoTitle)}.${format}`));
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Download the post for a static site generator, alone or as a ZIP laid out like the site's content directory
+  const exportToStaticSite = async (output) => {
+    if (!results) return;
+
+    setExporting(`ssg:${output}`);
+    try {
+      const response = await fetch(`/api/export/ssg/${ssgTarget}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          results,
+          url,
+          tags: ssgTags.split(',').map(tag => tag.trim()).filter(Boolean),
+          output
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to export');
+      }
+
+      saveBlob(await response.blob(), attachmentName(response, `${fileSlug(results.seoTitle)}.${output === 'zip' ? 'zip' : 'md'}`));
+    } catch (error) {
+      console.error('Error exporting static site post:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Create a WordPress draft from the current results; the server builds the blocks and uploads the thumbnail
+  const publishToWordPress = async () => {
+    if (!results) return;
+
+    setPublishing(true);
+    try {
+      const response = await fetch('/api/publish/wordpress', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          seoTitle: results.seoTitle,
+          metaDescription: results.metaDescription,
+          formattedTranscript: results.formattedTranscript,
+          keyTakeaways: results.keyTakeaways,
+          faqs: results.faqs,
+          schemaFormat: results.schemaFormat,
+          provider: results.provider,
+          videoId: results.videoId,
+          videoUrl: results.videoUrl
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to publish to WordPress');
+      }
+
+      const draft = await response.json();
+      setResults(prev => ({ ...prev, wordpressDraft: draft }));
+    } catch (error) {
+      console.error('Error publishing to WordPress:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
   // Processing Modal Component
+  // "Re-check Sources" for the FAQ and takeaway sections; `className` sets the section's colours
+  const CheckSourcesButton = ({ className }) => (
+    <button
+      onClick={checkSources}
+      disabled={checkingSources}
+      className={`px-4 py-2 border rounded-md hover:bg-gray-700 flex items-center gap-2 text-xs disabled:opacity-50 transition-all duration-300 ${className}`}
+    >
+      {checkingSources ? <Loader2 className="h-4 w-4 animate-spin" /> : <ShieldAlert className="h-4 w-4" />}
+      Re-check Sources
+    </button>
+  );
+
   const ProcessingModal = () => {
     if (!processing) return null;
 
@@ -293,6 +793,13 @@ ${JSON.stringify(schema, null, 2)}
       return (completedSteps / processingSteps.length) * 100;
     };
 
+    // Model output for the running step as it streams in
+    const activeStep = processingSteps[currentStepIndex];
+    const previewKey = jobPreview.latest;
+    const livePreview = activeStep && activeStep.status === 'active' && previewKey && previewKey.split(':')[0] === activeStep.id
+      ? jobPreview.text[previewKey].slice(-400)
+      : '';
+
     return (
       <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50">
         <div className="bg-gray-900 rounded-lg p-8 max-w-md w-full mx-4 border border-cyan-500/50" style={{boxShadow: '0 0 50px rgba(6, 182, 212, 0.4)'}}>
@@ -340,6 +847,14 @@ ${JSON.stringify(schema, null, 2)}
                   <p className="text-xs text-gray-400 mt-1">
                     {step.description}
                   </p>
+                  {step.progress && step.progress.total > 1 && (
+                    <div className="w-full bg-gray-700 rounded-full h-1 mt-2">
+                      <div
+                        className="bg-cyan-400 h-1 rounded-full transition-all duration-300"
+                        style={{ width: `${(step.progress.current / step.progress.total) * 100}%` }}
+                      ></div>
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
@@ -354,8 +869,23 @@ ${JSON.stringify(schema, null, 2)}
                   {processingSteps.find(step => step.status === 'active')?.title || 'Initializing...'}
                 </span>
               </div>
+              {livePreview && (
+                <pre className="mt-3 max-h-32 overflow-hidden text-xs text-cyan-200/80 whitespace-pre-wrap break-words font-mono">
+                  {livePreview}
+                </pre>
+              )}
             </div>
           )}
+
+          {jobId && (
+            <button
+              onClick={cancelJob}
+              className="mt-4 w-full px-3 py-2 bg-gray-800 border border-red-500/50 text-red-300 rounded-md hover:bg-gray-700 flex items-center justify-center gap-2 text-sm transition-all duration-300"
+            >
+              <X className="h-4 w-4" />
+              Cancel
+            </button>
+          )}
         </div>
       </div>
     );
@@ -364,7 +894,14 @@ ${JSON.stringify(schema, null, 2)}
   return (
     <div className="min-h-screen bg-black py-8" style={{background: 'linear-gradient(135deg, #0a0a0a 0%, #1a1a2e 50%, #16213e 100%)'}}>
       <div className="max-w-4xl mx-auto px-4">
-        <div className="bg-gray-900 rounded-lg shadow-2xl p-6 border border-cyan-500/30" style={{boxShadow: '0 0 30px rgba(6, 182, 212, 0.3)'}}>
+        <div className="relative bg-gray-900 rounded-lg shadow-2xl p-6 border border-cyan-500/30" style={{boxShadow: '0 0 30px rgba(6, 182, 212, 0.3)'}}>
+          <button
+            onClick={() => setHistoryOpen(true)}
+            className="absolute top-4 left-4 px-3 py-2 bg-gray-800 border border-cyan-500/50 text-cyan-300 rounded-md hover:bg-gray-700 flex items-center gap-2 text-sm transition-all duration-300"
+          >
+            <History className="h-4 w-4" />
+            History
+          </button>
           <div className="text-center mb-8">
             <Video className="mx-auto h-12 w-12 text-cyan-400 mb-4" style={{filter: 'drop-shadow(0 0 10px rgba(6, 182, 212, 0.8))'}} />
             <h1 className="text-3xl font-bold text-cyan-100 mb-2" style={{textShadow: '0 0 20px rgba(6, 182, 212, 0.5)'}}>Video to Blog Converter</h1>
@@ -372,56 +909,259 @@ ${JSON.stringify(schema, null, 2)}
           </div>
 
           <div className="space-y-6">
+            <div className="grid grid-cols-2 gap-2 p-1 bg-gray-800 rounded-md border border-cyan-500/30">
+              {[
+                { id: 'single', label: 'Single Video' },
+                { id: 'batch', label: 'Batch' }
+              ].map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setInputMode(option.id)}
+                  className={`py-2 rounded text-sm transition-all duration-300 ${
+                    inputMode === option.id ? 'bg-cyan-600 text-white' : 'text-cyan-300 hover:bg-gray-700'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {inputMode === 'single' && (
+              <>
+              <div>
+                <label className="block text-sm font-medium text-cyan-300 mb-2">
+                  Video URL
+                </label>
+                <input
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="YouTube, Vimeo or Loom link"
+                  className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600"
+                  style={{boxShadow: 'inset 0 0 10px rgba(6, 182, 212, 0.1)'}}
+                />
+                {url.trim() && (
+                  <p className={`text-xs mt-2 ${parsedUrl?.kind === 'video' ? 'text-cyan-400' : 'text-yellow-300'}`}>
+                    {parsedUrl?.kind === 'video'
+                      ? `${PROVIDERS[parsedUrl.provider].label} video ${parsedUrl.id}`
+                      : parsedUrl
+                        ? 'This is a playlist - switch to Batch to add one row per video.'
+                        : videoUrlError(parsedUrl)}
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-cyan-300 mb-2">
+                  Video Transcript
+                </label>
+                <textarea
+                  value={transcript}
+                  onChange={(e) => setTranscript(e.target.value)}
+                  placeholder="Paste your video transcript here (plain text, SRT, WebVTT or YouTube's Show transcript)..."
+                  rows={10}
+                  className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600"
+                  style={{boxShadow: 'inset 0 0 10px rgba(6, 182, 212, 0.1)'}}
+                />
+                {parsedTranscript.format !== 'plain' && (
+                  <p className="text-xs text-cyan-400 mt-2 flex items-center gap-1">
+                    <Clock className="h-3 w-3" />
+                    Detected {TRANSCRIPT_FORMAT_LABELS[parsedTranscript.format]}: {parsedTranscript.segments.length} timed segments
+                    {' '}({formatTimestamp(parsedTranscript.duration)}). Timestamps will be removed from the text and kept for chapters.
+                  </p>
+                )}
+              </div>
+              </>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-cyan-300 mb-2">
-                YouTube URL
+                Output
               </label>
-              <input
-                type="url"
-                value={url}
-                onChange={(e) => setUrl(e.target.value)}
-                placeholder="https://www.youtube.com/watch?v=..."
-                className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600"
-                style={{boxShadow: 'inset 0 0 10px rgba(6, 182, 212, 0.1)'}}
-              />
+              <div className="grid grid-cols-3 gap-2">
+                {[
+                  { id: 'transcript', label: 'Transcript post' },
+                  { id: 'article', label: 'Article' },
+                  { id: 'both', label: 'Both' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => setOutputMode(option.id)}
+                    disabled={processing}
+                    className={`px-3 py-2 rounded-md border text-sm transition-all duration-300 ${
+                      outputMode === option.id
+                        ? 'bg-cyan-600 border-cyan-400 text-white'
+                        : 'bg-gray-800 border-cyan-500/50 text-cyan-300 hover:bg-gray-700'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-cyan-300 mb-2">
+                Language
+              </label>
+              <select
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                disabled={processing}
+                className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 text-sm"
+              >
+                <option value="">Detect from the transcript</option>
+                {Object.entries(LANGUAGES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+              </select>
+              <p className="text-xs text-cyan-300 mt-3 mb-2">Also translate into</p>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(LANGUAGES).filter(([code]) => code !== language).map(([code, name]) => (
+                  <button
+                    key={code}
+                    type="button"
+                    onClick={() => toggleTargetLanguage(code)}
+                    disabled={processing}
+                    className={`px-2 py-1 rounded-md border text-xs transition-all duration-300 ${
+                      targetLanguages.includes(code)
+                        ? 'bg-cyan-600 border-cyan-400 text-white'
+                        : 'bg-gray-800 border-cyan-500/50 text-cyan-300 hover:bg-gray-700'
+                    }`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-cyan-300 mb-2">
+                  Focus Keyword
+                </label>
+                <input
+                  type="text"
+                  value={focusKeyword}
+                  onChange={(e) => setFocusKeyword(e.target.value)}
+                  placeholder="e.g. dispatch software (optional)"
+                  disabled={processing}
+                  className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600 text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-cyan-300 mb-2">
+                  Secondary Keywords
+                </label>
+                <input
+                  type="text"
+                  value={secondaryKeywords}
+                  onChange={(e) => setSecondaryKeywords(e.target.value)}
+                  placeholder="Comma-separated (optional)"
+                  disabled={processing}
+                  className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600 text-sm"
+                />
+              </div>
             </div>
 
+            <TemplatePanel
+              selection={templateSelection}
+              onChange={selectTemplates}
+              disabled={processing}
+            />
+
             <div>
               <label className="block text-sm font-medium text-cyan-300 mb-2">
-                Video Transcript
+                Glossary
               </label>
               <textarea
-                value={transcript}
-                onChange={(e) => setTranscript(e.target.value)}
-                placeholder="Paste your video transcript here..."
-                rows={10}
-                className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600"
-                style={{boxShadow: 'inset 0 0 10px rgba(6, 182, 212, 0.1)'}}
+                value={glossary}
+                onChange={(e) => changeGlossary(e.target.value)}
+                placeholder="Product names, people and jargon to keep exactly as written, comma-separated"
+                rows={2}
+                disabled={processing}
+                className="w-full px-3 py-2 bg-gray-800 border border-cyan-500/50 rounded-md focus:outline-none focus:ring-2 focus:ring-cyan-400 text-cyan-100 placeholder-cyan-600 text-sm"
               />
+              <p className="text-xs text-gray-400 mt-1">
+                Added to the voice profile's glossary. Terms cleaning changed are corrected or flagged for review.
+              </p>
             </div>
 
-            <button
-              onClick={handleProcess}
-              disabled={processing}
-              className="w-full bg-gradient-to-r from-cyan-600 to-blue-600 text-white py-3 px-4 rounded-md hover:from-cyan-500 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 transition-all duration-300"
-              style={{boxShadow: '0 0 20px rgba(6, 182, 212, 0.5)'}}
-            >
-              {processing ? (
-                <>
-                  <Loader2 className="h-5 w-5 animate-spin" />
-                  Processing...
-                </>
-              ) : (
-                <>
-                  <FileText className="h-5 w-5" />
-                  Convert to Blog Content
-                </>
-              )}
-            </button>
+            <label className="flex items-center gap-2 text-sm text-cyan-300">
+              <input
+                type="checkbox"
+                checked={judge}
+                onChange={(e) => setJudge(e.target.checked)}
+                disabled={processing}
+                className="accent-cyan-500"
+              />
+              Double-check FAQs and takeaways against the transcript with the model (one extra request)
+            </label>
+
+            {inputMode === 'batch' ? (
+              <BatchPanel
+                outputMode={outputMode}
+                schemaFormat={schemaFormat}
+                templates={templateSelection}
+                glossary={glossary}
+                judge={judge}
+                language={language}
+                languages={targetLanguages}
+                onOpen={openConversion}
+                onFinished={refreshHistory}
+              />
+            ) : (
+              <button
+                onClick={handleProcess}
+                disabled={processing}
+                className="w-full bg-gradient-to-r from-cyan-600 to-blue-600 text-white py-3 px-4 rounded-md hover:from-cyan-500 hover:to-blue-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 transition-all duration-300"
+                style={{boxShadow: '0 0 20px rgba(6, 182, 212, 0.5)'}}
+              >
+                {processing ? (
+                  <>
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                    Processing...
+                  </>
+                ) : (
+                  <>
+                    <FileText className="h-5 w-5" />
+                    Convert to Blog Content
+                  </>
+                )}
+              </button>
+            )}
           </div>
 
           {results && (
             <div className="mt-12 space-y-8">
+              {/* Export Menu */}
+              <div className="flex justify-end">
+                <div className="relative">
+                  <button
+                    onClick={() => setExportMenuOpen(open => !open)}
+                    disabled={!!exporting}
+                    className="px-4 py-2 bg-gray-800 border border-cyan-500/50 text-cyan-300 rounded-md hover:bg-gray-700 disabled:opacity-50 flex items-center gap-2 text-sm transition-all duration-300"
+                    style={{boxShadow: '0 0 10px rgba(6, 182, 212, 0.3)'}}
+                  >
+                    {exporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+                    {exporting ? 'Exporting...' : 'Export'}
+                    <ChevronDown className="h-4 w-4" />
+                  </button>
+                  {exportMenuOpen && (
+                    <div className="absolute right-0 mt-2 w-72 bg-gray-800 border border-cyan-500/50 rounded-md shadow-lg z-10 overflow-hidden">
+                      {EXPORT_OPTIONS.map(option => (
+                        <button
+                          key={option.format}
+                          onClick={() => exportResults(option.format)}
+                          className={`block w-full text-left px-4 py-2 text-sm text-cyan-100 hover:bg-gray-700 ${option.format === 'zip' ? 'border-t border-cyan-500/30' : ''}`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+
               {/* SEO Section */}
               <div className="bg-gray-800 p-6 rounded-lg border border-green-500/30" style={{boxShadow: '0 0 20px rgba(34, 197, 94, 0.2)'}}>
                 <h2 className="text-xl font-semibold text-green-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(34, 197, 94, 0.5)'}}>
@@ -431,13 +1171,25 @@ ${JSON.stringify(schema, null, 2)}
                 
                 <div className="space-y-4">
                   <div>
-                    <label className="block text-sm font-medium text-green-300 mb-1">SEO Title</label>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="block text-sm font-medium text-green-300">SEO Title</label>
+                      <div className="flex items-center gap-3">
+                        <RegenerateButton
+                          onClick={() => regenerateSection('seoTitle')}
+                          busy={regenerating === 'seoTitle'}
+                          disabled={!!regenerating}
+                          label="Regenerate"
+                          className="text-green-400 hover:text-green-300"
+                        />
+                        <CharacterCounter value={results.seoTitle} limit={SEO_LIMITS.seoTitle} />
+                      </div>
+                    </div>
                     <div className="flex gap-2">
                       <input
                         type="text"
                         value={results.seoTitle}
-                        readOnly
-                        className="flex-1 px-3 py-2 bg-gray-900 border border-green-500/50 rounded-md text-green-100"
+                        onChange={(e) => updateResults({ seoTitle: e.target.value })}
+                        className="flex-1 px-3 py-2 bg-gray-900 border border-green-500/50 rounded-md text-green-100 focus:outline-none focus:ring-2 focus:ring-green-400"
                       />
                       <button
                         onClick={() => copyToClipboard(results.seoTitle, 'seoTitle')}
@@ -451,13 +1203,25 @@ ${JSON.stringify(schema, null, 2)}
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-green-300 mb-1">Meta Description</label>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="block text-sm font-medium text-green-300">Meta Description</label>
+                      <div className="flex items-center gap-3">
+                        <RegenerateButton
+                          onClick={() => regenerateSection('metaDescription')}
+                          busy={regenerating === 'metaDescription'}
+                          disabled={!!regenerating}
+                          label="Regenerate"
+                          className="text-green-400 hover:text-green-300"
+                        />
+                        <CharacterCounter value={results.metaDescription} limit={SEO_LIMITS.metaDescription} />
+                      </div>
+                    </div>
                     <div className="flex gap-2">
                       <textarea
                         value={results.metaDescription}
-                        readOnly
+                        onChange={(e) => updateResults({ metaDescription: e.target.value })}
                         rows={2}
-                        className="flex-1 px-3 py-2 bg-gray-900 border border-green-500/50 rounded-md text-green-100"
+                        className="flex-1 px-3 py-2 bg-gray-900 border border-green-500/50 rounded-md text-green-100 focus:outline-none focus:ring-2 focus:ring-green-400"
                       />
                       <button
                         onClick={() => copyToClipboard(results.metaDescription, 'metaDescription')}
@@ -469,29 +1233,110 @@ ${JSON.stringify(schema, null, 2)}
                       </button>
                     </div>
                   </div>
+
+                  {results.repairs.length > 0 && (
+                    <div className="text-xs text-green-400/80 bg-gray-900 border border-green-500/20 rounded-md p-3">
+                      <p className="font-medium mb-1">Auto-repaired to meet SEO limits:</p>
+                      <ul className="list-disc list-inside space-y-0.5">
+                        {results.repairs.map((repair, index) => (
+                          <li key={index}>{repair.field}: {repair.action}{repair.detail ? ` (${repair.detail})` : ''}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <SeoAnalysisPanel results={results} limits={SEO_LIMITS} onChange={updateResults} />
                 </div>
               </div>
 
-              {/* Formatted Transcript */}
-              <div className="bg-gray-800 p-6 rounded-lg border border-blue-500/30" style={{boxShadow: '0 0 20px rgba(59, 130, 246, 0.2)'}}>
-                <h2 className="text-xl font-semibold text-blue-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(59, 130, 246, 0.5)'}}>
-                  <FileText className="h-5 w-5" style={{filter: 'drop-shadow(0 0 5px rgba(59, 130, 246, 0.8))'}} />
-                  Formatted Transcript
-                </h2>
-                <div className="flex gap-2 mb-4">
-                  <button
-                    onClick={() => copyToClipboard(results.formattedTranscript, 'transcript')}
-                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-500 flex items-center gap-2 transition-all duration-300"
-                    style={{boxShadow: '0 0 10px rgba(59, 130, 246, 0.4)'}}
-                  >
-                    <Copy className="h-4 w-4" />
-                    {copiedStates.transcript ? 'Text Copied!' : 'Copy Transcript'}
-                  </button>
+              {/* Article Draft */}
+              {results.article && (
+                <div className="bg-gray-800 p-6 rounded-lg border border-pink-500/30" style={{boxShadow: '0 0 20px rgba(236, 72, 153, 0.2)'}}>
+                  <h2 className="text-xl font-semibold text-pink-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(236, 72, 153, 0.5)'}}>
+                    <FileText className="h-5 w-5" style={{filter: 'drop-shadow(0 0 5px rgba(236, 72, 153, 0.8))'}} />
+                    Blog Article
+                  </h2>
+                  <div className="flex gap-2 mb-4">
+                    <button
+                      onClick={() => copyToClipboard(results.article.markdown, 'articleMarkdown')}
+                      className="px-4 py-2 bg-pink-600 text-white rounded-md hover:bg-pink-500 flex items-center gap-2 transition-all duration-300"
+                      style={{boxShadow: '0 0 10px rgba(236, 72, 153, 0.4)'}}
+                    >
+                      <Copy className="h-4 w-4" />
+                      {copiedStates.articleMarkdown ? 'Markdown Copied!' : 'Copy Markdown'}
+                    </button>
+                    <button
+                      onClick={() => copyToClipboard(results.article.html, 'articleHtml')}
+                      className="px-4 py-2 bg-pink-600 text-white rounded-md hover:bg-pink-500 flex items-center gap-2 transition-all duration-300"
+                      style={{boxShadow: '0 0 10px rgba(236, 72, 153, 0.4)'}}
+                    >
+                      <Copy className="h-4 w-4" />
+                      {copiedStates.articleHtml ? 'HTML Copied!' : 'Copy HTML'}
+                    </button>
+                  </div>
+                  <div className="bg-gray-900 p-4 rounded border border-pink-500/30 max-h-96 overflow-y-auto">
+                    <pre className="whitespace-pre-wrap text-sm text-pink-100">{results.article.markdown}</pre>
+                  </div>
                 </div>
-                <div className="bg-gray-900 p-4 rounded border border-blue-500/30 max-h-96 overflow-y-auto">
-                  <pre className="whitespace-pre-wrap text-sm text-blue-100">{results.formattedTranscript}</pre>
+              )}
+
+              {/* Languages */}
+              <LanguagePanel
+                results={results}
+                view={viewLanguage || results.language?.code || 'en'}
+                onView={setViewLanguage}
+                baseUrl={hreflangBaseUrl}
+                onBaseUrl={setHreflangBaseUrl}
+                onChange={updateResults}
+              />
+
+              {/* Speakers */}
+              {results.speakers?.length > 0 && (
+                <SpeakerPanel results={results} onChange={updateResults} />
+              )}
+
+              {/* Formatted Transcript */}
+              {results.outputMode !== 'article' && (
+                <div className="bg-gray-800 p-6 rounded-lg border border-blue-500/30" style={{boxShadow: '0 0 20px rgba(59, 130, 246, 0.2)'}}>
+                  <h2 className="text-xl font-semibold text-blue-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(59, 130, 246, 0.5)'}}>
+                    <FileText className="h-5 w-5" style={{filter: 'drop-shadow(0 0 5px rgba(59, 130, 246, 0.8))'}} />
+                    Formatted Transcript
+                  </h2>
+                  <div className="flex gap-2 mb-4">
+                    <button
+                      onClick={() => copyToClipboard(results.formattedTranscript, 'transcript')}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-500 flex items-center gap-2 transition-all duration-300"
+                      style={{boxShadow: '0 0 10px rgba(59, 130, 246, 0.4)'}}
+                    >
+                      <Copy className="h-4 w-4" />
+                      {copiedStates.transcript ? 'Text Copied!' : 'Copy Transcript'}
+                    </button>
+                    {results.glossaryIssues?.length > 0 && (
+                      <button
+                        onClick={() => setReviewingGlossary(reviewing => !reviewing)}
+                        className="px-4 py-2 bg-gray-900 border border-yellow-500/50 text-yellow-300 rounded-md hover:bg-gray-700 flex items-center gap-2 transition-all duration-300"
+                      >
+                        <BookOpen className="h-4 w-4" />
+                        {reviewingGlossary ? 'Back to Editing' : `Review Glossary (${results.glossaryIssues.length})`}
+                      </button>
+                    )}
+                  </div>
+                  {reviewingGlossary && results.glossaryIssues?.length > 0 ? (
+                    <GlossaryReview
+                      text={results.formattedTranscript}
+                      issues={results.glossaryIssues}
+                      onChange={updateResults}
+                    />
+                  ) : (
+                    <textarea
+                      value={results.formattedTranscript}
+                      onChange={(e) => updateResults({ formattedTranscript: e.target.value })}
+                      rows={16}
+                      className="w-full bg-gray-900 p-4 rounded border border-blue-500/30 text-sm text-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    />
+                  )}
                 </div>
-              </div>
+              )}
 
               {/* Key Takeaways */}
               <div className="bg-gray-800 p-6 rounded-lg border border-yellow-500/30" style={{boxShadow: '0 0 20px rgba(234, 179, 8, 0.2)'}}>
@@ -505,16 +1350,77 @@ ${JSON.stringify(schema, null, 2)}
                     <Copy className="h-4 w-4" />
                     {copiedStates.takeaways ? 'Text Copied!' : 'Copy All Takeaways'}
                   </button>
+                  <RegenerateButton
+                    onClick={() => regenerateSection('keyTakeaways')}
+                    busy={regenerating === 'keyTakeaways'}
+                    disabled={!!regenerating}
+                    label="Regenerate All"
+                    className="px-4 py-2 border border-yellow-500/50 rounded-md text-yellow-300 hover:bg-gray-700"
+                  />
+                  <CheckSourcesButton className="border-yellow-500/50 text-yellow-300" />
                 </div>
+                <UngroundedWarning grounding={results.grounding?.keyTakeaways} noun="takeaway" />
                 <div className="bg-gray-900 p-4 rounded border border-yellow-500/30">
-                  <ol className="list-decimal list-inside space-y-2">
+                  <ol className="space-y-2">
                     {results.keyTakeaways.map((takeaway, index) => (
-                      <li key={index} className="text-yellow-100">{takeaway}</li>
+                      <li key={index} className="flex items-start gap-2 text-yellow-100">
+                        <span className="pt-2 text-yellow-400">{index + 1}.</span>
+                        <textarea
+                          value={takeaway}
+                          onChange={(e) => editTakeaway(index, e.target.value)}
+                          rows={2}
+                          className="flex-1 px-2 py-1 bg-gray-900 border border-yellow-500/30 rounded-md text-yellow-100 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                        />
+                        {results.grounding?.keyTakeaways && <GroundingBadge grounding={results.grounding.keyTakeaways[index]} />}
+                        <RegenerateButton
+                          onClick={() => regenerateSection('keyTakeaways', index)}
+                          busy={regenerating === `keyTakeaways:${index}`}
+                          disabled={!!regenerating}
+                          className="pt-2 text-yellow-400 hover:text-yellow-300"
+                        />
+                      </li>
                     ))}
                   </ol>
                 </div>
               </div>
 
+              {/* YouTube Chapters */}
+              {results.chapters.length > 0 && (
+                <div className="bg-gray-800 p-6 rounded-lg border border-orange-500/30" style={{boxShadow: '0 0 20px rgba(249, 115, 22, 0.2)'}}>
+                  <h2 className="text-xl font-semibold text-orange-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(249, 115, 22, 0.5)'}}>
+                    <Clock className="h-5 w-5" style={{filter: 'drop-shadow(0 0 5px rgba(249, 115, 22, 0.8))'}} />
+                    YouTube Chapters
+                  </h2>
+                  <div className="flex gap-2 mb-4">
+                    <button
+                      onClick={() => copyToClipboard(chaptersToText(results.chapters), 'chapters')}
+                      className="px-4 py-2 bg-orange-600 text-white rounded-md hover:bg-orange-500 flex items-center gap-2 transition-all duration-300"
+                      style={{boxShadow: '0 0 10px rgba(249, 115, 22, 0.4)'}}
+                    >
+                      <Copy className="h-4 w-4" />
+                      {copiedStates.chapters ? 'Chapters Copied!' : 'Copy for YouTube Description'}
+                    </button>
+                  </div>
+                  <div className="bg-gray-900 p-4 rounded border border-orange-500/30">
+                    <ul className="space-y-2">
+                      {results.chapters.map((chapter, index) => (
+                        <li key={index} className="text-orange-100">
+                          <a
+                            href={chapterLink(chapter.start)}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="font-mono text-orange-300 hover:text-orange-200 underline mr-2"
+                          >
+                            {chapter.timestamp}
+                          </a>
+                          {chapter.title}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              )}
+
               {/* FAQs */}
               <div className="bg-gray-800 p-6 rounded-lg border border-purple-500/30" style={{boxShadow: '0 0 20px rgba(147, 51, 234, 0.2)'}}>
                 <h2 className="text-xl font-semibold text-purple-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(147, 51, 234, 0.5)'}}>
@@ -530,34 +1436,99 @@ ${JSON.stringify(schema, null, 2)}
                     <Copy className="h-4 w-4" />
                     {copiedStates.schema ? 'FAQ HTML Copied!' : 'Copy FAQ Section'}
                   </button>
+                  <RegenerateButton
+                    onClick={() => regenerateSection('faqs')}
+                    busy={regenerating === 'faqs'}
+                    disabled={!!regenerating}
+                    label="Regenerate All"
+                    className="px-4 py-2 border border-purple-500/50 rounded-md text-purple-300 hover:bg-gray-700"
+                  />
+                  <CheckSourcesButton className="border-purple-500/50 text-purple-300" />
                 </div>
-                
+                <UngroundedWarning grounding={results.grounding?.faqs} noun="answer" />
+
                 <div className="space-y-4">
                   {results.faqs.map((faq, index) => (
-                    <div key={index} className="bg-gray-900 p-4 rounded border border-purple-500/30">
-                      <h3 className="font-semibold text-purple-300 mb-2">Q: {faq.question}</h3>
-                      <p className="text-purple-100">A: {faq.answer}</p>
+                    <div key={index} className="bg-gray-900 p-4 rounded border border-purple-500/30 space-y-2">
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold text-purple-300">Q:</span>
+                        <input
+                          type="text"
+                          value={faq.question}
+                          onChange={(e) => editFaq(index, 'question', e.target.value)}
+                          className="flex-1 px-2 py-1 bg-gray-900 border border-purple-500/30 rounded-md font-semibold text-purple-300 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                        />
+                        <RegenerateButton
+                          onClick={() => regenerateSection('faqs', index)}
+                          busy={regenerating === `faqs:${index}`}
+                          disabled={!!regenerating}
+                          className="text-purple-400 hover:text-purple-300"
+                        />
+                      </div>
+                      <div className="flex items-start gap-2">
+                        <span className="pt-1 text-purple-100">A:</span>
+                        <textarea
+                          value={faq.answer}
+                          onChange={(e) => editFaq(index, 'answer', e.target.value)}
+                          rows={3}
+                          className="flex-1 px-2 py-1 bg-gray-900 border border-purple-500/30 rounded-md text-purple-100 focus:outline-none focus:ring-2 focus:ring-purple-400"
+                        />
+                        {results.grounding?.faqs && <GroundingBadge grounding={results.grounding.faqs[index]} />}
+                      </div>
                     </div>
                   ))}
                 </div>
 
                 <div className="mt-4">
-                  <label className="block text-sm font-medium text-purple-300 mb-2">FAQ Section with Schema Markup (Copy to WordPress HTML block)</label>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-purple-300">FAQ Section with Schema Markup (Copy to WordPress HTML block)</label>
+                    <select
+                      value={results.schemaFormat || schemaFormat}
+                      onChange={(e) => handleSchemaFormatChange(e.target.value)}
+                      className="px-2 py-1 bg-gray-900 border border-purple-500/50 rounded-md text-xs text-purple-100"
+                    >
+                      <option value="microdata">Microdata</option>
+                      <option value="jsonld">JSON-LD</option>
+                      <option value="both">Microdata + JSON-LD</option>
+                    </select>
+                  </div>
                   <textarea
                     value={results.schemaMarkup}
-                    readOnly
+                    onChange={(e) => updateResults({ schemaMarkup: e.target.value })}
                     rows={8}
                     className="w-full px-3 py-2 bg-gray-900 border border-purple-500/50 rounded-md text-xs font-mono text-purple-100"
                   />
                 </div>
               </div>
 
+              {/* Internal Links */}
+              <InternalLinksPanel results={results} onChange={updateResults} />
+
+              {/* Social Media Pack */}
+              <SocialPanel
+                results={results}
+                templates={results.templates || templateSelection}
+                onChange={updateResults}
+              />
+
               {/* Thumbnail Download */}
               <div className="bg-gray-800 p-6 rounded-lg border border-red-500/30" style={{boxShadow: '0 0 20px rgba(239, 68, 68, 0.2)'}}>
                 <h2 className="text-xl font-semibold text-red-400 mb-4" style={{textShadow: '0 0 10px rgba(239, 68, 68, 0.5)'}}>Video Thumbnail</h2>
+                {results.video?.title && (
+                  <div className="mb-4 text-sm">
+                    <p className="text-red-100 font-medium">{results.video.title}</p>
+                    <p className="text-red-300">
+                      {[
+                        results.video.channel,
+                        results.video.publishedAt && new Date(results.video.publishedAt).toLocaleDateString(),
+                        results.video.duration && formatTimestamp(results.video.duration)
+                      ].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                )}
                 <div className="flex items-center gap-4">
                   <img
-                    src={results.thumbnailUrl}
+                    src={thumbnailSrc(results)}
                     alt="Video thumbnail"
                     className="w-32 h-18 object-cover rounded border border-red-500/50"
                     style={{boxShadow: '0 0 10px rgba(239, 68, 68, 0.3)'}}
@@ -572,9 +1543,91 @@ ${JSON.stringify(schema, null, 2)}
                   </button>
                 </div>
                 <p className="text-sm text-red-300 mt-2">
-                  Filename: {results.seoTitle.replace(/[^a-zA-Z0-9]/g, '-')}.jpg
+                  Filename: {fileSlug(results.seoTitle)}.jpg
                 </p>
               </div>
+
+              {/* WordPress Publishing */}
+              <div className="bg-gray-800 p-6 rounded-lg border border-blue-500/30" style={{boxShadow: '0 0 20px rgba(59, 130, 246, 0.2)'}}>
+                <h2 className="text-xl font-semibold text-blue-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(59, 130, 246, 0.5)'}}>
+                  <Upload className="h-5 w-5" style={{filter: 'drop-shadow(0 0 5px rgba(59, 130, 246, 0.8))'}} />
+                  Publish to WordPress
+                </h2>
+                <p className="text-sm text-blue-300 mb-4">
+                  Creates a draft post with the transcript, key takeaways, FAQ schema, SEO title and meta description, and the thumbnail as featured image.
+                </p>
+                <button
+                  onClick={publishToWordPress}
+                  disabled={publishing}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 transition-all duration-300"
+                  style={{boxShadow: '0 0 10px rgba(59, 130, 246, 0.4)'}}
+                >
+                  {publishing ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+                  {publishing ? 'Publishing...' : results.wordpressDraft ? 'Publish Another Draft' : 'Create Draft Post'}
+                </button>
+                {results.wordpressDraft && (
+                  <div className="mt-4 text-sm text-blue-200 space-y-1">
+                    <p>
+                      Draft #{results.wordpressDraft.id} created.{' '}
+                      <a href={results.wordpressDraft.editLink} target="_blank" rel="noopener noreferrer" className="text-blue-400 underline hover:text-blue-300">
+                        Open in WordPress editor
+                      </a>
+                    </p>
+                    {results.wordpressDraft.warnings.map((warning, index) => (
+                      <p key={index} className="text-yellow-300">{warning}</p>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Static Site Export */}
+              <div className="bg-gray-800 p-6 rounded-lg border border-blue-500/30" style={{boxShadow: '0 0 20px rgba(59, 130, 246, 0.2)'}}>
+                <h2 className="text-xl font-semibold text-blue-400 mb-4 flex items-center gap-2" style={{textShadow: '0 0 10px rgba(59, 130, 246, 0.5)'}}>
+                  <FileText className="h-5 w-5" style={{filter: 'drop-shadow(0 0 5px rgba(59, 130, 246, 0.8))'}} />
+                  Static Site Export
+                </h2>
+                <p className="text-sm text-blue-300 mb-4">
+                  A Markdown post with front matter (title, description, date, slug, tags, video ID and FAQs), the framework's video embed and the cleaned transcript. The ZIP is laid out like the site's content directory, with the thumbnail and embed helper.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-blue-300 mb-2">Generator</label>
+                    <select
+                      value={ssgTarget}
+                      onChange={(e) => setSsgTarget(e.target.value)}
+                      className="w-full px-3 py-2 bg-gray-900 border border-blue-500/30 text-blue-100 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {SSG_OPTIONS.map(option => (
+                        <option key={option.target} value={option.target}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-blue-300 mb-2">Tags (comma-separated)</label>
+                    <input
+                      type="text"
+                      value={ssgTags}
+                      onChange={(e) => setSsgTags(e.target.value)}
+                      placeholder="webinar, dispatch"
+                      className="w-full px-3 py-2 bg-gray-900 border border-blue-500/30 text-blue-100 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  {[{ output: 'file', label: 'Download Post' }, { output: 'zip', label: 'Download ZIP' }].map(({ output, label }) => (
+                    <button
+                      key={output}
+                      onClick={() => exportToStaticSite(output)}
+                      disabled={!!exporting}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 transition-all duration-300"
+                      style={{boxShadow: '0 0 10px rgba(59, 130, 246, 0.4)'}}
+                    >
+                      {exporting === `ssg:${output}` ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
             </div>
           )}
         </div>
@@ -582,6 +1635,14 @@ ${JSON.stringify(schema, null, 2)}
       
       {/* Processing Modal */}
       <ProcessingModal />
+
+      <HistorySidebar
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        onOpen={openConversion}
+        activeId={conversionId}
+        refreshKey={historyVersion}
+      />
     </div>
   );
 };
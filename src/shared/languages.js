@@ -0,0 +1,37 @@
+// Languages the app can detect and translate into, shared by the React app (the language
+// switcher) and the server (detection, validation and prompts). Codes are ISO 639-1, as used
+// by hreflang, <html lang> and schema.org inLanguage. Plain CommonJS, like videoUrl.js.
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch',
+  pl: 'Polish',
+  sv: 'Swedish',
+  ru: 'Russian',
+  el: 'Greek',
+  ar: 'Arabic',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  th: 'Thai',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const isLanguage = (code) => Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+
+const languageName = (code) => (isLanguage(code) ? LANGUAGES[code] : code);
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isLanguage,
+  languageName
+};
@@ -0,0 +1,283 @@
+// On-page SEO analysis for a focus keyword, shared by the server (which adds it to generated
+// content) and the React app (which re-runs it as the title, meta description and FAQs are
+// edited). It is deterministic, like Yoast's checklist: every check is 'good', 'ok' or 'bad'
+// with a sentence saying why, and the score is the share of points earned. Plain CommonJS
+// without object spread or array destructuring, like videoUrl.js.
+//
+// A keyword "variant" is the keyword with different word endings (plurals, -ing, -ed), found by
+// a small English stemmer; other languages only match the keyword's exact words. Flesch Reading
+// Ease is calibrated for English, so readability is only scored for English content.
+
+const ANALYSIS_LIMITS = {
+  titleMin: 30,
+  titleMax: 65,
+  metaMin: 120,
+  metaMax: 160,
+  densityMin: 0.5,
+  densityMax: 2.5
+};
+
+const POINTS = { good: 2, ok: 1, bad: 0 };
+
+const MAX_SECONDARY_KEYWORDS = 10;
+const MAX_KEYWORD_LENGTH = 80;
+
+const wordsOf = (text) => String(text || '').toLowerCase().replace(/[’‘]/g, "'").match(/[\p{L}\p{N}]+(?:'\p{L}+)?/gu) || [];
+
+// Crude English stemmer: enough to tie "schedule", "schedules", "scheduled" and "scheduling"
+// (or "plan", "plans", "planned", "planning") to the same stem
+const stemOf = (word) => {
+  let stem = word.replace(/'s$/, '');
+  if (stem.length <= 3) return stem;
+  if (/ies$/.test(stem)) return `${stem.slice(0, -3)}y`;
+  if (/(?:ch|sh|x|z|ss)es$/.test(stem)) stem = stem.slice(0, -2);
+  else if (/ing$/.test(stem) && stem.length > 5) stem = stem.slice(0, -3);
+  else if (/ed$/.test(stem) && stem.length > 4) stem = stem.slice(0, -2);
+  else if (/[^su]s$/.test(stem)) stem = stem.slice(0, -1);
+  if (/([b-df-hj-km-np-rtv-z])\1$/.test(stem)) stem = stem.slice(0, -1);
+  return stem.length > 4 ? stem.replace(/e$/, '') : stem;
+};
+
+// Where the keyword occurs in `text`: { exact, variants: { phrase: count }, total, first, words },
+// with `first` the word position of the first occurrence (-1 when there is none) and `words`
+// the number of words in the text
+const findKeyword = (text, keyword, english) => {
+  const words = wordsOf(text);
+  const target = wordsOf(keyword);
+  const stem = english ? stemOf : (word) => word;
+  const targetStems = target.map(stem);
+  const found = { exact: 0, variants: {}, total: 0, first: -1, words: words.length };
+  if (target.length === 0) return found;
+
+  const stems = words.map(stem);
+  for (let i = 0; i + target.length <= words.length; i++) {
+    let matches = true;
+    for (let j = 0; j < target.length && matches; j++) {
+      matches = stems[i + j] === targetStems[j];
+    }
+    if (!matches) continue;
+
+    const phrase = words.slice(i, i + target.length).join(' ');
+    if (phrase === target.join(' ')) found.exact++;
+    else found.variants[phrase] = (found.variants[phrase] || 0) + 1;
+    found.total++;
+    if (found.first === -1) found.first = i;
+    i += target.length - 1;
+  }
+  return found;
+};
+
+const countSyllables = (word) => {
+  const groups = word.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+// Flesch Reading Ease (0-100, higher is easier) of English text, or null without words
+const fleschReadingEase = (text) => {
+  const words = wordsOf(text).filter(word => /\p{L}/u.test(word));
+  if (words.length === 0) return null;
+  const sentences = Math.max(1, (String(text).match(/[.!?]+(?:\s|$)/g) || []).length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+  return Math.round(Math.min(100, Math.max(0, score)));
+};
+
+const readabilityLabel = (score) => {
+  if (score >= 70) return 'easy';
+  if (score >= 60) return 'plain English';
+  if (score >= 50) return 'fairly difficult';
+  if (score >= 30) return 'difficult';
+  return 'very difficult';
+};
+
+// Section headers in the cleaned transcript (bold lines of their own) and the article's headings
+const headingsOf = (results) => {
+  const headings = [];
+  String(results.formattedTranscript || '').split('\n').forEach(line => {
+    const header = line.trim().match(/^\*\*([^*\n]+)\*\*$/);
+    if (header && !/:\s*$/.test(header[1])) headings.push(header[1].trim());
+  });
+  const article = results.article && results.article.article;
+  if (article) {
+    (article.sections || []).forEach(section => {
+      headings.push(section.heading);
+      (section.subsections || []).forEach(sub => headings.push(sub.heading));
+    });
+  }
+  return headings;
+};
+
+// The post's body text: the article and/or the transcript without speaker labels or headers
+const bodyOf = (results) => {
+  const parts = [];
+  const article = results.article && results.article.article;
+  if (article) {
+    parts.push(article.intro);
+    (article.sections || []).forEach(section => {
+      parts.push(section.body);
+      (section.subsections || []).forEach(sub => parts.push(sub.body));
+    });
+    parts.push(article.conclusion);
+  }
+  if (results.outputMode !== 'article') {
+    parts.push(String(results.formattedTranscript || '')
+      .replace(/^\*\*[^*\n]+\*\*[ \t]*$/gm, '')
+      .replace(/^\*\*[^*\n]{1,80}?(?::\*\*|\*\*:)/gm, ''));
+  }
+  return parts.filter(Boolean).join('\n\n');
+};
+
+const check = (id, status, text) => ({ id, status, text });
+
+const times = (count) => (count === 1 ? 'once' : `${count} times`);
+
+const lengthCheck = (id, label, value, min, max) => {
+  const length = String(value || '').length;
+  if (length === 0) return check(id, 'bad', `There is no ${label}.`);
+  if (length > max) return check(id, 'bad', `The ${label} is ${length} characters, over the ${max}-character limit, so search engines will cut it off.`);
+  if (length < min) return check(id, 'ok', `The ${label} is ${length} characters. Use at least ${min} to make the most of the space.`);
+  return check(id, 'good', `The ${label} is ${length} characters, a good length.`);
+};
+
+// The request's focus keyword and secondary keywords ("a, b" or ["a", "b"]). Returns
+// { keywords: { focus, secondary } } or { error }.
+const normalizeKeywords = (focusKeyword, secondaryKeywords) => {
+  if (focusKeyword !== undefined && focusKeyword !== null && typeof focusKeyword !== 'string') {
+    return { error: 'focusKeyword must be a string' };
+  }
+  if (secondaryKeywords !== undefined && secondaryKeywords !== null && typeof secondaryKeywords !== 'string' && !Array.isArray(secondaryKeywords)) {
+    return { error: 'secondaryKeywords must be a string or an array of keywords' };
+  }
+
+  const focus = String(focusKeyword || '').replace(/\s+/g, ' ').trim();
+  const seen = {};
+  const secondary = (Array.isArray(secondaryKeywords) ? secondaryKeywords : String(secondaryKeywords || '').split(','))
+    .map(keyword => String(keyword).replace(/\s+/g, ' ').trim())
+    .filter(keyword => {
+      const key = keyword.toLowerCase();
+      if (!keyword || key === focus.toLowerCase() || seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+
+  if (focus.length > MAX_KEYWORD_LENGTH || secondary.some(keyword => keyword.length > MAX_KEYWORD_LENGTH)) {
+    return { error: `Keywords must be at most ${MAX_KEYWORD_LENGTH} characters` };
+  }
+  if (secondary.length > MAX_SECONDARY_KEYWORDS) {
+    return { error: `At most ${MAX_SECONDARY_KEYWORDS} secondary keywords are allowed` };
+  }
+  return { keywords: { focus, secondary } };
+};
+
+// The checklist for `results` (seoTitle, metaDescription, faqs, keyTakeaways, formattedTranscript,
+// article, outputMode and language) and `keywords` ({ focus, secondary }). Returns
+// { score, rating, checks: [{ id, status, text }], density, variants: [phrase], readability }.
+// `limits` overrides ANALYSIS_LIMITS, e.g. with the SEO template's title and meta maximums.
+const analyzeSeo = (results, keywords, limits) => {
+  const max = Object.assign({}, ANALYSIS_LIMITS, limits || {});
+  const focus = (keywords && keywords.focus) || '';
+  const secondary = (keywords && keywords.secondary) || [];
+  const english = !results.language || !results.language.code || results.language.code === 'en';
+  const faqs = Array.isArray(results.faqs) ? results.faqs : [];
+  const headings = headingsOf(results);
+  const body = bodyOf(results);
+  const checks = [];
+  let density = null;
+  let variants = [];
+
+  if (!focus) {
+    checks.push(check('focusKeyword', 'bad', 'No focus keyword is set, so the keyword checks are skipped.'));
+  } else {
+    const inTitle = findKeyword(results.seoTitle, focus, english);
+    if (inTitle.exact > 0 && inTitle.first <= inTitle.words / 2) {
+      checks.push(check('keywordInTitle', 'good', 'The SEO title starts with the focus keyword.'));
+    } else if (inTitle.total > 0) {
+      checks.push(check('keywordInTitle', 'ok', 'The SEO title uses the focus keyword, but not word for word near the start.'));
+    } else {
+      checks.push(check('keywordInTitle', 'bad', 'The SEO title doesn\'t use the focus keyword.'));
+    }
+
+    const inMeta = findKeyword(results.metaDescription, focus, english);
+    if (inMeta.exact > 0) checks.push(check('keywordInMeta', 'good', 'The meta description uses the focus keyword.'));
+    else if (inMeta.total > 0) checks.push(check('keywordInMeta', 'ok', 'The meta description only uses a variant of the focus keyword.'));
+    else checks.push(check('keywordInMeta', 'bad', 'The meta description doesn\'t use the focus keyword.'));
+
+    const questions = faqs.filter(faq => findKeyword(faq.question, focus, english).total > 0).length;
+    const answers = faqs.filter(faq => findKeyword(faq.answer, focus, english).total > 0).length;
+    if (questions > 0) checks.push(check('keywordInFaqs', 'good', `${questions} of ${faqs.length} FAQ questions use the focus keyword.`));
+    else if (answers > 0) checks.push(check('keywordInFaqs', 'ok', `The focus keyword is only in FAQ answers (${answers} of ${faqs.length}). Use it in a question too.`));
+    else checks.push(check('keywordInFaqs', 'bad', 'No FAQ uses the focus keyword.'));
+
+    if (headings.length === 0) {
+      checks.push(check('keywordInHeadings', 'ok', 'There are no section headings to put the focus keyword in.'));
+    } else {
+      const inHeadings = headings.filter(heading => findKeyword(heading, focus, english).total > 0).length;
+      checks.push(inHeadings > 0
+        ? check('keywordInHeadings', 'good', headings.length === 1 ? 'The heading uses the focus keyword.' : `${inHeadings} of ${headings.length} headings use the focus keyword.`)
+        : check('keywordInHeadings', 'bad', headings.length === 1 ? 'The heading doesn\'t use the focus keyword.' : `None of the ${headings.length} headings use the focus keyword.`));
+    }
+
+    const inBody = findKeyword(body, focus, english);
+    density = inBody.words > 0 ? Math.round((inBody.total * wordsOf(focus).length / inBody.words) * 1000) / 10 : 0;
+    if (inBody.total === 0) {
+      checks.push(check('keywordDensity', 'bad', 'The focus keyword doesn\'t appear in the body text.'));
+    } else if (density > max.densityMax) {
+      checks.push(check('keywordDensity', 'bad', `The focus keyword makes up ${density}% of the text (${times(inBody.total)}), which reads as keyword stuffing. Aim for ${max.densityMin}-${max.densityMax}%.`));
+    } else if (density < max.densityMin) {
+      checks.push(check('keywordDensity', 'ok', `The focus keyword makes up ${density}% of the text (${times(inBody.total)}). Aim for ${max.densityMin}-${max.densityMax}%.`));
+    } else {
+      checks.push(check('keywordDensity', 'good', `The focus keyword makes up ${density}% of the text (${times(inBody.total)}).`));
+    }
+
+    const everything = [results.seoTitle, results.metaDescription]
+      .concat(faqs.map(faq => `${faq.question}\n${faq.answer}`), results.keyTakeaways || [], headings, [body])
+      .join('\n\n');
+    const all = findKeyword(everything, focus, english);
+    variants = Object.keys(all.variants);
+    if (variants.length >= 2) checks.push(check('keywordVariants', 'good', `${variants.length} variants of the focus keyword are used: ${variants.join(', ')}.`));
+    else if (variants.length === 1) checks.push(check('keywordVariants', 'ok', `One variant of the focus keyword is used (${variants[0]}). Work in another form for a more natural read.`));
+    else checks.push(check('keywordVariants', 'ok', 'Only the exact focus keyword is used. Plurals and other forms read more naturally.'));
+
+    if (secondary.length > 0) {
+      const missing = secondary.filter(keyword => findKeyword(everything, keyword, english).total === 0);
+      const used = secondary.length - missing.length;
+      if (missing.length === 0) checks.push(check('secondaryKeywords', 'good', `All ${secondary.length} secondary keywords are used.`));
+      else if (used > 0) checks.push(check('secondaryKeywords', 'ok', `${used} of ${secondary.length} secondary keywords are used. Missing: ${missing.join(', ')}.`));
+      else checks.push(check('secondaryKeywords', 'bad', 'None of the secondary keywords are used.'));
+    }
+  }
+
+  checks.push(lengthCheck('titleLength', 'SEO title', results.seoTitle, max.titleMin, max.titleMax));
+  checks.push(lengthCheck('metaLength', 'meta description', results.metaDescription, max.metaMin, max.metaMax));
+
+  let readability = null;
+  const flesch = english ? fleschReadingEase(body) : null;
+  if (flesch !== null) {
+    readability = { score: flesch, label: readabilityLabel(flesch) };
+    const text = `Flesch Reading Ease is ${flesch} (${readability.label}).`;
+    if (flesch >= 60) checks.push(check('readability', 'good', text));
+    else if (flesch >= 30) checks.push(check('readability', 'ok', `${text} Shorter sentences and simpler words would help.`));
+    else checks.push(check('readability', 'bad', `${text} The text is hard to read; break up long sentences.`));
+  }
+
+  const earned = checks.reduce((sum, item) => sum + POINTS[item.status], 0);
+  const score = Math.round((earned / (checks.length * POINTS.good)) * 100);
+  return {
+    score,
+    rating: score >= 70 ? 'good' : score >= 40 ? 'ok' : 'bad',
+    checks,
+    density,
+    variants,
+    readability
+  };
+};
+
+module.exports = {
+  ANALYSIS_LIMITS,
+  wordsOf,
+  stemOf,
+  normalizeKeywords,
+  findKeyword,
+  fleschReadingEase,
+  analyzeSeo
+};
@@ -0,0 +1,185 @@
+// Video URL parsing shared by the React app and the server (which requires this file directly),
+// so both accept exactly the same links. It is plain CommonJS and avoids syntax that makes Babel
+// inject helper imports (object spread, array destructuring), so webpack bundles it as is.
+//
+// parseVideoUrl() understands every YouTube form (watch, youtu.be, /shorts/, /embed/, /live/,
+// /v/, m., music. and youtube-nocookie.com), Vimeo (including unlisted links with their hash,
+// channels, groups, showcases and the player) and Loom share/embed links. It returns
+//   { kind: 'video', provider, id, hash, start, playlistId, url }   a single video
+//   { kind: 'playlist', provider: 'youtube', playlistId, url }      a YouTube playlist
+// or null. `url` is the canonical watch URL, `start` the start time in seconds (or null) and
+// `hash` the Vimeo unlisted-video hash (or null).
+
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_PLAYLIST_ID = /^[A-Za-z0-9_-]{12,64}$/;
+const VIMEO_ID = /^\d{1,12}$/;
+const VIMEO_HASH = /^[0-9a-f]{6,20}$/i;
+const LOOM_ID = /^[0-9a-f]{32}$/i;
+
+const PROVIDERS = {
+  youtube: {
+    label: 'YouTube',
+    idPattern: YOUTUBE_ID,
+    watchUrl: (video) => `https://www.youtube.com/watch?v=${video.id}`,
+    embedUrl: (video) => `https://www.youtube-nocookie.com/embed/${video.id}`,
+    timestampUrl: (video, seconds) => `${PROVIDERS.youtube.watchUrl(video)}&t=${seconds}`
+  },
+  vimeo: {
+    label: 'Vimeo',
+    idPattern: VIMEO_ID,
+    watchUrl: (video) => `https://vimeo.com/${video.id}${video.hash ? `/${video.hash}` : ''}`,
+    embedUrl: (video) => `https://player.vimeo.com/video/${video.id}${video.hash ? `?h=${video.hash}` : ''}`,
+    timestampUrl: (video, seconds) => `${PROVIDERS.vimeo.watchUrl(video)}#t=${seconds}s`
+  },
+  loom: {
+    label: 'Loom',
+    idPattern: LOOM_ID,
+    watchUrl: (video) => `https://www.loom.com/share/${video.id}`,
+    embedUrl: (video) => `https://www.loom.com/embed/${video.id}`,
+    timestampUrl: (video, seconds) => `${PROVIDERS.loom.watchUrl(video)}?t=${seconds}`
+  }
+};
+
+const YOUTUBE_HOSTS = ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com'];
+// Path prefixes that are followed by the video ID
+const YOUTUBE_ID_PATHS = ['shorts', 'embed', 'live', 'v', 'e', 'watch'];
+
+// A video from its parts, or null when the provider or ID isn't valid
+const videoRef = (provider, id, options) => {
+  const config = PROVIDERS[provider];
+  if (!config || !config.idPattern.test(String(id || ''))) return null;
+
+  const opts = options || {};
+  const video = {
+    kind: 'video',
+    provider,
+    id: String(id),
+    hash: opts.hash && VIMEO_HASH.test(opts.hash) ? opts.hash : null,
+    start: opts.start || null,
+    playlistId: opts.playlistId || null,
+    url: ''
+  };
+  video.url = config.watchUrl(video);
+  return video;
+};
+
+const playlistRef = (playlistId) => (YOUTUBE_PLAYLIST_ID.test(String(playlistId || '')) ? {
+  kind: 'playlist',
+  provider: 'youtube',
+  playlistId,
+  url: `https://www.youtube.com/playlist?list=${playlistId}`
+} : null);
+
+// "95", "95s", "1m35s", "1h2m3s" -> seconds
+const parseStartTime = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return Number(value) || null;
+  const match = String(value).match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  if (!match || !(match[1] || match[2] || match[3])) return null;
+  return (Number(match[1] || 0) * 60 + Number(match[2] || 0)) * 60 + Number(match[3] || 0) || null;
+};
+
+const toUrl = (input) => {
+  const text = String(input || '').trim();
+  if (!text) return null;
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseYouTube = (url, host) => {
+  const params = url.searchParams;
+  const segments = url.pathname.split('/').filter(Boolean);
+  const options = {
+    start: parseStartTime(params.get('t') || params.get('start')),
+    playlistId: YOUTUBE_PLAYLIST_ID.test(params.get('list') || '') ? params.get('list') : null
+  };
+
+  if (host === 'youtu.be') return videoRef('youtube', segments[0], options);
+
+  if (segments[0] === 'playlist' || (segments[0] === 'embed' && segments[1] === 'videoseries')) {
+    return playlistRef(params.get('list'));
+  }
+  if (segments[0] === 'watch' && params.get('v')) return videoRef('youtube', params.get('v'), options);
+  if (YOUTUBE_ID_PATHS.indexOf(segments[0]) !== -1) return videoRef('youtube', segments[1], options);
+  return null;
+};
+
+const VIMEO_PATHS = [
+  /^\/(\d+)(?:\/([0-9a-f]+))?\/?$/i,
+  /^\/video\/(\d+)(?:\/([0-9a-f]+))?\/?$/i,
+  /^\/channels\/[^/]+\/(\d+)\/?$/,
+  /^\/groups\/[^/]+\/videos\/(\d+)\/?$/,
+  /^\/(?:showcase|album)\/\d+\/video\/(\d+)\/?$/
+];
+
+const parseVimeo = (url) => {
+  for (let i = 0; i < VIMEO_PATHS.length; i++) {
+    const match = url.pathname.match(VIMEO_PATHS[i]);
+    if (match) {
+      const time = url.hash.match(/t=(\w+)/);
+      return videoRef('vimeo', match[1], {
+        hash: match[2] || url.searchParams.get('h'),
+        start: parseStartTime(time && time[1])
+      });
+    }
+  }
+  return null;
+};
+
+// Share links may carry the title before the ID: /share/Weekly-Sync-0123abcd...
+const parseLoom = (url) => {
+  const match = url.pathname.match(/^\/(?:share|embed)\/(?:[^/]*-)?([0-9a-f]{32})\/?$/i);
+  return match ? videoRef('loom', match[1].toLowerCase(), { start: parseStartTime(url.searchParams.get('t')) }) : null;
+};
+
+const parseVideoUrl = (input) => {
+  const url = toUrl(input);
+  if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) return null;
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  if (host === 'youtu.be' || YOUTUBE_HOSTS.indexOf(host) !== -1) return parseYouTube(url, host);
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') return parseVimeo(url);
+  if (host === 'loom.com') return parseLoom(url);
+  return null;
+};
+
+// The video ID of a single-video URL from any provider, or null
+const extractVideoId = (input) => {
+  const parsed = parseVideoUrl(input);
+  return parsed && parsed.kind === 'video' ? parsed.id : null;
+};
+
+// Why a parseVideoUrl() result can't be converted, or null when it is a single video
+const videoUrlError = (parsed) => {
+  if (!parsed) return 'Not a YouTube, Vimeo or Loom video URL';
+  if (parsed.kind === 'playlist') return 'Playlist URLs must be expanded into their videos first';
+  return null;
+};
+
+// The video a results object belongs to. Results saved before Vimeo and Loom were supported
+// only have a YouTube `videoId`.
+const videoFromResults = (results) => {
+  if (!results) return null;
+  const parsed = parseVideoUrl(results.videoUrl);
+  if (parsed && parsed.kind === 'video') return parsed;
+  return videoRef(results.provider || 'youtube', results.videoId);
+};
+
+const embedUrl = (video) => PROVIDERS[video.provider].embedUrl(video);
+
+const timestampUrl = (video, seconds) => PROVIDERS[video.provider].timestampUrl(video, Math.floor(seconds));
+
+module.exports = {
+  PROVIDERS,
+  parseVideoUrl,
+  parseStartTime,
+  extractVideoId,
+  videoUrlError,
+  videoRef,
+  videoFromResults,
+  embedUrl,
+  timestampUrl
+};
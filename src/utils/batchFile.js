@@ -0,0 +1,94 @@
+// Batch uploads: a CSV of `url, transcript` rows, or a ZIP holding such a CSV plus the
+// transcript files it names. In a plain CSV the second column is the transcript text itself.
+import JSZip from 'jszip';
+
+// RFC 4180-style parser: quoted fields, doubled quotes, commas and newlines inside quotes
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// Drop a header row such as "url,transcript file"
+const dataRows = (rows) => (rows.length > 0 && !/^https?:\/\//i.test(rows[0][0].trim()) ? rows.slice(1) : rows);
+
+const basename = (path) => path.split('/').pop();
+
+// Returns { rows: [{ url, transcript, transcriptFile }], errors: [string] }
+export const readBatchFile = async (file) => {
+  const errors = [];
+
+  if (!/\.zip$/i.test(file.name)) {
+    const rows = dataRows(parseCsv(await file.text())).map(([url = '', transcript = ''], index) => {
+      if (!transcript.trim()) errors.push(`Row ${index + 1}: no transcript`);
+      return { url: url.trim(), transcript: transcript.trim(), transcriptFile: null };
+    });
+    return { rows, errors };
+  }
+
+  const zip = await JSZip.loadAsync(file);
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'));
+  const manifest = entries.find(entry => /\.csv$/i.test(entry.name));
+  if (!manifest) {
+    return { rows: [], errors: ['The ZIP must contain a CSV file listing url, transcript file'] };
+  }
+
+  // Transcript paths in the CSV may be relative to the CSV or just a file name
+  const folder = manifest.name.includes('/') ? manifest.name.slice(0, manifest.name.lastIndexOf('/') + 1) : '';
+  const findEntry = (name) => entries.find(entry => entry.name === `${folder}${name}`)
+    || entries.find(entry => entry.name === name)
+    || entries.find(entry => basename(entry.name) === basename(name));
+
+  const rows = [];
+  const csvRows = dataRows(parseCsv(await manifest.async('string')));
+  for (const [index, [url = '', transcriptFile = '']] of csvRows.entries()) {
+    const entry = transcriptFile.trim() && findEntry(transcriptFile.trim());
+    if (!entry) {
+      errors.push(`Row ${index + 1}: transcript file "${transcriptFile.trim()}" not found in the ZIP`);
+    }
+    rows.push({
+      url: url.trim(),
+      transcript: entry ? (await entry.async('string')).replace(/^\uFEFF/, '').trim() : '',
+      transcriptFile: transcriptFile.trim() || null
+    });
+  }
+
+  return { rows, errors };
+};
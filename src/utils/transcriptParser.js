@@ -0,0 +1,175 @@
+// Detects and parses timestamped transcript formats pasted into the transcript box:
+// SRT, WebVTT and the YouTube "Show transcript" copy-paste (timestamp lines between text lines).
+// Every parser returns { format, text, segments, duration } where segments are { start, end, text, speaker? }
+// with times in seconds. Plain text comes back unchanged with no segments.
+
+const SRT_TIMING = /^(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})/;
+const VTT_TIMING = /^((?:\d{1,2}:)?\d{2}:\d{2}\.\d{1,3})\s*-->\s*((?:\d{1,2}:)?\d{2}:\d{2}\.\d{1,3})/;
+const YOUTUBE_TIMESTAMP = /^(?:\d{1,2}:)?\d{1,2}:\d{2}$/;
+// Newer YouTube pastes put a spoken duration under each timestamp ("1 minute, 4 seconds")
+const YOUTUBE_DURATION = /^(?:\d+\s+(?:hours?|minutes?|seconds?),?\s*)+$/i;
+
+// Gap between cues (in seconds) that starts a new paragraph in the plain text
+const PARAGRAPH_GAP = 3;
+
+// "01:02:03,450", "02:03.450" or "1:02:03" -> seconds
+export const parseTimestamp = (value) => {
+  const [clock, fraction = '0'] = value.trim().replace(',', '.').split('.');
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+// Seconds -> "4:12" or "1:02:03", the format YouTube uses for chapters and links
+export const formatTimestamp = (totalSeconds) => {
+  const seconds = Math.floor(totalSeconds);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const normalizeLines = (input) => input.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+// Strip inline cue markup (<i>, <c.color>, <00:00:01.000>) and decode the entities captions use
+const stripCueMarkup = (text) => text
+  .replace(/<[^>]+>/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const detectTranscriptFormat = (input) => {
+  if (!input || !input.trim()) return 'plain';
+
+  const lines = normalizeLines(input).map(line => line.trim());
+  if (/^WEBVTT/.test(lines[0])) return 'vtt';
+  if (lines.some(line => SRT_TIMING.test(line))) return 'srt';
+  if (lines.some(line => VTT_TIMING.test(line))) return 'vtt';
+
+  // YouTube pastes alternate timestamp lines and text; require a few so a stray "10:30" in prose doesn't count
+  const nonEmpty = lines.filter(Boolean);
+  const timestampLines = nonEmpty.filter(line => YOUTUBE_TIMESTAMP.test(line)).length;
+  if (timestampLines >= 3 && timestampLines >= nonEmpty.length * 0.25) return 'youtube';
+
+  return 'plain';
+};
+
+// SRT and WebVTT share the same block structure: optional id, timing line, text lines, blank line
+const parseCueBlocks = (input, timingPattern) => {
+  const segments = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.lines.length > 0) {
+      let speaker;
+      const lines = current.lines.map(line => {
+        // WebVTT voice spans: <v Jane Ortiz>text</v>
+        const voice = line.match(/^<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+        if (voice) speaker = voice[1].trim();
+        return stripCueMarkup(line);
+      });
+      const text = lines.filter(Boolean).join(' ');
+      if (text) {
+        segments.push({ start: current.start, end: current.end, text, ...(speaker && { speaker }) });
+      }
+    }
+    current = null;
+  };
+
+  normalizeLines(input).forEach(rawLine => {
+    const line = rawLine.trim();
+    const timing = line.match(timingPattern);
+
+    if (timing) {
+      flush();
+      current = { start: parseTimestamp(timing[1]), end: parseTimestamp(timing[2]), lines: [] };
+    } else if (!line) {
+      flush();
+    } else if (current) {
+      current.lines.push(line);
+    }
+    // Lines outside a cue (numeric ids, WEBVTT header, NOTE/STYLE blocks) are ignored
+  });
+  flush();
+
+  return segments;
+};
+
+const parseYouTube = (input) => {
+  const segments = [];
+  let current = null;
+
+  normalizeLines(input).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (YOUTUBE_TIMESTAMP.test(line)) {
+      if (current && current.text) segments.push(current);
+      current = { start: parseTimestamp(line), end: null, text: '' };
+    } else if (current && !current.text && YOUTUBE_DURATION.test(line)) {
+      // Skip the accessibility duration line directly under the timestamp
+    } else if (current) {
+      current.text = current.text ? `${current.text} ${line}` : line;
+    }
+  });
+  if (current && current.text) segments.push(current);
+
+  // YouTube only gives start times; each cue ends where the next one begins
+  return segments.map((segment, index) => ({
+    ...segment,
+    end: index < segments.length - 1 ? segments[index + 1].start : null
+  }));
+};
+
+// Join cues into readable paragraphs: new paragraph on speaker change,
+// on YouTube's ">>" speaker-change marker, or after a pause
+export const segmentsToText = (segments) => {
+  const paragraphs = [];
+  let paragraph = [];
+  let previous = null;
+
+  segments.forEach(segment => {
+    const speakerChanged = segment.speaker && segment.speaker !== previous?.speaker;
+    const markerChange = segment.text.startsWith('>>');
+    const pause = previous && previous.end !== null && segment.start - previous.end >= PARAGRAPH_GAP;
+
+    if (paragraph.length > 0 && (speakerChanged || markerChange || pause)) {
+      paragraphs.push(paragraph.join(' '));
+      paragraph = [];
+    }
+
+    const text = segment.text.replace(/^>>\s*/, '');
+    paragraph.push(speakerChanged ? `${segment.speaker}: ${text}` : text);
+    previous = segment;
+  });
+
+  if (paragraph.length > 0) {
+    paragraphs.push(paragraph.join(' '));
+  }
+  return paragraphs.join('\n\n');
+};
+
+export const parseTranscript = (input) => {
+  const format = detectTranscriptFormat(input);
+
+  let segments = [];
+  if (format === 'srt') segments = parseCueBlocks(input, SRT_TIMING);
+  if (format === 'vtt') segments = parseCueBlocks(input, VTT_TIMING);
+  if (format === 'youtube') segments = parseYouTube(input);
+
+  if (format === 'plain' || segments.length === 0) {
+    return { format: 'plain', text: input || '', segments: [], duration: 0 };
+  }
+
+  const last = segments[segments.length - 1];
+  return { format, text: segmentsToText(segments), segments, duration: last.end ?? last.start };
+};
+
+export const TRANSCRIPT_FORMAT_LABELS = {
+  plain: 'Plain text',
+  srt: 'SRT subtitles',
+  vtt: 'WebVTT captions',
+  youtube: 'YouTube transcript'
+};
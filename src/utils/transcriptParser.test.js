@@ -0,0 +1,115 @@
+import { detectTranscriptFormat, formatTimestamp, parseTimestamp, parseTranscript } from './transcriptParser';
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,500
+Welcome to the show.
+
+2
+00:00:04,500 --> 00:00:08,250
+Today we are talking
+about <i>dispatch</i> software.
+
+3
+00:00:12,000 --> 00:00:15,000
+Thanks for having me.
+`;
+
+const VTT = `WEBVTT
+Kind: captions
+Language: en
+
+NOTE
+This cue was edited by hand.
+It spans two lines.
+
+intro
+00:01.000 --> 00:04.000
+<v Jane Ortiz>Welcome to the show.</v>
+
+00:04.000 --> 00:07.500 align:start position:10%
+<v Jane Ortiz>Today we talk about
+route planning &amp; scheduling.</v>
+
+01:02:03.000 --> 01:02:06.000
+<v Sam Lee>Thanks for having me.</v>
+`;
+
+const YOUTUBE = `0:00
+Welcome to the show.
+0:04
+4 seconds
+Today we talk about route planning.
+0:09
+>> Thanks for having me.
+1:02:03
+1 hour, 2 minutes, 3 seconds
+And that's a wrap.
+`;
+
+describe('parseTimestamp and formatTimestamp', () => {
+  it('reads SRT, WebVTT and YouTube times as seconds', () => {
+    expect(parseTimestamp('01:02:03,450')).toBeCloseTo(3723.45);
+    expect(parseTimestamp('02:03.450')).toBeCloseTo(123.45);
+    expect(parseTimestamp('1:02:03')).toBe(3723);
+  });
+
+  it('formats seconds the way YouTube does', () => {
+    expect(formatTimestamp(252.9)).toBe('4:12');
+    expect(formatTimestamp(3723)).toBe('1:02:03');
+  });
+});
+
+describe('parseTranscript', () => {
+  it('parses SRT, skipping cue numbers and timing lines', () => {
+    const result = parseTranscript(SRT);
+
+    expect(result.format).toBe('srt');
+    expect(result.segments).toEqual([
+      { start: 1, end: 4.5, text: 'Welcome to the show.' },
+      { start: 4.5, end: 8.25, text: 'Today we are talking about dispatch software.' },
+      { start: 12, end: 15, text: 'Thanks for having me.' }
+    ]);
+    expect(result.duration).toBe(15);
+    expect(result.text).toBe('Welcome to the show. Today we are talking about dispatch software.\n\nThanks for having me.');
+    expect(result.text).not.toMatch(/-->|^\d+$/m);
+  });
+
+  it('parses WebVTT with a header, NOTE blocks, multi-line cues and times without hours', () => {
+    const result = parseTranscript(VTT);
+
+    expect(result.format).toBe('vtt');
+    expect(result.segments).toEqual([
+      { start: 1, end: 4, text: 'Welcome to the show.', speaker: 'Jane Ortiz' },
+      { start: 4, end: 7.5, text: 'Today we talk about route planning & scheduling.', speaker: 'Jane Ortiz' },
+      { start: 3723, end: 3726, text: 'Thanks for having me.', speaker: 'Sam Lee' }
+    ]);
+    expect(result.duration).toBe(3726);
+    expect(result.text).toBe('Jane Ortiz: Welcome to the show. Today we talk about route planning & scheduling.\n\nSam Lee: Thanks for having me.');
+    expect(result.text).not.toMatch(/WEBVTT|NOTE|edited by hand/);
+  });
+
+  it('detects WebVTT cues without the header', () => {
+    expect(detectTranscriptFormat('00:01.000 --> 00:04.000\nHello there.')).toBe('vtt');
+  });
+
+  it('parses a YouTube transcript paste, ending each cue where the next begins', () => {
+    const result = parseTranscript(YOUTUBE);
+
+    expect(result.format).toBe('youtube');
+    expect(result.segments).toEqual([
+      { start: 0, end: 4, text: 'Welcome to the show.' },
+      { start: 4, end: 9, text: 'Today we talk about route planning.' },
+      { start: 9, end: 3723, text: '>> Thanks for having me.' },
+      { start: 3723, end: null, text: 'And that\'s a wrap.' }
+    ]);
+    expect(result.duration).toBe(3723);
+    expect(result.text).toBe('Welcome to the show. Today we talk about route planning.\n\nThanks for having me. And that\'s a wrap.');
+  });
+
+  it('returns plain text unchanged', () => {
+    const plain = 'Host: We met at 10:30 to plan the rollout.\n\nGuest: It took three months.';
+
+    expect(parseTranscript(plain)).toEqual({ format: 'plain', text: plain, segments: [], duration: 0 });
+    expect(parseTranscript('')).toEqual({ format: 'plain', text: '', segments: [], duration: 0 });
+  });
+});